@@ -0,0 +1 @@
+../src/asn1.js
\ No newline at end of file
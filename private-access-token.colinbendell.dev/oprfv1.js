@@ -0,0 +1 @@
+../src/oprfv1.js
\ No newline at end of file
@@ -0,0 +1 @@
+../src/rsabssa.js
\ No newline at end of file
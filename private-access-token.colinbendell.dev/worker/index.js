@@ -1,46 +1,90 @@
-const CLOUDFLARE_PUB_KEY = "MIIBUjA9BgkqhkiG9w0BAQowMKANMAsGCWCGSAFlAwQCAqEaMBgGCSqGSIb3DQEBCDALBglghkgBZQMEAgKiAwIBMAOCAQ8AMIIBCgKCAQEAojBPEhHbcKehbsRgb6MQwTLnz6FfOWY3U7htx8zvI-_YjK6t2DJdiGR2PgLAZTWqUHvv7eW53jhfv6u2qjbB0GhscHTQPn82jBzC5A9LjI7Y6_IOaPVsbnKqPWxPTNAND0HPMBt1t_vRUWrh142sUJwPDLdW4nQ04c-fuBJFSbNk1hDr8_t-WuQKb52Kf7pyde3Nvk_e6oJs_Ebm1EZ_XYcove1AKMrM5Mf0rIsbI8gZRw1qcUtHJZN12i5le0Ocw6qj2gfeojfbTcmwDgUscUtJTnFKFGTMiRrV2rc2F_oAwbqOCH6BSKzO54OWUwWXFfQ8upcvrBhu6JWg-MBRBwIDAQAB";
-const CHALLENGE = "AAIAGXBhdC1pc3N1ZXIuY2xvdWRmbGFyZS5jb20AAAA=";
-
-export default {
-    async fetch(request, env) {
-        const url = new URL(request.url);
-
-        if (url.pathname === "/" || url.pathname === "/index.html") {
-
-            const params = new Proxy(new URLSearchParams(request.url.split("?")[1] ?? ""), { get: (searchParams, prop) => searchParams.get(prop), });
-
-            const challenge = params.challenge || encodeURI(CHALLENGE);
-            const publicKey = params["token-key"] || encodeURI(CLOUDFLARE_PUB_KEY);
-            const tokenHeader = request.headers.get("Authorization")?.split("PrivateToken token=")[1];
-
-            const token = encodeURI(tokenHeader || "") || params.token;
-            // ios16 and macOS13 don't actually support quoted challenge + token-key values ...
-            let respInit = {
-                status: 401,
-                headers: {
-                    "WWW-Authenticate": `PrivateToken challenge=${decodeURIComponent(challenge).replaceAll('"', '')}, token-key=${decodeURIComponent(publicKey).replaceAll('"', '')}`,
-                },
-            };
-
-            if (token) {
-                respInit = {
-                    status: 200,
-                }
-            }
+import { createFetchHandler, PrivateTokenVerifier } from "../../src/middleware.js";
+import { ReplayProtection } from "../../src/nonce-store.js";
+import { Challenge, PublicKey } from "../../src/private-access-token.js";
+import { Base64 } from "../../src/utils.js";
 
-            const baseResponse = await fetch(request);
-            const body = await baseResponse.text();
-            const response = new Response(body, respInit);
-            response.headers.set("Content-Type", `text/html`);
-            response.headers.append("Set-Cookie", `lastchallenge=${Date.now()}; SameSite=Strict; Secure;`);
-            response.headers.append("Set-Cookie", `token=${tokenHeader ? token : ''}; SameSite=Strict; Secure;`);
-            response.headers.append("Set-Cookie", `challenge=${params.challenge ? '' : challenge}; SameSite=Strict; Secure;`);
-            response.headers.append("Set-Cookie", `token-key=${params["token-key"] ? '' : publicKey}; SameSite=Strict; Secure;`);
+// the demo page can be pointed at another challenge with ?challenge=...&token-key=... as long as the key is one of the
+// configured issuers (or in the registry) and the challenge is for that issuer; anything else gets the defaults
+function verifierFor(request, env, defaults) {
+    const params = new URL(request.url).searchParams;
+    const challenge = params.get("challenge");
+    const tokenKey = params.get("token-key");
+    if (!challenge || !tokenKey) {
+        return defaults;
+    }
 
-            return response;
-        }
-        else {
-            return fetch(request);
+    try {
+        const fixed = Challenge.from(challenge.replaceAll('"', ''));
+        const sPKI = Base64.urlEncode(Base64.decode(tokenKey.replaceAll('"', '')));
+        // the keys are compared by value as the SPKIs of the built-in keys are not all in the same base64 form
+        const matches = key => Base64.urlEncode(key.toByteArray()) === sPKI;
+        const publicKey = defaults.issuers.find(matches) ?? defaults.registry.keys().find(key => key.isValid() && matches(key));
+        if (publicKey?.issuerName !== fixed.issuerName || publicKey.tokenType !== fixed.tokenType) {
+            return defaults;
         }
+        return new PrivateTokenVerifier({ issuers: [publicKey], challenge: fixed, replay: defaults.replay, registry: defaults.registry });
+    }
+    catch {
+        return defaults;
     }
 }
+
+// the page reads the token, the challenge it was verified against and the outcome of each check from this
+function embed(body, outcome, verifier) {
+    const data = {
+        token: outcome?.token?.toString() ?? "",
+        challenge: (outcome?.challenge ?? verifier.fixedChallenge)?.toString() ?? "",
+        "token-key": (outcome?.publicKey ?? verifier.issuers[0]).sPKI,
+        valid: outcome?.valid ?? false,
+        reason: outcome?.reason ?? null,
+        checks: outcome?.result?.checks ?? [],
+    };
+    const script = `<script type="application/json" id="private-token">${JSON.stringify(data).replaceAll("<", "\\u003c")}</script>`;
+    return body.replace("</head>", `${script}\n</head>`);
+}
+
+/**
+ * @param {Function} originFetch The fetch used to get the pages from the origin (a stand-in in the tests)
+ * @param {PublicKeyRegistry} registry The keys (besides the default issuer) the demo page may be pointed at
+ * @returns {Object} the worker
+ */
+export function createWorker(originFetch = (...args) => fetch(...args), registry = PublicKey.registry) {
+    let defaults;
+    let handler;
+
+    // the demo page is public: it shows the outcome with or without a valid token
+    const page = async (req, outcome, env) => {
+        const origin = await originFetch(req);
+        const body = embed(await origin.text(), outcome, verifierFor(req, env, defaults));
+        const response = new Response(body, origin);
+        response.headers.set("Content-Type", "text/html");
+        response.headers.set("Cache-Control", "no-store");
+        response.headers.append("Set-Cookie", `lastchallenge=${Date.now()}; SameSite=Strict; Secure;`);
+        return response;
+    };
+
+    return {
+        async fetch(request, env = {}, ctx) {
+            const url = new URL(request.url);
+            if (url.pathname !== "/" && url.pathname !== "/index.html") {
+                return originFetch(request);
+            }
+
+            defaults ??= new PrivateTokenVerifier({
+                issuers: [PublicKey.CLOUDFLARE],
+                secret: env.CHALLENGE_SECRET,
+                replay: new ReplayProtection(),
+                registry,
+            });
+            handler ??= createFetchHandler({
+                verifier: (req, env) => verifierFor(req, env, defaults),
+                sessionData: req => req.headers.get("CF-Connecting-IP") ?? "",
+                respond: page,
+                fallback: page,
+            });
+            return handler(request, env, ctx);
+        },
+    };
+}
+
+export default createWorker();
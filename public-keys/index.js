@@ -6,7 +6,7 @@ import * as url from 'url';
 import * as crypto from 'node:crypto';
 
 import { Base64, PS384 } from '../src/utils.js';
-import { Challenge } from '../src/private-access-token.js';
+import { WWWAuthenticate } from '../src/auth-scheme.js';
 
 const __dirname = url.fileURLToPath(new URL('.', import.meta.url));
 
@@ -31,22 +31,18 @@ async function sha256(data = []) {
  * @returns {object} issuer directory object as defined in PrivacyPass spec
  */
 function privateTokenToIssuerDirectory(authenticate = "") {
-    if (!authenticate?.match(/PrivateToken/)) return;
-
-    const key = authenticate?.split(/token-key=/)[1]?.split(/,/)[0];
-    const challenge = Challenge.from(authenticate?.split(/challenge=/)[1]?.split(/,/)[0]);
-
-    if (key) {
-        const issuerDirectory = {
-            "issuer-name": challenge.issuerName,
-            "token-keys": [
-                {
-                    "token-type": 2,
-                    "token-key": key,
-                }
-            ]};
-        return issuerDirectory;
-    }
+    const { challenges } = WWWAuthenticate.from(authenticate);
+    const tokenKeys = challenges.filter(c => c.tokenKey);
+    if (tokenKeys.length === 0) return;
+
+    const issuerDirectory = {
+        "issuer-name": tokenKeys[0].challenge.issuerName,
+        "token-keys": tokenKeys.map(c => ({
+            "token-type": c.challenge.tokenType,
+            "token-key": c.tokenKey.toString(),
+        })),
+    };
+    return issuerDirectory;
 }
 
 /**
@@ -0,0 +1,391 @@
+/**
+ * Minimal ASN.1 DER encoder and decoder. Only the types needed for `SubjectPublicKeyInfo` are supported.
+ *
+ * @see https://www.itu.int/rec/T-REC-X.690
+ */
+export class DER {
+    static INTEGER = 0x02;
+    static BIT_STRING = 0x03;
+    static OCTET_STRING = 0x04;
+    static NULL = 0x05;
+    static OBJECT_IDENTIFIER = 0x06;
+    static SEQUENCE = 0x30;
+
+    /**
+     * Reads a single TLV.
+     * @param {number[]} bytes The DER encoded data
+     * @param {number} offset The offset of the TLV
+     * @returns {Object} `{tag, content, end}` where `end` is the offset after the TLV
+     */
+    static read(bytes, offset = 0) {
+        if (offset + 2 > bytes.length) {
+            throw new Error("DER: unexpected end of data");
+        }
+        const tag = bytes[offset];
+        if ((tag & 0x1f) === 0x1f) {
+            throw new Error("DER: multi-byte tags are not supported");
+        }
+        let length = bytes[offset + 1];
+        let start = offset + 2;
+        if (length === 0x80) {
+            throw new Error("DER: indefinite length is not allowed");
+        }
+        if (length > 0x80) {
+            const size = length & 0x7f;
+            if (size > 4 || start + size > bytes.length) {
+                throw new Error("DER: invalid length");
+            }
+            length = 0;
+            for (let i = 0; i < size; i++) {
+                length = length * 256 + bytes[start + i];
+            }
+            if (length < 0x80 || bytes[start] === 0) {
+                throw new Error("DER: non-minimal length");
+            }
+            start += size;
+        }
+        const end = start + length;
+        if (end > bytes.length) {
+            throw new Error("DER: unexpected end of data");
+        }
+        return { tag, content: Array.from(bytes.slice(start, end)), end };
+    }
+
+    /**
+     * Decodes a single TLV that must span all of the data.
+     * @param {number[]} bytes The DER encoded data
+     * @param {number} tag The expected tag
+     * @returns {number[]} the content
+     */
+    static decode(bytes, tag) {
+        const tlv = DER.read(Array.from(bytes ?? []));
+        if (tlv.end !== bytes.length) {
+            throw new Error("DER: unexpected trailing data");
+        }
+        if (tag !== undefined && tlv.tag !== tag) {
+            throw new Error(`DER: expected tag ${tag} but found ${tlv.tag}`);
+        }
+        return tlv.content;
+    }
+
+    /**
+     * @param {number[]} content The content of a constructed type (eg. SEQUENCE)
+     * @returns {Object[]} the `{tag, content}` of each element
+     */
+    static children(content) {
+        const children = [];
+        for (let offset = 0; offset < content.length;) {
+            const { tag, content: value, end } = DER.read(content, offset);
+            children.push({ tag, content: value });
+            offset = end;
+        }
+        return children;
+    }
+
+    /**
+     * @param {number} tag The tag
+     * @param {number[]} content The content
+     * @returns {number[]} the TLV
+     */
+    static encode(tag, content = []) {
+        let length = [content.length];
+        if (content.length >= 0x80) {
+            length = [];
+            for (let n = content.length; n > 0; n = Math.floor(n / 256)) {
+                length.unshift(n & 0xff);
+            }
+            length.unshift(0x80 | length.length);
+        }
+        return [tag, ...length, ...content];
+    }
+
+    /**
+     * @param {...number[]} elements The encoded elements
+     * @returns {number[]} the SEQUENCE
+     */
+    static sequence(...elements) {
+        return DER.encode(DER.SEQUENCE, elements.flat());
+    }
+
+    /**
+     * @param {number} number The context specific tag number
+     * @param {number[]} element The encoded element
+     * @returns {number[]} the explicitly tagged element (`[number] EXPLICIT`)
+     */
+    static explicit(number, element) {
+        return DER.encode(0xa0 | number, element);
+    }
+
+    /**
+     * @param {number[]|number|BigInt} value The unsigned big-endian integer (or a number)
+     * @returns {number[]} the INTEGER
+     */
+    static integer(value) {
+        let bytes;
+        if (typeof value === "number" || typeof value === "bigint") {
+            bytes = [];
+            for (let n = BigInt(value); n > 0n; n >>= 8n) {
+                bytes.unshift(Number(n & 0xffn));
+            }
+        }
+        else {
+            bytes = Array.from(value ?? []);
+        }
+        while (bytes.length > 1 && bytes[0] === 0) {
+            bytes.shift();
+        }
+        if (bytes.length === 0 || bytes[0] & 0x80) {
+            bytes.unshift(0);
+        }
+        return DER.encode(DER.INTEGER, bytes);
+    }
+
+    /**
+     * @param {number[]} content The content of an INTEGER
+     * @returns {number[]} the unsigned big-endian value (without the sign byte)
+     */
+    static decodeInteger(content) {
+        if (content.length === 0 || (content[0] & 0x80)) {
+            throw new Error("DER: expected a positive INTEGER");
+        }
+        if (content.length > 1 && content[0] === 0 && !(content[1] & 0x80)) {
+            throw new Error("DER: non-minimal INTEGER");
+        }
+        return content[0] === 0 && content.length > 1 ? content.slice(1) : content;
+    }
+
+    /**
+     * @param {number[]} bytes The bits (whole bytes only)
+     * @returns {number[]} the BIT STRING
+     */
+    static bitString(bytes) {
+        return DER.encode(DER.BIT_STRING, [0x00, ...bytes]);
+    }
+
+    /**
+     * @param {number[]} content The content of a BIT STRING
+     * @returns {number[]} the bits
+     */
+    static decodeBitString(content) {
+        if (content[0] !== 0) {
+            throw new Error("DER: unsupported BIT STRING padding");
+        }
+        return content.slice(1);
+    }
+
+    /**
+     * @returns {number[]} the NULL
+     */
+    static null() {
+        return DER.encode(DER.NULL);
+    }
+
+    /**
+     * @param {string} oid The dotted object identifier (eg. `1.2.840.113549.1.1.10`)
+     * @returns {number[]} the OBJECT IDENTIFIER
+     */
+    static oid(oid) {
+        const arcs = oid.split(".").map(a => BigInt(a));
+        const content = [];
+        for (const arc of [arcs[0] * 40n + arcs[1], ...arcs.slice(2)]) {
+            const base128 = [Number(arc & 0x7fn)];
+            for (let n = arc >> 7n; n > 0n; n >>= 7n) {
+                base128.unshift(Number(n & 0x7fn) | 0x80);
+            }
+            content.push(...base128);
+        }
+        return DER.encode(DER.OBJECT_IDENTIFIER, content);
+    }
+
+    /**
+     * @param {number[]} content The content of an OBJECT IDENTIFIER
+     * @returns {string} the dotted object identifier
+     */
+    static decodeOID(content) {
+        const arcs = [];
+        let arc = 0n;
+        for (const b of content) {
+            arc = (arc << 7n) | BigInt(b & 0x7f);
+            if (!(b & 0x80)) {
+                arcs.push(arc);
+                arc = 0n;
+            }
+        }
+        const first = arcs.shift() ?? 0n;
+        const root = first < 80n ? first / 40n : 2n;
+        return [root, first - root * 40n, ...arcs].join(".");
+    }
+}
+
+export const OID = {
+    RSA_ENCRYPTION: "1.2.840.113549.1.1.1",
+    MGF1: "1.2.840.113549.1.1.8",
+    RSASSA_PSS: "1.2.840.113549.1.1.10",
+    EC_PUBLIC_KEY: "1.2.840.10045.2.1",
+    SECP384R1: "1.3.132.0.34",
+    "SHA-1": "1.3.14.3.2.26",
+    "SHA-256": "2.16.840.1.101.3.4.2.1",
+    "SHA-384": "2.16.840.1.101.3.4.2.2",
+    "SHA-512": "2.16.840.1.101.3.4.2.3",
+};
+
+const HASHES = new Map(Object.entries(OID).filter(([name]) => name.startsWith("SHA-")).map(([name, oid]) => [oid, name]));
+
+/**
+ * ```
+ * SubjectPublicKeyInfo ::= SEQUENCE {
+ *     algorithm         AlgorithmIdentifier,
+ *     subjectPublicKey  BIT STRING }
+ *
+ * RSAPublicKey ::= SEQUENCE {
+ *     modulus           INTEGER,  -- n
+ *     publicExponent    INTEGER } -- e
+ *
+ * RSASSA-PSS-params ::= SEQUENCE {
+ *     hashAlgorithm      [0] HashAlgorithm      DEFAULT sha1,
+ *     maskGenAlgorithm   [1] MaskGenAlgorithm   DEFAULT mgf1SHA1,
+ *     saltLength         [2] INTEGER            DEFAULT 20,
+ *     trailerField       [3] TrailerField       DEFAULT trailerFieldBC }
+ * ```
+ *
+ * @see https://www.rfc-editor.org/rfc/rfc5280#section-4.1
+ * @see https://www.rfc-editor.org/rfc/rfc8017#appendix-A.2.3
+ * @see https://www.rfc-editor.org/rfc/rfc5480#section-2
+ */
+export class SubjectPublicKeyInfo {
+    /**
+     * The RSASSA-PSS parameters used by Privacy Pass token keys.
+     * @see https://datatracker.ietf.org/doc/html/rfc9578#name-issuer-configuration-2
+     */
+    static PSS_SHA384 = { hash: "SHA-384", mgf1Hash: "SHA-384", saltLength: 48 };
+
+    /**
+     * @param {string} algorithm The algorithm OID
+     * @param {Object} parameters The decoded parameters (`{hash, mgf1Hash, saltLength}` for RSASSA-PSS, `{namedCurve}`
+     *                            for EC)
+     * @param {Object} publicKey The decoded key (`{n, e}` as unsigned big-endian bytes for RSA, `{point}` for EC)
+     */
+    constructor(algorithm, parameters, publicKey) {
+        this.algorithm = algorithm;
+        this.parameters = parameters;
+        this.publicKey = publicKey;
+    }
+
+    /**
+     * @param {number[]} bytes The DER encoded SubjectPublicKeyInfo
+     * @returns {SubjectPublicKeyInfo} the decoded key
+     */
+    static decode(bytes) {
+        const [algorithmIdentifier, subjectPublicKey, ...rest] = DER.children(DER.decode(Array.from(bytes ?? []), DER.SEQUENCE));
+        if (algorithmIdentifier?.tag !== DER.SEQUENCE || subjectPublicKey?.tag !== DER.BIT_STRING || rest.length > 0) {
+            throw new Error("Invalid SubjectPublicKeyInfo");
+        }
+        const [algorithm, parameters] = DER.children(algorithmIdentifier.content);
+        if (algorithm?.tag !== DER.OBJECT_IDENTIFIER) {
+            throw new Error("Invalid SubjectPublicKeyInfo: algorithm");
+        }
+        const oid = DER.decodeOID(algorithm.content);
+        const key = DER.decodeBitString(subjectPublicKey.content);
+
+        if (oid === OID.RSA_ENCRYPTION || oid === OID.RSASSA_PSS) {
+            const [n, e, ...extra] = DER.children(DER.decode(key, DER.SEQUENCE));
+            if (n?.tag !== DER.INTEGER || e?.tag !== DER.INTEGER || extra.length > 0) {
+                throw new Error("Invalid RSAPublicKey");
+            }
+            const pss = oid === OID.RSASSA_PSS ? SubjectPublicKeyInfo.#decodePSSParams(parameters) : null;
+            return new SubjectPublicKeyInfo(oid, pss, { n: DER.decodeInteger(n.content), e: DER.decodeInteger(e.content) });
+        }
+        if (oid === OID.EC_PUBLIC_KEY) {
+            if (parameters?.tag !== DER.OBJECT_IDENTIFIER) {
+                throw new Error("Invalid SubjectPublicKeyInfo: namedCurve");
+            }
+            return new SubjectPublicKeyInfo(oid, { namedCurve: DER.decodeOID(parameters.content) }, { point: key });
+        }
+        throw new Error(`Unsupported SubjectPublicKeyInfo algorithm: ${oid}`);
+    }
+
+    /**
+     * @param {Object} parameters The `RSASSA-PSS-params` TLV (absent for the defaults)
+     * @returns {Object} `{hash, mgf1Hash, saltLength}`
+     */
+    static #decodePSSParams(parameters) {
+        const pss = { hash: "SHA-1", mgf1Hash: "SHA-1", saltLength: 20 };
+        if (!parameters || parameters.tag === DER.NULL) return pss;
+        if (parameters.tag !== DER.SEQUENCE) {
+            throw new Error("Invalid RSASSA-PSS-params");
+        }
+        const hashName = content => {
+            const [oid] = DER.children(content);
+            const name = HASHES.get(DER.decodeOID(oid?.content ?? []));
+            if (oid?.tag !== DER.OBJECT_IDENTIFIER || !name) {
+                throw new Error("Unsupported RSASSA-PSS hash algorithm");
+            }
+            return name;
+        };
+        for (const { tag, content } of DER.children(parameters.content)) {
+            const [field] = DER.children(content);
+            if (tag === 0xa0) {
+                pss.hash = hashName(field.content);
+            }
+            else if (tag === 0xa1) {
+                const [mgf, mgfParams] = DER.children(field.content);
+                if (DER.decodeOID(mgf.content) !== OID.MGF1) {
+                    throw new Error("Unsupported RSASSA-PSS mask generation function");
+                }
+                pss.mgf1Hash = hashName(mgfParams.content);
+            }
+            else if (tag === 0xa2) {
+                pss.saltLength = Number(DER.decodeInteger(field.content).reduce((n, b) => n * 256 + b, 0));
+            }
+            else if (tag === 0xa3) {
+                if (DER.decodeInteger(field.content).reduce((n, b) => n * 256 + b, 0) !== 1) {
+                    throw new Error("Unsupported RSASSA-PSS trailer field");
+                }
+            }
+            else {
+                throw new Error("Invalid RSASSA-PSS-params");
+            }
+        }
+        return pss;
+    }
+
+    /**
+     * Encodes an RSA key. With PSS parameters the key is encoded as id-RSASSA-PSS (as required for Privacy Pass token
+     * keys), otherwise as rsaEncryption. The hash algorithm identifiers are encoded without parameters.
+     *
+     * @param {Object} key `{n, e}` as unsigned big-endian bytes (or BigInts)
+     * @param {Object} pss `{hash, mgf1Hash, saltLength}` or null for rsaEncryption
+     * @returns {number[]} the DER encoded SubjectPublicKeyInfo
+     */
+    static encodeRSA({ n, e }, pss = SubjectPublicKeyInfo.PSS_SHA384) {
+        const algorithm = pss ?
+            DER.sequence(
+                DER.oid(OID.RSASSA_PSS),
+                DER.sequence(
+                    DER.explicit(0, DER.sequence(DER.oid(OID[pss.hash]))),
+                    DER.explicit(1, DER.sequence(DER.oid(OID.MGF1), DER.sequence(DER.oid(OID[pss.mgf1Hash ?? pss.hash])))),
+                    DER.explicit(2, DER.integer(pss.saltLength)),
+                )) :
+            DER.sequence(DER.oid(OID.RSA_ENCRYPTION), DER.null());
+        return DER.sequence(algorithm, DER.bitString(DER.sequence(DER.integer(n), DER.integer(e))));
+    }
+
+    /**
+     * @param {number[]} point The uncompressed point (`0x04 || x || y`)
+     * @param {string} namedCurve The curve OID
+     * @returns {number[]} the DER encoded SubjectPublicKeyInfo
+     */
+    static encodeEC(point, namedCurve = OID.SECP384R1) {
+        return DER.sequence(DER.sequence(DER.oid(OID.EC_PUBLIC_KEY), DER.oid(namedCurve)), DER.bitString(point));
+    }
+
+    /**
+     * @returns {number[]} the DER encoded SubjectPublicKeyInfo
+     */
+    toByteArray() {
+        if (this.algorithm === OID.EC_PUBLIC_KEY) {
+            return SubjectPublicKeyInfo.encodeEC(this.publicKey.point, this.parameters?.namedCurve);
+        }
+        return SubjectPublicKeyInfo.encodeRSA(this.publicKey, this.algorithm === OID.RSASSA_PSS ? this.parameters : null);
+    }
+}
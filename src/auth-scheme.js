@@ -0,0 +1,272 @@
+import { Base64 } from "./utils.js";
+import { Challenge, Extensions, PublicKey, Token } from "./private-access-token.js";
+
+const SCHEME = "PrivateToken";
+
+// RFC9110 grammar: auth-param = token BWS "=" BWS ( token / quoted-string ). We are lenient on the value and accept
+// unquoted base64 padding (`=`) since that is what Safari and most deployed origins send.
+const TOKEN_CHARS = "[!#$%&'*+\\-.^_`|~0-9A-Za-z]+";
+const WHITESPACE = /[\s,]*/y;
+const AUTH_PARAM = new RegExp(`(${TOKEN_CHARS})[ \\t]*=[ \\t]*("(?:[^"\\\\]|\\\\.)*"|[^\\s,"=][^\\s,"]*)`, "y");
+const TOKEN68 = /([A-Za-z0-9\-._~+/]+=*)(?=[ \t]*(,|$))/y;
+const AUTH_SCHEME = new RegExp(`(${TOKEN_CHARS})`, "y");
+
+/**
+ * Parses an `WWW-Authenticate` or `Authorization` header value into the list of challenges (or credentials).
+ * Parameter names are lower cased and quoted-string values are unescaped.
+ *
+ * @param {string} header the header value
+ * @returns {Array<Object>} the list of `{scheme, params, token68}` items
+ */
+function parseAuthHeader(header = "") {
+    const challenges = [];
+    let current;
+    let offset = 0;
+
+    const match = regex => {
+        regex.lastIndex = offset;
+        const result = regex.exec(header);
+        if (result) offset = regex.lastIndex;
+        return result;
+    };
+
+    while (offset < header.length) {
+        match(WHITESPACE);
+        if (offset >= header.length) break;
+
+        let result;
+        if (current && (result = match(AUTH_PARAM))) {
+            let value = result[2];
+            if (value.startsWith('"')) {
+                value = value.slice(1, -1).replace(/\\(.)/g, "$1");
+            }
+            current.params[result[1].toLowerCase()] = value;
+        }
+        else if (current && Object.keys(current.params).length === 0 && !current.token68 && (result = match(TOKEN68))) {
+            current.token68 = result[1];
+        }
+        else if ((result = match(AUTH_SCHEME))) {
+            current = { scheme: result[1], params: {}, token68: null };
+            challenges.push(current);
+        }
+        else {
+            // skip anything we can't make sense of
+            offset++;
+        }
+    }
+    return challenges;
+}
+
+/**
+ * Serializes an auth-param value as a base64url string.
+ *
+ * @param {number[]|Uint8Array|string} data the bytes (or already base64 encoded string) to encode
+ * @param {Object} options `padding` keeps the `=` padding, `quoted` quotes the value when it is not a valid token,
+ *                         `codec` a `Base64Codec` to use instead
+ * @returns {string} the encoded value
+ */
+function encodeValue(data, { padding = true, quoted = true, codec } = {}) {
+    codec ??= Base64.URL.with({ padding: padding ? "optional" : "forbidden", quoting: quoted ? "optional" : "forbidden" });
+    return codec.encode(typeof data === "string" ? Base64.HEADER.decode(data) : data);
+}
+
+/**
+ * A single `PrivateToken` authentication challenge as sent in the `WWW-Authenticate` header.
+ *
+ * ```
+ * WWW-Authenticate:
+ *   PrivateToken challenge="abc...", token-key="123...", max-age="10"
+ * ```
+ * @see https://datatracker.ietf.org/doc/html/rfc9577#name-sending-token-challenges
+ */
+export class PrivateTokenChallenge {
+    /**
+     * @param {Challenge} challenge The token challenge
+     * @param {PublicKey} tokenKey The issuer public key to use for the challenge
+     * @param {number} maxAge The optional number of seconds for which the challenge will be accepted by the origin
+     * @param {Object} params Any additional (unknown) auth-params
+     */
+    constructor(challenge, tokenKey, maxAge, params = {}) {
+        this.challenge = challenge instanceof Challenge ? challenge : Challenge.from(challenge);
+        this.tokenKey = tokenKey;
+        this.maxAge = maxAge;
+        this.params = params;
+    }
+
+    /**
+     * Creates a challenge from the parsed auth-params of a `PrivateToken` challenge.
+     *
+     * @param {Object} params the auth-params (`challenge`, `token-key` and `max-age`)
+     * @param {Base64Codec} codec The codec the `challenge` and `token-key` must follow (default `Base64.HEADER`)
+     * @returns {PrivateTokenChallenge} the challenge
+     * @throws {DecodeError} if the `challenge` or `token-key` can't be decoded
+     */
+    static fromParams(params = {}, codec = Base64.HEADER) {
+        const { challenge: challengeValue, "token-key": tokenKeyValue, "max-age": maxAgeValue, ...extra } = params;
+        const challenge = Challenge.from(codec.decode(challengeValue));
+
+        let tokenKey;
+        if (tokenKeyValue) {
+            // normalize padded/unpadded base64url so that we can match the well known keys
+            const sPKI = Base64.URL.encode(codec.decode(tokenKeyValue));
+            tokenKey = PublicKey.from(sPKI.replace(/=+$/, ""));
+            if (!tokenKey.issuerName) {
+                tokenKey = new PublicKey(challenge.issuerName, sPKI, undefined, challenge.tokenType);
+            }
+        }
+
+        const maxAge = maxAgeValue !== undefined && /^\d+$/.test(maxAgeValue) ? parseInt(maxAgeValue, 10) : undefined;
+        return new PrivateTokenChallenge(challenge, tokenKey, maxAge, extra);
+    }
+
+    /**
+     * @param {Object} options `padding` (default true) and `quoted` (default true). macOS13 and iOS16 require padding
+     *                         but do not support quoted values so use `{quoted: false}` for those clients. A `codec`
+     *                         (`Base64Codec`) replaces both.
+     * @returns {string} the `PrivateToken` challenge
+     */
+    toString(options = {}) {
+        const params = [`challenge=${encodeValue(this.challenge.toByteArray(), options)}`];
+        if (this.tokenKey) {
+            params.push(`token-key=${encodeValue(PublicKey.from(this.tokenKey).toString(), options)}`);
+        }
+        if (Number.isInteger(this.maxAge)) {
+            params.push(`max-age=${this.maxAge}`);
+        }
+        for (const [name, value] of Object.entries(this.params)) {
+            params.push(`${name}=${options.quoted === false ? value : `"${String(value).replace(/(["\\])/g, "\\$1")}"`}`);
+        }
+        return `${SCHEME} ${params.join(", ")}`;
+    }
+}
+
+/**
+ * The `WWW-Authenticate` header with one or more `PrivateToken` challenges. Challenges for other auth schemes are
+ * ignored when parsing. A challenge that can't be decoded doesn't invalidate the others: it is skipped and its error
+ * is kept in `errors`.
+ *
+ * ```
+ * WWW-Authenticate:
+ *   PrivateToken challenge="abc...", token-key="123...",
+ *   PrivateToken challenge="def...", token-key="234..."
+ * ```
+ * @see https://datatracker.ietf.org/doc/html/rfc9577#name-sending-token-challenges
+ */
+export class WWWAuthenticate {
+    /**
+     * @param {PrivateTokenChallenge[]} challenges The challenges
+     * @param {Object[]} errors The `{index, error}` of the challenges that couldn't be decoded, `index` being the
+     *                          position of the challenge among the `PrivateToken` challenges
+     */
+    constructor(challenges = [], errors = []) {
+        this.challenges = Array.isArray(challenges) ? challenges : [challenges];
+        this.errors = errors;
+    }
+
+    /**
+     * @param {string|string[]} header The `WWW-Authenticate` header value(s)
+     * @param {Object} options `codec` the `Base64Codec` the values must follow (default `Base64.HEADER`)
+     * @returns {WWWAuthenticate} the parsed header, with the `errors` of the challenges whose `challenge` or
+     *                            `token-key` can't be decoded
+     */
+    static from(header, { codec = Base64.HEADER } = {}) {
+        const values = Array.isArray(header) ? header : [header];
+        const challenges = [];
+        const errors = [];
+        values
+            .flatMap(value => parseAuthHeader(value))
+            .filter(c => c.scheme.toLowerCase() === SCHEME.toLowerCase() && c.params.challenge)
+            .forEach((c, index) => {
+                try {
+                    challenges.push(PrivateTokenChallenge.fromParams(c.params, codec));
+                }
+                catch (error) {
+                    errors.push({ index, error });
+                }
+            });
+        return new WWWAuthenticate(challenges, errors);
+    }
+
+    /**
+     * Adds a challenge to the header.
+     * @param {Challenge} challenge The token challenge
+     * @param {PublicKey} tokenKey The issuer public key
+     * @param {number} maxAge The optional max-age in seconds
+     * @returns {WWWAuthenticate} This header (for chaining)
+     */
+    add(challenge, tokenKey, maxAge) {
+        this.challenges.push(new PrivateTokenChallenge(challenge, tokenKey, maxAge));
+        return this;
+    }
+
+    /**
+     * @param {Object} options See `PrivateTokenChallenge.toString()`
+     * @returns {string} the header value
+     */
+    toString(options = {}) {
+        return this.challenges.map(c => c.toString(options)).join(", ");
+    }
+}
+
+/**
+ * The `Authorization` header with one or more `PrivateToken` credentials. Tokens with public metadata (Partially
+ * Blind RSA) also carry the `extensions` auth-param. A credential that can't be decoded doesn't invalidate the others:
+ * it is skipped and its error is kept in `errors`.
+ *
+ * ```
+ * Authorization: PrivateToken token="abc...", extensions="def..."
+ * ```
+ * @see https://datatracker.ietf.org/doc/html/rfc9577#name-sending-tokens
+ * @see https://datatracker.ietf.org/doc/html/draft-wood-privacypass-auth-scheme-extensions
+ */
+export class Authorization {
+    /**
+     * @param {Token[]} tokens The tokens
+     * @param {Object[]} errors The `{index, error}` of the credentials that couldn't be decoded, `index` being the
+     *                          position of the credential among the `PrivateToken` credentials
+     */
+    constructor(tokens = [], errors = []) {
+        this.tokens = Array.isArray(tokens) ? tokens : [tokens];
+        this.errors = errors;
+    }
+
+    /**
+     * @param {string|string[]} header The `Authorization` header value(s)
+     * @param {Object} options `codec` the `Base64Codec` the values must follow (default `Base64.HEADER`) and `registry`
+     *                         the `PublicKeyRegistry` the issuer keys are looked up in (default `PublicKey.registry`)
+     * @returns {Authorization} the parsed header, with the `errors` of the credentials whose `token` or `extensions`
+     *                          can't be decoded
+     */
+    static from(header, { codec = Base64.HEADER, registry = PublicKey.registry } = {}) {
+        const values = Array.isArray(header) ? header : [header];
+        const tokens = [];
+        const errors = [];
+        values
+            .flatMap(value => parseAuthHeader(value))
+            .filter(c => c.scheme.toLowerCase() === SCHEME.toLowerCase() && c.params.token)
+            .forEach((c, index) => {
+                try {
+                    const token = Token.from(codec.decode(c.params.token), undefined, codec, registry);
+                    if (c.params.extensions) {
+                        token.extensions = Extensions.from(codec.decode(c.params.extensions));
+                    }
+                    tokens.push(token);
+                }
+                catch (error) {
+                    errors.push({ index, error });
+                }
+            });
+        return new Authorization(tokens, errors);
+    }
+
+    /**
+     * @param {Object} options `padding` (default true) and `quoted` (default true), or a `codec` (`Base64Codec`)
+     * @returns {string} the header value
+     */
+    toString(options = {}) {
+        return this.tokens.map(t => {
+            const extensions = t.extensions ? `, extensions=${encodeValue(t.extensions.toByteArray(), options)}` : "";
+            return `${SCHEME} token=${encodeValue(t.toByteArray(), options)}${extensions}`;
+        }).join(", ");
+    }
+}
@@ -0,0 +1,140 @@
+import { ByteBuffer, sha256 } from "./utils.js";
+import { Challenge, Token } from "./private-access-token.js";
+
+const LABEL = "PrivateToken redemption_context";
+
+/**
+ * Stateless challenge issuance for origins. The `redemption_context` of each challenge is derived from a server secret,
+ * the session data (eg. session id, client IP) and the time window the challenge was issued in:
+ *
+ * ```
+ * redemption_context = HMAC-SHA256(secret, concat(label, window, token_type, issuer_name, origin_info, session_data))
+ * ```
+ *
+ * Since the token only contains `sha256(challenge)`, verification recomputes the challenges for the windows that are
+ * still valid and compares the digests. No per challenge state is kept on the server. A challenge is accepted for at
+ * least `lifetime` seconds and at most `lifetime + period` seconds.
+ *
+ * @see https://datatracker.ietf.org/doc/html/rfc9577#name-token-challenge
+ */
+export class ChallengeFactory {
+    #secret;
+    #key;
+
+    /**
+     * @param {string|number[]|Uint8Array|CryptoKey} secret The server secret (or an HMAC-SHA256 CryptoKey)
+     * @param {Object} options `issuerName`, `tokenType`, `originInfo`, `lifetime` and `period` (both in seconds)
+     */
+    constructor(secret, { issuerName = "", tokenType = Token.BLIND_RSA, originInfo = "", lifetime = 300, period = 60 } = {}) {
+        if (!secret || secret.length === 0) {
+            throw new Error("A secret is required");
+        }
+        this.#secret = secret;
+        // the names as they will appear in the challenges (A-labels)
+        const template = new Challenge(tokenType, issuerName, "", originInfo);
+        this.issuerName = template.issuerName;
+        this.tokenType = tokenType;
+        this.originInfo = template.originInfo;
+        this.lifetime = lifetime;
+        this.period = period;
+    }
+
+    static async #importKey(secret) {
+        if (typeof CryptoKey !== "undefined" && secret instanceof CryptoKey) return secret;
+        const raw = typeof secret === "string" ? new TextEncoder().encode(secret) : Uint8Array.from(secret);
+        return await crypto.subtle.importKey("raw", raw, { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+    }
+
+    /**
+     * @param {number} now The time (epoch ms)
+     * @returns {number} the index of the time window
+     */
+    window(now = Date.now()) {
+        return Math.floor(now / (this.period * 1000));
+    }
+
+    /**
+     * @param {string|number[]|Array<string|number[]>} sessionData The session data to bind the challenge to
+     * @param {number} window The time window index
+     * @returns {Promise<number[]>} the 32 byte redemption context
+     * @throws {Error} if a session data part (or the issuer name or origin info) is 65536 bytes or longer
+     */
+    async redemptionContext(sessionData = [], window = this.window()) {
+        const parts = Array.isArray(sessionData) && sessionData.some(p => typeof p !== "number") ? sessionData : [sessionData];
+        const issuerName = new TextEncoder().encode(this.issuerName);
+        const originInfo = new TextEncoder().encode(this.originInfo);
+        if (issuerName.length > 0xffff || originInfo.length > 0xffff) {
+            throw new Error("The issuer_name and origin_info must be shorter than 65536 bytes");
+        }
+
+        const byteBuffer = new ByteBuffer()
+            .writeString(LABEL)
+            .writeBytes(ByteBuffer.numberToBytes(BigInt(window), 8))
+            .writeInt(this.tokenType, 2)
+            .writeInt(issuerName.length, 2)
+            .writeBytes(issuerName)
+            .writeInt(originInfo.length, 2)
+            .writeBytes(originInfo);
+        for (const part of parts) {
+            const bytes = typeof part === "string" ? Array.from(new TextEncoder().encode(part)) : Array.from(part ?? []);
+            if (bytes.length > 0xffff) {
+                throw new Error("The session data parts must be shorter than 65536 bytes");
+            }
+            byteBuffer.writeInt(bytes.length, 2).writeBytes(bytes);
+        }
+
+        this.#key ??= ChallengeFactory.#importKey(this.#secret);
+        const mac = await crypto.subtle.sign("HMAC", await this.#key, Uint8Array.from(byteBuffer.toBytes()));
+        return Array.from(new Uint8Array(mac));
+    }
+
+    /**
+     * Creates a challenge bound to the session data and the current time window.
+     *
+     * @param {string|number[]|Array<string|number[]>} sessionData The session data to bind the challenge to
+     * @param {number} now The time (epoch ms)
+     * @returns {Promise<Challenge>} the challenge
+     */
+    async create(sessionData, now = Date.now()) {
+        const redemptionContext = await this.redemptionContext(sessionData, this.window(now));
+        return new Challenge(this.tokenType, this.issuerName, redemptionContext, this.originInfo);
+    }
+
+    /**
+     * @param {number} now The time (epoch ms) the challenge is created
+     * @returns {number} the number of seconds a challenge created now is accepted for (for the `max-age` auth-param)
+     */
+    maxAge(now = Date.now()) {
+        const end = (this.window(now) + 1) * this.period * 1000 + this.lifetime * 1000;
+        return Math.floor((end - now) / 1000);
+    }
+
+    /**
+     * Confirms that the token (or challenge digest) was for a challenge created by this factory for the same session
+     * data and that the challenge has not expired.
+     *
+     * @param {Token|number[]} token The token or its `challenge_digest`
+     * @param {string|number[]|Array<string|number[]>} sessionData The session data the challenge was bound to
+     * @param {number} now The time (epoch ms)
+     * @returns {Promise<Challenge|null>} the matching challenge, to be used for `Token.verify()`, or null
+     */
+    async verify(token, sessionData, now = Date.now()) {
+        const challengeHash = Array.from((token instanceof Token ? token.challengeHash : token) ?? []);
+        if (challengeHash.length !== 32) return null;
+
+        const current = this.window(now);
+        const oldest = this.window(now - this.lifetime * 1000);
+        for (let window = current; window >= oldest; window--) {
+            const redemptionContext = await this.redemptionContext(sessionData, window);
+            const challenge = new Challenge(this.tokenType, this.issuerName, redemptionContext, this.originInfo);
+            const digest = await sha256(challenge.toByteArray());
+
+            let diff = 0;
+            for (let i = 0; i < 32; i++) {
+                diff |= digest[i] ^ challengeHash[i];
+            }
+            if (diff === 0) return challenge;
+        }
+        return null;
+    }
+}
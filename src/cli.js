@@ -0,0 +1,397 @@
+import { readFile, stat } from "node:fs/promises";
+import { parseArgs } from "node:util";
+import { Authorization, PrivateTokenChallenge, WWWAuthenticate } from "./auth-scheme.js";
+import { Challenge, PublicKey, PublicKeyRegistry, Token } from "./private-access-token.js";
+import { Base64, Hex, PS384, sha256 } from "./utils.js";
+
+const USAGE = `Usage: private-token <command> [options]
+
+Commands:
+  decode <value>      Decode a challenge, a token or a WWW-Authenticate/Authorization header
+      --as <type>     Force the type of a base64url value (challenge or token)
+  challenge           Build a challenge (and the WWW-Authenticate header if the token key is known)
+      --issuer <name>       The issuer name (required)
+      --origin <name>       An origin the challenge is scoped to (repeatable)
+      --context <hex>       The redemption context (32 bytes hex) or "random"
+      --type <n>            The token type (default 2)
+      --token-key <key>     The issuer key (SPKI, JWKS or issuer directory); defaults to the known key of the issuer
+      --max-age <seconds>   The max-age of the challenge
+      --quoted              Quote the auth-params (macOS 13 and iOS 16 require unquoted values)
+  verify <token>      Verify a token (or Authorization header) against a challenge
+      --challenge <value>   The challenge or the WWW-Authenticate header it was sent in (required)
+      --key <key>           The issuer key (SPKI, JWKS or issuer directory); defaults to the challenge token-key
+      --host <host>         The Host of the request, to check the challenge origins
+  convert <key>       Convert issuer keys between formats
+      --to <format>         spki, jwks or directory (required)
+      --issuer <name>       The issuer name, if not part of the input
+
+Values may be given inline, as a file name or as "-" for stdin. Use --json for machine readable output.`;
+
+const OPTIONS = {
+    "as": { type: "string" },
+    "issuer": { type: "string" },
+    "origin": { type: "string", multiple: true },
+    "context": { type: "string" },
+    "type": { type: "string" },
+    "token-key": { type: "string" },
+    "max-age": { type: "string" },
+    "quoted": { type: "boolean", default: false },
+    "challenge": { type: "string" },
+    "key": { type: "string" },
+    "host": { type: "string" },
+    "to": { type: "string" },
+    "json": { type: "boolean", default: false },
+    "help": { type: "boolean", short: "h", default: false },
+};
+
+class UsageError extends Error {}
+
+/**
+ * Runs the `private-token` command line tool.
+ *
+ * ```
+ * private-token decode "PrivateToken challenge=AAIAGXBhdC1pc3N1ZXIuY2xvdWRmbGFyZS5jb20AAAA=, token-key=..."
+ * private-token challenge --issuer pat-issuer.cloudflare.com --origin example.com --context random
+ * private-token verify "$TOKEN" --challenge "$CHALLENGE" --key pat-issuer.cloudflare.com.json
+ * private-token convert pat-issuer.cloudflare.com.json --to jwks
+ * ```
+ *
+ * @param {string[]} argv The arguments (without the node and script paths)
+ * @param {Object} io `stdout`, `stderr` (writable streams) and `stdin` (a readable stream)
+ * @returns {Promise<number>} the exit code: 0 on success, 1 if the token is not valid (or the decoded value can't be
+ *                            decoded) and 2 for usage errors
+ */
+export async function main(argv, { stdout = process.stdout, stderr = process.stderr, stdin = process.stdin } = {}) {
+    const print = value => stdout.write(`${typeof value === "string" ? value : JSON.stringify(value, null, 2)}\n`);
+    try {
+        const { values: options, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+        const [command, value] = positionals;
+        if (options.help || !command) {
+            print(USAGE);
+            return command || options.help ? 0 : 2;
+        }
+
+        const read = async data => readInput(data, stdin);
+        switch (command) {
+        case "decode": {
+            if (value === undefined) throw new UsageError("decode requires a value");
+            const input = await read(value);
+            let decoded;
+            try {
+                decoded = await decode(input, options.as);
+            }
+            catch (e) {
+                if (e instanceof UsageError) throw e;
+                stderr.write(`${errorMessage(e)}\n`);
+                return 1;
+            }
+            print(options.json ? decoded : format(decoded));
+            return 0;
+        }
+        case "challenge": {
+            const built = await buildChallenge(options, read);
+            print(options.json ? built : [`challenge: ${built.challenge}`, built.header ? `WWW-Authenticate: ${built.header}` : null].filter(l => l).join("\n"));
+            return 0;
+        }
+        case "verify": {
+            if (value === undefined) throw new UsageError("verify requires a token");
+            if (!options.challenge) throw new UsageError("verify requires --challenge");
+            const result = await verify(await read(value), await read(options.challenge), options.key && await read(options.key), options.host);
+            print(options.json ? result : result.toString());
+            return result.valid ? 0 : 1;
+        }
+        case "convert": {
+            if (value === undefined) throw new UsageError("convert requires a key");
+            const converted = await convert(await read(value), options.to, options.issuer);
+            print(typeof converted === "string" && options.json ? JSON.stringify(converted.split("\n")) : converted);
+            return 0;
+        }
+        default:
+            throw new UsageError(`Unknown command: ${command}`);
+        }
+    }
+    catch (e) {
+        if (e instanceof UsageError || e.code?.startsWith("ERR_PARSE_ARGS")) {
+            stderr.write(`${e.message}\n\n${USAGE}\n`);
+            return 2;
+        }
+        stderr.write(`${errorMessage(e)}\n`);
+        return 2;
+    }
+}
+
+/**
+ * @param {Error} e The error
+ * @returns {string} the message with the field and offset of a `DecodeError`
+ */
+function errorMessage(e) {
+    const field = e.field ? ` (${e.field} at offset ${e.offset})` : "";
+    return `${e.message}${field}`;
+}
+
+/**
+ * @param {string} value The value, a file name or `-` for stdin
+ * @param {ReadableStream} stdin The standard input
+ * @returns {Promise<string>} the value without surrounding whitespace
+ */
+async function readInput(value, stdin) {
+    let data = value;
+    if (value === "-") {
+        data = "";
+        for await (const chunk of stdin) data += chunk;
+    }
+    else if (!/^PrivateToken /i.test(value) && !/^[A-Za-z0-9+/_-]{64,}={0,2}$/.test(value)) {
+        // a value that names an existing file is read from it (and fails if it can't be read)
+        const file = await stat(value).catch(() => null);
+        if (file) {
+            data = await readFile(value, { encoding: "utf8" });
+        }
+    }
+    return data.trim().replace(/^(WWW-Authenticate|Authorization):\s*/i, "");
+}
+
+/**
+ * @param {number} tokenType The token type
+ * @returns {string} the token type with its name
+ */
+function typeName(tokenType) {
+    return `${tokenType} (${Token.typeName(tokenType) ?? "unknown"})`;
+}
+
+/**
+ * @param {number[]} tokenKeyID The token key ID
+ * @returns {string} the hex encoded key ID with the issuer if the key is known
+ */
+function keyIDName(tokenKeyID) {
+    const issuer = PublicKey.registry.keys().find(k => k.keyID?.toString() === tokenKeyID.toString())?.issuerName;
+    return Hex.encode(tokenKeyID) + (issuer ? ` (${issuer})` : "");
+}
+
+/**
+ * @param {Challenge} challenge The challenge
+ * @returns {Promise<Object>} the annotated fields of the challenge
+ */
+async function describeChallenge(challenge) {
+    return {
+        type: "challenge",
+        token_type: typeName(challenge.tokenType),
+        issuer_name: challenge.issuerName,
+        redemption_context: Hex.encode(challenge.redemptionContext),
+        origin_info: challenge.originInfo,
+        challenge_digest: Hex.encode(await sha256(challenge.toByteArray())),
+        value: challenge.toString(),
+    };
+}
+
+/**
+ * @param {Token} token The token
+ * @returns {Object} the annotated fields of the token
+ */
+function describeToken(token) {
+    return {
+        type: "token",
+        token_type: typeName(token.tokenType),
+        nonce: Hex.encode(token.nonce),
+        challenge_digest: Hex.encode(token.challengeHash),
+        token_key_id: keyIDName(token.tokenKeyID),
+        authenticator: `${Hex.encode(token.authenticator)} (${token.authenticator.length} bytes)`,
+        extensions: token.extensions ? Hex.encode(token.extensions.toByteArray()) : undefined,
+    };
+}
+
+/**
+ * @param {PublicKey} tokenKey The issuer key
+ * @returns {Promise<Object>} the annotated fields of the key
+ */
+async function describeKey(tokenKey) {
+    return {
+        issuer_name: tokenKey.issuerName || undefined,
+        token_key_id: Hex.encode(Array.from(tokenKey.keyID ?? await tokenKey.toTokenKeyID())),
+        value: tokenKey.toString(),
+    };
+}
+
+/**
+ * Decodes a challenge, a token or a `WWW-Authenticate` or `Authorization` header. Base64url values are decoded as a
+ * challenge if they round trip as one and as a token otherwise.
+ *
+ * @param {string} value The value
+ * @param {string} as `challenge` or `token` to skip the detection
+ * @returns {Promise<Object|Object[]>} the annotated fields
+ */
+async function decode(value, as) {
+    if (/^PrivateToken /i.test(value) && /\bchallenge=/i.test(value)) {
+        const header = WWWAuthenticate.from(value);
+        if (header.errors.length > 0) throw header.errors[0].error;
+        return Promise.all(header.challenges.map(async c => ({
+            ...(await describeChallenge(c.challenge)),
+            token_key: c.tokenKey ? await describeKey(PublicKey.from(c.tokenKey)) : undefined,
+            max_age: c.maxAge,
+        })));
+    }
+    if (/^PrivateToken /i.test(value)) {
+        const header = Authorization.from(value);
+        if (header.errors.length > 0) throw header.errors[0].error;
+        return header.tokens.map(describeToken);
+    }
+    if (as !== undefined && as !== "challenge" && as !== "token") {
+        throw new UsageError(`Unknown type: ${as}`);
+    }
+
+    const bytes = Base64.decode(value);
+    if (as === "challenge" || (as === undefined && isChallenge(bytes))) {
+        return describeChallenge(Challenge.from(value));
+    }
+    return describeToken(Token.from(bytes));
+}
+
+/**
+ * @param {number[]} bytes The decoded value
+ * @returns {boolean} true if the bytes are a well formed challenge
+ */
+function isChallenge(bytes) {
+    try {
+        return Challenge.from(Base64.urlEncode(bytes)).toByteArray().toString() === bytes.toString();
+    }
+    catch {
+        return false;
+    }
+}
+
+/**
+ * @param {Object|Object[]} decoded The annotated fields (of one or more values)
+ * @returns {string} the fields, one per line
+ */
+function format(decoded) {
+    return [decoded].flat().map(fields => {
+        const lines = [fields.type === "token" ? "Token" : "TokenChallenge"];
+        for (const [name, value] of Object.entries(fields)) {
+            if (name === "type" || value === undefined) continue;
+            if (typeof value === "object") {
+                lines.push(`  ${name}:`);
+                lines.push(...Object.entries(value).filter(([, v]) => v !== undefined).map(([n, v]) => `    ${n.padEnd(18)} ${v}`));
+            }
+            else {
+                lines.push(`  ${name.padEnd(20)} ${value === "" ? "(empty)" : value}`);
+            }
+        }
+        return lines.join("\n");
+    }).join("\n\n");
+}
+
+/**
+ * Loads issuer keys from an issuer directory, a JWKS or a base64url SPKI.
+ *
+ * @param {string} value The keys
+ * @param {string} issuerName The issuer name if not part of the keys
+ * @param {number} tokenType The token type of a SPKI key
+ * @returns {Promise<PublicKey[]>} the keys
+ */
+async function loadKeys(value, issuerName, tokenType = Token.BLIND_RSA) {
+    if (value.startsWith("{")) {
+        return new PublicKeyRegistry().load(value, issuerName);
+    }
+    const tokenKey = new PublicKey(issuerName ?? "", Base64.urlEncode(Base64.decode(value)), undefined, tokenType);
+    tokenKey.keyID = await tokenKey.toTokenKeyID();
+    return [tokenKey];
+}
+
+/**
+ * @param {Object} options The `challenge` command options
+ * @param {Function} read Reads an option value
+ * @returns {Promise<Object>} the `challenge` and the `WWW-Authenticate` header (if the token key is known)
+ */
+async function buildChallenge(options, read) {
+    if (!options.issuer) throw new UsageError("challenge requires --issuer");
+    const tokenType = options.type ? Number.parseInt(options.type, 10) : Token.BLIND_RSA;
+    if (!Number.isInteger(tokenType) || tokenType < 0 || tokenType > 0xFFFF) throw new UsageError(`Invalid token type: ${options.type}`);
+
+    let redemptionContext = [];
+    if (options.context === "random") {
+        redemptionContext = Array.from(crypto.getRandomValues(new Uint8Array(32)));
+    }
+    else if (options.context) {
+        if (!/^([0-9a-f]{2}){1,32}$/i.test(options.context)) throw new UsageError("--context must be up to 32 bytes of hex or random");
+        redemptionContext = Hex.decode(options.context);
+    }
+    const challenge = new Challenge(tokenType, options.issuer, redemptionContext, options.origin ?? []);
+
+    const [tokenKey] = options["token-key"] ?
+        await loadKeys(await read(options["token-key"]), options.issuer, tokenType) :
+        [PublicKey.registry.get(options.issuer)].filter(k => k);
+    const maxAge = options["max-age"] ? Number.parseInt(options["max-age"], 10) : undefined;
+    return {
+        challenge: challenge.toString(),
+        header: tokenKey ? new PrivateTokenChallenge(challenge, tokenKey, maxAge).toString({ quoted: options.quoted }) : undefined,
+    };
+}
+
+/**
+ * Verifies a token against a challenge. The key is the one with the `token_key_id` of the token (the first key if none
+ * match, so that the `token_key_id` check reports the mismatch).
+ *
+ * @param {string} tokenValue The token or `Authorization` header
+ * @param {string} challengeValue The challenge or `WWW-Authenticate` header
+ * @param {string} keyValue The issuer keys (optional if the header has a `token-key`)
+ * @param {string} host The `Host` of the request
+ * @returns {Promise<VerificationResult>} the result of each check
+ */
+async function verify(tokenValue, challengeValue, keyValue, host) {
+    let challenge;
+    let keys = [];
+    if (/^PrivateToken /i.test(challengeValue)) {
+        const header = WWWAuthenticate.from(challengeValue);
+        if (header.errors.length > 0) throw header.errors[0].error;
+        const [first] = header.challenges;
+        if (!first) throw new UsageError("--challenge has no PrivateToken challenge");
+        challenge = first.challenge;
+        keys = first.tokenKey ? [PublicKey.from(first.tokenKey)] : [];
+    }
+    else {
+        challenge = Challenge.from(challengeValue);
+    }
+    if (keyValue) {
+        keys = await loadKeys(keyValue, challenge.issuerName, challenge.tokenType);
+    }
+
+    const tokenParam = /^PrivateToken /i.test(tokenValue) ? /token="?([^",\s]+)"?/i.exec(tokenValue)?.[1] : tokenValue;
+    const tokenBytes = Base64.decode(tokenParam ?? "");
+    const keyID = tokenBytes.slice(66, 98).toString();
+    const tokenKey = keys.find(k => k.keyID?.toString() === keyID) ?? keys[0] ?? PublicKey.registry.find(tokenBytes.slice(66, 98));
+    const token = Token.from(tokenBytes, tokenKey);
+    return token.verifyDetailed(challenge, tokenKey, undefined, host ? { host } : {});
+}
+
+/**
+ * Converts issuer keys to a SPKI per line, a JWKS (as in `*.jwks.json`) or an issuer directory (as in
+ * `PRIVATE_ACCESS_TOKEN_ISSUERS.json` when there are several issuers). Only RSA keys can be converted to a JWKS.
+ *
+ * @param {string} value The keys (issuer directory, JWKS or SPKI)
+ * @param {string} to `spki`, `jwks` or `directory`
+ * @param {string} issuerName The issuer name if not part of the keys
+ * @returns {Promise<string|Object>} the converted keys
+ */
+async function convert(value, to, issuerName) {
+    const keys = await loadKeys(value, issuerName);
+    const issuers = [...new Set(keys.map(k => k.issuerName).filter(i => i))];
+    switch (to) {
+    case "spki":
+        return keys.map(k => k.toString()).join("\n");
+    case "jwks": {
+        const rsaKeys = keys.filter(k => k.tokenType !== Token.VOPRF);
+        const jwks = await Promise.all(rsaKeys.map(k => PS384.toJWK(k.toByteArray(), { notBefore: k.notBefore, expires: k.notAfter, issuer: issuers.length > 1 ? k.issuerName : undefined }, sha256)));
+        return issuers.length === 1 ? { issuer: issuers[0], keys: jwks } : { keys: jwks };
+    }
+    case "directory": {
+        const tokenKeys = keys.map(k => ({
+            "issuer-name": issuers.length > 1 ? k.issuerName : undefined,
+            "token-type": k.tokenType,
+            "token-key": k.toString(),
+            "not-before": k.notBefore,
+        }));
+        return issuers.length === 1 ? { "issuer-name": issuers[0], "token-keys": tokenKeys } : { "token-keys": tokenKeys };
+    }
+    default:
+        throw new UsageError(`--to must be spki, jwks or directory`);
+    }
+}
@@ -0,0 +1,265 @@
+import { x25519 } from '@noble/curves/ed25519';
+import { sha256 } from '@noble/hashes/sha256';
+import { extract, expand } from '@noble/hashes/hkdf';
+import { ByteBuffer } from './utils.js';
+
+/**
+ * Minimal implementation of Hybrid Public Key Encryption (HPKE) in base mode (single-shot) for the cipher suite
+ * DHKEM(X25519, HKDF-SHA256), HKDF-SHA256, AES-128-GCM. Keys are 32 byte arrays.
+ *
+ * @see https://datatracker.ietf.org/doc/html/rfc9180
+ */
+class HPKE {
+    constructor() {
+        this.kemID = 0x0020; // DHKEM(X25519, HKDF-SHA256)
+        this.kdfID = 0x0001; // HKDF-SHA256
+        this.aeadID = 0x0001; // AES-128-GCM
+        this.Nsecret = 32;
+        this.Nenc = 32;
+        this.Npk = 32;
+        this.Nh = 32;
+        this.Nk = 16;
+        this.Nn = 12;
+        this.Nt = 16;
+        this.kemSuiteID = ByteBuffer.stringToBytes("KEM").concat(ByteBuffer.numberToBytes(this.kemID, 2));
+        this.suiteID = ByteBuffer.stringToBytes("HPKE").concat(
+            ByteBuffer.numberToBytes(this.kemID, 2),
+            ByteBuffer.numberToBytes(this.kdfID, 2),
+            ByteBuffer.numberToBytes(this.aeadID, 2));
+    }
+
+    /**
+     * Returns `length` cryptographically secure random bytes
+     * @param {number} length the number of bytes
+     * @returns {number[]} the random bytes
+     */
+    randomBytes(length) {
+        return Array.from(crypto.getRandomValues(new Uint8Array(length)));
+    }
+
+    /**
+     * > def LabeledExtract(salt, label, ikm):
+     * >   labeled_ikm = concat("HPKE-v1", suite_id, label, ikm)
+     * >   return Extract(salt, labeled_ikm)
+     *
+     * @param {number[]} suiteID the suite id (KEM or HPKE)
+     * @param {number[]} salt the salt
+     * @param {string} label the label
+     * @param {number[]} ikm the input keying material
+     * @returns {number[]} the pseudorandom key
+     */
+    labeledExtract(suiteID, salt, label, ikm) {
+        const labeledIKM = ByteBuffer.stringToBytes("HPKE-v1").concat(suiteID, ByteBuffer.stringToBytes(label), Array.from(ikm));
+        return Array.from(extract(sha256, Uint8Array.from(labeledIKM), Uint8Array.from(salt)));
+    }
+
+    /**
+     * > def LabeledExpand(prk, label, info, L):
+     * >   labeled_info = concat(I2OSP(L, 2), "HPKE-v1", suite_id, label, info)
+     * >   return Expand(prk, labeled_info, L)
+     *
+     * @param {number[]} suiteID the suite id (KEM or HPKE)
+     * @param {number[]} prk the pseudorandom key
+     * @param {string} label the label
+     * @param {number[]} info the context info
+     * @param {number} length the number of bytes to output
+     * @returns {number[]} the output keying material
+     */
+    labeledExpand(suiteID, prk, label, info, length) {
+        const labeledInfo = ByteBuffer.numberToBytes(length, 2).concat(
+            ByteBuffer.stringToBytes("HPKE-v1"), suiteID, ByteBuffer.stringToBytes(label), Array.from(info));
+        return Array.from(expand(sha256, Uint8Array.from(prk), Uint8Array.from(labeledInfo), length));
+    }
+
+    /**
+     * @param {number[]} ikm the (optional) seed for the key pair
+     * @returns {Object} the key pair `{privateKey, publicKey}`
+     */
+    generateKeyPair(ikm) {
+        const privateKey = ikm ? this.deriveKeyPair(ikm).privateKey : Array.from(x25519.utils.randomPrivateKey());
+        return { privateKey, publicKey: Array.from(x25519.getPublicKey(Uint8Array.from(privateKey))) };
+    }
+
+    /**
+     * > def DeriveKeyPair(ikm):
+     * >   dkp_prk = LabeledExtract("", "dkp_prk", ikm)
+     * >   sk = LabeledExpand(dkp_prk, "sk", "", Nsk)
+     * >   return (sk, pk(sk))
+     *
+     * @param {number[]} ikm the input keying material
+     * @returns {Object} the key pair `{privateKey, publicKey}`
+     */
+    deriveKeyPair(ikm) {
+        const dkpPRK = this.labeledExtract(this.kemSuiteID, [], "dkp_prk", ikm);
+        const privateKey = this.labeledExpand(this.kemSuiteID, dkpPRK, "sk", [], 32);
+        return { privateKey, publicKey: Array.from(x25519.getPublicKey(Uint8Array.from(privateKey))) };
+    }
+
+    /**
+     * > def ExtractAndExpand(dh, kem_context):
+     * >   eae_prk = LabeledExtract("", "eae_prk", dh)
+     * >   shared_secret = LabeledExpand(eae_prk, "shared_secret", kem_context, Nsecret)
+     * >   return shared_secret
+     *
+     * @param {number[]} dh the Diffie-Hellman shared value
+     * @param {number[]} kemContext the KEM context (`enc || pkR`)
+     * @returns {number[]} the shared secret
+     */
+    extractAndExpand(dh, kemContext) {
+        const eaePRK = this.labeledExtract(this.kemSuiteID, [], "eae_prk", dh);
+        return this.labeledExpand(this.kemSuiteID, eaePRK, "shared_secret", kemContext, this.Nsecret);
+    }
+
+    /**
+     * > def Encap(pkR):
+     * >   skE, pkE = GenerateKeyPair()
+     * >   dh = DH(skE, pkR)
+     * >   enc = SerializePublicKey(pkE)
+     * >   kem_context = concat(enc, SerializePublicKey(pkR))
+     * >   shared_secret = ExtractAndExpand(dh, kem_context)
+     * >   return shared_secret, enc
+     *
+     * @param {number[]} pkR the recipient public key
+     * @param {number[]} ikmE the seed of the ephemeral key (for testing)
+     * @returns {Array} `[sharedSecret, enc]`
+     */
+    encap(pkR, ikmE) {
+        const { privateKey: skE, publicKey: enc } = this.generateKeyPair(ikmE);
+        const dh = Array.from(x25519.getSharedSecret(Uint8Array.from(skE), Uint8Array.from(pkR)));
+        return [this.extractAndExpand(dh, enc.concat(Array.from(pkR))), enc];
+    }
+
+    /**
+     * > def Decap(enc, skR):
+     * >   pkE = DeserializePublicKey(enc)
+     * >   dh = DH(skR, pkE)
+     * >   kem_context = concat(enc, SerializePublicKey(pk(skR)))
+     * >   shared_secret = ExtractAndExpand(dh, kem_context)
+     * >   return shared_secret
+     *
+     * @param {number[]} enc the encapsulated key
+     * @param {number[]} skR the recipient private key
+     * @returns {number[]} the shared secret
+     */
+    decap(enc, skR) {
+        const dh = Array.from(x25519.getSharedSecret(Uint8Array.from(skR), Uint8Array.from(enc)));
+        const pkR = Array.from(x25519.getPublicKey(Uint8Array.from(skR)));
+        return this.extractAndExpand(dh, Array.from(enc).concat(pkR));
+    }
+
+    /**
+     * > def KeySchedule<ROLE>(mode, shared_secret, info, psk, psk_id):
+     * >   psk_id_hash = LabeledExtract("", "psk_id_hash", psk_id)
+     * >   info_hash = LabeledExtract("", "info_hash", info)
+     * >   key_schedule_context = concat(mode, psk_id_hash, info_hash)
+     * >   secret = LabeledExtract(shared_secret, "secret", psk)
+     * >   key = LabeledExpand(secret, "key", key_schedule_context, Nk)
+     * >   base_nonce = LabeledExpand(secret, "base_nonce", key_schedule_context, Nn)
+     * >   exporter_secret = LabeledExpand(secret, "exp", key_schedule_context, Nh)
+     *
+     * Only the base mode (`mode_base = 0x00`, no psk) is supported.
+     *
+     * @param {number[]} sharedSecret the KEM shared secret
+     * @param {number[]} info the application info
+     * @returns {Object} the context `{key, baseNonce, exporterSecret}`
+     */
+    keySchedule(sharedSecret, info = []) {
+        const pskIDHash = this.labeledExtract(this.suiteID, [], "psk_id_hash", []);
+        const infoHash = this.labeledExtract(this.suiteID, [], "info_hash", info);
+        const keyScheduleContext = [0x00].concat(pskIDHash, infoHash);
+        const secret = this.labeledExtract(this.suiteID, sharedSecret, "secret", []);
+        return {
+            key: this.labeledExpand(this.suiteID, secret, "key", keyScheduleContext, this.Nk),
+            baseNonce: this.labeledExpand(this.suiteID, secret, "base_nonce", keyScheduleContext, this.Nn),
+            exporterSecret: this.labeledExpand(this.suiteID, secret, "exp", keyScheduleContext, this.Nh),
+        };
+    }
+
+    /**
+     * > def Context.Export(exporter_context, L):
+     * >   return LabeledExpand(self.exporter_secret, "sec", exporter_context, L)
+     *
+     * @param {Object} context the context from the key schedule
+     * @param {number[]|string} exporterContext the exporter context
+     * @param {number} length the number of bytes to export
+     * @returns {number[]} the exported secret
+     */
+    export(context, exporterContext, length) {
+        return this.labeledExpand(this.suiteID, context.exporterSecret, "sec", ByteBuffer.stringToBytes(exporterContext), length);
+    }
+
+    /**
+     * AES-128-GCM encryption with WebCrypto
+     * @param {number[]} key the key
+     * @param {number[]} nonce the nonce
+     * @param {number[]} aad the additional authenticated data
+     * @param {number[]} pt the plaintext
+     * @returns {Promise<number[]>} the ciphertext (including the tag)
+     */
+    async aeadSeal(key, nonce, aad, pt) {
+        const cryptoKey = await crypto.subtle.importKey("raw", Uint8Array.from(key), "AES-GCM", false, ["encrypt"]);
+        const ct = await crypto.subtle.encrypt({ name: "AES-GCM", iv: Uint8Array.from(nonce), additionalData: Uint8Array.from(aad) }, cryptoKey, Uint8Array.from(pt));
+        return Array.from(new Uint8Array(ct));
+    }
+
+    /**
+     * AES-128-GCM decryption with WebCrypto
+     * @param {number[]} key the key
+     * @param {number[]} nonce the nonce
+     * @param {number[]} aad the additional authenticated data
+     * @param {number[]} ct the ciphertext (including the tag)
+     * @returns {Promise<number[]>} the plaintext
+     */
+    async aeadOpen(key, nonce, aad, ct) {
+        const cryptoKey = await crypto.subtle.importKey("raw", Uint8Array.from(key), "AES-GCM", false, ["decrypt"]);
+        try {
+            const pt = await crypto.subtle.decrypt({ name: "AES-GCM", iv: Uint8Array.from(nonce), additionalData: Uint8Array.from(aad) }, cryptoKey, Uint8Array.from(ct));
+            return Array.from(new Uint8Array(pt));
+        }
+        catch {
+            throw new Error("OpenError");
+        }
+    }
+
+    /**
+     * > def SealBase(pkR, info, aad, pt):
+     * >   enc, ctx = SetupBaseS(pkR, info)
+     * >   ct = ctx.Seal(aad, pt)
+     * >   return enc, ct
+     *
+     * The sender context is returned as well so that secrets can be exported (eg. to decrypt a response).
+     *
+     * @param {number[]} pkR the recipient public key
+     * @param {number[]} info the application info
+     * @param {number[]} aad the additional authenticated data
+     * @param {number[]} pt the plaintext
+     * @param {number[]} ikmE the seed of the ephemeral key (for testing)
+     * @returns {Promise<Array>} `[enc, ct, context]`
+     */
+    async seal(pkR, info, aad, pt, ikmE) {
+        const [sharedSecret, enc] = this.encap(pkR, ikmE);
+        const context = this.keySchedule(sharedSecret, info);
+        const ct = await this.aeadSeal(context.key, context.baseNonce, aad, pt);
+        return [enc, ct, context];
+    }
+
+    /**
+     * > def OpenBase(enc, skR, info, aad, ct):
+     * >   ctx = SetupBaseR(enc, skR, info)
+     * >   return ctx.Open(aad, ct)
+     *
+     * @param {number[]} enc the encapsulated key
+     * @param {number[]} skR the recipient private key
+     * @param {number[]} info the application info
+     * @param {number[]} aad the additional authenticated data
+     * @param {number[]} ct the ciphertext
+     * @returns {Promise<Array>} `[pt, context]`
+     */
+    async open(enc, skR, info, aad, ct) {
+        const context = this.keySchedule(this.decap(enc, skR), info);
+        const pt = await this.aeadOpen(context.key, context.baseNonce, aad, ct);
+        return [pt, context];
+    }
+}
+
+export const HPKE_X25519_SHA256_AES128GCM = new HPKE();
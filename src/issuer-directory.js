@@ -0,0 +1,213 @@
+import { Base64 } from "./utils.js";
+import { SubjectPublicKeyInfo } from "./asn1.js";
+import { Challenge, PublicKey, Token } from "./private-access-token.js";
+
+const WELL_KNOWN = "/.well-known/private-token-issuer-directory";
+// a DNS name (or IP literal) with an optional port; anything else would change the URL of the directory
+const ISSUER_NAME = /^([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*\.?|\[[0-9a-f:.]+\])(:\d{1,5})?$/i;
+
+/**
+ * Fetches and caches issuer directories so that keys for issuers that are not built into `PublicKey` can be resolved.
+ * The keys of each directory are loaded into a `PublicKeyRegistry` (the default registry unless one is provided).
+ *
+ * From https://datatracker.ietf.org/doc/html/rfc9578#name-issuer-configuration
+ * > Issuers SHOULD use HTTP caching to permit caching of this resource [RFC5861]. The cache lifetime depends on the
+ * > Issuer's key rotation schedule.
+ *
+ * The directory is cached for the `max-age` of the response (minus its `Age`) and revalidated with the `ETag` when
+ * stale. When the issuer can't be reached or returns an invalid directory the last known good directory is used (or
+ * the error is thrown again without one) and the issuer isn't asked again for `retryAfter` seconds. Concurrent
+ * requests for the same issuer share one fetch.
+ *
+ * @see https://datatracker.ietf.org/doc/html/rfc9578#name-issuer-configuration
+ */
+export class IssuerDirectoryFetcher {
+    #cache = new Map();
+    #pending = new Map();
+    #failures = new Map();
+
+    /**
+     * @param {Object} options `fetch` (defaults to the global fetch), `registry` (defaults to `PublicKey.registry`),
+     *                         `scheme` (`https`), `defaultMaxAge` (seconds, when the response has no `max-age`) and
+     *                         `retryAfter` (seconds before retrying an issuer that failed)
+     */
+    constructor({ fetch = globalThis.fetch, registry = PublicKey.registry, scheme = "https", defaultMaxAge = 60 * 60, retryAfter = 60 } = {}) {
+        this.fetch = fetch;
+        this.registry = registry;
+        this.scheme = scheme;
+        this.defaultMaxAge = defaultMaxAge;
+        this.retryAfter = retryAfter;
+    }
+
+    /**
+     * @param {string} issuerName The issuer name (a host name with an optional port)
+     * @returns {string} the URL of the issuer directory
+     */
+    directoryURL(issuerName) {
+        const port = Number(/:(\d+)$/.exec(issuerName ?? "")?.[1] ?? 0);
+        if (typeof issuerName !== "string" || issuerName.length > 255 || !ISSUER_NAME.test(issuerName) || port > 0xFFFF) {
+            throw new Error(`Invalid issuer name: ${issuerName}`);
+        }
+        return `${this.scheme}://${issuerName}${WELL_KNOWN}`;
+    }
+
+    /**
+     * @param {string} header The `Cache-Control` header
+     * @returns {Object} the `max-age` (in seconds, or undefined) and whether the response may be stored or reused
+     */
+    static parseCacheControl(header = "") {
+        const directives = new Map((header ?? "").split(",")
+            .map(d => d.trim().toLowerCase().split("="))
+            .filter(([name]) => name.length > 0)
+            .map(([name, value]) => [name, value?.replace(/^"|"$/g, "")]));
+        const maxAge = Number.parseInt(directives.get("max-age"), 10);
+        return {
+            maxAge: Number.isNaN(maxAge) ? undefined : maxAge,
+            noStore: directives.has("no-store"),
+            noCache: directives.has("no-cache"),
+        };
+    }
+
+    /**
+     * Validates the issuer directory. Keys with unknown token types are kept (and ignored by the clients that don't
+     * support them) but every key must be well formed: the keys of the RSA based token types must be RSA SPKIs.
+     *
+     * @param {Object} directory The parsed issuer directory
+     * @returns {Object} the directory
+     */
+    static validate(directory) {
+        if (typeof directory !== "object" || directory === null || Array.isArray(directory)) {
+            throw new Error("Invalid issuer directory");
+        }
+        if (directory["issuer-request-uri"] !== undefined && typeof directory["issuer-request-uri"] !== "string") {
+            throw new Error("Invalid issuer directory: issuer-request-uri");
+        }
+        const tokenKeys = directory["token-keys"];
+        if (!Array.isArray(tokenKeys) || tokenKeys.length === 0) {
+            throw new Error("Invalid issuer directory: token-keys");
+        }
+        for (const key of tokenKeys) {
+            if (!Number.isInteger(key?.["token-type"]) || key["token-type"] < 0 || key["token-type"] > 0xFFFF) {
+                throw new Error("Invalid issuer directory: token-type");
+            }
+            if (typeof key["token-key"] !== "string" || !/^[A-Za-z0-9+/_-]+={0,2}$/.test(key["token-key"]) || Base64.decode(key["token-key"]).length === 0) {
+                throw new Error("Invalid issuer directory: token-key");
+            }
+            if ([Token.BLIND_RSA, Token.RATE_LIMITED, Token.PARTIALLY_BLIND_RSA].includes(key["token-type"]) && !IssuerDirectoryFetcher.#isRSAKey(key["token-key"])) {
+                throw new Error("Invalid issuer directory: token-key");
+            }
+            if (key["not-before"] !== undefined && !Number.isInteger(key["not-before"])) {
+                throw new Error("Invalid issuer directory: not-before");
+            }
+        }
+        return directory;
+    }
+
+    /**
+     * Returns the issuer directory, from the cache while it is fresh. Stale entries are revalidated with
+     * `If-None-Match`. An issuer without a cached directory that failed is not asked again for `retryAfter` seconds;
+     * its last error is thrown instead.
+     *
+     * @param {string} issuerName The issuer name
+     * @param {number} now The time (epoch ms)
+     * @returns {Promise<Object>} the issuer directory
+     */
+    async get(issuerName, now = Date.now()) {
+        const url = this.directoryURL(issuerName);
+        const cached = this.#cache.get(issuerName);
+        if (cached && now < cached.expires) {
+            return cached.directory;
+        }
+        const failure = this.#failures.get(issuerName);
+        if (failure && now < failure.expires) {
+            throw failure.error;
+        }
+
+        let pending = this.#pending.get(issuerName);
+        if (!pending) {
+            pending = this.#fetch(issuerName, url, cached, now).finally(() => this.#pending.delete(issuerName));
+            this.#pending.set(issuerName, pending);
+        }
+        return pending;
+    }
+
+    /**
+     * @param {string} issuerName The issuer name
+     * @param {string} url The URL of the issuer directory
+     * @param {Object} cached The cache entry of the issuer, if any
+     * @param {number} now The time (epoch ms)
+     * @returns {Promise<Object>} the issuer directory
+     */
+    async #fetch(issuerName, url, cached, now) {
+        try {
+            const headers = cached?.etag ? { "if-none-match": cached.etag } : {};
+            const response = await this.fetch(url, { headers });
+            const expires = now + this.#maxAge(response) * 1000;
+
+            if (response.status === 304 && cached) {
+                cached.expires = expires;
+                return cached.directory;
+            }
+            if (!response.ok) {
+                throw new Error(`Unexpected status fetching the issuer directory: ${response.status}`);
+            }
+
+            const directory = IssuerDirectoryFetcher.validate(await response.json());
+            for (const key of cached?.keys ?? []) {
+                this.registry.delete(key);
+            }
+            const keys = await this.registry.loadDirectory(directory, issuerName);
+            this.#cache.set(issuerName, { directory, keys, expires, etag: response.headers.get("etag") });
+            this.#failures.delete(issuerName);
+            return directory;
+        }
+        catch (e) {
+            if (cached) {
+                // last known good, backing off before asking the issuer again
+                cached.expires = now + this.retryAfter * 1000;
+                return cached.directory;
+            }
+            this.#failures.set(issuerName, { error: e, expires: now + this.retryAfter * 1000 });
+            throw e;
+        }
+    }
+
+    /**
+     * Resolves the current token key of the issuer, fetching the issuer directory if necessary.
+     *
+     * @param {string|Challenge} issuerName The issuer name (or a challenge)
+     * @param {number} now The time (epoch ms)
+     * @returns {Promise<PublicKey|undefined>} the most recent valid key of the issuer
+     */
+    async resolve(issuerName, now = Date.now()) {
+        if (issuerName instanceof Challenge) {
+            issuerName = issuerName.issuerName;
+        }
+        await this.get(issuerName, now);
+        return this.registry.get(issuerName, now);
+    }
+
+    /**
+     * @param {string} tokenKey The base64 encoded SPKI
+     * @returns {boolean} true if the key is a well formed RSA SubjectPublicKeyInfo
+     */
+    static #isRSAKey(tokenKey) {
+        try {
+            return SubjectPublicKeyInfo.decode(Base64.decode(tokenKey)).publicKey.n !== undefined;
+        }
+        catch {
+            return false;
+        }
+    }
+
+    /**
+     * @param {Response} response The directory response
+     * @returns {number} the number of seconds the response is fresh for
+     */
+    #maxAge(response) {
+        const { maxAge, noStore, noCache } = IssuerDirectoryFetcher.parseCacheControl(response.headers.get("cache-control"));
+        if (noStore || noCache) return 0;
+        const age = Number.parseInt(response.headers.get("age"), 10) || 0;
+        return Math.max((maxAge ?? this.defaultMaxAge) - age, 0);
+    }
+}
@@ -0,0 +1,282 @@
+import { Authorization, WWWAuthenticate } from "./auth-scheme.js";
+import { ChallengeFactory } from "./challenge-factory.js";
+import { ReplayProtection } from "./nonce-store.js";
+import { Challenge, PublicKey } from "./private-access-token.js";
+
+/**
+ * Origin side of the redemption protocol, independent of the HTTP server: creates the `WWW-Authenticate` challenges and
+ * verifies the tokens of the `Authorization` header against them.
+ *
+ * Without a `secret` every client gets the same challenge (without a `redemption_context`) per issuer. With a
+ * `secret` the challenges are bound to the session data of the request and expire (see `ChallengeFactory`).
+ *
+ * @see https://datatracker.ietf.org/doc/html/rfc9577#name-issuance-and-redemption
+ */
+export class PrivateTokenVerifier {
+    /**
+     * @param {Object} options
+     *        `issuers` the issuer keys to challenge with (default `PublicKey.CLOUDFLARE`),
+     *        `allowedIssuers` the issuer names tokens are accepted from (defaults to the issuers of `issuers`),
+     *        `originInfo` the origins the challenges are scoped to (string or array),
+     *        `secret`, `lifetime` and `period` for session bound challenges,
+     *        `maxAge` the `max-age` of challenges without a secret,
+     *        `challenge` a fixed challenge to send (and verify against) for the first issuer key instead of one built
+     *        from the key and `originInfo`,
+     *        `replay` the `ReplayProtection` (null to disable double spend protection),
+     *        `registry` the `PublicKeyRegistry` used to resolve keys by token key ID (default `PublicKey.registry`)
+     */
+    constructor({
+        issuers = [PublicKey.CLOUDFLARE],
+        allowedIssuers,
+        originInfo = "",
+        secret,
+        lifetime = 300,
+        period = 60,
+        maxAge,
+        challenge,
+        replay = new ReplayProtection(),
+        registry = PublicKey.registry,
+    } = {}) {
+        this.issuers = issuers.map(key => PublicKey.from(key));
+        this.allowedIssuers = new Set(allowedIssuers ?? this.issuers.map(key => key.issuerName));
+        this.originInfo = Array.isArray(originInfo) ? originInfo.join(",") : originInfo;
+        this.maxAge = maxAge;
+        this.fixedChallenge = typeof challenge === "string" ? Challenge.from(challenge) : challenge;
+        this.replay = replay;
+        this.registry = registry;
+        this.lifetime = lifetime;
+        this.#factories = new Map(secret ? this.issuers.map(key => [key, new ChallengeFactory(secret, {
+            issuerName: key.issuerName,
+            tokenType: key.tokenType,
+            originInfo: this.originInfo,
+            lifetime,
+            period,
+        })]) : []);
+    }
+
+    #factories;
+
+    /**
+     * The keys tokens are accepted for: the `issuers` (which take precedence) and the valid keys of the `registry`.
+     * @param {number} now The time (epoch ms)
+     * @returns {Promise<Object>} an object with `find(tokenKeyID)`, usable as the registry to parse tokens with
+     */
+    async #keys(now) {
+        for (const key of this.issuers) {
+            key.keyID ??= await key.toTokenKeyID();
+        }
+        return {
+            find: tokenKeyID => {
+                const keyID = Array.from(tokenKeyID ?? []).toString();
+                return this.issuers.find(key => key.keyID.toString() === keyID) ?? this.registry.find(tokenKeyID, now);
+            },
+        };
+    }
+
+    /**
+     * @param {string|number[]|Array<string|number[]>} sessionData The session data (only used with a secret)
+     * @param {number} now The time (epoch ms)
+     * @returns {Promise<WWWAuthenticate>} the challenges, one per issuer key
+     */
+    async challenge(sessionData, now = Date.now()) {
+        const authenticate = new WWWAuthenticate();
+        if (this.fixedChallenge) {
+            return authenticate.add(this.fixedChallenge, this.issuers[0], this.maxAge);
+        }
+        for (const key of this.issuers) {
+            const factory = this.#factories.get(key);
+            if (factory) {
+                authenticate.add(await factory.create(sessionData, now), key, factory.maxAge(now));
+            }
+            else {
+                authenticate.add(new Challenge(key.tokenType, key.issuerName, "", this.originInfo), key, this.maxAge);
+            }
+        }
+        return authenticate;
+    }
+
+    /**
+     * Verifies the first `PrivateToken` of the `Authorization` header that can be decoded.
+     *
+     * @param {string|string[]} authorization The `Authorization` header
+     * @param {Object} options `host` of the request, `sessionData` the challenge was bound to and `now` (epoch ms)
+     * @returns {Promise<Object>} `{valid, reason, token, challenge, publicKey, result}` where `result` is the
+     *                            `VerificationResult` of the token checks (null if the token couldn't be checked)
+     */
+    async verify(authorization, { host, sessionData, now = Date.now() } = {}) {
+        const outcome = { valid: false, reason: null, token: null, challenge: null, publicKey: null, result: null };
+
+        const keys = await this.#keys(now);
+        const header = Authorization.from(authorization ?? "", { registry: keys });
+        const token = outcome.token = header.tokens[0] ?? null;
+        if (!token) {
+            outcome.reason = header.errors.length > 0 ? `invalid token: ${header.errors[0].error.message}` : "no token";
+            return outcome;
+        }
+
+        const publicKey = keys.find(token.tokenKeyID);
+        outcome.publicKey = publicKey ?? null;
+        if (!publicKey) {
+            outcome.reason = "unknown token key";
+            return outcome;
+        }
+        if (!this.allowedIssuers.has(publicKey.issuerName)) {
+            outcome.reason = `issuer not allowed: ${publicKey.issuerName}`;
+            return outcome;
+        }
+
+        const factory = [...this.#factories.entries()].find(([key]) => key.issuerName === publicKey.issuerName)?.[1];
+        let challenge = this.fixedChallenge;
+        if (!challenge) {
+            challenge = factory ?
+                await factory.verify(token, sessionData, now) :
+                new Challenge(publicKey.tokenType, publicKey.issuerName, "", this.originInfo);
+        }
+        outcome.challenge = challenge;
+        if (!challenge) {
+            outcome.reason = "unknown or expired challenge";
+            return outcome;
+        }
+
+        // a request without a host can't be matched against the challenge origins so it fails the origin check
+        const options = challenge.originInfo ? { host: host ?? "" } : {};
+        outcome.result = await token.verifyDetailed(challenge, publicKey, undefined, options);
+        if (!outcome.result.valid) {
+            outcome.reason = outcome.result.reason;
+            return outcome;
+        }
+
+        if (this.replay) {
+            const expires = factory ? now + (this.lifetime + factory.period) * 1000 : undefined;
+            if (!(await this.replay.spend(token, ReplayProtection.expiry(publicKey, expires)))) {
+                outcome.reason = "token already spent";
+                return outcome;
+            }
+        }
+
+        outcome.valid = true;
+        return outcome;
+    }
+}
+
+/**
+ * Middleware for `node:http` and Express/Connect style servers that only lets requests with a valid token through.
+ * Requests without a valid token get a `401` with the `WWW-Authenticate: PrivateToken` challenges, or are handed to
+ * the `fallback` (eg. to serve a CAPTCHA to clients that don't support Private Access Tokens). The outcome of the
+ * verification is attached to the request as `req.privateToken`.
+ *
+ * ```
+ * app.use(privateTokenMiddleware({ issuers: [PublicKey.CLOUDFLARE], originInfo: "example.com" }));
+ *
+ * http.createServer(async (req, res) => {
+ *     if (await gate(req, res)) { ... }
+ * });
+ * ```
+ *
+ * @param {Object|PrivateTokenVerifier} options The `PrivateTokenVerifier` (or its options) and the middleware options:
+ *        `sessionData(req)` the data to bind challenges to (default none),
+ *        `fallback(req, res, next, outcome)` called instead of sending the 401 (the challenge header is already set),
+ *        `quoted` whether to quote the auth-params (default false for macOS 13 and iOS 16 clients)
+ * @returns {Function} `(req, res, next) => Promise<boolean>` that resolves to true if the request was let through
+ */
+export function privateTokenMiddleware(options = {}) {
+    const verifier = options instanceof PrivateTokenVerifier ? options : (options.verifier ?? new PrivateTokenVerifier(options));
+    const { sessionData = () => undefined, fallback, quoted = false } = options instanceof PrivateTokenVerifier ? {} : options;
+
+    return async (req, res, next) => {
+        let allowed = false;
+        try {
+            const now = Date.now();
+            const session = await sessionData(req);
+            const authorization = req.headers?.authorization;
+
+            let outcome = null;
+            if (authorization && /PrivateToken/i.test(authorization)) {
+                outcome = await verifier.verify(authorization, { host: req.headers.host, sessionData: session, now });
+                req.privateToken = outcome;
+                allowed = outcome.valid;
+            }
+
+            if (!allowed) {
+                const authenticate = await verifier.challenge(session, now);
+                res.setHeader("WWW-Authenticate", authenticate.toString({ quoted }));
+                if (fallback) {
+                    await fallback(req, res, next, outcome);
+                    return false;
+                }
+
+                res.statusCode = 401;
+                res.setHeader("Content-Type", "text/plain");
+                res.end(outcome?.reason ? `Unauthorized: ${outcome.reason}` : "Unauthorized");
+                return false;
+            }
+        }
+        catch (e) {
+            if (next) {
+                next(e);
+                return false;
+            }
+            throw e;
+        }
+
+        next?.();
+        return true;
+    };
+}
+
+/**
+ * Creates a `fetch(request, env, ctx)` handler for Workers style runtimes (Cloudflare Workers, Deno, Bun) that only
+ * serves requests with a valid token. The response of `respond` is returned with a `200` (or its own status) when the
+ * token is valid; otherwise `respond` is not called and the response of `fallback` (default a plain `Unauthorized`) is
+ * returned with a `401` and the `WWW-Authenticate: PrivateToken` challenges. The outcome of each check is reported as
+ * JSON in the `Private-Token-Verification` response header.
+ *
+ * ```
+ * export default {
+ *     fetch: createFetchHandler({ issuers: [PublicKey.CLOUDFLARE], respond: request => fetch(request) }),
+ * };
+ * ```
+ *
+ * @param {Object} options The `PrivateTokenVerifier` options and
+ *        `verifier` a `PrivateTokenVerifier` or `(request, env) => PrivateTokenVerifier` to use instead,
+ *        `sessionData(request, env)` the data to bind challenges to (default none),
+ *        `respond(request, outcome, env, ctx)` produces the response for a valid token (default `OK`),
+ *        `fallback(request, outcome, env, ctx)` produces the response without a valid token (default
+ *        `Unauthorized`); `outcome` is null without a token,
+ *        `quoted` whether to quote the auth-params (default false for macOS 13 and iOS 16 clients)
+ * @returns {Function} `(request, env, ctx) => Promise<Response>`
+ */
+export function createFetchHandler(options = {}) {
+    const {
+        verifier,
+        sessionData = () => undefined,
+        respond = () => new Response("OK", { headers: { "Content-Type": "text/plain" } }),
+        fallback = () => new Response("Unauthorized", { headers: { "Content-Type": "text/plain" } }),
+        quoted = false,
+        ...verifierOptions
+    } = options;
+    const defaultVerifier = verifier instanceof PrivateTokenVerifier ? verifier : (typeof verifier === "function" ? null : new PrivateTokenVerifier(verifierOptions));
+
+    return async (request, env, ctx) => {
+        const tokenVerifier = defaultVerifier ?? await verifier(request, env);
+        const now = Date.now();
+        const session = await sessionData(request, env);
+        const authorization = request.headers.get("Authorization");
+
+        let outcome = null;
+        if (authorization && /PrivateToken/i.test(authorization)) {
+            const host = request.headers.get("Host") ?? new URL(request.url).host;
+            outcome = await tokenVerifier.verify(authorization, { host, sessionData: session, now });
+        }
+
+        const response = outcome?.valid ? await respond(request, outcome, env, ctx) : await fallback(request, outcome, env, ctx);
+        const headers = new Headers(response.headers);
+        if (outcome) {
+            headers.set("Private-Token-Verification", JSON.stringify({ valid: outcome.valid, reason: outcome.reason, checks: outcome.result?.checks ?? [] }));
+        }
+        if (!outcome?.valid) {
+            headers.set("WWW-Authenticate", (await tokenVerifier.challenge(session, now)).toString({ quoted }));
+        }
+        return new Response(response.body, { status: outcome?.valid ? response.status : 401, headers });
+    };
+}
@@ -0,0 +1,306 @@
+import { Hex } from "./utils.js";
+
+// the stores sweep all of their expired entries once they grow past this many entries (or records for the file store)
+const SWEEP_THRESHOLD = 1024;
+
+/**
+ * @param {Map} entries The entries of a store (`key => expires`)
+ * @param {string} key The key
+ * @param {number} now The time (epoch ms)
+ * @returns {boolean} true if the key is present and not yet expired; expired keys are removed
+ */
+function isLive(entries, key, now = Date.now()) {
+    const expires = entries.get(key);
+    if (expires === undefined) return false;
+    if (expires > now) return true;
+    entries.delete(key);
+    return false;
+}
+
+/**
+ * @param {Map} entries The entries of a store (`key => expires`)
+ * @param {number} now The time (epoch ms)
+ * @returns {void}
+ */
+function sweep(entries, now = Date.now()) {
+    for (const [key, expires] of entries) {
+        if (expires <= now) entries.delete(key);
+    }
+}
+
+/**
+ * In memory nonce store. Suitable for a single process (or a single worker isolate) and for tests.
+ *
+ * All stores implement the same async interface:
+ * - `add(key, expires)` records the key until `expires` (epoch ms, `Infinity` to keep it indefinitely) and resolves to
+ *   `false` if the key was already present
+ * - `has(key)` resolves to `true` if the key is present and not yet expired
+ * - `delete(key)` removes the key
+ *
+ * Expired keys are dropped when they are looked up and swept all at once whenever the store has doubled in size since
+ * the last sweep, so each call is O(1) amortized.
+ */
+export class MemoryNonceStore {
+    #entries = new Map();
+    #sweepAt = SWEEP_THRESHOLD;
+
+    async add(key, expires) {
+        if (isLive(this.#entries, key)) return false;
+        this.#entries.set(key, expires);
+        if (this.#entries.size >= this.#sweepAt) {
+            sweep(this.#entries);
+            this.#sweepAt = Math.max(SWEEP_THRESHOLD, this.#entries.size * 2);
+        }
+        return true;
+    }
+
+    async has(key) {
+        return isLive(this.#entries, key);
+    }
+
+    async delete(key) {
+        this.#entries.delete(key);
+    }
+
+    /**
+     * @returns {number} the number of unexpired keys (sweeps the store)
+     */
+    get size() {
+        sweep(this.#entries);
+        return this.#entries.size;
+    }
+}
+
+/**
+ * File backed nonce store that persists the spent nonces as JSON lines of `[key, expires]` (`null` for entries that
+ * never expire, `0` for deleted entries; the last line for a key wins). Only usable in node; `node:fs` is imported
+ * lazily so that this module can still be loaded in the browser and in workers.
+ *
+ * The file is read once and every change is appended to it. Once the file has twice as many lines as there were
+ * unexpired entries after the last compaction it is compacted: rewritten atomically (write to a temporary file, then rename) with only the
+ * unexpired entries. A line left truncated by a crash is ignored and removed by the next compaction. The changes are
+ * only serialized within one instance: the store must not be shared between processes (or between two instances for
+ * the same path) or concurrent redemptions may both succeed.
+ */
+export class FileNonceStore {
+    #queue = Promise.resolve();
+    #entries = null;
+    #records = 0;
+    #compactAt = SWEEP_THRESHOLD;
+
+    /**
+     * @param {string} path The path of the JSON lines file used to persist the nonces
+     */
+    constructor(path) {
+        this.path = path;
+    }
+
+    async add(key, expires) {
+        return this.#serialize(async entries => {
+            if (isLive(entries, key)) return false;
+            await this.#append(key, expires);
+            entries.set(key, expires);
+            return true;
+        });
+    }
+
+    async has(key) {
+        return this.#serialize(async entries => isLive(entries, key));
+    }
+
+    async delete(key) {
+        return this.#serialize(async entries => {
+            if (!entries.has(key)) return;
+            await this.#append(key, 0);
+            entries.delete(key);
+        });
+    }
+
+    /**
+     * Serializes the changes so that concurrent `add()` calls can't both succeed for the same key.
+     * @param {Function} fn async callback that reads (and changes) the entries
+     * @returns {Promise<*>} the result of the callback
+     */
+    #serialize(fn) {
+        const result = this.#queue.then(async () => fn(this.#entries ??= await this.#load()));
+        this.#queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Appends an entry to the file, compacting it first if it has grown too large.
+     * @param {string} key The key
+     * @param {number} expires When the key expires (epoch ms), `Infinity` to keep it or `0` to delete it
+     * @returns {Promise<void>} resolves once the file is written
+     */
+    async #append(key, expires) {
+        const { appendFile } = await import("node:fs/promises");
+        if (this.#records >= this.#compactAt) {
+            await this.#compact();
+        }
+        await appendFile(this.path, FileNonceStore.#line(key, expires), { encoding: "utf8" });
+        this.#records++;
+    }
+
+    /**
+     * Rewrites the file with only the unexpired entries.
+     * @returns {Promise<void>} resolves once the file is written
+     */
+    async #compact() {
+        const { writeFile, rename } = await import("node:fs/promises");
+        sweep(this.#entries);
+        const temp = `${this.path}.${process.pid}.tmp`;
+        await writeFile(temp, Array.from(this.#entries, ([key, expires]) => FileNonceStore.#line(key, expires)).join(""), { encoding: "utf8" });
+        await rename(temp, this.path);
+        this.#records = this.#entries.size;
+        this.#compactAt = Math.max(SWEEP_THRESHOLD, this.#records * 2);
+    }
+
+    /**
+     * @returns {Promise<Map>} the unexpired entries of the file
+     */
+    async #load() {
+        const { readFile } = await import("node:fs/promises");
+        const lines = (await readFile(this.path, { encoding: "utf8" }).catch(() => "")).split("\n");
+        const truncated = lines.pop() !== "";
+
+        const entries = new Map();
+        for (const line of lines) {
+            try {
+                const [key, expires] = JSON.parse(line);
+                entries.set(key, expires === null ? Infinity : expires);
+            }
+            catch {
+                // unreadable lines are dropped by the next compaction
+            }
+        }
+        sweep(entries);
+        // a truncated last line must be rewritten before anything is appended after it
+        this.#records = truncated ? Infinity : lines.length;
+        this.#compactAt = Math.max(SWEEP_THRESHOLD, entries.size * 2);
+        return entries;
+    }
+
+    /**
+     * @param {string} key The key
+     * @param {number} expires When the key expires (epoch ms)
+     * @returns {string} the line for the entry
+     */
+    static #line(key, expires) {
+        return `${JSON.stringify([key, expires === Infinity ? null : expires])}\n`;
+    }
+}
+
+/**
+ * Nonce store backed by a KV namespace such as Cloudflare Workers KV: an object with `get(key)`, `put(key, value, {expiration})`
+ * and `delete(key)`. Expiry is delegated to the KV store.
+ *
+ * KV stores are eventually consistent so a token redeemed at two different locations at the same time may be accepted
+ * twice. Use a strongly consistent store (eg. Durable Objects) if this matters.
+ */
+export class KVNonceStore {
+    /**
+     * @param {Object} namespace The KV namespace binding
+     * @param {string} prefix Prefix for the keys so that the namespace can be shared
+     */
+    constructor(namespace, prefix = "nonce:") {
+        this.namespace = namespace;
+        this.prefix = prefix;
+    }
+
+    async add(key, expires) {
+        if (await this.has(key)) return false;
+        if (expires === Infinity) {
+            await this.namespace.put(this.prefix + key, String(expires));
+            return true;
+        }
+        // workers KV requires the expiration to be at least 60s in the future
+        const expiration = Math.max(Math.ceil(expires / 1000), Math.ceil(Date.now() / 1000) + 60);
+        await this.namespace.put(this.prefix + key, String(expires), { expiration });
+        return true;
+    }
+
+    async has(key) {
+        const expires = await this.namespace.get(this.prefix + key);
+        return expires !== null && expires !== undefined && Number(expires) > Date.now();
+    }
+
+    async delete(key) {
+        await this.namespace.delete(this.prefix + key);
+    }
+}
+
+/**
+ * Double spend protection for tokens. `Token.verify()` only checks the cryptographic validity of a token so the same
+ * token could otherwise be replayed for as long as the issuer key is valid. The token nonce is random per token and is
+ * used as the key to detect replays.
+ *
+ * Spent nonces only need to be remembered for as long as a token could still verify: until the challenge expires
+ * (for challenges with a redemption context bound to a time window) or until the issuer key expires (`notAfter`).
+ * Without either the nonce is kept indefinitely; forgetting it earlier would make the token redeemable again.
+ *
+ * @see https://datatracker.ietf.org/doc/html/rfc9578#name-double-spend-protection
+ */
+export class ReplayProtection {
+    /**
+     * @param {MemoryNonceStore|FileNonceStore|KVNonceStore} store The store used to record the spent nonces
+     */
+    constructor(store = new MemoryNonceStore()) {
+        this.store = store;
+    }
+
+    /**
+     * @param {PublicKey} publicKey The issuer public key the token verified with
+     * @param {number} expires When the challenge expires (epoch ms), if bound to a time window
+     * @returns {number} when the nonce can be forgotten (epoch ms): the challenge expiry, else the key expiry, else `Infinity`
+     */
+    static expiry(publicKey, expires) {
+        if (expires != null) return expires;
+        return publicKey?.notAfter != null ? publicKey.notAfter * 1000 : Infinity;
+    }
+
+    /**
+     * @param {Token} token The token
+     * @returns {string} the store key for the token
+     */
+    static key(token) {
+        return Hex.encode(Array.from(token.nonce || []));
+    }
+
+    /**
+     * Marks the token as spent.
+     *
+     * @param {Token} token The token to spend
+     * @param {number} expires When the nonce can be forgotten (epoch ms). Use the challenge or key expiry when known.
+     * @returns {Promise<boolean>} `false` if the token was already spent
+     */
+    async spend(token, expires = Infinity) {
+        if (!token?.nonce?.length) return false;
+        return await this.store.add(ReplayProtection.key(token), expires);
+    }
+
+    /**
+     * @param {Token} token The token
+     * @returns {Promise<boolean>} `true` if the token was already spent
+     */
+    async isSpent(token) {
+        return await this.store.has(ReplayProtection.key(token));
+    }
+
+    /**
+     * Verifies the token and marks it as spent. The nonce is only recorded for tokens that verify so that invalid tokens
+     * can't be used to fill the store.
+     *
+     * @param {Token} token The token to verify
+     * @param {Challenge} challenge The challenge the token is expected to be for
+     * @param {PublicKey} challengeTokenKey The issuer public key
+     * @param {*} secretKey The issuer secret key (privately verifiable token types only)
+     * @param {number} expires When the challenge expires (epoch ms); defaults to the `notAfter` of the key
+     * @returns {Promise<boolean>} `true` if the token is valid and has not been spent before
+     */
+    async verify(token, challenge, challengeTokenKey, secretKey, expires) {
+        if (await this.isSpent(token)) return false;
+        if (!(await token.verify(challenge, challengeTokenKey, secretKey))) return false;
+        return await this.spend(token, ReplayProtection.expiry(challengeTokenKey, expires));
+    }
+}
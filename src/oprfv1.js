@@ -1,6 +1,7 @@
 import { p384 as ec, hashToCurve, encodeToCurve} from '@noble/curves/p384';
 import { sha384, sha512 } from '@noble/hashes/sha512';
 import { expand_message_xmd } from '@noble/curves/abstract/hash-to-curve';
+import { invert } from '@noble/curves/abstract/modular';
 import { ByteBuffer, Hex } from './utils.js';
 
 export const Point = ec.ProjectivePoint;
@@ -103,7 +104,9 @@ class OPRF {
      * > DeserializeScalar(buf): Implemented by attempting to deserialize a Scalar from a
      * > 48-byte string using Octet-String-to-Field-Element from [SEC1]. This function can fail
      * > if the input does not represent a Scalar in the range [0, G.Order() - 1].
-
+     *
+     * @param {number[]} buf the serialized scalar (in Big Endian)
+     * @returns {BigInt} the scalar
      */
     deserializeScalar(buf) {
         return ByteBuffer.bytesToNumber(buf);
@@ -676,14 +679,101 @@ class VOPRF extends OPRF {
     }
 
     /**
-     * From: https://datatracker.ietf.org/doc/html/draft-irtf-cfrg-voprf-21#name-oprf-protocol
+     * From https://datatracker.ietf.org/doc/html/draft-irtf-cfrg-voprf-21#name-oprf-protocol
+     *
+     * > The OPRF protocol begins with the client blinding its input, as described by the Blind function below.
+     * >
+     * > ```
+     * > Input:
+     * >   PrivateInput input
+     * >
+     * > Output:
+     * >   Scalar blind
+     * >   Element blindedElement
+     * >
+     * > Parameters:
+     * >   Group G
+     * >
+     * > Errors: InvalidInputError
+     * >
+     * > def Blind(input):
+     * >   blind = G.RandomScalar()
+     * >   inputElement = G.HashToGroup(input)
+     * >   if inputElement == G.Identity():
+     * >     raise InvalidInputError
+     * >   blindedElement = blind * inputElement
+     * >
+     * >   return blind, blindedElement
+     * > ```
+     *
+     * @param {number[]} input The private input.
+     * @param {BigInt} blind The blinding factor to use (for testing).
+     * @returns {Array} The blinding factor and the blinded element `[blind, blindedElement]`.
+     */
+    blind(input, blind) {
+        blind = blind ?? this.randomScalar();
+        const inputElement = this.hashToGroup(input);
+        if (inputElement.equals(this.identity)) {
+            throw new Error("InvalidInputError");
+        }
+        const blindedElement = inputElement.multiply(blind);
+
+        return [ blind, blindedElement ];
+    }
+
+    /**
+     * From https://datatracker.ietf.org/doc/html/draft-irtf-cfrg-voprf-21#name-voprf-protocol
+     *
+     * > ```
+     * > Input:
+     * >   Scalar skS
+     * >   Element pkS
+     * >   Element blindedElement
+     * >
+     * > Output:
+     * >   Element evaluatedElement
+     * >   Proof proof
+     * >
+     * > Parameters:
+     * >   Group G
+     * >
+     * > def BlindEvaluate(skS, pkS, blindedElement):
+     * >   evaluatedElement = skS * blindedElement
+     * >   blindedElements = [blindedElement]     // list of length 1
+     * >   evaluatedElements = [evaluatedElement] // list of length 1
+     * >   proof = GenerateProof(skS, G.Generator(), pkS,
+     * >                         blindedElements, evaluatedElements)
+     * >   return evaluatedElement, proof
+     * > ```
      *
-     * > Upon receipt of evaluatedElement, clients process it to complete the OPRF evaluation with the Finalize function described below.
+     * @param {BigInt} skS The server private key.
+     * @param {Point} pkS The server public key.
+     * @param {Point} blindedElement The blinded element from the client.
+     * @param {BigInt} r The random scalar for the proof (for testing).
+     * @returns {Array} The evaluated element and the proof `[evaluatedElement, proof]`.
+     */
+    blindEvaluate(skS, pkS, blindedElement, r) {
+        r = r ?? this.randomScalar();
+        const evaluatedElement = blindedElement.multiply(skS);
+        const proof = this.generateProof(skS, this.generator, pkS, [blindedElement], [evaluatedElement], r);
+
+        return [ evaluatedElement, proof ];
+    }
+
+    /**
+     * From https://datatracker.ietf.org/doc/html/draft-irtf-cfrg-voprf-21#name-voprf-protocol
+     *
+     * > The server sends both evaluatedElement and proof back to the client. Upon receipt, the client processes both
+     * > values to complete the VOPRF computation using the Finalize function below.
      * >
+     * > ```
      * > Input:
      * >   PrivateInput input
      * >   Scalar blind
      * >   Element evaluatedElement
+     * >   Element blindedElement
+     * >   Element pkS
+     * >   Scalar proof
      * >
      * > Output:
      * >   opaque output[Nh]
@@ -691,7 +781,15 @@ class VOPRF extends OPRF {
      * > Parameters:
      * >   Group G
      * >
-     * > def Finalize(input, blind, evaluatedElement):
+     * > Errors: VerifyError
+     * >
+     * > def Finalize(input, blind, evaluatedElement, blindedElement, pkS, proof):
+     * >   blindedElements = [blindedElement]     // list of length 1
+     * >   evaluatedElements = [evaluatedElement] // list of length 1
+     * >   if VerifyProof(G.Generator(), pkS, blindedElements,
+     * >                  evaluatedElements, proof) == false:
+     * >     raise VerifyError
+     * >
      * >   N = G.ScalarInverse(blind) * evaluatedElement
      * >   unblindedElement = G.SerializeElement(N)
      * >
@@ -700,13 +798,20 @@ class VOPRF extends OPRF {
      * >               "Finalize"
      * >   return Hash(hashInput)
      * > ```
-     * @param {number} input The private input.
-     * @param {number} blind The blinding factor.
+     * @param {number[]} input The private input.
+     * @param {BigInt} blind The blinding factor.
      * @param {Point} evaluatedElement The evaluated element.
-     * @returns {number[]} The final output.
+     * @param {Point} blindedElement The blinded element.
+     * @param {Point} pkS The server public key.
+     * @param {BigInt[]} proof The DLEQ proof.
+     * @returns {Uint8Array} The final output.
      */
-    finalize(input, blind, evaluatedElement) {
-        const N = evaluatedElement.multiply(blind.invert());
+    finalize(input, blind, evaluatedElement, blindedElement, pkS, proof) {
+        if (!this.verifyProof(this.generator, pkS, [blindedElement], [evaluatedElement], proof)) {
+            throw new Error("VerifyError");
+        }
+
+        const N = evaluatedElement.multiply(invert(blind, this.order));
         const unblindedElement = N.toRawBytes(true);
 
         const hashInput = new ByteBuffer()
@@ -806,6 +911,64 @@ class VOPRFDraft7 extends VOPRF {
         return [c, s];
     }
 
+    /**
+     * Verifies a batched DLEQ proof produced by `generateProof()`. Since `s = r + c * k` the commitments are
+     * recovered with `t2 = s * A - c * B` and `t3 = s * M - c * Z`, and the proof is valid when the challenge
+     * recomputed from them matches `c`.
+     *
+     * @param {Point} A The generator.
+     * @param {Point} B The public key.
+     * @param {Point[]} C The blinded tokens.
+     * @param {Point[]} D The evaluated tokens.
+     * @param {BigInt[]} proof The DLEQ proof `[c, s]` to verify
+     * @returns {boolean} True if the proof is valid.
+     */
+    verifyProof(A, B, C, D, proof) {
+        const [ M, Z ] = this.computeCompositesFast(undefined, B, C, D);
+        const [ c, s ] = proof;
+
+        const t2 = A.multiply(s).subtract(B.multiply(c));
+        const t3 = M.multiply(s).subtract(Z.multiply(c));
+
+        const buf = new ByteBuffer();
+        buf.writeString("DLEQ\0");
+        buf.writeBytes(B.toRawBytes(false));
+        buf.writeBytes(M.toRawBytes(false));
+        buf.writeBytes(Z.toRawBytes(false));
+        buf.writeBytes(t2.toRawBytes(false));
+        buf.writeBytes(t3.toRawBytes(false));
+        const expectedC = this.hashToScalar(buf.toBytes(), "TrustToken VOPRF Experiment V2 HashToScalar\0");
+
+        return expectedC === c;
+    }
+
+    /**
+     * Blinds the token nonce. Unlike draft-21 the input is mapped with the "TrustToken VOPRF Experiment V2
+     * HashToGroup" DST, the same mapping that `verifyFinalize()` uses on redemption.
+     *
+     * @param {Uint8Array|number[]} input The token nonce.
+     * @param {BigInt} blind The blinding factor to use (for testing).
+     * @returns {Array} The blinding factor and the blinded element `[blind, blindedElement]`.
+     */
+    blind(input, blind) {
+        blind = blind ?? this.randomScalar();
+        const inputElement = this.hashToGroup(input, "TrustToken VOPRF Experiment V2 HashToGroup\0");
+        if (inputElement.equals(this.identity)) {
+            throw new Error("InvalidInputError");
+        }
+
+        return [ blind, inputElement.multiply(blind) ];
+    }
+
+    /**
+     * @param {BigInt} blind The blinding factor used by `blind()`.
+     * @param {Point} evaluatedElement The element signed by the issuer.
+     * @returns {Point} The unblinded token `W = blind^-1 * evaluatedElement`.
+     */
+    unblind(blind, evaluatedElement) {
+        return evaluatedElement.multiply(invert(blind, this.order));
+    }
+
     verifyFinalize(skS, input, output) {
         const evaluatedElement = this.hashToGroup(input, "TrustToken VOPRF Experiment V2 HashToGroup\0");
         const issuedElement = evaluatedElement.multiply(skS);
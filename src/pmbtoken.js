@@ -0,0 +1,417 @@
+import { p384 as ec } from '@noble/curves/p384';
+import { invert } from '@noble/curves/abstract/modular';
+import { ByteBuffer, DecodeError } from './utils.js';
+import { VOPRF_P384, Point } from './oprfv1.js';
+
+/**
+ * Multiplies a point by a scalar, allowing a zero scalar (which `Point.multiply()` rejects).
+ * @param {Point} P the point
+ * @param {BigInt} k the scalar
+ * @returns {Point} k * P
+ */
+function mul(P, k) {
+    return k === 0n ? Point.ZERO : P.multiply(k);
+}
+
+/**
+ * Implementation of PMBTokens, the Private Metadata Bit tokens of "Anonymous Tokens with Private Metadata Bit"
+ * (Kreuter et al.) as used by the PMB versions of Private State Tokens. Besides the validity of the token the issuer
+ * embeds a hidden bit that only it can recover on redemption. The client can verify that the token was issued with
+ * the committed keys but not which bit was used.
+ *
+ * This follows the "PMBTokens PST V1" construction of BoringSSL (`TRUST_TOKEN_pst_v1_pmb()`), which Chrome uses for
+ * `PrivateStateTokenV3PMB`:
+ * * P-384 with hash_to_curve (P384_XMD:SHA-384_SSWU_RO_) and hash_to_scalar using expand_message_xmd with SHA-384
+ * * the domain separation tags are NUL terminated
+ * * points are serialized uncompressed and without a length prefix
+ * * the public key is serialized as `pub0 || pub1 || pubs` (`pmbtoken_compute_keys()`) while the DLEQ batch starts
+ *   with `pubs || pub0 || pub1` (`pmbtoken_sign()`)
+ *
+ * A key is made of three key pairs that commit to two scalars each with the generators G and H:
+ * ```
+ * pub0 = x0 * G + y0 * H   // private metadata bit 0
+ * pub1 = x1 * G + y1 * H   // private metadata bit 1
+ * pubs = xs * G + ys * H   // validity
+ * ```
+ *
+ * @see https://eprint.iacr.org/2020/072
+ * @see https://boringssl.googlesource.com/boringssl/+/refs/heads/master/crypto/trust_token/pmbtoken.c
+ */
+class PMBTokens {
+
+    /**
+     * @param {string} label The prefix of the domain separation tags
+     * @param {VOPRF} group The group providing hash_to_curve and hash_to_scalar
+     */
+    constructor(label = "PMBTokens PST V1", group = VOPRF_P384) {
+        this.label = label;
+        this.group = group;
+        this.order = this.group.order;
+        this.generator = this.group.generator;
+        this.identity = this.group.identity;
+        this.Ns = this.group.Ns;
+        this.Ne = 2 * this.group.Ne - 1; // uncompressed
+        this.Nn = 64; // TRUST_TOKEN_NONCE_SIZE
+        this.H = this.group.hashToGroup(ByteBuffer.stringToBytes("generator\0"), `${label} HashH\0`);
+    }
+
+    hashT(t) {
+        return this.group.hashToGroup(t, `${this.label} HashT\0`);
+    }
+
+    hashS(T, s) {
+        const msg = new ByteBuffer()
+            .writeBytes(T.toRawBytes(false))
+            .writeBytes(s);
+        return this.group.hashToGroup(msg.toBytes(), `${this.label} HashS\0`);
+    }
+
+    hashC(msg) {
+        return this.group.hashToScalar(msg, `${this.label} HashC\0`);
+    }
+
+    hashToScalar(msg) {
+        return this.group.hashToScalar(msg, `${this.label} HashToScalar\0`);
+    }
+
+    /**
+     * @param {BigInt} x the scalar for G
+     * @param {BigInt} y the scalar for H
+     * @returns {Point} x * G + y * H
+     */
+    commit(x, y) {
+        return mul(this.generator, x).add(mul(this.H, y));
+    }
+
+    /**
+     * Generates a key. The secret key is the object `{x0, y0, x1, y1, xs, ys}` and the public key is the object
+     * `{pub0, pub1, pubs}`.
+     *
+     * @param {Object} secretKey The secret scalars to use (for testing)
+     * @returns {Array} The key pair `[secretKey, publicKey]`
+     */
+    generateKeyPair(secretKey) {
+        secretKey = secretKey ?? Object.fromEntries(["x0", "y0", "x1", "y1", "xs", "ys"].map(k => [k, this.group.randomScalar()]));
+        return [ secretKey, this.publicKey(secretKey) ];
+    }
+
+    /**
+     * @param {Object} secretKey The secret key `{x0, y0, x1, y1, xs, ys}`
+     * @returns {Object} The public key `{pub0, pub1, pubs}`
+     */
+    publicKey({ x0, y0, x1, y1, xs, ys }) {
+        return {
+            pub0: this.commit(x0, y0),
+            pub1: this.commit(x1, y1),
+            pubs: this.commit(xs, ys),
+        };
+    }
+
+    /**
+     * @param {Object} publicKey The public key `{pub0, pub1, pubs}`
+     * @returns {Uint8Array} The public key as `pub0 || pub1 || pubs`
+     */
+    serializePublicKey({ pub0, pub1, pubs }) {
+        return new ByteBuffer()
+            .writeBytes(pub0.toRawBytes(false))
+            .writeBytes(pub1.toRawBytes(false))
+            .writeBytes(pubs.toRawBytes(false))
+            .toBytes();
+    }
+
+    /**
+     * @param {Uint8Array|number[]} data The public key as `pub0 || pub1 || pubs`
+     * @returns {Object} The public key `{pub0, pub1, pubs}`
+     * @throws {DecodeError} if the key is truncated, has trailing data or a point is not valid.
+     */
+    deserializePublicKey(data) {
+        const bytes = new ByteBuffer(data);
+        const publicKey = {};
+        for (const name of ["pub0", "pub1", "pubs"]) {
+            publicKey[name] = this.readElement(bytes, name);
+        }
+        bytes.expectEnd("pubs");
+        return publicKey;
+    }
+
+    /**
+     * @param {Object} secretKey The secret key `{x0, y0, x1, y1, xs, ys}`
+     * @returns {Uint8Array} The secret key as `x0 || y0 || x1 || y1 || xs || ys`
+     */
+    serializeSecretKey({ x0, y0, x1, y1, xs, ys }) {
+        const bytes = new ByteBuffer();
+        for (const k of [x0, y0, x1, y1, xs, ys]) {
+            bytes.writeBytes(this.group.serializeScalar(k));
+        }
+        return bytes.toBytes();
+    }
+
+    /**
+     * @param {Uint8Array|number[]} data The secret key as `x0 || y0 || x1 || y1 || xs || ys`
+     * @returns {Object} The secret key `{x0, y0, x1, y1, xs, ys}`
+     * @throws {DecodeError} if the key is truncated, has trailing data or a scalar is not in range.
+     */
+    deserializeSecretKey(data) {
+        const bytes = new ByteBuffer(data);
+        const secretKey = {};
+        for (const name of ["x0", "y0", "x1", "y1", "xs", "ys"]) {
+            secretKey[name] = this.readScalar(bytes, name);
+        }
+        bytes.expectEnd("ys");
+        return secretKey;
+    }
+
+    /**
+     * @param {ByteBuffer} bytes The buffer to read from
+     * @param {string} field The name of the field (for errors)
+     * @returns {Point} The uncompressed point
+     * @throws {DecodeError} if the point is truncated or not valid.
+     */
+    readElement(bytes, field) {
+        const offset = bytes.offset;
+        const value = bytes.readBytes(this.Ne, field);
+        try {
+            return Point.fromHex(value);
+        }
+        catch (e) {
+            throw new DecodeError(`Invalid ${field}: ${e.message}`, { offset, field });
+        }
+    }
+
+    /**
+     * @param {ByteBuffer} bytes The buffer to read from
+     * @param {string} field The name of the field (for errors)
+     * @returns {BigInt} The scalar
+     * @throws {DecodeError} if the scalar is truncated or not less than the group order.
+     */
+    readScalar(bytes, field) {
+        const offset = bytes.offset;
+        const value = this.group.deserializeScalar(bytes.readBytes(this.Ns, field));
+        if (value >= this.order) {
+            throw new DecodeError(`Invalid ${field}: scalar out of range`, { offset, field });
+        }
+        return value;
+    }
+
+    /**
+     * Blinds the token nonce `t`: `Tp = r^-1 * HashT(t)`.
+     *
+     * @param {Uint8Array|number[]} t The token nonce.
+     * @param {BigInt} r The blinding factor to use (for testing).
+     * @returns {Array} The blinding factor and the blinded element `[r, Tp]`.
+     */
+    blind(t, r) {
+        r = r ?? this.group.randomScalar();
+        const T = this.hashT(t);
+        return [ r, T.multiply(invert(r, this.order)) ];
+    }
+
+    /**
+     * Signs the blinded elements with the private metadata bit. For each `Tp` the issuer picks a nonce `s` and returns
+     * ```
+     * Sp = HashS(Tp, s)
+     * Wp = xb * Tp + yb * Sp   // b is the private metadata bit
+     * Wsp = xs * Tp + ys * Sp
+     * ```
+     * along with a single proof for the batch.
+     *
+     * @param {Object} secretKey The secret key `{x0, y0, x1, y1, xs, ys}`
+     * @param {Object} publicKey The public key `{pub0, pub1, pubs}`
+     * @param {Point[]} Tp The blinded elements.
+     * @param {boolean} privateMetadata The private metadata bit.
+     * @param {Uint8Array[]} nonces The nonces `s` to use (for testing)
+     * @param {BigInt[]} randoms The random scalars for the proof (for testing)
+     * @returns {Array} The signed nonces `{s, Wp, Wsp}` and the proof `[signed, proof]`.
+     */
+    sign(secretKey, publicKey, Tp, privateMetadata, nonces = [], randoms = []) {
+        const [xb, yb] = privateMetadata ? [secretKey.x1, secretKey.y1] : [secretKey.x0, secretKey.y0];
+
+        const s = Tp.map((_, i) => ByteBuffer.toUint8Array(nonces[i] ?? ec.CURVE.randomBytes(this.Nn)));
+        const Sp = Tp.map((T, i) => this.hashS(T, s[i]));
+        const Wp = Tp.map((T, i) => mul(T, xb).add(mul(Sp[i], yb)));
+        const Wsp = Tp.map((T, i) => mul(T, secretKey.xs).add(mul(Sp[i], secretKey.ys)));
+
+        const [T, S, W, Ws] = this.computeBatch(publicKey, Tp, Sp, Wp, Wsp);
+        const proof = this.generateProof(secretKey, publicKey, T, S, W, Ws, privateMetadata, randoms);
+
+        const signed = Tp.map((_, i) => ({ s: s[i], Wp: Wp[i], Wsp: Wsp[i] }));
+        return [ signed, proof ];
+    }
+
+    /**
+     * Combines the tokens of an issuance into a single `(T, S, W, Ws)` so that one proof covers the batch. Each token
+     * is weighted by `e_i = HashToScalar("DLEQ BATCH\0" || pubs || pub0 || pub1 || (Tp || Sp || Wp || Wsp)[] || i)`.
+     *
+     * @param {Object} publicKey The public key `{pub0, pub1, pubs}`
+     * @param {Point[]} Tp The blinded elements.
+     * @param {Point[]} Sp The `HashS(Tp, s)` elements.
+     * @param {Point[]} Wp The signed elements.
+     * @param {Point[]} Wsp The validity elements.
+     * @returns {Point[]} `[T, S, W, Ws]`
+     */
+    computeBatch(publicKey, Tp, Sp, Wp, Wsp) {
+        const batch = new ByteBuffer()
+            .writeBytes(publicKey.pubs.toRawBytes(false))
+            .writeBytes(publicKey.pub0.toRawBytes(false))
+            .writeBytes(publicKey.pub1.toRawBytes(false));
+        for (let i = 0; i < Tp.length; i++) {
+            batch.writeBytes(Tp[i].toRawBytes(false))
+                .writeBytes(Sp[i].toRawBytes(false))
+                .writeBytes(Wp[i].toRawBytes(false))
+                .writeBytes(Wsp[i].toRawBytes(false));
+        }
+
+        let [T, S, W, Ws] = [this.identity, this.identity, this.identity, this.identity];
+        for (let i = 0; i < Tp.length; i++) {
+            const buf = new ByteBuffer()
+                .writeString("DLEQ BATCH\0")
+                .writeBytes(batch.toBytes())
+                .writeInt(i, 2);
+            const e = this.hashToScalar(buf.toBytes());
+            T = T.add(mul(Tp[i], e));
+            S = S.add(mul(Sp[i], e));
+            W = W.add(mul(Wp[i], e));
+            Ws = Ws.add(mul(Wsp[i], e));
+        }
+        return [ T, S, W, Ws ];
+    }
+
+    #hashDLEQ(pubs, T, S, Ws, K0, K1) {
+        const buf = new ByteBuffer().writeString("DLEQ2\0");
+        for (const P of [pubs, T, S, Ws, K0, K1]) {
+            buf.writeBytes(P.toRawBytes(false));
+        }
+        return this.hashC(buf.toBytes());
+    }
+
+    #hashDLEQOR(pub0, pub1, T, S, W, K00, K01, K10, K11) {
+        const buf = new ByteBuffer().writeString("DLEQOR2\0");
+        for (const P of [pub0, pub1, T, S, W, K00, K01, K10, K11]) {
+            buf.writeBytes(P.toRawBytes(false));
+        }
+        return this.hashC(buf.toBytes());
+    }
+
+    /**
+     * Generates the issuance proof: a DLEQ proof that `Ws = xs * T + ys * S` (the token is valid) and a DLEQOR proof
+     * that `W = x0 * T + y0 * S` or `W = x1 * T + y1 * S` (without revealing which). The branch of the other bit is
+     * simulated with a random challenge.
+     *
+     * @param {Object} secretKey The secret key `{x0, y0, x1, y1, xs, ys}`
+     * @param {Object} publicKey The public key `{pub0, pub1, pubs}`
+     * @param {Point} T The batched blinded element.
+     * @param {Point} S The batched `HashS` element.
+     * @param {Point} W The batched signed element.
+     * @param {Point} Ws The batched validity element.
+     * @param {boolean} privateMetadata The private metadata bit.
+     * @param {BigInt[]} randoms The random scalars `[ks0, ks1, k0, k1, -co, uo, vo]` (for testing)
+     * @returns {BigInt[]} The proof `[cs, us, vs, c0, c1, u0, u1, v0, v1]`
+     */
+    generateProof(secretKey, publicKey, T, S, W, Ws, privateMetadata, randoms = []) {
+        const n = this.order;
+        const [ks0, ks1, k0, k1, minusCo, uo, vo] = Array.from({ length: 7 }, (_, i) => randoms[i] ?? this.group.randomScalar());
+        const { pub0, pub1, pubs } = publicKey;
+
+        // Ks = ks0 * (G; T) + ks1 * (H; S)
+        const Ks0 = this.commit(ks0, ks1);
+        const Ks1 = mul(T, ks0).add(mul(S, ks1));
+
+        // Kb = k0 * (G; T) + k1 * (H; S) and Ko = uo * (G; T) + vo * (H; S) - co * (pubo; W)
+        const [xb, yb] = privateMetadata ? [secretKey.x1, secretKey.y1] : [secretKey.x0, secretKey.y0];
+        const pubo = privateMetadata ? pub0 : pub1;
+        const Kb0 = this.commit(k0, k1);
+        const Kb1 = mul(T, k0).add(mul(S, k1));
+        const Ko0 = this.commit(uo, vo).add(mul(pubo, minusCo));
+        const Ko1 = mul(T, uo).add(mul(S, vo)).add(mul(W, minusCo));
+        const [K00, K01, K10, K11] = privateMetadata ? [Ko0, Ko1, Kb0, Kb1] : [Kb0, Kb1, Ko0, Ko1];
+
+        const cs = this.#hashDLEQ(pubs, T, S, Ws, Ks0, Ks1);
+        const c = this.#hashDLEQOR(pub0, pub1, T, S, W, K00, K01, K10, K11);
+
+        const us = (ks0 + cs * secretKey.xs) % n;
+        const vs = (ks1 + cs * secretKey.ys) % n;
+
+        const cb = (c + minusCo) % n;
+        const ub = (k0 + cb * xb) % n;
+        const vb = (k1 + cb * yb) % n;
+        const co = (n - minusCo) % n;
+
+        const [c0, c1, u0, u1, v0, v1] = privateMetadata ? [co, cb, uo, ub, vo, vb] : [cb, co, ub, uo, vb, vo];
+        return [cs, us, vs, c0, c1, u0, u1, v0, v1];
+    }
+
+    /**
+     * Verifies the proof produced by `generateProof()`. The commitments are recovered from the responses
+     * ```
+     * Ks0 = us * G + vs * H - cs * pubs    Ks1 = us * T + vs * S - cs * Ws
+     * K00 = u0 * G + v0 * H - c0 * pub0    K01 = u0 * T + v0 * S - c0 * W
+     * K10 = u1 * G + v1 * H - c1 * pub1    K11 = u1 * T + v1 * S - c1 * W
+     * ```
+     * and the proof is valid when `cs` matches the DLEQ challenge and `c0 + c1` the DLEQOR challenge.
+     *
+     * @param {Object} publicKey The public key `{pub0, pub1, pubs}`
+     * @param {Point} T The batched blinded element.
+     * @param {Point} S The batched `HashS` element.
+     * @param {Point} W The batched signed element.
+     * @param {Point} Ws The batched validity element.
+     * @param {BigInt[]} proof The proof `[cs, us, vs, c0, c1, u0, u1, v0, v1]`
+     * @returns {boolean} True if the proof is valid.
+     */
+    verifyProof(publicKey, T, S, W, Ws, proof) {
+        if (proof.length !== 9 || proof.some(k => k < 0n || k >= this.order)) {
+            return false;
+        }
+        const [cs, us, vs, c0, c1, u0, u1, v0, v1] = proof;
+        const { pub0, pub1, pubs } = publicKey;
+
+        const Ks0 = this.commit(us, vs).subtract(mul(pubs, cs));
+        const Ks1 = mul(T, us).add(mul(S, vs)).subtract(mul(Ws, cs));
+        if (this.#hashDLEQ(pubs, T, S, Ws, Ks0, Ks1) !== cs) {
+            return false;
+        }
+
+        const K00 = this.commit(u0, v0).subtract(mul(pub0, c0));
+        const K01 = mul(T, u0).add(mul(S, v0)).subtract(mul(W, c0));
+        const K10 = this.commit(u1, v1).subtract(mul(pub1, c1));
+        const K11 = mul(T, u1).add(mul(S, v1)).subtract(mul(W, c1));
+        const c = this.#hashDLEQOR(pub0, pub1, T, S, W, K00, K01, K10, K11);
+
+        return c === (c0 + c1) % this.order;
+    }
+
+    /**
+     * @param {BigInt} r The blinding factor used by `blind()`.
+     * @param {Point} Sp The `HashS(Tp, s)` element.
+     * @param {Point} Wp The signed element.
+     * @param {Point} Wsp The validity element.
+     * @returns {Point[]} The unblinded `[S, W, Ws]`
+     */
+    unblind(r, Sp, Wp, Wsp) {
+        return [ Sp.multiply(r), Wp.multiply(r), Wsp.multiply(r) ];
+    }
+
+    /**
+     * Checks a token on redemption and recovers the private metadata bit. The token is valid when
+     * `Ws = xs * T + ys * S` and `W` matches exactly one of `x0 * T + y0 * S` and `x1 * T + y1 * S`.
+     *
+     * @param {Object} secretKey The secret key `{x0, y0, x1, y1, xs, ys}`
+     * @param {Uint8Array|number[]} t The token nonce.
+     * @param {Point} S The unblinded `HashS` element.
+     * @param {Point} W The unblinded signed element.
+     * @param {Point} Ws The unblinded validity element.
+     * @returns {boolean|null} The private metadata bit, or null if the token is not valid.
+     */
+    read(secretKey, t, S, W, Ws) {
+        const T = this.hashT(t);
+        const isValid = Ws.equals(mul(T, secretKey.xs).add(mul(S, secretKey.ys)));
+        const isW0 = W.equals(mul(T, secretKey.x0).add(mul(S, secretKey.y0)));
+        const isW1 = W.equals(mul(T, secretKey.x1).add(mul(S, secretKey.y1)));
+
+        if (!isValid || isW0 === isW1) {
+            return null;
+        }
+        return isW1;
+    }
+}
+
+export const PMBTOKEN_P384 = new PMBTokens();
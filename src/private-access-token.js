@@ -1,65 +1,167 @@
-import {Base64, sha256, ByteBuffer} from "./utils.js";
+import {Base64, sha256, ByteBuffer, DecodeError, Hex, PS384, hostnameToASCII} from "./utils.js";
+import {RSABSSA_SHA384_PSS_Deterministic as RSABSSA, RSAPBSSA_SHA384_PSS_Deterministic as RSAPBSSA, toBigInt} from "./rsabssa.js";
+import {VOPRF_P384} from "./oprfv1.js";
+import {OID, SubjectPublicKeyInfo} from "./asn1.js";
 
 export class Challenge {
     static DEFAULT = Challenge.from("AAIAGXBhdC1pc3N1ZXIuY2xvdWRmbGFyZS5jb20AAAA=");
 
+    /**
+     * Internationalized issuer and origin names are converted to A-labels (punycode), see `hostnameToASCII()`.
+     *
+     * @param {number} tokenType The token type
+     * @param {string} issuerName The issuer name
+     * @param {string|Uint8Array|number[]} redemptionContext The redemption context (empty or 32 bytes)
+     * @param {string|string[]} originInfo The origin names
+     */
     constructor(tokenType = Token.BLIND_RSA, issuerName = "", redemptionContext = "", originInfo = "") {
         this.tokenType = tokenType || Token.BLIND_RSA;
-        this.issuerName = issuerName || "";
-        this.redemptionContext = redemptionContext || [];
-        this.originInfo = originInfo || "";
+        this.issuerName = issuerName;
+        this.redemptionContext = redemptionContext || new Uint8Array(0);
+        this.originInfo = originInfo;
     }
 
-    static from(data) {
-        const challengeBytes = Base64.decode(data) || [];
+    /**
+     * @param {string|Uint8Array|number[]} data The base64url encoded (or raw) challenge
+     * @param {Base64Codec} codec The codec an encoded challenge must follow (default `Base64.HEADER`)
+     * @returns {Challenge} the challenge
+     * @throws {DecodeError} if the challenge is not valid base64, is truncated or has trailing data
+     */
+    static from(data, codec = Base64.HEADER) {
+        const challengeBytes = typeof data === "string" ? codec.decode(data) : data;
         const byteBuffer = new ByteBuffer(challengeBytes);
 
-        const tokenType = byteBuffer.readInt(2);
-        const issuerNameLength = byteBuffer.readInt(2)
-        const issuerName = byteBuffer.readString(issuerNameLength);
-        const redemptionContextLength = byteBuffer.readInt(1);
-        const redemptionContext = byteBuffer.readBytes(redemptionContextLength);
-        const originInfoLength = byteBuffer.readBytes(2);
-        const originInfo = byteBuffer.readString(originInfoLength);
+        const tokenType = byteBuffer.readInt(2, "token_type");
+        const issuerNameLength = byteBuffer.readInt(2, "issuer_name");
+        const issuerName = byteBuffer.readUTF8(issuerNameLength, "issuer_name");
+        const redemptionContextLength = byteBuffer.readInt(1, "redemption_context");
+        const redemptionContext = byteBuffer.readBytes(redemptionContextLength, "redemption_context");
+        const originInfoLength = byteBuffer.readInt(2, "origin_info");
+        const originInfo = byteBuffer.readUTF8(originInfoLength, "origin_info");
+        byteBuffer.expectEnd("origin_info");
 
         return new Challenge(tokenType, issuerName, redemptionContext, originInfo);
     }
 
-    #redemptionContext = [];
+    #issuerName = "";
+    #originInfo = "";
+    #redemptionContext = new Uint8Array(0);
+
+    set issuerName(value) {
+        this.#issuerName = hostnameToASCII(value || "");
+    }
+
+    get issuerName() {
+        return this.#issuerName;
+    }
+
+    set originInfo(value) {
+        const origins = Array.isArray(value) ? value : (value || "").split(",");
+        this.#originInfo = origins.map(origin => hostnameToASCII(origin)).join(",");
+    }
+
+    get originInfo() {
+        return this.#originInfo;
+    }
 
     set redemptionContext(value) {
-        let redemptionContext = ByteBuffer.stringToBytes(value);
+        const bytes = value instanceof Uint8Array ? value : Uint8Array.from(ByteBuffer.stringToBytes(value));
+        let redemptionContext = bytes;
 
-        if (redemptionContext.length > 0) {
+        if (bytes.length > 0) {
             // Pad to 32 bytes
-            redemptionContext = Array(32).fill(0).concat(redemptionContext).slice(-32);
+            redemptionContext = new Uint8Array(32);
+            redemptionContext.set(bytes.subarray(-32), Math.max(32 - bytes.length, 0));
         }
 
         this.#redemptionContext = redemptionContext;
     }
 
     get redemptionContext() {
-        return this.#redemptionContext || [];
+        return this.#redemptionContext;
+    }
+
+    /**
+     * The list of origins the challenge is scoped to. An empty list is a cross-origin challenge.
+     *
+     * > origin_info is an optional string containing one or more origin names, which allows a token to be scoped to a
+     * > specific set of origins. The string is prefixed with a 2-octet integer indicating the length, in network byte
+     * > order. If empty, any non-origin-specific token can be redeemed. If the string contains multiple origin names,
+     * > they are delimited with commas "," without any whitespace.
+     * @returns {string[]} the origin names
+     */
+    get origins() {
+        return this.originInfo.split(",").filter(o => o.length > 0);
+    }
+
+    set origins(origins) {
+        this.originInfo = origins || [];
     }
 
     getTokenKey() {
         return PublicKey.from(this.issuerName);
     }
 
+    /**
+     * Checks that the request `Host` is one of the origins the challenge is scoped to. Safari only sends tokens when
+     * the `origin_info` matches the `Host:` header so a mismatch means the token was obtained for another origin.
+     * A name without a port is on the default port (`80` or `443`, the scheme isn't known here), so the ports must
+     * match exactly once the default ports are dropped: `www.example.com:8443` doesn't match `www.example.com`.
+     *
+     * @param {string|string[]} host The `Host` header of the request (or all the names the server answers to)
+     * @param {boolean} allowCrossOrigin Whether challenges without an `origin_info` are accepted
+     * @returns {boolean} true if the challenge can be redeemed for the host
+     */
+    verifyOrigin(host, allowCrossOrigin = true) {
+        const origins = this.origins;
+        if (origins.length === 0) return allowCrossOrigin;
+
+        const parse = value => {
+            const [, hostname, port] = String(value).trim().toLowerCase().match(/^(\[[^\]]*\]|[^:]*)(?::(\d+))?$/) || [];
+            return { hostname: hostname?.replace(/\.$/, ""), port: port === "80" || port === "443" ? undefined : port };
+        };
+        const hosts = (Array.isArray(host) ? host : [host]).filter(h => h).map(h => parse(hostnameToASCII(String(h).trim())));
+        return origins.map(parse).some(origin => hosts.some(h =>
+            h.hostname === origin.hostname && h.port === origin.port));
+    }
+
+    /**
+     * ```
+     * struct {
+     *     uint16_t token_type;
+     *     opaque issuer_name<1..2^16-1>;
+     *     opaque redemption_context<0..32>;
+     *     opaque origin_info<0..2^16-1>;
+     * } TokenChallenge;
+     * ```
+     * The names are written as UTF-8 (ASCII once converted to A-labels) with the length in bytes.
+     *
+     * @returns {Uint8Array} the encoded challenge
+     * @see https://datatracker.ietf.org/doc/html/rfc9577#name-token-challenge
+     */
     toByteArray() {
+        const issuerName = new TextEncoder().encode(this.issuerName);
+        const originInfo = new TextEncoder().encode(this.originInfo);
+        if (issuerName.length > 0xffff || originInfo.length > 0xffff) {
+            throw new Error("The issuer_name and origin_info must be shorter than 65536 bytes");
+        }
         const byteBuffer = new ByteBuffer()
             .writeInt(this.tokenType, 2)
-            .writeInt(this.issuerName.length, 2)
-            .writeString(this.issuerName)
+            .writeInt(issuerName.length, 2)
+            .writeBytes(issuerName)
             .writeInt(this.redemptionContext.length, 1)
             .writeBytes(this.redemptionContext)
-            .writeInt(this.originInfo.length, 2)
-            .writeString(this.originInfo);
+            .writeInt(originInfo.length, 2)
+            .writeBytes(originInfo);
         return byteBuffer.toBytes();
     }
 
-    toString() {
-        return Base64.urlEncode(this.toByteArray());
+    /**
+     * @param {Base64Codec} codec The codec to encode with (default `Base64.URL`, padded and unquoted)
+     * @returns {string} the encoded challenge
+     */
+    toString(codec = Base64.URL) {
+        return codec.encode(this.toByteArray());
     }
 
 }
@@ -76,48 +178,66 @@ export class PublicKey {
     static CLOUDFLARE = new PublicKey('pat-issuer.cloudflare.com', PublicKey.#CLOUDFLARE_PUB_KEY, PublicKey.#CLOUDFLARE_PUB_KEY_ID);
     static FASTLY = new PublicKey('demo-issuer.private-access-tokens.fastly.com', PublicKey.#FASTLY_PUB_KEY, PublicKey.#FASTLY_PUB_KEY_ID);
 
-    static #PUBLIC_KEYS = new Map([
-        [PublicKey.CLOUDFLARE_DEMO.issuerName, PublicKey.CLOUDFLARE_DEMO],
-        [PublicKey.CLOUDFLARE.issuerName, PublicKey.CLOUDFLARE],
-        [PublicKey.FASTLY.issuerName, PublicKey.FASTLY],
-    ]);
+    static #registry;
+
+    /**
+     * The known issuer keys. Seeded with the keys above; load issuer directories or JWKS files to add keys (and
+     * rotations) at runtime.
+     * @returns {PublicKeyRegistry} the default registry used by `PublicKey.from()`
+     */
+    static get registry() {
+        return PublicKey.#registry ??= new PublicKeyRegistry([PublicKey.CLOUDFLARE_DEMO, PublicKey.CLOUDFLARE, PublicKey.FASTLY]);
+    }
 
+    /**
+     * Resolves a key from the registry by issuer name (the currently valid key), SPKI or token key ID.
+     * @param {PublicKey|string|number[]} key The key, the issuer name, the SPKI or the token key ID
+     * @returns {PublicKey} the known key or a new key for the SPKI
+     */
     static from(key) {
         if (key instanceof PublicKey) return key;
-
-        const issuerName = key;
-        if (PublicKey.#PUBLIC_KEYS.has(issuerName)) {
-            return PublicKey.#PUBLIC_KEYS.get(issuerName);
-        }
-
-        const sPKI = key;
-        for (const [k, v] of PublicKey.#PUBLIC_KEYS.entries()) {
-            if (v.sPKI === sPKI) {
-                return v;
-            }
-        }
-
-        const tokenKeyID = key.toString();
-        for (const [k, v] of PublicKey.#PUBLIC_KEYS.entries()) {
-            if ((v.keyID).toString() === tokenKeyID) {
-                return v;
-            }
-        }
-        return new PublicKey('', key);
+        return PublicKey.registry.get(key) ?? PublicKey.registry.find(key) ?? new PublicKey('', key);
     }
 
-    constructor(issuerName, sPKI, keyID) {
+    /**
+     * @param {string} issuerName The name of the issuer
+     * @param {string} sPKI The base64url encoded token key (SPKI for Blind RSA, `SerializeElement(pkI)` for VOPRF)
+     * @param {string} keyID The base64url encoded token key ID
+     * @param {number} tokenType The token type the key is used for (defaults to Blind RSA)
+     */
+    constructor(issuerName, sPKI, keyID, tokenType = 0x0002) {
         this.issuerName = issuerName;
         this.sPKI = sPKI;
         this.keyID = keyID ? Base64.decode(keyID) : null;
+        this.tokenType = tokenType;
     }
 
     sPKI;
     keyID;
+    /**
+     * The validity window of the key in seconds since the epoch (`not-before` in the issuer directory, `nbf` and `exp`
+     * in a JWK). Keys without a window are always valid.
+     */
+    notBefore;
+    notAfter;
+
+    /**
+     * @param {number} now The time (epoch ms)
+     * @returns {boolean} true if the key is within its validity window
+     */
+    isValid(now = Date.now()) {
+        return (this.notBefore ?? 0) * 1000 <= now && (this.notAfter == null || now < this.notAfter * 1000);
+    }
+
+    /**
+     * The key encoded as rsaEncryption instead of id-RSASSA-PSS, for WebCrypto implementations that can't import
+     * RSASSA-PSS SubjectPublicKeyInfo.
+     * @returns {PublicKey|null} the rsaEncryption encoded key or null if the key is already rsaEncryption encoded
+     */
     get legacySPKI() {
-        const legacySPKI = "MIIBIjANBgkqhkiG9w0BAQEFA" + this.sPKI.slice(-367);
-        if (legacySPKI === this.sPKI) return null;
-        return new PublicKey(this.issuerName, legacySPKI);
+        const spki = SubjectPublicKeyInfo.decode(this.toByteArray());
+        if (spki.algorithm !== OID.RSASSA_PSS) return null;
+        return new PublicKey(this.issuerName, Base64.urlEncode(SubjectPublicKeyInfo.encodeRSA(spki.publicKey, null)));
     }
 
     toByteArray() {
@@ -132,6 +252,32 @@ export class PublicKey {
         return await sha256(this.toByteArray());
     }
 
+    async toJWK() {
+        return await PS384.toJWK(this.toByteArray());
+    }
+
+    /**
+     * @returns {Promise<Object>} the RSA public key as BigInts (`{n, e}`)
+     */
+    async toRSAKey() {
+        const jwk = await this.toJWK();
+        return {
+            n: toBigInt(Base64.decode(jwk.n)),
+            e: toBigInt(Base64.decode(jwk.e)),
+        };
+    }
+
+    /**
+     * The public key derived for the public metadata of a Partially Blind RSA (0xDA7A) token. The modulus is
+     * unchanged and the public exponent is derived from the metadata with `DerivePublicKey(pkI, extensions)`.
+     * @param {Extensions|number[]} extensions The public metadata (`Extensions` or its serialized form)
+     * @returns {Promise<Object>} the derived RSA public key as BigInts (`{n, e}`)
+     */
+    async deriveKey(extensions) {
+        const info = extensions instanceof Extensions ? extensions.toByteArray() : Array.from(extensions ?? []);
+        return RSAPBSSA.derivePublicKey(await this.toRSAKey(), info);
+    }
+
     async cryptoKey() {
         let publicKey;
         try {
@@ -151,27 +297,251 @@ export class PublicKey {
 
 }
 
+/**
+ * A set of issuer keys that can hold several keys per issuer. Issuers rotate their keys and publish the new key (with a
+ * `not-before`) ahead of time so tokens issued with either key may be redeemed during the rotation. Tokens only carry
+ * the `token_key_id`, so the key is resolved by ID rather than by issuer name.
+ *
+ * Keys are loaded from the issuer directory format (a single issuer or the aggregated `PRIVATE_ACCESS_TOKEN_ISSUERS.json`)
+ * or from the JWKS files (`*.jwks.json`).
+ *
+ * @see https://datatracker.ietf.org/doc/html/rfc9578#name-issuer-configuration
+ */
+export class PublicKeyRegistry {
+    #keys = [];
+
+    /**
+     * @param {PublicKey[]} keys The initial keys
+     */
+    constructor(keys = []) {
+        for (const key of keys) {
+            this.add(key);
+        }
+    }
+
+    /**
+     * Adds a key. A key that is already known (same issuer, type and SPKI) keeps its identity and only has its
+     * validity window updated.
+     * @param {PublicKey} publicKey The key to add
+     * @returns {PublicKeyRegistry} this registry (for chaining)
+     */
+    add(publicKey) {
+        const existing = this.#keys.find(k => k.issuerName === publicKey.issuerName && k.tokenType === publicKey.tokenType && k.sPKI === publicKey.sPKI);
+        if (existing) {
+            existing.keyID ??= publicKey.keyID;
+            existing.notBefore = publicKey.notBefore;
+            existing.notAfter = publicKey.notAfter;
+        }
+        else {
+            this.#keys.push(publicKey);
+        }
+        return this;
+    }
+
+    /**
+     * @param {PublicKey} publicKey The key to remove
+     * @returns {boolean} true if the key was removed
+     */
+    delete(publicKey) {
+        const index = this.#keys.indexOf(publicKey);
+        if (index >= 0) this.#keys.splice(index, 1);
+        return index >= 0;
+    }
+
+    /**
+     * Loads an issuer directory or a JWKS.
+     * @param {Object|string} data The parsed (or JSON) issuer directory or JWKS
+     * @param {string} issuerName The issuer name if not part of the data
+     * @returns {Promise<PublicKey[]>} the loaded keys
+     */
+    async load(data, issuerName) {
+        if (typeof data === "string") {
+            data = JSON.parse(data);
+        }
+        return Array.isArray(data?.keys) ? this.loadJWKS(data, issuerName) : this.loadDirectory(data, issuerName);
+    }
+
+    /**
+     * ```
+     * {
+     *   "issuer-name": "issuer.example.com", // not part of the spec but included in the files in this repo
+     *   "token-keys": [
+     *     { "token-type": 2, "token-key": "MI...AB", "not-before": 1686082850 },
+     *   ]
+     * }
+     * ```
+     * @param {Object} directory The issuer directory
+     * @param {string} issuerName The issuer name (defaults to `issuer-name` of the directory or of each key)
+     * @returns {Promise<PublicKey[]>} the loaded keys
+     */
+    async loadDirectory(directory, issuerName = directory?.["issuer-name"]) {
+        const keys = [];
+        for (const entry of directory?.["token-keys"] ?? []) {
+            const sPKI = Base64.urlEncode(Base64.decode(entry["token-key"]));
+            const publicKey = new PublicKey(issuerName ?? entry["issuer-name"] ?? "", sPKI, undefined, entry["token-type"] ?? Token.BLIND_RSA);
+            publicKey.keyID = await publicKey.toTokenKeyID();
+            publicKey.notBefore = entry["not-before"];
+            keys.push(publicKey);
+        }
+        keys.forEach(k => this.add(k));
+        return keys;
+    }
+
+    /**
+     * Loads the `PS384` keys of a JWKS with `nbf` and `exp` as the validity window. The issuer is taken from the
+     * `issuer` of the set or the `iss` of each key.
+     * @param {Object} jwks The JWKS
+     * @param {string} issuerName The issuer name (if not part of the JWKS)
+     * @returns {Promise<PublicKey[]>} the loaded keys
+     */
+    async loadJWKS(jwks, issuerName = jwks?.issuer) {
+        const keys = [];
+        for (const jwk of jwks?.keys ?? []) {
+            if (jwk.kty !== "RSA") continue;
+            const publicKey = new PublicKey(issuerName ?? jwk.iss ?? "", Base64.urlEncode(PS384.toASN(jwk)));
+            publicKey.keyID = await publicKey.toTokenKeyID();
+            publicKey.notBefore = jwk.nbf;
+            publicKey.notAfter = jwk.exp;
+            keys.push(publicKey);
+        }
+        keys.forEach(k => this.add(k));
+        return keys;
+    }
+
+    /**
+     * @param {string} issuerName The issuer name (all issuers if not provided)
+     * @returns {PublicKey[]} the keys of the issuer, valid or not
+     */
+    keys(issuerName) {
+        return this.#keys.filter(k => issuerName === undefined || k.issuerName === issuerName);
+    }
+
+    /**
+     * @param {string} issuerName The issuer name
+     * @param {number} now The time (epoch ms)
+     * @returns {PublicKey|undefined} the most recent key of the issuer that is currently valid
+     */
+    get(issuerName, now = Date.now()) {
+        if (typeof issuerName !== "string") return;
+        return this.keys(issuerName)
+            .filter(k => k.isValid(now))
+            .reduce((current, k) => (current && (current.notBefore ?? 0) >= (k.notBefore ?? 0) ? current : k), undefined);
+    }
+
+    /**
+     * @param {string|number[]} key The token key ID or the SPKI
+     * @param {number} now The time (epoch ms)
+     * @returns {PublicKey|undefined} the valid key with the token key ID (or SPKI)
+     */
+    find(key, now = Date.now()) {
+        const value = key?.toString();
+        return this.#keys.find(k => (k.sPKI === value || k.keyID?.toString() === value) && k.isValid(now));
+    }
+}
+
 export class Token {
     static VOPRF = 0x0001;
     static BLIND_RSA = 0x0002;
+    static RATE_LIMITED = 0x0003;
+    static PARTIALLY_BLIND_RSA = 0xDA7A;
 
-    constructor(tokenType, nonce, challengeHash, tokenKeyID, authenticator) {
+    /**
+     * @param {number} tokenType The token type
+     * @param {number[]} nonce The client nonce
+     * @param {number[]} challengeHash The `sha256()` of the challenge
+     * @param {number[]} tokenKeyID The token key ID of the issuer key
+     * @param {number[]} authenticator The authenticator
+     * @param {Extensions} extensions The public metadata (Partially Blind RSA only). This is not part of the token
+     *                                and is sent alongside in the `extensions` auth-param.
+     */
+    constructor(tokenType, nonce, challengeHash, tokenKeyID, authenticator, extensions) {
         this.tokenType = tokenType;
-        this.nonce = nonce;
-        this.challengeHash = challengeHash;
-        this.tokenKeyID = tokenKeyID;
-        this.authenticator = authenticator;
+        this.nonce = ByteBuffer.toUint8Array(nonce);
+        this.challengeHash = ByteBuffer.toUint8Array(challengeHash);
+        this.tokenKeyID = ByteBuffer.toUint8Array(tokenKeyID);
+        this.authenticator = ByteBuffer.toUint8Array(authenticator);
+        this.extensions = extensions;
     }
 
-    static from(data) {
-        const tokenBytes = Base64.decode(data);
+    static #TYPES = new Map();
+
+    static {
+        const rsaNk = publicKey => (publicKey?.sPKI ? SubjectPublicKeyInfo.decode(publicKey.toByteArray()).publicKey.n.length : 256);
+        Token.register(Token.VOPRF, "VOPRF(P-384, SHA-384)", VOPRF_P384.Nh);
+        Token.register(Token.BLIND_RSA, "Blind RSA", rsaNk);
+        Token.register(Token.RATE_LIMITED, "Rate-Limited Blind RSA", rsaNk);
+        Token.register(Token.PARTIALLY_BLIND_RSA, "Partially Blind RSA", rsaNk);
+    }
+
+    /**
+     * Registers a token type so that its tokens can be parsed. Every token type shares the token structure and only
+     * differs in the size of the authenticator (`Nk`):
+     * ```
+     * struct {
+     *   uint16_t token_type;
+     *   uint8_t nonce[32];
+     *   uint8_t challenge_digest[32];
+     *   uint8_t token_key_id[Nid];
+     *   uint8_t authenticator[Nk];
+     * } Token;
+     * ```
+     * @param {number} tokenType The token type
+     * @param {string} name The name of the token type
+     * @param {number|Function} Nk The authenticator length, or a function of the issuer `PublicKey` (which may be
+     *                             undefined if the key isn't known) that returns the length
+     * @returns {void}
+     * @see https://www.iana.org/assignments/privacy-pass/privacy-pass.xhtml#privacy-pass-token-types
+     */
+    static register(tokenType, name, Nk) {
+        Token.#TYPES.set(tokenType, { name, Nk });
+    }
+
+    /**
+     * @param {number} tokenType The token type
+     * @returns {string|undefined} the name of the token type if it is registered
+     */
+    static typeName(tokenType) {
+        return Token.#TYPES.get(tokenType)?.name;
+    }
+
+    /**
+     * @param {number} tokenType The token type
+     * @param {PublicKey} publicKey The issuer key (for token types where `Nk` depends on the key size)
+     * @returns {number} the length of the authenticator (`Nk`)
+     */
+    static authenticatorLength(tokenType, publicKey) {
+        const type = Token.#TYPES.get(tokenType);
+        if (!type) {
+            throw new DecodeError(`Unsupported token type: ${tokenType}`, { offset: 0, field: "token_type" });
+        }
+        return typeof type.Nk === "function" ? type.Nk(publicKey) : type.Nk;
+    }
+
+    /**
+     * Parses a token. The length of the authenticator is derived from the token type and, for RSA based token types,
+     * from the modulus of the issuer key. The key is looked up by `token_key_id` in the `registry` when not provided;
+     * 2048-bit keys are assumed for unknown keys.
+     *
+     * @param {string|number[]|Uint8Array} data The base64url encoded (or raw) token
+     * @param {PublicKey} publicKey The issuer key
+     * @param {Base64Codec} codec The codec an encoded token must follow (default `Base64.HEADER`)
+     * @param {PublicKeyRegistry} registry Where to look up the issuer key (anything with `find(tokenKeyID)`, default
+     *                                     `PublicKey.registry`)
+     * @returns {Token} the token
+     * @throws {DecodeError} if the token is not valid base64, the token type is unknown or the token is truncated or
+     *                       has trailing data
+     */
+    static from(data, publicKey, codec = Base64.HEADER, registry = PublicKey.registry) {
+        const tokenBytes = ByteBuffer.toUint8Array(typeof data === "string" ? codec.decode(data) : data ?? []);
         const byteBuffer = new ByteBuffer(tokenBytes);
 
-        const tokenType = byteBuffer.readInt(2);
-        const nonce = byteBuffer.readBytes(32);
-        const challengeHash = byteBuffer.readBytes(32);
-        const tokenKeyID = byteBuffer.readBytes(32);
-        const authenticator = byteBuffer.readBytes(256);
+        const tokenType = byteBuffer.readInt(2, "token_type");
+        const Nk = Token.authenticatorLength(tokenType, publicKey ?? registry.find(tokenBytes.slice(66, 98)));
+        const nonce = byteBuffer.readBytes(32, "nonce");
+        const challengeHash = byteBuffer.readBytes(32, "challenge_digest");
+        const tokenKeyID = byteBuffer.readBytes(32, "token_key_id");
+        const authenticator = byteBuffer.readBytes(Nk, "authenticator");
+        byteBuffer.expectEnd("authenticator");
 
         return new Token(tokenType, nonce, challengeHash, tokenKeyID, authenticator);
     }
@@ -190,8 +560,28 @@ export class Token {
         return this.toByteArray();
     }
 
-    toString() {
-        return Base64.urlEncode(this.toByteArray());
+    /**
+     * @param {Base64Codec} codec The codec to encode with (default `Base64.URL`, padded and unquoted)
+     * @returns {string} the encoded token
+     */
+    toString(codec = Base64.URL) {
+        return codec.encode(this.toByteArray());
+    }
+
+    /**
+     * The token input that the authenticator is computed over.
+     * ```
+     * token_input = concat(token_type, nonce, challenge_digest, token_key_id)
+     * ```
+     * @returns {number[]} The token input bytes
+     */
+    toTokenInput() {
+        return new ByteBuffer()
+            .writeInt(this.tokenType, 2)
+            .writeBytes(this.nonce)
+            .writeBytes(this.challengeHash)
+            .writeBytes(this.tokenKeyID)
+            .toBytes();
     }
 
     getTokenKey() {
@@ -199,7 +589,7 @@ export class Token {
     }
 
     verifyTokenType() {
-        return this.tokenType === Token.VOPRF || this.tokenType === Token.BLIND_RSA;
+        return [Token.VOPRF, Token.BLIND_RSA, Token.RATE_LIMITED, Token.PARTIALLY_BLIND_RSA].includes(this.tokenType);
     }
 
     async verifyChallengeHash(challenge) {
@@ -211,26 +601,725 @@ export class Token {
         return this.tokenKeyID.toString() === publicKey.keyID.toString();
     }
 
-    async verifyAuthenticator(challengeTokenKey) {
-        const publicKey = await challengeTokenKey?.cryptoKey();
-        if (publicKey) {
-            const data = Uint8Array.from([].concat(ByteBuffer.numberToBytes(this.tokenType, 2), this.nonce, this.challengeHash, this.tokenKeyID));
-            const signature = Uint8Array.from(this.authenticator);
+    /**
+     * Verifies the token authenticator. Blind RSA tokens are publicly verifiable with the issuer public key. VOPRF
+     * tokens are privately verifiable and require the issuer secret key. Partially Blind RSA tokens are verified with
+     * the issuer public key derived for the token `extensions`.
+     *
+     * From https://datatracker.ietf.org/doc/html/rfc9578#name-token-verification
+     * > token_authenticator_input =
+     * >   concat(Token.token_type,
+     * >          Token.nonce,
+     * >          Token.challenge_digest,
+     * >          Token.token_key_id)
+     * > token_authenticator =
+     * >   server_context.Evaluate(skI, token_authenticator_input)
+     * > valid = (token_authenticator == Token.authenticator)
+     *
+     * @param {PublicKey} challengeTokenKey The issuer public key
+     * @param {BigInt|Object|number[]} secretKey The issuer secret key (VOPRF only) as a scalar, byte array or JWK
+     * @returns {Promise<boolean>} true if the authenticator is valid
+     */
+    async verifyAuthenticator(challengeTokenKey, secretKey) {
+        return (await this.#checkAuthenticator(challengeTokenKey, secretKey)).passed;
+    }
+
+    /**
+     * @param {PublicKey} challengeTokenKey The issuer public key
+     * @param {BigInt|Object|number[]} secretKey The issuer secret key (VOPRF only)
+     * @returns {Promise<Object>} `{passed, reason}` where the reason explains why the authenticator is not valid
+     */
+    async #checkAuthenticator(challengeTokenKey, secretKey) {
+        if (this.tokenType === Token.VOPRF) {
+            if (secretKey?.d) secretKey = Base64.decode(secretKey.d);
+            if (Array.isArray(secretKey) || ArrayBuffer.isView(secretKey)) secretKey = toBigInt(secretKey);
+            if (typeof secretKey !== "bigint") {
+                return { passed: false, reason: "VOPRF tokens require the issuer secret key" };
+            }
 
             try {
-                return await crypto.subtle.verify({name:"RSA-PSS", saltLength: 48},  publicKey, signature, data);
+                const authenticator = Array.from(VOPRF_P384.evaluate(secretKey, this.toTokenInput()));
+                // constant time comparison
+                let diff = authenticator.length ^ this.authenticator.length;
+                for (let i = 0; i < authenticator.length; i++) {
+                    diff |= authenticator[i] ^ this.authenticator[i];
+                }
+                return { passed: diff === 0, reason: diff === 0 ? null : "authenticator does not match Evaluate(skI, token_input)" };
             }
-            catch {
+            catch (e) {
+                return { passed: false, reason: e.message };
+            }
+        }
+
+        if (this.tokenType === Token.PARTIALLY_BLIND_RSA) {
+            try {
+                const pk = await PublicKey.from(challengeTokenKey).toRSAKey();
+                const info = this.extensions?.toByteArray() ?? new Extensions().toByteArray();
+                const passed = RSAPBSSA.verify(pk, this.toTokenInput(), info, this.authenticator);
+                return { passed, reason: passed ? null : "invalid RSAPBSSA signature for the token extensions" };
+            }
+            catch (e) {
+                return { passed: false, reason: e.message };
             }
         }
 
-        return false;
+        try {
+            const publicKey = await challengeTokenKey?.cryptoKey();
+            if (!publicKey) {
+                return { passed: false, reason: "no issuer public key" };
+            }
+            const data = Uint8Array.from(this.toTokenInput());
+            const signature = Uint8Array.from(this.authenticator);
+            const passed = await crypto.subtle.verify({name:"RSA-PSS", saltLength: 48},  publicKey, signature, data);
+            return { passed, reason: passed ? null : "invalid RSA-PSS signature" };
+        }
+        catch (e) {
+            return { passed: false, reason: e.message };
+        }
+    }
+
+    /**
+     * @param {Challenge} challenge The challenge the token is expected to be for
+     * @param {PublicKey} challengeTokenKey The issuer public key
+     * @param {BigInt|Object|number[]} secretKey The issuer secret key (VOPRF only)
+     * @param {Object} options `host` of the request to check against the challenge origins and `allowCrossOrigin`
+     * @returns {Promise<boolean>} true if the token is valid
+     */
+    async verify(challenge, challengeTokenKey, secretKey, options = {}) {
+        return (await this.verifyDetailed(challenge, challengeTokenKey, secretKey, options)).valid;
+    }
+
+    /**
+     * Runs every verification check and reports the expected and actual value of each, so that a failing token can be
+     * diagnosed (eg. a challenge that was re-encoded or a token for a rotated key).
+     *
+     * @param {Challenge} challenge The challenge the token is expected to be for
+     * @param {PublicKey} challengeTokenKey The issuer public key
+     * @param {BigInt|Object|number[]} secretKey The issuer secret key (VOPRF only)
+     * @param {Object} options `host` of the request to check against the challenge origins and `allowCrossOrigin`
+     * @returns {Promise<VerificationResult>} the result of each check
+     */
+    async verifyDetailed(challenge, challengeTokenKey, secretKey, { host, allowCrossOrigin = true } = {}) {
+        const result = new VerificationResult();
+
+        const typeName = type => `${type} (${Token.typeName(type) ?? "unknown"})`;
+        result.add("token_type", this.verifyTokenType() && this.tokenType === challenge.tokenType,
+            typeName(challenge.tokenType), typeName(this.tokenType),
+            !this.verifyTokenType() ? "unsupported token type" : "token type does not match the challenge");
+
+        if (host !== undefined) {
+            result.add("origin", challenge.verifyOrigin(host, allowCrossOrigin),
+                challenge.originInfo || (allowCrossOrigin ? "*" : ""), [host].flat().join(","),
+                "the host is not one of the challenge origins");
+        }
+
+        const challengeHash = await sha256(challenge.toByteArray());
+        result.add("challenge_digest", await this.verifyChallengeHash(challenge),
+            Hex.encode(challengeHash), Hex.encode(Array.from(this.challengeHash ?? [])),
+            "the token is for a different challenge");
+
+        const publicKey = challengeTokenKey ? PublicKey.from(challengeTokenKey) : null;
+        const keyID = publicKey ? Array.from(publicKey.keyID ?? await publicKey.toTokenKeyID()) : [];
+        result.add("token_key_id", keyID.length > 0 && keyID.toString() === Array.from(this.tokenKeyID ?? []).toString(),
+            Hex.encode(keyID), Hex.encode(Array.from(this.tokenKeyID ?? [])),
+            publicKey ? "the token was issued with a different key" : "no issuer public key");
+
+        const { passed, reason } = await this.#checkAuthenticator(publicKey, secretKey);
+        result.add("authenticator", passed, `${Token.typeName(this.tokenType) ?? "unknown"} authenticator`,
+            Hex.encode(Array.from(this.authenticator ?? [])), reason);
+
+        return result;
+    }
+}
+
+/**
+ * The outcome of `Token.verifyDetailed()`: every check with the expected and actual values. Serializes to JSON for
+ * logging and `toString()` gives a one line per check summary.
+ *
+ * ```
+ * {
+ *   "valid": false,
+ *   "reason": "challenge_digest: the token is for a different challenge",
+ *   "checks": [
+ *     { "check": "token_type", "passed": true, "expected": "2 (Blind RSA)", "actual": "2 (Blind RSA)", "reason": null },
+ *     ...
+ *   ]
+ * }
+ * ```
+ */
+export class VerificationResult {
+    /**
+     * @param {Object[]} checks The `{check, passed, expected, actual, reason}` of each check
+     */
+    constructor(checks = []) {
+        this.checks = checks;
+    }
+
+    /**
+     * @param {string} check The name of the check (the field of the token that is verified)
+     * @param {boolean} passed Whether the check passed
+     * @param {*} expected The expected value
+     * @param {*} actual The value of the token
+     * @param {string} reason Why the check failed (ignored if it passed)
+     * @returns {boolean} passed
+     */
+    add(check, passed, expected, actual, reason) {
+        passed = !!passed;
+        this.checks.push({ check, passed, expected, actual, reason: passed ? null : reason ?? "failed" });
+        return passed;
     }
 
-    async verify(challenge, challengeTokenKey) {
-        return this.verifyTokenType()
-            && await this.verifyChallengeHash(challenge)
-            && this.verifyTokenKeyID(challengeTokenKey)
-            && await this.verifyAuthenticator(challengeTokenKey);
+    get valid() {
+        return this.checks.length > 0 && this.checks.every(c => c.passed);
+    }
+
+    /**
+     * @returns {string|null} the reason of the first failed check
+     */
+    get reason() {
+        const failed = this.checks.find(c => !c.passed);
+        return failed ? `${failed.check}: ${failed.reason}` : null;
+    }
+
+    toJSON() {
+        return { valid: this.valid, reason: this.reason, checks: this.checks };
+    }
+
+    toString() {
+        return this.checks
+            .map(c => `${c.passed ? "✓" : "✗"} ${c.check}${c.passed ? "" : `: ${c.reason} (expected ${c.expected}, actual ${c.actual})`}`)
+            .join("\n");
+    }
+}
+
+/**
+ * Public metadata bound to Partially Blind RSA (0xDA7A) tokens. Extensions are sent with the token request and the
+ * token in the `extensions` auth-param and are used as the `info` of the RSAPBSSA signature.
+ *
+ * ```
+ * struct {
+ *     ExtensionType extension_type;
+ *     opaque extension_data<0..2^16-1>;
+ * } Extension;
+ *
+ * struct {
+ *     Extension extensions<0..2^16-1>;
+ * } Extensions;
+ * ```
+ * @see https://datatracker.ietf.org/doc/html/draft-wood-privacypass-auth-scheme-extensions
+ * @see https://datatracker.ietf.org/doc/html/draft-hendrickson-privacypass-public-metadata
+ */
+export class Extensions {
+    /**
+     * @param {Array<Object>} extensions The list of `{extensionType, extensionData}`, sorted by extension type
+     */
+    constructor(extensions = []) {
+        this.extensions = extensions.map(({ extensionType, extensionData }) => ({
+            extensionType,
+            extensionData: ByteBuffer.stringToBytes(extensionData),
+        }));
+
+        for (let i = 1; i < this.extensions.length; i++) {
+            if (this.extensions[i].extensionType < this.extensions[i - 1].extensionType) {
+                throw new Error("Extensions must be sorted by extension type");
+            }
+        }
+    }
+
+    /**
+     * @param {string|Uint8Array|number[]} data The encoded extensions
+     * @returns {Extensions} The decoded `Extensions`
+     * @throws {DecodeError} if the extensions are truncated or have trailing data
+     */
+    static from(data) {
+        const extensionBytes = typeof data === "string" ? Base64.decode(data) : data;
+        const byteBuffer = new ByteBuffer(extensionBytes);
+
+        const length = byteBuffer.readInt(2, "extensions");
+        const content = new ByteBuffer(byteBuffer.readBytes(length, "extensions"));
+        byteBuffer.expectEnd("extensions");
+
+        const extensions = [];
+        while (content.remaining > 0) {
+            const extensionType = content.readInt(2, "extension_type");
+            const extensionData = content.readBytes(content.readInt(2, "extension_data"), "extension_data");
+            extensions.push({ extensionType, extensionData });
+        }
+        return new Extensions(extensions);
+    }
+
+    toByteArray() {
+        const content = new ByteBuffer();
+        for (const { extensionType, extensionData } of this.extensions) {
+            content.writeInt(extensionType, 2)
+                .writeInt(extensionData.length, 2)
+                .writeBytes(extensionData);
+        }
+        const bytes = content.toBytes();
+        return new ByteBuffer()
+            .writeInt(bytes.length, 2)
+            .writeBytes(bytes)
+            .toBytes();
+    }
+
+    toString() {
+        return Base64.urlEncode(this.toByteArray());
+    }
+}
+
+/**
+ * A token issuance request sent from the client to the issuer.
+ *
+ * ```
+ * struct {
+ *   uint16_t token_type = 0x0002; // Type Blind RSA (2048-bit)
+ *   uint8_t truncated_token_key_id;
+ *   uint8_t blinded_msg[Nk];
+ * } TokenRequest;
+ * ```
+ * For VOPRF (0x0001) tokens the `blinded_msg` is the serialized blinded element (`Ne` = 49 bytes).
+ *
+ * Partially Blind RSA (0xDA7A) requests carry the public metadata as an `ExtendedTokenRequest`:
+ * ```
+ * struct {
+ *   TokenRequest request;
+ *   Extensions extensions;
+ * } ExtendedTokenRequest;
+ * ```
+ * @see https://datatracker.ietf.org/doc/html/rfc9578#name-client-to-issuer-request
+ * @see https://datatracker.ietf.org/doc/html/rfc9578#name-client-to-issuer-request-2
+ * @see https://datatracker.ietf.org/doc/html/draft-hendrickson-privacypass-public-metadata
+ */
+export class TokenRequest {
+    /**
+     * @param {number} tokenType The token type (`Token.VOPRF`, `Token.BLIND_RSA` or `Token.PARTIALLY_BLIND_RSA`)
+     * @param {number} truncatedTokenKeyID The least significant byte of the token key ID
+     * @param {Uint8Array|number[]} blindedMsg The blinded token input
+     * @param {Extensions} extensions The public metadata (Partially Blind RSA only)
+     */
+    constructor(tokenType, truncatedTokenKeyID, blindedMsg, extensions) {
+        this.tokenType = tokenType;
+        this.truncatedTokenKeyID = truncatedTokenKeyID;
+        this.blindedMsg = ByteBuffer.toUint8Array(blindedMsg);
+        this.extensions = extensions;
+    }
+
+    /**
+     * Creates a `TokenRequest` from a Base64 string or byte array. The length of `blinded_msg` is inferred from the
+     * remaining bytes, except for Partially Blind RSA where it is `Nk` bytes followed by the extensions. `Nk` is
+     * derived from the modulus of the issuer key, which is looked up by `truncated_token_key_id` in the `registry` when
+     * not provided (as for `Token.from()`); 2048-bit keys are assumed for unknown keys.
+     * @param {string|Uint8Array|number[]} data The encoded request
+     * @param {PublicKey} publicKey The issuer key
+     * @param {PublicKeyRegistry} registry Where to look up the issuer key (default `PublicKey.registry`)
+     * @returns {TokenRequest} The decoded `TokenRequest`
+     * @throws {DecodeError} if the request is truncated
+     */
+    static from(data, publicKey, registry = PublicKey.registry) {
+        const requestBytes = typeof data === "string" ? Base64.decode(data) : data;
+        const byteBuffer = new ByteBuffer(requestBytes);
+
+        const tokenType = byteBuffer.readInt(2, "token_type");
+        const truncatedTokenKeyID = byteBuffer.readInt(1, "truncated_token_key_id");
+        if (tokenType === Token.PARTIALLY_BLIND_RSA) {
+            publicKey ??= registry.keys().find(key => key.tokenType === tokenType && key.keyID?.slice(-1)[0] === truncatedTokenKeyID && key.isValid());
+            const blindedMsg = byteBuffer.readBytes(Token.authenticatorLength(tokenType, publicKey), "blinded_msg");
+            const extensions = Extensions.from(byteBuffer.readBytes(byteBuffer.remaining, "extensions"));
+            return new TokenRequest(tokenType, truncatedTokenKeyID, blindedMsg, extensions);
+        }
+        const blindedMsg = byteBuffer.readBytes(byteBuffer.remaining, "blinded_msg");
+
+        return new TokenRequest(tokenType, truncatedTokenKeyID, blindedMsg);
+    }
+
+    toByteArray() {
+        const byteBuffer = new ByteBuffer()
+            .writeInt(this.tokenType, 2)
+            .writeInt(this.truncatedTokenKeyID, 1)
+            .writeBytes(this.blindedMsg);
+        if (this.tokenType === Token.PARTIALLY_BLIND_RSA) {
+            byteBuffer.writeBytes((this.extensions ?? new Extensions()).toByteArray());
+        }
+        return byteBuffer.toBytes();
+    }
+
+    toString() {
+        return Base64.urlEncode(this.toByteArray());
+    }
+}
+
+/**
+ * The issuer response to a `TokenRequest`.
+ *
+ * ```
+ * struct {
+ *   uint8_t evaluate_msg[Ne];
+ *   uint8_t evaluate_proof[Ns+Ns];
+ * } TokenResponse; // VOPRF (0x0001)
+ *
+ * struct {
+ *   uint8_t blind_sig[Nk];
+ * } TokenResponse; // Blind RSA (0x0002)
+ * ```
+ * @see https://datatracker.ietf.org/doc/html/rfc9578#name-issuer-to-client-response
+ * @see https://datatracker.ietf.org/doc/html/rfc9578#name-issuer-to-client-response-2
+ */
+export class TokenResponse {
+    /**
+     * @param {Uint8Array|number[]} blindSig The blind signature (Blind RSA) or the serialized evaluated element (VOPRF)
+     * @param {Uint8Array|number[]} evaluateProof The serialized DLEQ proof (VOPRF only)
+     */
+    constructor(blindSig, evaluateProof) {
+        this.blindSig = ByteBuffer.toUint8Array(blindSig);
+        this.evaluateProof = evaluateProof ? ByteBuffer.toUint8Array(evaluateProof) : undefined;
+    }
+
+    /**
+     * Creates a `TokenResponse` from a Base64 string or byte array.
+     * @param {string|Uint8Array|number[]} data The encoded response
+     * @param {number} tokenType The token type of the corresponding request
+     * @returns {TokenResponse} The decoded `TokenResponse`
+     * @throws {DecodeError} if a VOPRF response is truncated or has trailing data
+     */
+    static from(data, tokenType = Token.BLIND_RSA) {
+        const responseBytes = ByteBuffer.toUint8Array(typeof data === "string" ? Base64.decode(data) : data ?? []);
+        if (tokenType === Token.VOPRF) {
+            const byteBuffer = new ByteBuffer(responseBytes);
+            const evaluateMsg = byteBuffer.readBytes(VOPRF_P384.Ne, "evaluate_msg");
+            const evaluateProof = byteBuffer.readBytes(2 * VOPRF_P384.Ns, "evaluate_proof");
+            byteBuffer.expectEnd("evaluate_proof");
+            return new TokenResponse(evaluateMsg, evaluateProof);
+        }
+        return new TokenResponse(responseBytes);
+    }
+
+    get evaluateMsg() {
+        return this.blindSig;
+    }
+
+    toByteArray() {
+        return new ByteBuffer()
+            .writeBytes(this.blindSig)
+            .writeBytes(this.evaluateProof ?? [])
+            .toBytes();
+    }
+
+    toString() {
+        return Base64.urlEncode(this.toByteArray());
+    }
+}
+
+/**
+ * A token issuer. For publicly verifiable (Blind RSA) tokens the issuer holds the RSA-PSS private key and produces
+ * blind signatures (RSABSSA-SHA384-PSS-Deterministic) over the clients' blinded token inputs. For privately verifiable
+ * (VOPRF) tokens the issuer holds the P-384 secret key and evaluates the blinded elements with VOPRF(P-384, SHA-384).
+ * Partially Blind RSA tokens additionally bind the public metadata (`Extensions`) of the request with
+ * RSAPBSSA-SHA384-PSS-Deterministic, which requires the prime factors of the private key.
+ * @see https://datatracker.ietf.org/doc/html/rfc9578#name-issuance-protocol-for-priva
+ * @see https://datatracker.ietf.org/doc/html/rfc9578#name-issuance-protocol-for-publi
+ */
+export class PrivateAccessTokenIssuer {
+    /**
+     * @param {string} issuerName The name of the issuer, used in the `Challenge`
+     * @param {Object} privateKey The private key in JWK form (`n`, `e`, `d` (`p`, `q`) for RSA or `d` for EC)
+     * @param {PublicKey} publicKey The corresponding public key with its token key ID and token type
+     */
+    constructor(issuerName, privateKey, publicKey) {
+        this.issuerName = issuerName;
+        if (publicKey?.tokenType === Token.VOPRF) {
+            this.#privateKey = toBigInt(Base64.decode(privateKey?.d));
+        }
+        else {
+            this.#privateKey = {
+                n: toBigInt(Base64.decode(privateKey?.n)),
+                e: toBigInt(Base64.decode(privateKey?.e)),
+                d: toBigInt(Base64.decode(privateKey?.d)),
+            };
+            // the prime factors are required for RSAPBSSA and speed up signing (CRT) otherwise
+            if (publicKey?.tokenType === Token.PARTIALLY_BLIND_RSA || (privateKey?.p && privateKey?.q)) {
+                this.#privateKey.p = toBigInt(Base64.decode(privateKey?.p));
+                this.#privateKey.q = toBigInt(Base64.decode(privateKey?.q));
+            }
+        }
+        this.publicKey = publicKey;
+    }
+
+    /**
+     * The private key for this issuer. We intentionally don't make the private key accessible
+     */
+    #privateKey;
+
+    /**
+     * Creates an issuer from a JWK private key. The public key and the token key ID are derived from the private key.
+     * An RSA key (`kty: "RSA"`) produces a Blind RSA issuer with the RSASSA-PSS SPKI as the token key. A P-384 key
+     * (`kty: "EC"`) produces a VOPRF issuer with `SerializeElement(pkI)` as the token key.
+     * @param {string} issuerName The name of the issuer
+     * @param {Object} jwk The private key in JWK form
+     * @param {number} tokenType The token type for RSA keys (`Token.BLIND_RSA`, `Token.RATE_LIMITED` or
+     *                           `Token.PARTIALLY_BLIND_RSA`)
+     * @returns {Promise<PrivateAccessTokenIssuer>} The issuer
+     */
+    static async from(issuerName, jwk, tokenType = Token.BLIND_RSA) {
+        if (jwk?.kty === "EC") {
+            const skI = toBigInt(Base64.decode(jwk.d));
+            const pkI = VOPRF_P384.serializeElement(VOPRF_P384.generator.multiply(skI), true);
+            const keyID = await sha256(pkI);
+            const publicKey = new PublicKey(issuerName, Base64.urlEncode(pkI), Base64.urlEncode(keyID), Token.VOPRF);
+            return new PrivateAccessTokenIssuer(issuerName, jwk, publicKey);
+        }
+
+        const sPKI = PS384.toASN(jwk, false);
+        const keyID = await sha256(sPKI);
+        const publicKey = new PublicKey(issuerName, Base64.urlEncode(sPKI), Base64.urlEncode(keyID), tokenType);
+        return new PrivateAccessTokenIssuer(issuerName, jwk, publicKey);
+    }
+
+    /**
+     * Creates an issuer with a freshly generated key pair. Partially Blind RSA requires an RSA key with safe primes
+     * which can't be generated with WebCrypto; use `from()` with an existing key instead.
+     * @param {string} issuerName The name of the issuer
+     * @param {number} tokenType The token type to issue (`Token.VOPRF`, `Token.BLIND_RSA` or `Token.RATE_LIMITED`)
+     * @param {number} modulusLength The size of the RSA modulus in bits (Blind RSA only)
+     * @returns {Promise<PrivateAccessTokenIssuer>} The issuer
+     */
+    static async generate(issuerName, tokenType = Token.BLIND_RSA, modulusLength = 2048) {
+        if (tokenType === Token.PARTIALLY_BLIND_RSA) {
+            throw new Error("Partially Blind RSA keys require safe primes and can't be generated");
+        }
+        if (tokenType === Token.VOPRF) {
+            let skI = 0n;
+            while (skI === 0n) {
+                skI = VOPRF_P384.randomScalar();
+            }
+            const pkI = VOPRF_P384.generator.multiply(skI).toAffine();
+            return PrivateAccessTokenIssuer.from(issuerName, {
+                kty: "EC",
+                crv: "P-384",
+                x: Base64.urlEncode(VOPRF_P384.serializeScalar(pkI.x)),
+                y: Base64.urlEncode(VOPRF_P384.serializeScalar(pkI.y)),
+                d: Base64.urlEncode(VOPRF_P384.serializeScalar(skI)),
+            });
+        }
+
+        const keyPair = await crypto.subtle.generateKey({
+            name: "RSA-PSS",
+            modulusLength,
+            publicExponent: new Uint8Array([0x01, 0x00, 0x01]),
+            hash: "SHA-384",
+        }, true, ["sign", "verify"]);
+        const jwk = await crypto.subtle.exportKey("jwk", keyPair.privateKey);
+        return PrivateAccessTokenIssuer.from(issuerName, jwk, tokenType);
+    }
+
+    /**
+     * Evaluates a `TokenRequest` and produces the blind signature.
+     *
+     * From https://datatracker.ietf.org/doc/html/rfc9578#name-issuer-to-client-response-2
+     * > Upon receipt of the request, the Issuer validates the following conditions:
+     * > - The TokenRequest contains a supported token_type.
+     * > - The TokenRequest.truncated_token_key_id corresponds to the truncated key ID of a Public Key owned by the
+     * >   issuer.
+     * > - The TokenRequest.blinded_msg is of the correct size.
+     * >
+     * > If any of these conditions is not met, the Issuer MUST return an HTTP 422 (Unprocessable Content) error to
+     * > the client. If these conditions are met, the Issuer then tries to deserialize TokenRequest.blinded_msg using
+     * > RSAOS2IP, yielding blinded_msg. If this fails, the Issuer MUST return an HTTP 422 (Unprocessable Content)
+     * > error to the client. Otherwise, if the Issuer is willing to produce a token to the Client, the Issuer
+     * > completes the issuance flow by computing a blinded response as follows:
+     * >
+     * > blind_sig = BlindSign(skI, TokenRequest.blinded_msg)
+     *
+     * For Partially Blind RSA the blind signature is `BlindSign(skI, blinded_msg, extensions)`.
+     *
+     * From https://datatracker.ietf.org/doc/html/rfc9578#name-issuer-to-client-response
+     * > blinded_element = DeserializeElement(TokenRequest.blinded_msg)
+     * > evaluated_element, proof =
+     * >   server_context.BlindEvaluate(skI, pkI, blinded_element)
+     * > evaluate_msg = SerializeElement(evaluated_element)
+     * > evaluate_proof = concat(SerializeScalar(proof[0]),
+     * >                        SerializeScalar(proof[1]))
+     *
+     * @param {TokenRequest|string} tokenRequest The token request from the client
+     * @param {BigInt} r The random scalar for the VOPRF proof (for testing)
+     * @returns {TokenResponse} The token response with the blind signature or evaluated element
+     */
+    issue(tokenRequest, r) {
+        if (!(tokenRequest instanceof TokenRequest)) {
+            tokenRequest = TokenRequest.from(tokenRequest, this.publicKey);
+        }
+
+        if (tokenRequest.tokenType !== this.publicKey.tokenType) {
+            throw new Error(`Unsupported token type: ${tokenRequest.tokenType}`);
+        }
+        if (tokenRequest.truncatedTokenKeyID !== this.publicKey.keyID.slice(-1)[0]) {
+            throw new Error(`Unknown token key ID: ${tokenRequest.truncatedTokenKeyID}`);
+        }
+
+        if (tokenRequest.tokenType === Token.VOPRF) {
+            if (tokenRequest.blindedMsg.length !== VOPRF_P384.Ne) {
+                throw new Error("unexpected input size");
+            }
+            const pkI = VOPRF_P384.deserializeElement(this.publicKey.toByteArray());
+            const blindedElement = VOPRF_P384.deserializeElement(tokenRequest.blindedMsg);
+            const [evaluatedElement, proof] = VOPRF_P384.blindEvaluate(this.#privateKey, pkI, blindedElement, r);
+            const evaluateProof = VOPRF_P384.serializeScalar(proof[0]).concat(VOPRF_P384.serializeScalar(proof[1]));
+            return new TokenResponse(VOPRF_P384.serializeElement(evaluatedElement, true), evaluateProof);
+        }
+
+        if (tokenRequest.tokenType === Token.PARTIALLY_BLIND_RSA) {
+            const info = (tokenRequest.extensions ?? new Extensions()).toByteArray();
+            return new TokenResponse(RSAPBSSA.blindSign(this.#privateKey, tokenRequest.blindedMsg, info));
+        }
+
+        const blindSig = RSABSSA.blindSign(this.#privateKey, tokenRequest.blindedMsg);
+        return new TokenResponse(blindSig);
+    }
+
+    /**
+     * Verifies a token issued by this issuer. This is required for privately verifiable (VOPRF) tokens since the
+     * authenticator can only be recomputed with the issuer secret key.
+     * @param {Token} token The token to verify
+     * @param {Challenge} challenge The challenge the token was issued for
+     * @returns {Promise<boolean>} true if the token is valid
+     */
+    async verify(token, challenge) {
+        return token.verify(challenge, this.publicKey, this.#privateKey);
+    }
+}
+
+/**
+ * The client half of the issuance protocol for VOPRF, Blind RSA and Partially Blind RSA tokens. A client is created for a single
+ * `Challenge` and `PublicKey`; it produces the `TokenRequest` and then unblinds the issuer's `TokenResponse` into a
+ * `Token` that can be redeemed with the origin.
+ * @see https://datatracker.ietf.org/doc/html/rfc9578#name-client-to-issuer-request-2
+ */
+export class PrivateAccessTokenClient {
+    /**
+     * @param {Challenge|string} challenge The challenge from the origin
+     * @param {PublicKey|string} publicKey The issuer public key (defaults to the key of the challenge issuer)
+     * @param {Extensions} extensions The public metadata to bind to the token (Partially Blind RSA only)
+     */
+    constructor(challenge, publicKey, extensions) {
+        this.challenge = challenge instanceof Challenge ? challenge : Challenge.from(challenge);
+        this.publicKey = PublicKey.from(publicKey ?? this.challenge.getTokenKey());
+        this.extensions = extensions ?? new Extensions();
+    }
+
+    /**
+     * The pending token (without authenticator) and blinding state for the outstanding request
+     */
+    #token;
+    #inv;
+    #blindedElement;
+
+    /**
+     * Creates the blinded `TokenRequest` for the challenge.
+     *
+     * From https://datatracker.ietf.org/doc/html/rfc9578#name-client-to-issuer-request-2
+     * > nonce = random(32)
+     * > challenge_digest = SHA256(challenge)
+     * > token_input = concat(0x0002, // Token type field is 2 bytes long
+     * >                      nonce,
+     * >                      challenge_digest,
+     * >                      token_key_id)
+     * > blinded_msg, blind_inv =
+     * >   Blind(pkI, PrepareIdentity(token_input))
+     *
+     * For VOPRF tokens the token input is blinded with `client_context.Blind(token_input)` instead. Partially Blind
+     * RSA tokens use `Blind(pkI, PrepareIdentity(token_input), extensions)`.
+     *
+     * @param {number[]} nonce The nonce to use (for testing)
+     * @param {number[]} salt The EMSA-PSS salt to use (for testing, Blind RSA only)
+     * @param {BigInt} r The blinding factor to use (for testing)
+     * @returns {Promise<TokenRequest>} The token request to send to the issuer
+     */
+    async createTokenRequest(nonce, salt, r) {
+        const tokenType = this.challenge.tokenType;
+        if (![Token.VOPRF, Token.BLIND_RSA, Token.RATE_LIMITED, Token.PARTIALLY_BLIND_RSA].includes(tokenType)) {
+            throw new Error(`Unsupported token type: ${tokenType}`);
+        }
+
+        nonce = nonce ?? RSABSSA.randomBytes(32);
+        const challengeHash = await sha256(this.challenge.toByteArray());
+        const tokenKeyID = this.publicKey.keyID ?? await this.publicKey.toTokenKeyID();
+        const token = new Token(tokenType, nonce, challengeHash, tokenKeyID, []);
+
+        let blindedMsg;
+        if (tokenType === Token.VOPRF) {
+            const [blind, blindedElement] = VOPRF_P384.blind(token.toTokenInput(), r);
+            this.#inv = blind;
+            this.#blindedElement = blindedElement;
+            blindedMsg = VOPRF_P384.serializeElement(blindedElement, true);
+        }
+        else if (tokenType === Token.PARTIALLY_BLIND_RSA) {
+            const pk = await this.publicKey.toRSAKey();
+            token.extensions = this.extensions;
+            [blindedMsg, this.#inv] = RSAPBSSA.blind(pk, RSAPBSSA.prepare(token.toTokenInput()), this.extensions.toByteArray(), salt, r);
+        }
+        else {
+            const pk = await this.publicKey.toRSAKey();
+            [blindedMsg, this.#inv] = RSABSSA.blind(pk, RSABSSA.prepare(token.toTokenInput()), salt, r);
+        }
+
+        this.#token = token;
+        return new TokenRequest(tokenType, tokenKeyID.slice(-1)[0], blindedMsg, token.extensions);
+    }
+
+    /**
+     * Unblinds the issuer's response and produces the final `Token`.
+     *
+     * From https://datatracker.ietf.org/doc/html/rfc9578#name-finalization-2
+     * > authenticator =
+     * >   Finalize(pkI, PrepareIdentity(token_input), blind_sig, blind_inv)
+     * >
+     * > If this succeeds, the Client then constructs a Token as follows:
+     * >
+     * > struct {
+     * >   uint16_t token_type = 0x0002; // Type Blind RSA (2048-bit)
+     * >   uint8_t nonce[32];
+     * >   uint8_t challenge_digest[32];
+     * >   uint8_t token_key_id[32];
+     * >   uint8_t authenticator[Nk];
+     * > } Token;
+     *
+     * For VOPRF tokens the authenticator is
+     * `client_context.Finalize(token_input, blind, evaluated_element, blinded_element, proof)` which also verifies the
+     * issuer's DLEQ proof.
+     *
+     * @param {TokenResponse|string} tokenResponse The response from the issuer
+     * @returns {Promise<Token>} The token that can be redeemed with the origin
+     */
+    async finalize(tokenResponse) {
+        if (!this.#token) {
+            throw new Error("No outstanding token request");
+        }
+        const token = this.#token;
+        if (!(tokenResponse instanceof TokenResponse)) {
+            tokenResponse = TokenResponse.from(tokenResponse, token.tokenType);
+        }
+
+        if (token.tokenType === Token.VOPRF) {
+            const pkI = VOPRF_P384.deserializeElement(this.publicKey.toByteArray());
+            const evaluatedElement = VOPRF_P384.deserializeElement(tokenResponse.evaluateMsg);
+            const proof = [
+                VOPRF_P384.deserializeScalar(tokenResponse.evaluateProof.slice(0, VOPRF_P384.Ns)),
+                VOPRF_P384.deserializeScalar(tokenResponse.evaluateProof.slice(VOPRF_P384.Ns)),
+            ];
+            token.authenticator = ByteBuffer.toUint8Array(VOPRF_P384.finalize(token.toTokenInput(), this.#inv, evaluatedElement, this.#blindedElement, pkI, proof));
+        }
+        else if (token.tokenType === Token.PARTIALLY_BLIND_RSA) {
+            const pk = await this.publicKey.toRSAKey();
+            const info = token.extensions.toByteArray();
+            token.authenticator = ByteBuffer.toUint8Array(RSAPBSSA.finalize(pk, RSAPBSSA.prepare(token.toTokenInput()), info, tokenResponse.blindSig, this.#inv));
+        }
+        else {
+            const pk = await this.publicKey.toRSAKey();
+            token.authenticator = ByteBuffer.toUint8Array(RSABSSA.finalize(pk, RSABSSA.prepare(token.toTokenInput()), tokenResponse.blindSig, this.#inv));
+        }
+
+        this.#token = null;
+        this.#inv = null;
+        this.#blindedElement = null;
+        return token;
     }
 }
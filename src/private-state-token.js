@@ -1,9 +1,21 @@
-import { Base64, ByteBuffer, CBOR, P384} from './utils.js';
+import { Base64, ByteBuffer, CBOR, DecodeError, P384} from './utils.js';
 import { VOPRF_P384, VOPRF_P384_Draft7, Point } from './oprfv1.js';
+import { PMBTOKEN_P384 } from './pmbtoken.js';
+import { p384 as ec } from '@noble/curves/p384';
 import { sha256 } from '@noble/hashes/sha256';
 
 const DEFAULT_HOST = "https://localhost:8444";
 
+/**
+ * @param {number} expiry The expiry in seconds, milliseconds or microseconds since the epoch (defaults to +90 days)
+ * @returns {number} The expiry in microseconds since the epoch
+ */
+function normalizeExpiry(expiry) {
+    expiry = expiry || Date.now() + 90*24*60*60*1000; //+90 days default
+    // quick sanitation to ensure that we are in microseconds
+    return expiry * (10**(Math.ceil(Math.max(16-Math.ceil(Math.log10(expiry)), 0)/3)*3));
+}
+
 /**
  * A key pair for a trust token issuer.
  */
@@ -42,11 +54,7 @@ export class PrivateStateTokenKeyPair {
             secretKey = ByteBuffer.bytesToNumber(Array.from(secretKey));
         }
         this.secretKey = secretKey;
-
-        expiry = expiry || Date.now() + 90*24*60*60*1000; //+90 days default
-        // quick sanitation to ensure that we are in microseconds
-        expiry = expiry * (10**(Math.ceil(Math.max(16-Math.ceil(Math.log10(expiry)), 0)/3)*3))
-        this.expiry = expiry;
+        this.expiry = normalizeExpiry(expiry);
     }
 
     /**
@@ -110,6 +118,71 @@ export class PrivateStateTokenKeyPair {
 
 }
 
+/**
+ * A key pair for the PMB (private metadata bit) version. Each key ID holds the three PMBTokens key pairs: one for each
+ * value of the private metadata bit and one for the validity of the token.
+ */
+export class PrivateStateTokenPMBKeyPair {
+
+    /**
+     * @param {number} id The key ID associated with the key pair
+     * @param {Object} publicKey The public key `{pub0, pub1, pubs}`
+     * @param {Object} secretKey The secret key `{x0, y0, x1, y1, xs, ys}`
+     * @param {number} expiry The expiry of the key pair.
+     */
+    constructor(id, publicKey, secretKey, expiry) {
+        this.id = id;
+        this.publicKey = publicKey;
+        this.secretKey = secretKey;
+        this.expiry = normalizeExpiry(expiry);
+    }
+
+    /**
+     * @param {number} id The key ID for the key pair
+     * @param {number} expiry The expiry of the key pair.
+     * @returns {PrivateStateTokenPMBKeyPair} A new random key pair.
+     */
+    static generate(id, expiry) {
+        const [secretKey, publicKey] = PMBTOKEN_P384.generateKeyPair();
+        return new PrivateStateTokenPMBKeyPair(id, publicKey, secretKey, expiry);
+    }
+
+    /**
+     * Creates a key pair from its private key (the output of `toBytes()`), as a Base64 string or bytes.
+     *
+     * @param {PrivateStateTokenPMBKeyPair|string|Uint8Array} data The private key.
+     * @param {number} expiry The expiry of the key pair.
+     * @returns {PrivateStateTokenPMBKeyPair} The key pair.
+     * @throws {DecodeError} if the key is truncated, has trailing data or a scalar is not in range.
+     */
+    static from(data, expiry) {
+        if (data instanceof PrivateStateTokenPMBKeyPair) {
+            return data;
+        }
+        const bytes = new ByteBuffer(typeof data === "string" ? Base64.decode(data) : data);
+        const id = bytes.readInt(4, "id");
+        const secretKey = PMBTOKEN_P384.deserializeSecretKey(bytes.readBytes(bytes.remaining, "key"));
+        return new PrivateStateTokenPMBKeyPair(id, PMBTOKEN_P384.publicKey(secretKey), secretKey, expiry);
+    }
+
+    /**
+     * Returns the private key. The structure takes the form:
+     * ```
+     * struct {
+     *    uint32 id;
+     *    Scalar x0, y0, x1, y1, xs, ys;
+     * } PMBPrivateKey;
+     * ```
+     * @returns {Uint8Array} The private key as bytes.
+     */
+    toBytes() {
+        return new ByteBuffer()
+            .writeInt(this.id, 4)
+            .writeBytes(PMBTOKEN_P384.serializeSecretKey(this.secretKey))
+            .toBytes();
+    }
+}
+
 /**
  * A trust token issuance request.
  */
@@ -129,7 +202,7 @@ export class IssueRequest {
     }
 
     /**
-     * Creates an `IssueRequest` from a Base64 string.
+     * Creates an `IssueRequest` from a Base64 string or its bytes.
      *
      * The decoded byte string must have the form:
      * ```
@@ -138,34 +211,34 @@ export class IssueRequest {
      *   ECPoint nonces[count];
      * } IssueRequest;
      * ```
-     * @param {string} s The Base64 string to decode.
+     * @param {string|Uint8Array} s The Base64 string (or bytes) to decode.
      * @returns {IssueRequest} Returns the decoded `IssueRequest`.
+     * @throws {DecodeError} if the request is truncated, has trailing data or a nonce is not a valid point.
      */
     static from(s) {
-        const decodedBytes = Base64.decode(s);
-        const bytes = new ByteBuffer(decodedBytes);
+        const bytes = new ByteBuffer(typeof s === "string" ? Base64.decode(s) : s);
 
-        const count = bytes.readInt(2);
-        const blindedLength = Math.round((bytes.length - 2) / count); // to handle Ne=49 or legacy uncompressed (Ne=97)
+        const count = bytes.readInt(2, "count");
+        const blindedLength = count > 0 ? Math.floor(bytes.remaining / count) : 0; // to handle Ne=49 or legacy uncompressed (Ne=97)
         const nonces = [];
         for (let i = 0; i < count; i++) {
-            const value = bytes.readBytes(blindedLength);
+            const offset = bytes.offset;
+            const value = bytes.readBytes(blindedLength, "nonces");
             try {
-                const ecPoint = Point.fromHex(Uint8Array.from(value));
-                nonces.push(ecPoint);
+                nonces.push(Point.fromHex(value));
             }
             catch (e) {
-                console.error(e);
-                // null;
+                throw new DecodeError(`Invalid nonce ${i}: ${e.message}`, { offset, field: "nonces" });
             }
         }
+        bytes.expectEnd("nonces");
 
-        return new IssueRequest(nonces.filter(n => n !== null));
+        return new IssueRequest(nonces);
     }
 
     /**
      *
-     * @returns {number[]} Returns the byte encoding of the request.
+     * @returns {Uint8Array} Returns the byte encoding of the request.
      */
     toBytes() {
         const bytes = new ByteBuffer();
@@ -173,7 +246,7 @@ export class IssueRequest {
         for (const nonce of this.nonces) {
             bytes.writeBytes(VOPRF_P384_Draft7.serializeElement(nonce));
         }
-        return bytes.buffer;
+        return bytes.toBytes();
     }
 
     [Symbol.for('nodejs.util.inspect.custom')]() {
@@ -188,13 +261,51 @@ export class IssueResponse {
 
     /**
      * @param {number} keyID The ID of the key used for signing.
-     * @param {Point[]} signed The list of signed nonces.
-     * @param {number[]} proof The DLEQ proof.
+     * @param {Point[]|Object[]} signed The list of signed nonces (`{s, Wp, Wsp}` for the PMB version).
+     * @param {Uint8Array|number[]} proof The DLEQ proof.
      */
     constructor(keyID, signed, proof) {
         this.keyID = keyID;
         this.signed = signed;
-        this.proof = proof;
+        this.proof = ByteBuffer.toUint8Array(proof);
+    }
+
+    /**
+     * Creates an `IssueResponse` from a Base64 string or its bytes (the form produced by `toBytes()`). The signed
+     * nonces can be compressed (Ne=49) or uncompressed (Ne=97).
+     *
+     * @param {string|Uint8Array} s The Base64 string (or bytes) to decode.
+     * @param {string} version The version of the protocol, the PMB version has a different `SignedNonce`.
+     * @returns {IssueResponse} Returns the decoded `IssueResponse`.
+     * @throws {DecodeError} if the response is truncated, has trailing data or a signed nonce is not a valid point.
+     */
+    static from(s, version) {
+        const bytes = new ByteBuffer(typeof s === "string" ? Base64.decode(s) : s);
+
+        const issued = bytes.readInt(2, "issued");
+        const keyID = bytes.readInt(4, "key_id");
+        const signed = [];
+        for (let i = 0; i < issued; i++) {
+            if (version === PrivateStateTokenIssuer.PMB_VERSION) {
+                const nonce = bytes.readBytes(PMBTOKEN_P384.Nn, "signed");
+                signed.push({ s: nonce, Wp: PMBTOKEN_P384.readElement(bytes, "signed"), Wsp: PMBTOKEN_P384.readElement(bytes, "signed") });
+                continue;
+            }
+            const offset = bytes.offset;
+            const length = bytes.peekInt() === 0x04 ? 2 * VOPRF_P384.Ne - 1 : VOPRF_P384.Ne;
+            const value = bytes.readBytes(length, "signed");
+            try {
+                signed.push(Point.fromHex(value));
+            }
+            catch (e) {
+                throw new DecodeError(`Invalid signed nonce ${i}: ${e.message}`, { offset, field: "signed" });
+            }
+        }
+        const proofLen = bytes.readInt(2, "proof");
+        const proof = bytes.readBytes(proofLen, "proof");
+        bytes.expectEnd("proof");
+
+        return new IssueResponse(keyID, signed, proof);
     }
 
     /**
@@ -207,15 +318,31 @@ export class IssueResponse {
      *   SignedNonce signed[issued];
      *   opaque proof<1..2^16-1>; // Length-prefixed form of DLEQProof.
      * } IssueResponse;
+     * ```
+     * where `SignedNonce` is the `ECPoint W` for the VOPRF versions and for the PMB version:
+     * ```
+     * struct {
+     *   opaque s[64];
+     *   ECPoint Wp;
+     *   ECPoint Wsp;
+     * } SignedNonce;
+     * ```
      *
-     * @returns {number[]} The issue response as bytes.
+     * @returns {Uint8Array} The issue response as bytes.
      */
     toBytes() {
         const buf = new ByteBuffer();
         buf.writeInt(this.signed.length, 2); // the number issued
         buf.writeInt(this.keyID, 4); // the key ID associated with the public key
         for (const nonce of this.signed) {
-            buf.writeBytes(VOPRF_P384_Draft7.serializeElement(nonce));
+            if (nonce instanceof Point) {
+                buf.writeBytes(VOPRF_P384_Draft7.serializeElement(nonce));
+            }
+            else {
+                buf.writeBytes(nonce.s)
+                    .writeBytes(nonce.Wp.toRawBytes(false))
+                    .writeBytes(nonce.Wsp.toRawBytes(false));
+            }
         }
         buf.writeInt(this.proof.length, 2);
         buf.writeBytes(this.proof);
@@ -237,15 +364,19 @@ export class IssueResponse {
 export class RedeemRequest {
     /**
      * @param {number} keyID The ID of the key used to sign the trust token.
-     * @param {number[]} nonce The nonce part of the token.
+     * @param {Uint8Array|number[]} nonce The nonce part of the token.
      * @param {Point} W The elliptic curve point part of the token.
-     * @param {number[]} clientData Client data associated with the request.
+     * @param {Uint8Array|number[]} clientData Client data associated with the request.
+     * @param {Point} S The `S` point of the token (PMB version only).
+     * @param {Point} Ws The `Ws` point of the token (PMB version only).
      */
-    constructor(keyID, nonce, W, clientData) {
+    constructor(keyID, nonce, W, clientData, S, Ws) {
         this.keyID = keyID;
-        this.nonce = nonce;
+        this.nonce = ByteBuffer.toUint8Array(nonce);
         this.W = W;
-        this.clientData = clientData;
+        this.clientData = ByteBuffer.toUint8Array(clientData);
+        this.S = S;
+        this.Ws = Ws;
     }
 
     decodeClientData() {
@@ -253,7 +384,7 @@ export class RedeemRequest {
     }
 
     /**
-     * Creates a `RedeemRequest` from a Base64 string.
+     * Creates a `RedeemRequest` from a Base64 string or its bytes.
      *
      * The decoded byte string must have the form:
      * ```
@@ -269,32 +400,46 @@ export class RedeemRequest {
      * } RedeemRequest;
      *
      * ```
-     * @param {string} s The Base64 string to decode.
+     * For the PMB version the token has the points `S`, `W` and `Ws` (uncompressed) instead of `W`.
+     *
+     * @param {string|Uint8Array} s The Base64 string (or bytes) to decode.
      * @returns {RedeemRequest} Returns the decoded `RedeemRequest` from `sec-private-state-token` http header
+     * @throws {DecodeError} if the request is truncated, has trailing data or `W` is not a valid point.
      */
     static from(s) {
-        const decodedBytes = Base64.decode(s);
-        const bytes = new ByteBuffer(decodedBytes);
+        const bytes = new ByteBuffer(typeof s === "string" ? Base64.decode(s) : s);
 
-        const tokenLen = bytes.readInt(2);
-        const keyID = bytes.readInt(4);
-        const nonce = bytes.readBytes(VOPRF_P384_Draft7.Nh);
+        const tokenLen = bytes.readInt(2, "token");
+        const token = new ByteBuffer(bytes.readBytes(tokenLen, "token"));
+        const keyID = token.readInt(4, "key_id");
+        const nonce = token.readBytes(VOPRF_P384_Draft7.Nh, "nonce");
 
-        const value = bytes.readBytes(tokenLen - 4 - VOPRF_P384_Draft7.Nh);
-        const point = Point.fromHex(Uint8Array.from(value));
+        const pmb = token.remaining === 3 * PMBTOKEN_P384.Ne;
+        const points = {};
+        for (const field of pmb ? ["S", "W", "Ws"] : ["W"]) {
+            const offset = 2 + token.offset;
+            try {
+                points[field] = Point.fromHex(token.readBytes(pmb ? PMBTOKEN_P384.Ne : token.remaining, field));
+            }
+            catch (e) {
+                throw e instanceof DecodeError ? e : new DecodeError(`Invalid ${field}: ${e.message}`, { offset, field });
+            }
+        }
 
-        const clientDataLen = bytes.readInt(2);
-        const clientData = bytes.readBytes(clientDataLen);
+        const clientDataLen = bytes.readInt(2, "client_data");
+        const clientData = bytes.readBytes(clientDataLen, "client_data");
+        bytes.expectEnd("client_data");
 
-        return new RedeemRequest(keyID, nonce, point, clientData);
+        return new RedeemRequest(keyID, nonce, points.W, clientData, points.S, points.Ws);
     }
 
     /**
      *
-     * @returns {number[]} The redeem request as bytes.
+     * @returns {Uint8Array} The redeem request as bytes.
      */
     toBytes() {
-        const pointBytes = VOPRF_P384_Draft7.serializeElement(this.W);
+        const points = this.S ? [this.S, this.W, this.Ws] : [this.W];
+        const pointBytes = points.flatMap(p => VOPRF_P384_Draft7.serializeElement(p));
         const buf = new ByteBuffer()
             .writeInt(this.nonce.length + pointBytes.length + 4, 2)
             .writeInt(this.keyID, 4)
@@ -326,8 +471,9 @@ export class RedeemRequest {
 export class RedeemResponse {
     /**
      * @param {number[]|string} record The redemption record.
+     * @param {boolean} privateMetadata The private metadata bit of the redeemed token (PMB version only).
      */
-    constructor(record = []) {
+    constructor(record = [], privateMetadata) {
         if (ArrayBuffer.isView(record)) {
             record = Array.from(record);
         }
@@ -335,6 +481,19 @@ export class RedeemResponse {
             record = ByteBuffer.stringToBytes(record);
         }
         this.record = record;
+        this.privateMetadata = privateMetadata;
+    }
+
+    /**
+     * @param {string|number[]} s The base64 encoded or raw redemption response.
+     * @returns {RedeemResponse} The decoded redemption response.
+     */
+    static from(s) {
+        const bytes = new ByteBuffer(typeof s === "string" ? Base64.decode(s) : s);
+        const length = bytes.readInt(2, "rr");
+        const record = Array.from(bytes.readBytes(length, "rr"));
+        bytes.expectEnd("rr");
+        return new RedeemResponse(record);
     }
 
     /**
@@ -342,7 +501,7 @@ export class RedeemResponse {
      */
     toBytes() {
         return new ByteBuffer()
-            .writeBytes(this.record.length, 2)
+            .writeInt(this.record.length, 2)
             .writeBytes(this.record)
             .toBytes();
     }
@@ -364,6 +523,11 @@ export class PrivateStateTokenIssuer {
 
     static DEFAULT_VERSION = "PrivateStateTokenV1VOPRF";
 
+    /**
+     * The version with a private metadata bit, it needs `PrivateStateTokenPMBKeyPair` keys.
+     */
+    static PMB_VERSION = "PrivateStateTokenV3PMB";
+
     /**
      * @param {string} host The server origin for this issuer.
      * @param {number} maxBatchSize The max batch size for tokens.
@@ -391,6 +555,15 @@ export class PrivateStateTokenIssuer {
         return [...this.#keys.values()].map(k => k.publicKey);
     }
 
+    /**
+     * @param {string} version The version of the protocol.
+     * @returns {Object[]} The key pairs that can be used with the version.
+     */
+    #keysFor(version) {
+        const pmb = version === PrivateStateTokenIssuer.PMB_VERSION;
+        return [...this.#keys.values()].filter(k => (k instanceof PrivateStateTokenPMBKeyPair) === pmb);
+    }
+
     get requestURI() {
         return `https://${this.host}/request`;
     }
@@ -440,7 +613,7 @@ export class PrivateStateTokenIssuer {
             "batchsize": this.maxBatchSize,
             "keys": {}
         };
-        for (const key of this.#keys.values()) {
+        for (const key of this.#keysFor(version)) {
             // Returns the public key as bytes.
             // The structure takes the form:
             // ```
@@ -449,9 +622,10 @@ export class PrivateStateTokenIssuer {
             //    ECPoint pub;
             // } TrustTokenPublicKey;
             // ```
+            // where the PMB version has the three points `ECPoint pub0, pub1, pubs` instead of `pub`
             const buffer = new ByteBuffer()
                 .writeInt(key.id, 4)
-                .writeBytes(VOPRF_P384_Draft7.serializeElement(key.publicKey));
+                .writeBytes(key instanceof PrivateStateTokenPMBKeyPair ? PMBTOKEN_P384.serializePublicKey(key.publicKey) : VOPRF_P384_Draft7.serializeElement(key.publicKey));
 
             keyCommitment.keys[key.id] = {
                 "Y": Base64.encode(buffer.toBytes()),
@@ -473,7 +647,7 @@ export class PrivateStateTokenIssuer {
      */
     directory() {
         const tokenKeys = [];
-        for (const key of this.#keys.values()) {
+        for (const key of this.#keysFor(PrivateStateTokenIssuer.DEFAULT_VERSION)) {
             tokenKeys.push({
                 "token-type": 2,
                 "token-key": Base64.urlEncode(VOPRF_P384_Draft7.serializeElement(key.publicKey)) // we are expanding to the full form
@@ -497,7 +671,7 @@ export class PrivateStateTokenIssuer {
      */
     jwks() {
         const keys = [];
-        for (const key of this.#keys.values()) {
+        for (const key of this.#keysFor(PrivateStateTokenIssuer.DEFAULT_VERSION)) {
             keys.push(key.toJWK());
         }
         return {
@@ -604,20 +778,35 @@ export class PrivateStateTokenIssuer {
      * >   DST = "HashToScalar-" || contextString, and prime modulus equal to Group.Order()
      *
      * hash_to_field is defined in https://datatracker.ietf.org/doc/html/draft-irtf-cfrg-hash-to-curve-16#section-3
+     *
+     * For the PMB version (`PrivateStateTokenIssuer.PMB_VERSION`) the nonces are signed with PMBTokens instead, which
+     * hides `privateMetadata` in the tokens, and the proof is the DLEQ and DLEQOR proof of `PMBTOKEN_P384.sign()`.
 
      * @param {number} keyId The key ID to use for this issuance.
      * @param {IssueRequest} request The issuance request.
      * @param {string} version The version of PST to use
-     * @param {number} r The random value to use for the DLEQ proof (use for testing)
+     * @param {number} r The random value to use for the DLEQ proof (use for testing, VOPRF versions only)
+     * @param {boolean} privateMetadata The private metadata bit to embed in the tokens (PMB version only)
      * @returns {IssueResponse} The issuance response.
      */
-    issue(keyId, request, version=PrivateStateTokenIssuer.DEFAULT_VERSION, r) {
-        const keyPair = this.#keys.get(keyId) || this.#keys.values().next().value;
+    issue(keyId, request, version=PrivateStateTokenIssuer.DEFAULT_VERSION, r, privateMetadata = false) {
+        const keys = this.#keysFor(version);
+        const keyPair = keys.find(k => k.id === keyId) || keys[0];
 
         // TODO: validate host
         // TODO: is null the right way to handle errors?
         if (!keyPair) return null;
 
+        if (version === PrivateStateTokenIssuer.PMB_VERSION) {
+            if (request.nonces.length > this.maxBatchSize) return null;
+            const [signed, proof] = PMBTOKEN_P384.sign(keyPair.secretKey, keyPair.publicKey, request.nonces, privateMetadata);
+            const serializedProof = new ByteBuffer();
+            for (const scalar of proof) {
+                serializedProof.writeBytes(PMBTOKEN_P384.group.serializeScalar(scalar));
+            }
+            return new IssueResponse(keyPair.id, signed, serializedProof.toBytes());
+        }
+
         const k = keyPair.secretKey;
         r = r ?? VOPRF_P384.randomScalar();
         const blindedElements = request.nonces;
@@ -672,17 +861,212 @@ export class PrivateStateTokenIssuer {
      * >     opaque rr<1..2^16-1>;
      * >   } RedeemResponse;
      *
+     * The version is given by the key the token was issued with: tokens of a PMB key are checked with
+     * `PMBTOKEN_P384.read()` and the response carries the private metadata bit that was used at issuance.
+     *
      * @param {RedeemRequest} request The redemption request.
      * @param {RedemptionRecord} redemptionRecord The redemption record.
-     * @param {string} version The version of the protocol to use.
      * @returns {RedeemResponse} The redemption response.
      */
-    redeem(request, redemptionRecord, version=PrivateStateTokenIssuer.DEFAULT_VERSION) {
-        const secretKey = this.#keys.get(request.keyID)?.secretKey;
+    redeem(request, redemptionRecord) {
+        const keyPair = this.#keys.get(request.keyID);
 
-        if (VOPRF_P384_Draft7.verifyFinalize(secretKey, request.nonce, request.W)) {
+        if (keyPair instanceof PrivateStateTokenPMBKeyPair) {
+            if (!request.S || !request.Ws) return null;
+            const privateMetadata = PMBTOKEN_P384.read(keyPair.secretKey, request.nonce, request.S, request.W, request.Ws);
+            return privateMetadata === null ? null : new RedeemResponse(redemptionRecord, privateMetadata);
+        }
+        if (keyPair && VOPRF_P384_Draft7.verifyFinalize(keyPair.secretKey, request.nonce, request.W)) {
             return new RedeemResponse(redemptionRecord);
         }
         return null;
     }
 }
+
+/**
+ * The browser's half of the Private State Token protocol: it blinds nonces into an `IssueRequest`, verifies the
+ * issuer's batched DLEQ proof and unblinds the signed nonces into tokens, then spends the tokens in a
+ * `RedeemRequest`. Useful to exercise an issuer without driving a browser.
+ *
+ * With the PMB version the tokens also carry the issuer's private metadata bit, which the client can't read: it only
+ * checks that one of the two bit keys was used.
+ *
+ * @see https://github.com/WICG/trust-token-api/blob/main/ISSUER_PROTOCOL.md#voprf-protocol
+ */
+export class PrivateStateTokenClient {
+
+    /**
+     * @param {Map<number, Point>|Object} keys The issuer public keys by key ID (`{pub0, pub1, pubs}` for the PMB version).
+     * @param {string} version The version of the protocol to use.
+     * @param {number} maxBatchSize The max number of tokens in an issuance request.
+     */
+    constructor(keys, version = PrivateStateTokenIssuer.DEFAULT_VERSION, maxBatchSize = 10) {
+        this.keys = keys instanceof Map ? keys : new Map(Object.entries(keys).map(([id, key]) => [Number(id), key]));
+        this.version = version;
+        this.maxBatchSize = maxBatchSize;
+    }
+
+    /**
+     * The nonces and blinds of the outstanding issuance request
+     */
+    #pending = [];
+
+    /**
+     * The unblinded tokens `{keyID, nonce, W}` that have not been redeemed yet
+     */
+    #tokens = [];
+
+    get #pmb() {
+        return this.version === PrivateStateTokenIssuer.PMB_VERSION;
+    }
+
+    /**
+     * @returns {Object[]} The tokens available for redemption.
+     */
+    get tokens() {
+        return [...this.#tokens];
+    }
+
+    /**
+     * Creates a client from the key commitment of an issuer (see `PrivateStateTokenIssuer.keyCommitment()`). Both the
+     * full commitment (keyed by host and version) and the commitment of a single version are accepted.
+     *
+     * @param {Object} keyCommitment The key commitment.
+     * @param {string} version The version to use when the commitment has several.
+     * @returns {PrivateStateTokenClient} The client for the committed keys.
+     */
+    static fromKeyCommitment(keyCommitment, version) {
+        let commitment = keyCommitment;
+        if (!commitment?.keys) {
+            const versions = Object.values(keyCommitment ?? {})[0] ?? {};
+            commitment = versions[version] ?? Object.values(versions)[0];
+        }
+        if (!commitment?.keys) {
+            throw new Error("Invalid key commitment");
+        }
+
+        version = commitment.protocol_version ?? version;
+        const keys = new Map();
+        for (const { Y } of Object.values(commitment.keys)) {
+            // struct {
+            //    uint32 id;
+            //    ECPoint pub; // or ECPoint pub0, pub1, pubs for the PMB version
+            // } TrustTokenPublicKey;
+            const bytes = new ByteBuffer(Base64.decode(Y));
+            const id = bytes.readInt(4, "id");
+            const pub = bytes.readBytes(bytes.remaining, "pub");
+            keys.set(id, version === PrivateStateTokenIssuer.PMB_VERSION ? PMBTOKEN_P384.deserializePublicKey(pub) : Point.fromHex(pub));
+        }
+        return new PrivateStateTokenClient(keys, version, commitment.batchsize);
+    }
+
+    /**
+     * Creates an issuance request. Each token nonce is 64 random bytes that is mapped to the curve and blinded.
+     *
+     * From https://github.com/WICG/trust-token-api/blob/main/ISSUER_PROTOCOL.md#issue-function
+     * > The Issue function corresponds to the Blind stage of the VOPRF protocol.
+     *
+     * @param {number} count The number of tokens to request.
+     * @param {Uint8Array[]} nonces The nonces to use (for testing)
+     * @param {BigInt[]} blinds The blinding factors to use (for testing)
+     * @returns {IssueRequest} The issuance request for the `Sec-Private-State-Token` header.
+     */
+    createIssueRequest(count = this.maxBatchSize, nonces = [], blinds = []) {
+        if (count < 1 || count > this.maxBatchSize) {
+            throw new Error(`Invalid token count: ${count} (max ${this.maxBatchSize})`);
+        }
+
+        this.#pending = [];
+        for (let i = 0; i < count; i++) {
+            const nonce = ByteBuffer.toUint8Array(nonces[i] ?? ec.CURVE.randomBytes(VOPRF_P384_Draft7.Nh));
+            const [blind, blindedElement] = this.#pmb ? PMBTOKEN_P384.blind(nonce, blinds[i]) : VOPRF_P384_Draft7.blind(nonce, blinds[i]);
+            this.#pending.push({ nonce, blind, blindedElement });
+        }
+        return new IssueRequest(this.#pending.map(p => p.blindedElement));
+    }
+
+    /**
+     * Verifies the issuer's DLEQ proof over the signed nonces and stores the unblinded tokens. The issuer may sign
+     * fewer nonces than requested, in which case the proof covers the first `issued` nonces.
+     *
+     * @param {IssueResponse|string|Uint8Array} response The issuance response.
+     * @returns {Object[]} The new tokens `{keyID, nonce, W}` (and `S`, `Ws` for the PMB version).
+     * @throws {Error} if there is no outstanding request, the key is unknown or the proof does not verify.
+     */
+    finalize(response) {
+        if (this.#pending.length === 0) {
+            throw new Error("No outstanding issuance request");
+        }
+        if (!(response instanceof IssueResponse)) {
+            response = IssueResponse.from(response, this.version);
+        }
+
+        const pkS = this.keys.get(response.keyID);
+        if (!pkS) {
+            throw new Error(`Unknown key ID: ${response.keyID}`);
+        }
+        if (response.signed.length > this.#pending.length) {
+            throw new Error(`Too many tokens issued: ${response.signed.length} (requested ${this.#pending.length})`);
+        }
+        const scalars = this.#pmb ? 9 : 2;
+        if (response.proof.length !== scalars * VOPRF_P384.Ns) {
+            throw new Error(`Invalid proof length: ${response.proof.length}`);
+        }
+
+        const pending = this.#pending.slice(0, response.signed.length);
+        const Tp = pending.map(p => p.blindedElement);
+        const proofBytes = new ByteBuffer(response.proof);
+        const proof = Array.from({ length: scalars }, () => VOPRF_P384.deserializeScalar(proofBytes.readBytes(VOPRF_P384.Ns, "proof")));
+        if (proof.some(scalar => scalar >= VOPRF_P384.order)) {
+            throw new Error("VerifyError");
+        }
+
+        let tokens;
+        if (this.#pmb) {
+            const Sp = response.signed.map(({ s }, i) => PMBTOKEN_P384.hashS(Tp[i], s));
+            const Wp = response.signed.map(n => n.Wp);
+            const Wsp = response.signed.map(n => n.Wsp);
+            if (!PMBTOKEN_P384.verifyProof(pkS, ...PMBTOKEN_P384.computeBatch(pkS, Tp, Sp, Wp, Wsp), proof)) {
+                throw new Error("VerifyError");
+            }
+            tokens = pending.map(({ nonce, blind }, i) => {
+                const [S, W, Ws] = PMBTOKEN_P384.unblind(blind, Sp[i], Wp[i], Wsp[i]);
+                return { keyID: response.keyID, nonce, S, W, Ws };
+            });
+        }
+        else {
+            const oprf = this.version === "PrivateStateTokenV1VOPRF" ? VOPRF_P384 : VOPRF_P384_Draft7;
+            if (!oprf.verifyProof(VOPRF_P384.generator, pkS, Tp, response.signed, proof)) {
+                throw new Error("VerifyError");
+            }
+            tokens = pending.map(({ nonce, blind }, i) => ({
+                keyID: response.keyID,
+                nonce,
+                W: VOPRF_P384_Draft7.unblind(blind, response.signed[i]),
+            }));
+        }
+        this.#pending = [];
+        this.#tokens.push(...tokens);
+        return tokens;
+    }
+
+    /**
+     * Spends a token in a redemption request. The client data is the CBOR map Chrome sends:
+     * ```
+     * { "redeeming-origin": origin, "redemption-timestamp": seconds since the epoch }
+     * ```
+     *
+     * @param {string} origin The redeeming origin.
+     * @param {number} timestamp The redemption time in seconds since the epoch.
+     * @returns {RedeemRequest} The redemption request for the `Sec-Private-State-Token` header.
+     * @throws {Error} if there are no tokens left.
+     */
+    createRedeemRequest(origin, timestamp = Math.floor(Date.now() / 1000)) {
+        const token = this.#tokens.shift();
+        if (!token) {
+            throw new Error("No tokens available");
+        }
+        const clientData = CBOR.encode({ "redeeming-origin": origin, "redemption-timestamp": timestamp });
+        return new RedeemRequest(token.keyID, token.nonce, token.W, clientData, token.S, token.Ws);
+    }
+}
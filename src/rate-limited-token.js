@@ -0,0 +1,522 @@
+import { p384 } from '@noble/curves/p384';
+import { sha384 } from '@noble/hashes/sha512';
+import { sha256 as sha256Hash } from '@noble/hashes/sha256';
+import { hkdf, extract, expand } from '@noble/hashes/hkdf';
+import { invert, mod } from '@noble/curves/abstract/modular';
+import { Base64, ByteBuffer, Hex, sha256 } from './utils.js';
+import { HPKE_X25519_SHA256_AES128GCM as HPKE } from './hpke.js';
+import { PrivateAccessTokenClient, PrivateAccessTokenIssuer, PublicKey, Token, TokenRequest, TokenResponse } from './private-access-token.js';
+
+const Point = p384.ProjectivePoint;
+const ORDER = p384.CURVE.n;
+const Npk = 49; // compressed P-384 point
+const Nsig = 96; // r || s
+
+/**
+ * ECDSA(P-384, SHA-384) with key blinding. Blinding is multiplicative: the blinded public key for the blind `bk` is
+ * `bk * pkS` and signatures for it are produced with the private key `bk * skS`. Unblinding multiplies by `bk^-1`.
+ *
+ * @see https://datatracker.ietf.org/doc/html/draft-irtf-cfrg-signature-key-blinding
+ */
+export const ECDSA_P384 = {
+    /**
+     * @returns {BigInt} a random non-zero scalar
+     */
+    randomScalar() {
+        return p384.utils.normPrivateKeyToScalar(p384.utils.randomPrivateKey());
+    },
+
+    /**
+     * @param {BigInt} sk the private key
+     * @returns {number[]} the compressed public key
+     */
+    publicKey(sk) {
+        return Array.from(p384.getPublicKey(sk, true));
+    },
+
+    /**
+     * > BlindPublicKey(pkS, bk): pk_blind = bk * pkS
+     * @param {number[]} pk the compressed public key
+     * @param {BigInt} bk the blind
+     * @returns {number[]} the compressed blinded public key
+     */
+    blindPublicKey(pk, bk) {
+        return Array.from(Point.fromHex(Uint8Array.from(pk)).multiply(bk).toRawBytes(true));
+    },
+
+    /**
+     * > UnblindPublicKey(pk_blind, bk): pkS = bk^-1 * pk_blind
+     * @param {number[]} pk the compressed blinded public key
+     * @param {BigInt} bk the blind
+     * @returns {number[]} the compressed public key
+     */
+    unblindPublicKey(pk, bk) {
+        return Array.from(Point.fromHex(Uint8Array.from(pk)).multiply(invert(bk, ORDER)).toRawBytes(true));
+    },
+
+    /**
+     * > BlindKeySign(skS, bk, msg): ECDSA-Sign(bk * skS, msg)
+     * @param {BigInt} sk the private key
+     * @param {BigInt} bk the blind
+     * @param {number[]} msg the message
+     * @returns {number[]} the signature (`r || s`)
+     */
+    blindKeySign(sk, bk, msg) {
+        const signature = p384.sign(sha384(Uint8Array.from(msg)), mod(sk * bk, ORDER));
+        return Array.from(signature.toCompactRawBytes());
+    },
+
+    /**
+     * @param {number[]} pk the compressed (blinded) public key
+     * @param {number[]} msg the message
+     * @param {number[]} signature the signature (`r || s`)
+     * @returns {boolean} true if the signature is valid
+     */
+    verify(pk, msg, signature) {
+        try {
+            return p384.verify(Uint8Array.from(signature), sha384(Uint8Array.from(msg)), Uint8Array.from(pk));
+        }
+        catch {
+            return false;
+        }
+    },
+};
+
+/**
+ * The issuer key used by clients to encrypt the origin name so that the attester never learns which origin the client
+ * is requesting tokens for.
+ *
+ * ```
+ * struct {
+ *   uint16_t kem_id;
+ *   uint16_t kdf_id;
+ *   uint16_t aead_id;
+ *   uint8_t public_key[Npk];
+ * } IssuerEncapKey;
+ * ```
+ * `issuer_encap_key_id = SHA256(IssuerEncapKey)`
+ */
+export class IssuerEncapKey {
+    /**
+     * @param {number[]} publicKey The X25519 public key
+     * @param {number[]} privateKey The X25519 private key (issuer only)
+     */
+    constructor(publicKey, privateKey) {
+        this.publicKey = publicKey;
+        this.privateKey = privateKey;
+    }
+
+    static generate() {
+        const { publicKey, privateKey } = HPKE.generateKeyPair();
+        return new IssuerEncapKey(publicKey, privateKey);
+    }
+
+    /**
+     * @param {string|number[]} data The encoded key
+     * @returns {IssuerEncapKey} the public key
+     * @throws {DecodeError} if the key is truncated or has trailing data
+     */
+    static from(data) {
+        const bytes = typeof data === "string" ? Base64.decode(data) : Array.from(data ?? []);
+        const byteBuffer = new ByteBuffer(bytes);
+        const kemID = byteBuffer.readInt(2, "kem_id");
+        const kdfID = byteBuffer.readInt(2, "kdf_id");
+        const aeadID = byteBuffer.readInt(2, "aead_id");
+        if (kemID !== HPKE.kemID || kdfID !== HPKE.kdfID || aeadID !== HPKE.aeadID) {
+            throw new Error("Unsupported HPKE cipher suite");
+        }
+        const publicKey = byteBuffer.readBytes(HPKE.Npk, "public_key");
+        byteBuffer.expectEnd("public_key");
+        return new IssuerEncapKey(publicKey);
+    }
+
+    async toKeyID() {
+        return await sha256(this.toByteArray());
+    }
+
+    toByteArray() {
+        return new ByteBuffer()
+            .writeInt(HPKE.kemID, 2)
+            .writeInt(HPKE.kdfID, 2)
+            .writeInt(HPKE.aeadID, 2)
+            .writeBytes(this.publicKey)
+            .toBytes();
+    }
+
+    toString() {
+        return Base64.urlEncode(this.toByteArray());
+    }
+}
+
+/**
+ * The token request sent by the client to the attester (and forwarded to the issuer). The blinded message and the
+ * origin name are encrypted to the issuer. The request is signed with the client's blinded key (`request_key`).
+ *
+ * ```
+ * struct {
+ *   uint16_t token_type = 0x0003;
+ *   uint8_t truncated_token_key_id;
+ *   uint8_t issuer_encap_key_id[32];
+ *   uint8_t request_key[Npk];
+ *   uint8_t encrypted_token_request<1..2^16-1>;
+ *   uint8_t request_signature[Nsig];
+ * } RateLimitedTokenRequest;
+ *
+ * struct {
+ *   uint8_t blinded_msg[Nk];
+ *   uint8_t padded_origin_name<0..2^16-1>;
+ * } InnerTokenRequest;
+ * ```
+ * `Nk` is the size of the modulus of the issuer key.
+ * @see https://datatracker.ietf.org/doc/html/draft-ietf-privacypass-rate-limit-tokens
+ */
+export class RateLimitedTokenRequest {
+    /**
+     * @param {number} truncatedTokenKeyID The least significant byte of the token key ID
+     * @param {number[]} issuerEncapKeyID The `issuer_encap_key_id`
+     * @param {number[]} requestKey The client's blinded public key
+     * @param {number[]} encryptedTokenRequest The HPKE `enc || ct` of the `InnerTokenRequest`
+     * @param {number[]} requestSignature The signature over the request with the `request_key`
+     */
+    constructor(truncatedTokenKeyID, issuerEncapKeyID, requestKey, encryptedTokenRequest, requestSignature = []) {
+        this.tokenType = Token.RATE_LIMITED;
+        this.truncatedTokenKeyID = truncatedTokenKeyID;
+        this.issuerEncapKeyID = issuerEncapKeyID;
+        this.requestKey = requestKey;
+        this.encryptedTokenRequest = encryptedTokenRequest;
+        this.requestSignature = requestSignature;
+    }
+
+    /**
+     * @param {string|number[]} data The encoded request
+     * @returns {RateLimitedTokenRequest} the decoded request
+     * @throws {DecodeError} if the request is truncated or has trailing data
+     */
+    static from(data) {
+        const bytes = typeof data === "string" ? Base64.decode(data) : Array.from(data ?? []);
+        const byteBuffer = new ByteBuffer(bytes);
+        const tokenType = byteBuffer.readInt(2, "token_type");
+        if (tokenType !== Token.RATE_LIMITED) {
+            throw new Error(`Unsupported token type: ${tokenType}`);
+        }
+        const truncatedTokenKeyID = byteBuffer.readInt(1, "truncated_token_key_id");
+        const issuerEncapKeyID = byteBuffer.readBytes(32, "issuer_encap_key_id");
+        const requestKey = byteBuffer.readBytes(Npk, "request_key");
+        const encryptedTokenRequest = byteBuffer.readBytes(byteBuffer.readInt(2, "encrypted_token_request"), "encrypted_token_request");
+        const requestSignature = byteBuffer.readBytes(Nsig, "request_signature");
+        byteBuffer.expectEnd("request_signature");
+        return new RateLimitedTokenRequest(truncatedTokenKeyID, issuerEncapKeyID, requestKey, encryptedTokenRequest, requestSignature);
+    }
+
+    /**
+     * The additional authenticated data used to encrypt the `InnerTokenRequest`.
+     * > aad = concat(token_type, truncated_token_key_id, issuer_encap_key_id, request_key)
+     * @returns {number[]} the aad
+     */
+    toAAD() {
+        return new ByteBuffer()
+            .writeInt(this.tokenType, 2)
+            .writeInt(this.truncatedTokenKeyID, 1)
+            .writeBytes(this.issuerEncapKeyID)
+            .writeBytes(this.requestKey)
+            .toBytes();
+    }
+
+    /**
+     * @returns {number[]} the request without the signature (the signature input)
+     */
+    toSignatureInput() {
+        return new ByteBuffer(this.toAAD())
+            .writeInt(this.encryptedTokenRequest.length, 2)
+            .writeBytes(this.encryptedTokenRequest)
+            .toBytes();
+    }
+
+    toByteArray() {
+        return new ByteBuffer(this.toSignatureInput()).writeBytes(this.requestSignature).toBytes();
+    }
+
+    toString() {
+        return Base64.urlEncode(this.toByteArray());
+    }
+}
+
+/**
+ * Pads the origin name with zeros to a multiple of 32 bytes so that the length of the encrypted request does not reveal
+ * the origin.
+ * @param {string} originName The origin name
+ * @returns {number[]} the `padded_origin_name` (with its length prefix)
+ */
+function padOriginName(originName) {
+    const name = Array.from(new TextEncoder().encode(originName));
+    const padded = name.concat(Array(31 - ((name.length + 31) % 32)).fill(0));
+    return ByteBuffer.numberToBytes(padded.length, 2).concat(padded);
+}
+
+/**
+ * Derives the key and nonce used to encrypt the issuer's response to the client from the HPKE context of the request
+ * (as in Oblivious HTTP).
+ *
+ * ```
+ * secret = context.Export("TokenResponse", Nk)
+ * salt = concat(enc, response_nonce)
+ * prk = Extract(salt, secret)
+ * aead_key = Expand(prk, "key", Nk)
+ * aead_nonce = Expand(prk, "nonce", Nn)
+ * ```
+ * @param {Object} context The HPKE context
+ * @param {number[]} enc The encapsulated key of the request
+ * @param {number[]} responseNonce The random response nonce
+ * @returns {Array} `[aeadKey, aeadNonce]`
+ */
+function responseKey(context, enc, responseNonce) {
+    const secret = HPKE.export(context, "TokenResponse", HPKE.Nk);
+    const prk = extract(sha256Hash, Uint8Array.from(secret), Uint8Array.from([...enc, ...responseNonce]));
+    return [
+        Array.from(expand(sha256Hash, prk, Uint8Array.from(ByteBuffer.stringToBytes("key")), HPKE.Nk)),
+        Array.from(expand(sha256Hash, prk, Uint8Array.from(ByteBuffer.stringToBytes("nonce")), HPKE.Nn)),
+    ];
+}
+
+/**
+ * The issuer of rate-limited tokens. The issuer knows the origins and their rate limit policy and holds a secret per
+ * origin. It never learns the identity of the client: it only sees the blinded `request_key` from which it computes
+ * the `index_key = sk_Origin * request_key` for the attester.
+ */
+export class RateLimitedIssuer {
+    /**
+     * @param {PrivateAccessTokenIssuer} issuer The Blind RSA issuer for the token type `Token.RATE_LIMITED`
+     * @param {IssuerEncapKey} encapKey The key used to decrypt the origin names
+     */
+    constructor(issuer, encapKey = IssuerEncapKey.generate()) {
+        this.issuerName = issuer.issuerName;
+        this.publicKey = issuer.publicKey;
+        this.encapKey = new IssuerEncapKey(encapKey.publicKey);
+        this.#issuer = issuer;
+        this.#encapKey = encapKey;
+    }
+
+    #issuer;
+    #encapKey;
+    #origins = new Map();
+
+    /**
+     * @param {string} issuerName The name of the issuer
+     * @param {number} modulusLength The size of the RSA modulus in bits
+     * @returns {Promise<RateLimitedIssuer>} an issuer with fresh keys
+     */
+    static async generate(issuerName, modulusLength = 2048) {
+        return new RateLimitedIssuer(await PrivateAccessTokenIssuer.generate(issuerName, Token.RATE_LIMITED, modulusLength));
+    }
+
+    /**
+     * Registers an origin and its rate limit policy.
+     * @param {string} originName The origin name
+     * @param {number} limit The maximum number of tokens per client per window
+     * @param {BigInt} secret The per origin secret (generated if not provided)
+     * @returns {RateLimitedIssuer} this issuer (for chaining)
+     */
+    addOrigin(originName, limit, secret = ECDSA_P384.randomScalar()) {
+        this.#origins.set(originName, { limit, secret });
+        return this;
+    }
+
+    /**
+     * Decrypts and verifies the request, produces the blind signature and the `index_key` for the origin.
+     *
+     * @param {RateLimitedTokenRequest|string} tokenRequest The request forwarded by the attester
+     * @returns {Promise<Object>} `{encryptedTokenResponse, indexKey, limit}`. Only the encrypted response is returned
+     *                            to the client; the index key and the limit are for the attester.
+     */
+    async issue(tokenRequest) {
+        if (!(tokenRequest instanceof RateLimitedTokenRequest)) {
+            tokenRequest = RateLimitedTokenRequest.from(tokenRequest);
+        }
+        if (tokenRequest.issuerEncapKeyID.toString() !== (await this.#encapKey.toKeyID()).toString()) {
+            throw new Error("Unknown issuer encap key ID");
+        }
+        if (!ECDSA_P384.verify(tokenRequest.requestKey, tokenRequest.toSignatureInput(), tokenRequest.requestSignature)) {
+            throw new Error("Invalid request signature");
+        }
+
+        const enc = tokenRequest.encryptedTokenRequest.slice(0, HPKE.Nenc);
+        const ct = tokenRequest.encryptedTokenRequest.slice(HPKE.Nenc);
+        const [inner, context] = await HPKE.open(enc, this.#encapKey.privateKey, ByteBuffer.stringToBytes("TokenRequest"), tokenRequest.toAAD(), ct);
+
+        const byteBuffer = new ByteBuffer(inner);
+        const blindedMsg = byteBuffer.readBytes(Token.authenticatorLength(Token.RATE_LIMITED, this.publicKey), "blinded_msg");
+        const paddedOriginName = byteBuffer.readBytes(byteBuffer.readInt(2, "padded_origin_name"), "padded_origin_name");
+        byteBuffer.expectEnd("padded_origin_name");
+        const originName = new TextDecoder().decode(Uint8Array.from(paddedOriginName.slice(0, paddedOriginName.indexOf(0) >= 0 ? paddedOriginName.indexOf(0) : undefined)));
+
+        const origin = this.#origins.get(originName);
+        if (!origin) {
+            throw new Error(`Unknown origin: ${originName}`);
+        }
+
+        const tokenResponse = this.#issuer.issue(new TokenRequest(Token.RATE_LIMITED, tokenRequest.truncatedTokenKeyID, blindedMsg));
+        const indexKey = ECDSA_P384.blindPublicKey(tokenRequest.requestKey, origin.secret);
+
+        const responseNonce = HPKE.randomBytes(Math.max(HPKE.Nk, HPKE.Nn));
+        const [aeadKey, aeadNonce] = responseKey(context, enc, responseNonce);
+        const encryptedTokenResponse = responseNonce.concat(await HPKE.aeadSeal(aeadKey, aeadNonce, [], tokenResponse.toByteArray()));
+
+        return { encryptedTokenResponse, indexKey, limit: origin.limit };
+    }
+}
+
+/**
+ * The attester authenticates clients and enforces the per origin rate limits. It never learns the origin name; it
+ * only sees a stable anonymous origin ID for each (client, origin) pair:
+ *
+ * ```
+ * index_result = UnblindPublicKey(index_key, request_blind) // = sk_Origin * pk_Client
+ * anon_issuer_origin_id = HKDF-SHA384(salt=pk_Client, ikm=index_result, info="anon_issuer_origin_id", L=32)
+ * ```
+ */
+export class RateLimitedAttester {
+    /**
+     * @param {Function} issue Callback that forwards the request to the issuer (eg. `RateLimitedIssuer.issue()`)
+     * @param {number} window The length of the rate limit window in seconds
+     */
+    constructor(issue, window = 24 * 60 * 60) {
+        this.issue = issue;
+        this.window = window;
+    }
+
+    #clients = new Set();
+    #counters = new Map();
+
+    /**
+     * Registers an (already attested) client key.
+     * @param {number[]} clientKey The client's compressed public key
+     * @returns {RateLimitedAttester} this attester (for chaining)
+     */
+    register(clientKey) {
+        this.#clients.add(Hex.encode(clientKey));
+        return this;
+    }
+
+    /**
+     * @param {number[]} clientKey The client's compressed public key
+     * @param {number[]} indexKey The `index_key` from the issuer
+     * @param {BigInt} requestBlind The blind used for the request key
+     * @returns {number[]} the anonymous issuer origin ID
+     */
+    static anonymousOriginID(clientKey, indexKey, requestBlind) {
+        const indexResult = ECDSA_P384.unblindPublicKey(indexKey, requestBlind);
+        return Array.from(hkdf(sha384, Uint8Array.from(indexResult), Uint8Array.from(clientKey), "anon_issuer_origin_id", 32));
+    }
+
+    /**
+     * Validates the client request, forwards it to the issuer and counts the token against the client's limit for the
+     * (anonymous) origin.
+     *
+     * @param {number[]} clientKey The client's compressed public key
+     * @param {BigInt} requestBlind The blind used by the client for `request_key`
+     * @param {RateLimitedTokenRequest} tokenRequest The token request
+     * @param {number} now The time (epoch ms)
+     * @returns {Promise<number[]>} the encrypted token response for the client
+     */
+    async attest(clientKey, requestBlind, tokenRequest, now = Date.now()) {
+        if (!this.#clients.has(Hex.encode(clientKey))) {
+            throw new Error("Unknown client");
+        }
+        if (!(tokenRequest instanceof RateLimitedTokenRequest)) {
+            tokenRequest = RateLimitedTokenRequest.from(tokenRequest);
+        }
+        if (ECDSA_P384.blindPublicKey(clientKey, requestBlind).toString() !== tokenRequest.requestKey.toString()) {
+            throw new Error("Invalid request key");
+        }
+        if (!ECDSA_P384.verify(tokenRequest.requestKey, tokenRequest.toSignatureInput(), tokenRequest.requestSignature)) {
+            throw new Error("Invalid request signature");
+        }
+
+        const { encryptedTokenResponse, indexKey, limit } = await this.issue(tokenRequest);
+
+        const originID = RateLimitedAttester.anonymousOriginID(clientKey, indexKey, requestBlind);
+        const key = `${Hex.encode(clientKey)}:${Hex.encode(originID)}`;
+        const window = Math.floor(now / (this.window * 1000));
+        const counter = this.#counters.get(key);
+        const count = counter?.window === window ? counter.count : 0;
+        if (count >= limit) {
+            throw new Error("Rate limit exceeded");
+        }
+        this.#counters.set(key, { window, count: count + 1 });
+
+        return encryptedTokenResponse;
+    }
+}
+
+/**
+ * The client of the rate-limited issuance protocol. The client holds a long term ECDSA key registered with the
+ * attester and blinds it for every request so that the issuer can't link requests.
+ */
+export class RateLimitedClient {
+    /**
+     * @param {BigInt} secretKey The long term client key (generated if not provided)
+     */
+    constructor(secretKey = ECDSA_P384.randomScalar()) {
+        this.#secretKey = secretKey;
+        this.publicKey = ECDSA_P384.publicKey(secretKey);
+    }
+
+    #secretKey;
+    #client;
+    #context;
+    #enc;
+
+    /**
+     * Creates the encrypted and signed token request.
+     *
+     * @param {Challenge} challenge The challenge from the origin (with `token_type = 0x0003`)
+     * @param {PublicKey} tokenKey The issuer token key
+     * @param {IssuerEncapKey} encapKey The issuer encap key for the origin name
+     * @param {string} originName The origin name (defaults to the first origin of the challenge)
+     * @returns {Promise<Object>} `{tokenRequest, requestBlind}`; the blind is only sent to the attester
+     */
+    async createTokenRequest(challenge, tokenKey, encapKey, originName = challenge.origins[0]) {
+        if (challenge.tokenType !== Token.RATE_LIMITED) {
+            throw new Error(`Unsupported token type: ${challenge.tokenType}`);
+        }
+        if (!originName) {
+            throw new Error("An origin name is required");
+        }
+
+        this.#client = new PrivateAccessTokenClient(challenge, PublicKey.from(tokenKey));
+        const { truncatedTokenKeyID, blindedMsg } = await this.#client.createTokenRequest();
+
+        const requestBlind = ECDSA_P384.randomScalar();
+        const requestKey = ECDSA_P384.blindPublicKey(this.publicKey, requestBlind);
+        const tokenRequest = new RateLimitedTokenRequest(truncatedTokenKeyID, await encapKey.toKeyID(), requestKey, []);
+
+        const inner = [...blindedMsg, ...padOriginName(originName)];
+        const [enc, ct, context] = await HPKE.seal(encapKey.publicKey, ByteBuffer.stringToBytes("TokenRequest"), tokenRequest.toAAD(), inner);
+        tokenRequest.encryptedTokenRequest = enc.concat(ct);
+        tokenRequest.requestSignature = ECDSA_P384.blindKeySign(this.#secretKey, requestBlind, tokenRequest.toSignatureInput());
+
+        this.#context = context;
+        this.#enc = enc;
+        return { tokenRequest, requestBlind };
+    }
+
+    /**
+     * Decrypts the issuer response and unblinds the token.
+     *
+     * @param {number[]} encryptedTokenResponse The `response_nonce || ct` from the issuer (via the attester)
+     * @returns {Promise<Token>} the token
+     */
+    async finalize(encryptedTokenResponse) {
+        if (!this.#context) {
+            throw new Error("No outstanding token request");
+        }
+        const responseNonce = encryptedTokenResponse.slice(0, Math.max(HPKE.Nk, HPKE.Nn));
+        const [aeadKey, aeadNonce] = responseKey(this.#context, this.#enc, responseNonce);
+        const blindSig = await HPKE.aeadOpen(aeadKey, aeadNonce, [], encryptedTokenResponse.slice(responseNonce.length));
+
+        const token = await this.#client.finalize(new TokenResponse(blindSig));
+        this.#context = null;
+        this.#enc = null;
+        return token;
+    }
+}
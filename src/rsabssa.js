@@ -0,0 +1,583 @@
+import { sha384 } from '@noble/hashes/sha512';
+import { hkdf } from '@noble/hashes/hkdf';
+import { ByteBuffer } from './utils.js';
+
+/**
+ * Modular exponentiation for BigInt values (square and multiply)
+ * @param {BigInt} base the base
+ * @param {BigInt} exponent the exponent
+ * @param {BigInt} modulus the modulus
+ * @returns {BigInt} base^exponent mod modulus
+ */
+export function modPow(base, exponent, modulus) {
+    let result = 1n;
+    base = ((base % modulus) + modulus) % modulus;
+    while (exponent > 0n) {
+        if (exponent & 1n) {
+            result = (result * base) % modulus;
+        }
+        exponent >>= 1n;
+        base = (base * base) % modulus;
+    }
+    return result;
+}
+
+/**
+ * Modular multiplicative inverse using the extended euclidean algorithm
+ * @param {BigInt} a the value to invert
+ * @param {BigInt} modulus the modulus
+ * @returns {BigInt} a^-1 mod modulus
+ */
+export function modInverse(a, modulus) {
+    let [oldR, r] = [((a % modulus) + modulus) % modulus, modulus];
+    let [oldS, s] = [1n, 0n];
+    while (r !== 0n) {
+        const quotient = oldR / r;
+        [oldR, r] = [r, oldR - quotient * r];
+        [oldS, s] = [s, oldS - quotient * s];
+    }
+    if (oldR !== 1n) {
+        throw new Error("Value is not invertible");
+    }
+    return ((oldS % modulus) + modulus) % modulus;
+}
+
+/**
+ * Greatest common divisor of two BigInt values
+ * @param {BigInt} a the first value
+ * @param {BigInt} b the second value
+ * @returns {BigInt} gcd(a, b)
+ */
+export function gcd(a, b) {
+    while (b !== 0n) {
+        [a, b] = [b, a % b];
+    }
+    return a < 0n ? -a : a;
+}
+
+/**
+ * Converts a byte array to a BigInt. Unlike `ByteBuffer.bytesToNumber()` this always returns a BigInt regardless
+ * of the length.
+ * @param {number[]} bytes the big endian byte representation
+ * @returns {BigInt} the integer value
+ */
+export function toBigInt(bytes = []) {
+    let result = 0n;
+    for (const octet of bytes) {
+        result = (result << 8n) + BigInt(octet);
+    }
+    return result;
+}
+
+/**
+ * Implementation of RSA Blind Signatures as defined in RFC9474. Keys are represented as simple objects with the
+ * BigInt members `n`, `e` (and `d`, optionally with the prime factors `p` and `q`, for the private key).
+ *
+ * @see https://datatracker.ietf.org/doc/html/rfc9474
+ */
+class RSABSSA {
+    /**
+     * @param {string} identifier the name of the variant
+     * @param {function} hash the hash function to use for EMSA-PSS and MGF1
+     * @param {number} sLen the salt length for EMSA-PSS
+     * @param {boolean} randomize whether to use PrepareRandomize (true) or PrepareIdentity (false)
+     */
+    constructor(identifier = "RSABSSA-SHA384-PSS-Deterministic", hash = sha384, sLen = 48, randomize = false) {
+        this.identifier = identifier;
+        this.hash = hash;
+        this.hLen = hash.outputLen;
+        this.sLen = sLen;
+        this.randomize = randomize;
+    }
+
+    /**
+     * Returns `length` cryptographically secure random bytes
+     * @param {number} length the number of bytes
+     * @returns {number[]} the random bytes
+     */
+    randomBytes(length) {
+        return Array.from(crypto.getRandomValues(new Uint8Array(length)));
+    }
+
+    /**
+     * From https://datatracker.ietf.org/doc/html/rfc9474#name-prepare
+     * > The randomized preparation function, denoted PrepareRandomize, prepends a random 32-byte string msg_prefix to
+     * > the input message. The identity preparation function, denoted PrepareIdentity, returns the input message
+     * > without transformation.
+     *
+     * @param {number[]} msg the message to prepare
+     * @param {number[]} msgPrefix the random prefix to use (for testing)
+     * @returns {number[]} the prepared message
+     */
+    prepare(msg, msgPrefix) {
+        if (!this.randomize) return Array.from(msg);
+        return (msgPrefix ?? this.randomBytes(32)).concat(Array.from(msg));
+    }
+
+    /**
+     * From https://datatracker.ietf.org/doc/html/rfc8017#appendix-B.2.1
+     * > MGF1 is a Mask Generation Function based on a hash function.
+     * > 3.  For counter from 0 to \ceil (maskLen / hLen) - 1, do the following:
+     * >     A.  Convert counter to an octet string C of length 4 octets: C = I2OSP (counter, 4) .
+     * >     B.  Concatenate the hash of the seed mgfSeed and C to the octet string T: T = T || Hash(mgfSeed || C) .
+     * > 4.  Output the leading maskLen octets of T as the octet string mask.
+     *
+     * @param {number[]} seed the seed from which the mask is generated
+     * @param {number} maskLen the intended length of the mask
+     * @returns {number[]} the mask
+     */
+    mgf1(seed, maskLen) {
+        let mask = [];
+        for (let counter = 0; mask.length < maskLen; counter++) {
+            const data = new ByteBuffer()
+                .writeBytes(seed)
+                .writeInt(counter, 4);
+            mask = mask.concat(Array.from(this.hash(Uint8Array.from(data.toBytes()))));
+        }
+        return mask.slice(0, maskLen);
+    }
+
+    /**
+     * From https://datatracker.ietf.org/doc/html/rfc8017#section-9.1.1
+     * > EMSA-PSS-ENCODE (M, emBits)
+     * > 2.   Let mHash = Hash(M), an octet string of length hLen.
+     * > 4.   Generate a random octet string salt of length sLen
+     * > 5.   Let M' = (0x)00 00 00 00 00 00 00 00 || mHash || salt;
+     * > 6.   Let H = Hash(M'), an octet string of length hLen.
+     * > 7.   Generate an octet string PS consisting of emLen - sLen - hLen - 2 zero octets.
+     * > 8.   Let DB = PS || 0x01 || salt; DB is an octet string of length emLen - hLen - 1.
+     * > 9.   Let dbMask = MGF(H, emLen - hLen - 1).
+     * > 10.  Let maskedDB = DB \xor dbMask.
+     * > 11.  Set the leftmost 8emLen - emBits bits of the leftmost octet in maskedDB to zero.
+     * > 12.  Let EM = maskedDB || H || 0xbc.
+     *
+     * @param {number[]} msg the message to encode
+     * @param {number} emBits the maximal bit length of the integer representation of the encoded message
+     * @param {number[]} salt the salt to use (for testing)
+     * @returns {number[]} the encoded message
+     */
+    emsaPSSEncode(msg, emBits, salt) {
+        const emLen = Math.ceil(emBits / 8);
+        const mHash = Array.from(this.hash(Uint8Array.from(msg)));
+        if (emLen < this.hLen + this.sLen + 2) {
+            throw new Error("encoding error");
+        }
+
+        salt = salt ?? this.randomBytes(this.sLen);
+        const mPrime = Array(8).fill(0).concat(mHash, salt);
+        const H = Array.from(this.hash(Uint8Array.from(mPrime)));
+        const DB = Array(emLen - this.sLen - this.hLen - 2).fill(0).concat([0x01], salt);
+        const dbMask = this.mgf1(H, emLen - this.hLen - 1);
+        const maskedDB = DB.map((v, i) => v ^ dbMask[i]);
+        maskedDB[0] &= 0xff >> (8 * emLen - emBits);
+
+        return maskedDB.concat(H, [0xbc]);
+    }
+
+    /**
+     * From https://datatracker.ietf.org/doc/html/rfc8017#section-9.1.2
+     * > EMSA-PSS-VERIFY (M, EM, emBits)
+     *
+     * @param {number[]} msg the message to verify
+     * @param {number[]} em the encoded message
+     * @param {number} emBits the maximal bit length of the integer representation of the encoded message
+     * @returns {boolean} true if the encoding is consistent
+     */
+    emsaPSSVerify(msg, em, emBits) {
+        const emLen = Math.ceil(emBits / 8);
+        const mHash = Array.from(this.hash(Uint8Array.from(msg)));
+        if (em.length !== emLen || emLen < this.hLen + this.sLen + 2) return false;
+        if (em[emLen - 1] !== 0xbc) return false;
+
+        const maskedDB = em.slice(0, emLen - this.hLen - 1);
+        const H = em.slice(emLen - this.hLen - 1, emLen - 1);
+        const zeroBits = 8 * emLen - emBits;
+        if ((maskedDB[0] & (0xff << (8 - zeroBits))) & 0xff) return false;
+
+        const dbMask = this.mgf1(H, emLen - this.hLen - 1);
+        const DB = maskedDB.map((v, i) => v ^ dbMask[i]);
+        DB[0] &= 0xff >> zeroBits;
+
+        const psLen = emLen - this.hLen - this.sLen - 2;
+        if (DB.slice(0, psLen).some(v => v !== 0) || DB[psLen] !== 0x01) return false;
+
+        const salt = DB.slice(DB.length - this.sLen);
+        const mPrime = Array(8).fill(0).concat(mHash, salt);
+        const hPrime = Array.from(this.hash(Uint8Array.from(mPrime)));
+        return hPrime.toString() === H.toString();
+    }
+
+    /**
+     * From https://datatracker.ietf.org/doc/html/rfc8017#section-8.1.2
+     * > RSASSA-PSS-VERIFY ((n, e), M, S)
+     *
+     * @param {Object} pk the public key ({n, e})
+     * @param {number[]} msg the message
+     * @param {number[]} sig the signature
+     * @returns {boolean} true if the signature is valid
+     */
+    verify(pk, msg, sig) {
+        const modulusLength = this.modulusLength(pk);
+        if (sig?.length !== modulusLength) return false;
+
+        const s = toBigInt(sig);
+        if (s >= pk.n) return false;
+        const modBits = pk.n.toString(2).length;
+        const emLen = Math.ceil((modBits - 1) / 8);
+        const em = ByteBuffer.numberToBytes(this.rsavp1(pk, s), emLen);
+        return this.emsaPSSVerify(msg, em, modBits - 1);
+    }
+
+    /**
+     * From https://datatracker.ietf.org/doc/html/rfc9474#name-blind
+     * > Blind(pk, msg)
+     * > 1. encoded_msg = EMSA-PSS-ENCODE(msg, bit_len(n) - 1)
+     * > 2. If EMSA-PSS-ENCODE raises an error, re-raise the error and stop
+     * > 3. m = bytes_to_int(encoded_msg)
+     * > 4. c = is_coprime(m, n)
+     * > 5. If c is false, raise an "invalid input" error and stop
+     * > 6. r = random_integer_uniform(1, n)
+     * > 7. inv = inverse_mod(r, n)
+     * > 8. If inverse_mod fails, raise a "blinding error" error and stop
+     * > 9. x = RSAVP1(pk, r)
+     * > 10. z = m * x mod n
+     * > 11. blinded_msg = int_to_bytes(z, modulus_len)
+     * > 12. output blinded_msg, inv
+     *
+     * NB: the RFC text writes `bit_len(n)`; the message is encoded with `emBits = bit_len(n) - 1` (as in
+     * RSASSA-PSS-SIGN) so that the final signature can be checked with a standard RSA-PSS verifier (eg. WebCrypto).
+     *
+     * @param {Object} pk the public key ({n, e})
+     * @param {number[]} msg the (prepared) message to blind
+     * @param {number[]} salt the salt to use for EMSA-PSS (for testing)
+     * @param {BigInt} r the blinding factor (for testing)
+     * @returns {Array} the blinded message and the inverse of the blinding factor `[blindedMsg, inv]`
+     */
+    blind(pk, msg, salt, r) {
+        const modulusLength = this.modulusLength(pk);
+        const modBits = pk.n.toString(2).length;
+        const encodedMsg = this.emsaPSSEncode(msg, modBits - 1, salt);
+
+        const m = toBigInt(encodedMsg);
+        if (gcd(m, pk.n) !== 1n) {
+            throw new Error("invalid input");
+        }
+
+        while (!r) {
+            r = toBigInt(this.randomBytes(modulusLength + 8)) % pk.n;
+        }
+        let inv;
+        try {
+            inv = modInverse(r, pk.n);
+        }
+        catch {
+            throw new Error("blinding error");
+        }
+
+        const x = this.rsavp1(pk, r);
+        const z = (m * x) % pk.n;
+        return [ByteBuffer.numberToBytes(z, modulusLength), inv];
+    }
+
+    /**
+     * From https://datatracker.ietf.org/doc/html/rfc9474#name-finalize
+     * > Finalize(pk, msg, blind_sig, inv)
+     * > 1. If len(blind_sig) != modulus_len, raise an "unexpected input size" error and stop
+     * > 2. z = bytes_to_int(blind_sig)
+     * > 3. s = z * inv mod n
+     * > 4. sig = int_to_bytes(s, modulus_len)
+     * > 5. result = RSASSA-PSS-VERIFY(pk, msg, sig) with Hash, MGF, and salt_len as defined in the parameters
+     * > 6. If result = "valid signature", output sig, else raise an "invalid signature" error and stop
+     *
+     * @param {Object} pk the public key ({n, e})
+     * @param {number[]} msg the (prepared) message
+     * @param {number[]} blindSig the blind signature from the signer
+     * @param {BigInt} inv the inverse of the blinding factor produced by `blind()`
+     * @returns {number[]} the unblinded signature
+     */
+    finalize(pk, msg, blindSig, inv) {
+        const modulusLength = this.modulusLength(pk);
+        if (blindSig?.length !== modulusLength) {
+            throw new Error("unexpected input size");
+        }
+
+        const z = toBigInt(blindSig);
+        const s = (z * inv) % pk.n;
+        const sig = ByteBuffer.numberToBytes(s, modulusLength);
+        if (!this.verify(pk, msg, sig)) {
+            throw new Error("invalid signature");
+        }
+        return sig;
+    }
+
+    /**
+     * Returns the modulus length in bytes (`modulus_len` or `Nk` in the specs)
+     *
+     * @param {Object} key the public or private key
+     * @returns {number} the length of the modulus in bytes
+     */
+    modulusLength(key) {
+        return Math.ceil(key.n.toString(2).length / 8);
+    }
+
+    /**
+     * From https://datatracker.ietf.org/doc/html/rfc8017#section-5.2.1
+     * > RSASP1 (K, m)
+     * > 1.  If the message representative m is not between 0 and n - 1, output "message representative out of range"
+     * >     and stop.
+     * > 2.  The signature representative s is computed as follows.
+     * >     a.  If the first form (n, d) of K is used, let s = m^d mod n.
+     * >     b.  If the second form (p, q, dP, dQ, qInv) and (r_i, d_i, t_i) of K is used, proceed as follows:
+     * >         1.  Let s_1 = m^dP mod p and s_2 = m^dQ mod q.
+     * >         2.  Let h = (s_1 - s_2) * qInv mod p.
+     * >         3.  Let s = s_2 + q * h.
+     *
+     * The exponentiation on `d` is not constant time, so the message representative is blinded with a random `r`
+     * (`m * r^e mod n`) before it and the result is unblinded with `r^-1`. The CRT form is used when the private key
+     * has the prime factors.
+     *
+     * @param {Object} sk the private key ({n, e, d} and optionally {p, q})
+     * @param {BigInt} m the message representative
+     * @returns {BigInt} the signature representative
+     */
+    rsasp1(sk, m) {
+        if (m < 0n || m >= sk.n) {
+            throw new Error("message representative out of range");
+        }
+
+        let r = 0n;
+        while (r < 2n || gcd(r, sk.n) !== 1n) {
+            r = toBigInt(this.randomBytes(this.modulusLength(sk) + 8)) % sk.n;
+        }
+        const c = (m * modPow(r, sk.e, sk.n)) % sk.n;
+
+        let s;
+        if (sk.p && sk.q) {
+            const s1 = modPow(c, sk.d % (sk.p - 1n), sk.p);
+            const s2 = modPow(c, sk.d % (sk.q - 1n), sk.q);
+            const h = (((s1 - s2) * modInverse(sk.q, sk.p)) % sk.p + sk.p) % sk.p;
+            s = s2 + sk.q * h;
+        }
+        else {
+            s = modPow(c, sk.d, sk.n);
+        }
+        return (s * modInverse(r, sk.n)) % sk.n;
+    }
+
+    /**
+     * From https://datatracker.ietf.org/doc/html/rfc8017#section-5.2.2
+     * > RSAVP1 ((n, e), s)
+     * > 1.  If the signature representative s is not between 0 and n - 1, output "signature representative out of
+     * >     range" and stop.
+     * > 2.  Let m = s^e mod n.
+     *
+     * @param {Object} pk the public key ({n, e})
+     * @param {BigInt} s the signature representative
+     * @returns {BigInt} the message representative
+     */
+    rsavp1(pk, s) {
+        if (s < 0n || s >= pk.n) {
+            throw new Error("signature representative out of range");
+        }
+        return modPow(s, pk.e, pk.n);
+    }
+
+    /**
+     * From https://datatracker.ietf.org/doc/html/rfc9474#name-blindsign
+     * > BlindSign(sk, blind_msg)
+     * > 1. m = bytes_to_int(blind_msg)
+     * > 2. s = RSASP1(sk, m)
+     * > 3. m' = RSAVP1(pk, s)
+     * > 4. If m != m', raise "signing failure" and stop
+     * > 5. blind_sig = int_to_bytes(s, modulus_len)
+     * > 6. output blind_sig
+     *
+     * @param {Object} sk the private key ({n, e, d})
+     * @param {number[]} blindMsg the blinded message from the client
+     * @returns {number[]} the blind signature
+     */
+    blindSign(sk, blindMsg) {
+        const modulusLength = this.modulusLength(sk);
+        if (blindMsg?.length !== modulusLength) {
+            throw new Error("unexpected input size");
+        }
+
+        const m = toBigInt(blindMsg);
+        const s = this.rsasp1(sk, m);
+        if (this.rsavp1(sk, s) !== m) {
+            throw new Error("signing failure");
+        }
+        return ByteBuffer.numberToBytes(s, modulusLength);
+    }
+}
+
+/**
+ * Implementation of Partially Blind RSA Signatures (RSAPBSSA). The signer and the client agree on a public `info`
+ * (metadata) which is bound to the signature by deriving a per-`info` public exponent `e'` from the modulus. Private
+ * keys need the prime factors `p` and `q` (in addition to `n`, `e` and `d`) to compute `d'`. The primes SHOULD be
+ * safe primes so that `e'` is always invertible.
+ *
+ * @see https://datatracker.ietf.org/doc/html/draft-amjad-cfrg-partially-blind-rsa
+ */
+class RSAPBSSA extends RSABSSA {
+    /**
+     * From https://datatracker.ietf.org/doc/html/draft-amjad-cfrg-partially-blind-rsa#name-derivepublickey
+     * > DerivePublicKey(pk, info)
+     * > 1. hkdf_input = concat("key", info, 0x00)
+     * > 2. hkdf_salt = int_to_bytes(n, modulus_len)
+     * > 3. lambda_len = modulus_len / 2
+     * > 4. hkdf_len = lambda_len + 16
+     * > 5. expanded_bytes = HKDF(IKM=hkdf_input, salt=hkdf_salt, info="PBRSA", L=hkdf_len)
+     * > 6. expanded_bytes[0] &= 0x3F // Clear two-most top bits
+     * > 7. expanded_bytes[lambda_len-1] |= 0x01 // Set bottom-most bit
+     * > 8. e' = bytes_to_int(slice(expanded_bytes, 0, lambda_len))
+     * > 9. output pk_derived = (n, e')
+     *
+     * @param {Object} pk the public key ({n, e})
+     * @param {number[]} info the public metadata
+     * @returns {Object} the derived public key ({n, e'})
+     */
+    derivePublicKey(pk, info = []) {
+        const modulusLength = this.modulusLength(pk);
+        const hkdfInput = ByteBuffer.stringToBytes("key").concat(Array.from(info), [0x00]);
+        const hkdfSalt = ByteBuffer.numberToBytes(pk.n, modulusLength);
+        const lambdaLen = modulusLength / 2;
+        const hkdfLen = lambdaLen + 16;
+
+        const expandedBytes = hkdf(this.hash, Uint8Array.from(hkdfInput), Uint8Array.from(hkdfSalt), "PBRSA", hkdfLen);
+        expandedBytes[0] &= 0x3f;
+        expandedBytes[lambdaLen - 1] |= 0x01;
+        return { n: pk.n, e: toBigInt(expandedBytes.slice(0, lambdaLen)) };
+    }
+
+    /**
+     * From https://datatracker.ietf.org/doc/html/draft-amjad-cfrg-partially-blind-rsa#name-derivekeypair
+     * > DeriveKeyPair(sk, info)
+     * > 1. (n, e') = DerivePublicKey(n, info)
+     * > 2. d' = inverse_mod(e', phi)
+     * > 3. sk_derived = (n, p, q, phi, d')
+     * > 4. pk_derived = (n, e')
+     * > 5. Output (sk_derived, pk_derived)
+     *
+     * @param {Object} sk the private key ({n, e, d, p, q})
+     * @param {number[]} info the public metadata
+     * @returns {Object} the derived key pair ({n, e', d', p, q})
+     */
+    deriveKeyPair(sk, info = []) {
+        if (!sk.p || !sk.q) {
+            throw new Error("The private key requires the prime factors p and q");
+        }
+        const { e } = this.derivePublicKey(sk, info);
+        const phi = (sk.p - 1n) * (sk.q - 1n);
+        return { n: sk.n, e, d: modInverse(e, phi), p: sk.p, q: sk.q };
+    }
+
+    /**
+     * > msg_prime = concat("msg", int_to_bytes(len(info), 4), info, msg)
+     *
+     * @param {number[]} msg the (prepared) message
+     * @param {number[]} info the public metadata
+     * @returns {Uint8Array} the message bound to the metadata
+     */
+    messagePrime(msg, info = []) {
+        return new ByteBuffer()
+            .writeString("msg")
+            .writeInt(info.length, 4)
+            .writeBytes(Array.from(info))
+            .writeBytes(Array.from(msg))
+            .toBytes();
+    }
+
+    /**
+     * From https://datatracker.ietf.org/doc/html/draft-amjad-cfrg-partially-blind-rsa#name-blind
+     * > Blind(pk, msg, info)
+     * > 1. msg_prime = concat("msg", int_to_bytes(len(info), 4), info, msg)
+     * > 2. encoded_msg = EMSA-PSS-ENCODE(msg_prime, bit_len(n) - 1)
+     * > ...
+     * > 9. pk_derived = DerivePublicKey(pk, info)
+     * > 10. x = RSAVP1(pk_derived, r)
+     *
+     * @param {Object} pk the public key ({n, e})
+     * @param {number[]} msg the (prepared) message to blind
+     * @param {number[]} info the public metadata
+     * @param {number[]} salt the salt to use for EMSA-PSS (for testing)
+     * @param {BigInt} r the blinding factor (for testing)
+     * @returns {Array} the blinded message and the inverse of the blinding factor `[blindedMsg, inv]`
+     */
+    blind(pk, msg, info, salt, r) {
+        return super.blind(this.derivePublicKey(pk, info), this.messagePrime(msg, info), salt, r);
+    }
+
+    /**
+     * From https://datatracker.ietf.org/doc/html/draft-amjad-cfrg-partially-blind-rsa#name-blindsign
+     * > BlindSign(sk, blind_msg, info)
+     * > 1. m = bytes_to_int(blind_msg)
+     * > 2. sk_derived, pk_derived = DeriveKeyPair(sk, info)
+     * > 3. s = RSASP1(sk_derived, m)
+     * > 4. m' = RSAVP1(pk_derived, s)
+     * > 5. If m != m', raise "signing failure" and stop
+     * > 6. blind_sig = int_to_bytes(s, modulus_len)
+     * > 7. output blind_sig
+     *
+     * @param {Object} sk the private key ({n, e, d, p, q})
+     * @param {number[]} blindMsg the blinded message from the client
+     * @param {number[]} info the public metadata
+     * @returns {number[]} the blind signature
+     */
+    blindSign(sk, blindMsg, info) {
+        return super.blindSign(this.deriveKeyPair(sk, info), blindMsg);
+    }
+
+    /**
+     * From https://datatracker.ietf.org/doc/html/draft-amjad-cfrg-partially-blind-rsa#name-finalize
+     * > Finalize(pk, msg, info, blind_sig, inv)
+     * > 1. If len(blind_sig) != modulus_len, raise "unexpected input size" and stop
+     * > 2. z = bytes_to_int(blind_sig)
+     * > 3. s = z * inv mod n
+     * > 4. sig = int_to_bytes(s, modulus_len)
+     * > 5. msg_prime = concat("msg", int_to_bytes(len(info), 4), info, msg)
+     * > 6. pk_derived = DerivePublicKey(pk, info)
+     * > 7. result = RSASSA-PSS-VERIFY(pk_derived, msg_prime, sig)
+     * > 8. If result = "valid signature", output sig, else raise "invalid signature" and stop
+     *
+     * @param {Object} pk the public key ({n, e})
+     * @param {number[]} msg the (prepared) message
+     * @param {number[]} info the public metadata
+     * @param {number[]} blindSig the blind signature from the signer
+     * @param {BigInt} inv the inverse of the blinding factor produced by `blind()`
+     * @returns {number[]} the unblinded signature
+     */
+    finalize(pk, msg, info, blindSig, inv) {
+        const modulusLength = this.modulusLength(pk);
+        if (blindSig?.length !== modulusLength) {
+            throw new Error("unexpected input size");
+        }
+
+        const s = (toBigInt(blindSig) * inv) % pk.n;
+        const sig = ByteBuffer.numberToBytes(s, modulusLength);
+        if (!this.verify(pk, msg, info, sig)) {
+            throw new Error("invalid signature");
+        }
+        return sig;
+    }
+
+    /**
+     * Verifies a signature with the public key derived for the metadata.
+     *
+     * @param {Object} pk the public key ({n, e})
+     * @param {number[]} msg the (prepared) message
+     * @param {number[]} info the public metadata
+     * @param {number[]} sig the signature
+     * @returns {boolean} true if the signature is valid
+     */
+    verify(pk, msg, info, sig) {
+        return super.verify(this.derivePublicKey(pk, info), this.messagePrime(msg, info), sig);
+    }
+}
+
+export const RSABSSA_SHA384_PSS_Deterministic = new RSABSSA("RSABSSA-SHA384-PSS-Deterministic", sha384, 48, false);
+export const RSABSSA_SHA384_PSS_Randomized = new RSABSSA("RSABSSA-SHA384-PSS-Randomized", sha384, 48, true);
+export const RSABSSA_SHA384_PSSZERO_Deterministic = new RSABSSA("RSABSSA-SHA384-PSSZERO-Deterministic", sha384, 0, false);
+export const RSABSSA_SHA384_PSSZERO_Randomized = new RSABSSA("RSABSSA-SHA384-PSSZERO-Randomized", sha384, 0, true);
+export const RSAPBSSA_SHA384_PSS_Deterministic = new RSAPBSSA("RSAPBSSA-SHA384-PSS-Deterministic", sha384, 48, false);
+export const RSAPBSSA_SHA384_PSS_Randomized = new RSAPBSSA("RSAPBSSA-SHA384-PSS-Randomized", sha384, 48, true);
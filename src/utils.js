@@ -1,3 +1,5 @@
+import { DER, SubjectPublicKeyInfo } from "./asn1.js";
+
 /**
  * host to network long
  * @param {Number} n - Number to be encoded to byte array in network byte order.
@@ -52,6 +54,53 @@ export async function sha256(data = []) {
     return Array.from(new Uint8Array(hash));
 }
 
+const NON_ASCII = /[\u0080-\uffff]/;
+
+/**
+ * Converts the internationalized labels of a host name to A-labels (punycode) so that a Unicode name and its punycode
+ * form are the same name. Every label is lower-cased, as host names are case-insensitive, and a `:port` suffix is kept.
+ * The `issuer_name` and `origin_info` of a challenge are server names, which are ASCII on the wire.
+ *
+ * @param {string} name The host name (or `host:port`)
+ * @returns {string} the name with its labels lower-cased and converted to A-labels (labels that aren't valid are only
+ *                   lower-cased)
+ * @see https://datatracker.ietf.org/doc/html/rfc5890#section-2.3.2.1
+ * @see https://url.spec.whatwg.org/#concept-domain-to-ascii
+ */
+export function hostnameToASCII(name = "") {
+    if (!NON_ASCII.test(name)) return name.toLowerCase();
+
+    const [, host, port = ""] = name.match(/^(\[[^\]]*\]|[^:]*)(:.*)?$/) ?? [, name];
+    const labels = host.split(".").map(label => {
+        if (!NON_ASCII.test(label)) return label.toLowerCase();
+        try {
+            // the URL parser implements UTS #46 (domain to ASCII) in every runtime (node, browsers and workers)
+            return new URL(`http://${label}`).hostname;
+        }
+        catch {
+            return label.toLowerCase();
+        }
+    });
+    return labels.join(".") + port;
+}
+
+/**
+ * Raised when protocol data can't be decoded: truncated input, trailing bytes or invalid field values. `offset` is the
+ * position of the field in the input and `field` the name of the field as it appears in the spec.
+ */
+export class DecodeError extends Error {
+    /**
+     * @param {string} message The error message
+     * @param {Object} options `offset` and `field`
+     */
+    constructor(message, { offset, field } = {}) {
+        super(message);
+        this.name = "DecodeError";
+        this.offset = offset;
+        this.field = field;
+    }
+}
+
 export class Hex {
     static decode(value = '') {
         const result = Array(value.length / 2);
@@ -62,111 +111,328 @@ export class Hex {
     }
 
     static encode(data = []) {
-        return data.map(v => v.toString(16).padStart(2, '0')).join('');
+        return Array.from(data, v => v.toString(16).padStart(2, '0')).join('');
     }
 }
 
-export class Base64 {
-    static encode(data) {
-        if (Array.isArray(data) || ArrayBuffer.isView(data)) {
-            data = ByteBuffer.bytesToString(data);
+// RFC 9110 token characters: a value made only of these can be sent without quotes
+const TOKEN = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+
+/**
+ * A Base64 codec with an explicit policy for the alphabet, the `=` padding and the quoting of values. Decoding throws
+ * a `DecodeError` (with the offset of the offending character) instead of guessing, so a corrupted value can't be
+ * mistaken for an empty one.
+ *
+ * Use one of the presets on `Base64` (`Base64.STANDARD`, `Base64.URL`, `Base64.URL_UNPADDED` and `Base64.HEADER`)
+ * or create one for a specific peer:
+ * ```
+ * // macOS 13 and iOS 16 require padding but don't support quoted auth-params
+ * const safari = new Base64Codec({ alphabet: "url", padding: "required", quoting: "forbidden" });
+ * ```
+ *
+ * @see https://datatracker.ietf.org/doc/html/rfc4648#section-4
+ * @see https://datatracker.ietf.org/doc/html/rfc4648#section-5
+ */
+export class Base64Codec {
+    /**
+     * @param {Object} options
+     *        `alphabet` "standard" (`+/`), "url" (`-_`) or "any" (either when decoding, "url" when encoding)
+     *        (default "url"),
+     *        `padding` "required", "forbidden" or "optional" (decoding accepts both, encoding pads) (default "optional"),
+     *        `quoting` "required", "forbidden" or "optional" (encoding only quotes values that are not a RFC 9110
+     *        token, eg. with `=` padding) (default "forbidden"),
+     *        `percentEncoded` whether the value may be percent encoded, as in a URL query (default false)
+     */
+    constructor({ alphabet = "url", padding = "optional", quoting = "forbidden", percentEncoded = false } = {}) {
+        for (const [name, value, allowed] of [
+            ["alphabet", alphabet, ["standard", "url", "any"]],
+            ["padding", padding, ["required", "forbidden", "optional"]],
+            ["quoting", quoting, ["required", "forbidden", "optional"]],
+        ]) {
+            if (!allowed.includes(value)) {
+                throw new Error(`Invalid ${name}: ${value}`);
+            }
         }
+        this.alphabet = alphabet;
+        this.padding = padding;
+        this.quoting = quoting;
+        this.percentEncoded = percentEncoded;
+        Object.freeze(this);
+    }
 
-        return btoa(data ?? "");
+    /**
+     * @param {Object} options The policies to change
+     * @returns {Base64Codec} a codec with the policies of this one and `options`
+     */
+    with(options = {}) {
+        return new Base64Codec({ ...this, ...options });
     }
-    static urlEncode(data, quoted=false) {
-        const output = Base64.encode(data).replace(/\+/g, '-').replace(/\//g, '_');
-        if (quoted && output.endsWith('=')) {
-            return `"${output}"`;
+
+    /**
+     * @param {Uint8Array|number[]|string} data The bytes (a string is treated as a byte string)
+     * @returns {string} the encoded value
+     */
+    encode(data = []) {
+        let value = btoa(ArrayBuffer.isView(data) || Array.isArray(data) ? ByteBuffer.bytesToString(data) : data);
+        if (this.alphabet !== "standard") {
+            value = value.replaceAll("+", "-").replaceAll("/", "_");
+        }
+        if (this.padding === "forbidden") {
+            value = value.replace(/=+$/, "");
+        }
+        if (this.quoting === "required" || (this.quoting === "optional" && value.length > 0 && !TOKEN.test(value))) {
+            value = `"${value}"`;
         }
-        return output;
+        return value;
     }
 
-    static decode(data) {
-        if (!data) return [];
-        try {
-            data = decodeURIComponent(data)
-                ?.replaceAll('-', '+')
-                ?.replaceAll('_', '/')
-                ?.replaceAll(/^"|"$/g, '');
-            const encodedData = atob(data);
-            return ByteBuffer.stringToBytes(encodedData);
+    /**
+     * @param {string} value The encoded value
+     * @returns {Uint8Array} the decoded bytes
+     * @throws {DecodeError} if the value doesn't follow the alphabet, padding or quoting policy of the codec
+     */
+    decode(value = "") {
+        if (typeof value !== "string") {
+            throw new DecodeError(`Expected a base64 string but got ${typeof value}`, { offset: 0, field: "base64" });
         }
-        catch (e) {
-            console.error(e);
-            return [];
+        let offset = 0;
+        if (this.percentEncoded && value.includes("%")) {
+            try {
+                value = decodeURIComponent(value);
+            }
+            catch (e) {
+                throw new DecodeError(`Invalid percent encoding: ${e.message}`, { offset: 0, field: "base64" });
+            }
         }
+
+        const quoted = value.length >= 2 && value.startsWith('"') && value.endsWith('"');
+        if (quoted && this.quoting === "forbidden") {
+            throw new DecodeError("Unexpected quoted value", { offset: 0, field: "base64" });
+        }
+        if (!quoted && this.quoting === "required") {
+            throw new DecodeError("Expected a quoted value", { offset: 0, field: "base64" });
+        }
+        if (quoted) {
+            value = value.slice(1, -1);
+            offset = 1;
+        }
+
+        const characters = { standard: /[^A-Za-z0-9+/=]/, url: /[^A-Za-z0-9\-_=]/, any: /[^A-Za-z0-9+/\-_=]/ }[this.alphabet];
+        const invalid = value.search(characters);
+        if (invalid >= 0) {
+            throw new DecodeError(`Invalid character for the ${this.alphabet} base64 alphabet: ${JSON.stringify(value[invalid])}`, { offset: offset + invalid, field: "base64" });
+        }
+
+        const data = value.replace(/=+$/, "");
+        const padding = value.length - data.length;
+        if (data.includes("=")) {
+            throw new DecodeError("Unexpected padding", { offset: offset + data.indexOf("="), field: "base64" });
+        }
+        if (data.length % 4 === 1) {
+            throw new DecodeError(`Invalid length: ${data.length}`, { offset: offset + data.length - 1, field: "base64" });
+        }
+        const expected = (4 - data.length % 4) % 4;
+        if (padding > 0 && (this.padding === "forbidden" || padding !== expected)) {
+            throw new DecodeError(this.padding === "forbidden" ? "Unexpected padding" : `Invalid padding: expected ${expected} but got ${padding}`, { offset: offset + data.length, field: "base64" });
+        }
+        if (padding === 0 && expected > 0 && this.padding === "required") {
+            throw new DecodeError(`Missing padding: expected ${expected}`, { offset: offset + data.length, field: "base64" });
+        }
+
+        const binary = atob(data.replaceAll("-", "+").replaceAll("_", "/") + "=".repeat(expected));
+        return Uint8Array.from(binary, c => c.charCodeAt(0));
+    }
+}
+
+export class Base64 {
+    /** RFC 4648 section 4: `+/` and padding. */
+    static STANDARD = new Base64Codec({ alphabet: "standard", padding: "required" });
+
+    /** RFC 4648 section 5: `-_` and optional padding (padded when encoding). */
+    static URL = new Base64Codec({ alphabet: "url", padding: "optional" });
+
+    /** RFC 4648 section 5 without padding, eg. for JWKs (RFC 7515 section 2). */
+    static URL_UNPADDED = new Base64Codec({ alphabet: "url", padding: "forbidden" });
+
+    /**
+     * HTTP auth-param values as sent by the deployed clients and origins: either alphabet, optional padding and
+     * optionally quoted (quoted when encoding only if padded).
+     */
+    static HEADER = new Base64Codec({ alphabet: "any", padding: "optional", quoting: "optional" });
+
+    // the historical behaviour of decode(): anything goes, including percent encoded values
+    static #LENIENT = new Base64Codec({ alphabet: "any", padding: "optional", quoting: "optional", percentEncoded: true });
+
+    static encode(data) {
+        return Base64.STANDARD.encode(data ?? "");
+    }
+
+    static urlEncode(data, quoted=false) {
+        return Base64.URL.with({ quoting: quoted ? "optional" : "forbidden" }).encode(data ?? "");
+    }
+
+    /**
+     * Decodes base64 or base64url, with or without padding, quotes or percent encoding. Use one of the codecs
+     * (`Base64.URL`, `Base64.HEADER`, ...) to enforce a format.
+     *
+     * @param {string} data The encoded value
+     * @returns {number[]} the decoded bytes
+     * @throws {DecodeError} if the value is not base64
+     */
+    static decode(data) {
+        if (!data) return [];
+        return Array.from(Base64.#LENIENT.decode(data));
     }
 }
 
 /**
-* A helper class that reads values from a byte string.
+* A helper class that reads values from and writes values to a byte string.
 *
-* This class helps to parse issuance and redemption requests.
+* This class helps to parse and serialize issuance and redemption requests. The bytes are held in a `Uint8Array` that
+* grows (doubling its capacity) as values are written so that serializing a message is linear in its size. Reads return
+* views of the underlying bytes instead of copies and throw a `DecodeError` when they go past the end of the data.
 */
 export class ByteBuffer {
+    #bytes;
+    #view;
+    #length;
+    #owned = false;
+
     /**
-    * @param {Buffer} buffer The byte string to read values from.
+    * @param {Uint8Array|ArrayBuffer|number[]} buffer The byte string to read values from. A `Uint8Array` is not copied.
     */
     constructor(buffer) {
-        this.buffer = Array.from(buffer ?? []);
+        if (buffer instanceof Uint8Array) {
+            this.#bytes = buffer;
+        }
+        else if (buffer instanceof ArrayBuffer) {
+            this.#bytes = new Uint8Array(buffer);
+        }
+        else if (ArrayBuffer.isView(buffer)) {
+            this.#bytes = new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+        }
+        else {
+            this.#bytes = Uint8Array.from(buffer ?? []);
+        }
+        this.#view = new DataView(this.#bytes.buffer, this.#bytes.byteOffset, this.#bytes.byteLength);
+        this.#length = this.#bytes.length;
         this.offset = 0;
     }
 
+    /**
+    * @returns {Uint8Array} The bytes written (or read from). This is a view of the buffer, not a copy.
+    */
     toBytes() {
-        return this.buffer;
+        return this.#bytes.subarray(0, this.#length);
+    }
+
+    /**
+    * @returns {number[]} The bytes as an array of numbers.
+    */
+    toArray() {
+        return Array.from(this.toBytes());
+    }
+
+    /**
+    * @deprecated Use `toBytes()`
+    * @returns {Uint8Array} The bytes
+    */
+    get buffer() {
+        return this.toBytes();
     }
 
     get length() {
-        return this.buffer.length;
+        return this.#length;
+    }
+
+    /**
+    * @returns {number} The number of bytes left to read.
+    */
+    get remaining() {
+        return this.#length - this.offset;
     }
 
     /**
     * Reads `size` bytes from the buffer and increments the offset by the same amount.
     *
     * @param {number} size The number of bytes to read.
-    * @returns {Buffer} A byte string containing the bytes read.
+    * @param {string} field The name of the field being read (for the error).
+    * @returns {Uint8Array} A view of the bytes read.
+    * @throws {DecodeError} if fewer than `size` bytes remain.
     */
-    readBytes(size) {
-        const value = this.buffer.slice(this.offset, size ? this.offset + size : null);
+    readBytes(size = 0, field) {
+        this.#check(size, field);
+        const value = this.#bytes.subarray(this.offset, this.offset + size);
         this.offset += size;
         return value;
     }
 
-    readString(size) {
-        return ByteBuffer.bytesToString(this.readBytes(size));
+    readString(size, field) {
+        return ByteBuffer.bytesToString(this.readBytes(size, field));
+    }
+
+    /**
+    * Reads `size` bytes as a UTF-8 string.
+    *
+    * @param {number} size The number of bytes to read.
+    * @param {string} field The name of the field being read (for the error).
+    * @returns {string} The decoded string.
+    * @throws {DecodeError} if fewer than `size` bytes remain or the bytes are not valid UTF-8.
+    */
+    readUTF8(size, field) {
+        const offset = this.offset;
+        const bytes = this.readBytes(size, field);
+        try {
+            return new TextDecoder("utf-8", { fatal: true, ignoreBOM: true }).decode(bytes);
+        }
+        catch (e) {
+            throw new DecodeError(`Invalid UTF-8${field ? ` in ${field}` : ""}`, { offset, field });
+        }
     }
 
     /**
     * Parses `size` bytes from the buffer as an integer and increments the offset by `size`.
     *
     * @param {number} size The number of bytes to parse.
+    * @param {string} field The name of the field being read (for the error).
     * @returns {number} The parsed integer.
+    * @throws {DecodeError} if fewer than `size` bytes remain.
     */
-    readInt(size = 1) {
-        const value = this.readBytes(size);
-        if (size === 1) return value[0];
-        return ByteBuffer.bytesToNumber(value);
+    readInt(size = 1, field) {
+        this.#check(size, field);
+        let value;
+        if (size === 1) value = this.#view.getUint8(this.offset);
+        else if (size === 2) value = this.#view.getUint16(this.offset);
+        else if (size === 4) value = this.#view.getUint32(this.offset);
+        else value = ByteBuffer.bytesToNumber(this.#bytes.subarray(this.offset, this.offset + size));
+        this.offset += size;
+        return value;
     }
 
     peekInt() {
-        return this.buffer[this.offset];
+        return this.#bytes[this.offset];
     }
 
     writeInt(value = 0, size = 2) {
-        this.buffer = this.buffer.concat(ByteBuffer.numberToBytes(value, size));
+        this.#reserve(size);
+        if (size === 1) this.#view.setUint8(this.#length, Number(value) & 0xff);
+        else if (size === 2) this.#view.setUint16(this.#length, Number(value) & 0xffff);
+        else if (size === 4) this.#view.setUint32(this.#length, Number(value) >>> 0);
+        else this.#bytes.set(ByteBuffer.numberToBytes(value, size), this.#length);
+        this.#length += size;
         return this;
     }
 
     writeBytes(data = []) {
-        if (data instanceof Uint8Array) {
-            data = Array.from(data);
-        }
-        else if (!Array.isArray(data)) {
+        if (typeof data === "number") {
             data = [data];
         }
-
-        this.buffer = this.buffer.concat(data);
+        else if (ArrayBuffer.isView(data) && !(data instanceof Uint8Array)) {
+            data = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+        }
+        this.#reserve(data.length);
+        this.#bytes.set(data, this.#length);
+        this.#length += data.length;
         return this;
     }
 
@@ -174,8 +440,73 @@ export class ByteBuffer {
         return this.writeBytes(ByteBuffer.stringToBytes(str));
     }
 
+    /**
+    * Writes a string as UTF-8 (`writeString()` writes a byte string, one byte per character).
+    *
+    * @param {string} str The string to write.
+    * @returns {ByteBuffer} This buffer. Useful for chaining.
+    */
+    writeUTF8(str = '') {
+        return this.writeBytes(new TextEncoder().encode(str));
+    }
+
+    /**
+    * Throws a `DecodeError` unless the whole buffer has been read.
+    *
+    * @param {string} field The name of the last field read (for the error).
+    * @returns {ByteBuffer} This buffer. Useful for chaining.
+    * @throws {DecodeError} if there are bytes left to read.
+    */
+    expectEnd(field) {
+        if (this.remaining > 0) {
+            throw new DecodeError(`Unexpected trailing data${field ? ` after ${field}` : ""}: ${this.remaining} bytes`, { offset: this.offset, field });
+        }
+        return this;
+    }
+
+    /**
+    * @param {number} size The number of bytes about to be read
+    * @param {string} field The name of the field being read
+    * @returns {void}
+    */
+    #check(size, field) {
+        if (!Number.isInteger(size) || size < 0) {
+            throw new DecodeError(`Invalid length${field ? ` for ${field}` : ""}: ${size}`, { offset: this.offset, field });
+        }
+        if (this.offset + size > this.#length) {
+            const prefix = field ? `Truncated ${field}` : "Unexpected end of data";
+            throw new DecodeError(`${prefix}: ${size} bytes requested but only ${this.remaining} remain`, { offset: this.offset, field });
+        }
+    }
+
+    /**
+    * Grows the buffer (at least doubling it) so that `size` more bytes can be written. The bytes are always copied
+    * to a new buffer first, so writing never modifies the byte string the buffer was created with.
+    *
+    * @param {number} size The number of bytes about to be written
+    * @returns {void}
+    */
+    #reserve(size) {
+        if (this.#length + size <= this.#bytes.length && this.#owned) return;
+        const bytes = new Uint8Array(Math.max(this.#length + size, this.#bytes.length * 2, 64));
+        bytes.set(this.toBytes());
+        this.#bytes = bytes;
+        this.#view = new DataView(bytes.buffer);
+        this.#owned = true;
+    }
+
+    /**
+    * @param {Uint8Array|ArrayBufferView|number[]|string} data The bytes (a string is converted with `stringToBytes()`)
+    * @returns {Uint8Array} the bytes as a `Uint8Array` (not copied if already one)
+    */
+    static toUint8Array(data = []) {
+        if (data instanceof Uint8Array) return data;
+        if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+        return Uint8Array.from(ByteBuffer.stringToBytes(data ?? []));
+    }
+
     static bytesToString(bytes = []) {
-        return Array.from(bytes).map(char => String.fromCharCode(char)).join('');
+        return Array.from(bytes, char => String.fromCharCode(char)).join('');
     }
 
     static stringToBytes(data = '') {
@@ -207,14 +538,11 @@ export class ByteBuffer {
     }
 
     static bytesToNumber(octets = []) {
-        if (octets instanceof Uint8Array) {
-            octets = Array.from(octets);
-        }
-        else if (typeof octets === 'string') {
+        if (typeof octets === 'string') {
             // assume it's hex encoded
             octets = Hex.decode(octets);
         }
-        else if (!Array.isArray(octets)) {
+        else if (!Array.isArray(octets) && !ArrayBuffer.isView(octets)) {
             return octets;
         }
 
@@ -231,124 +559,403 @@ export class ByteBuffer {
     }
 }
 
+/**
+ * A CBOR tag (major type 6) that `CBOR` doesn't map to a JavaScript type.
+ * @see https://www.rfc-editor.org/rfc/rfc8949.html#name-tagging-of-items
+ */
+export class CBORTag {
+    /**
+     * @param {number|bigint} tag The tag number
+     * @param {*} value The tagged item
+     */
+    constructor(tag, value) {
+        this.tag = tag;
+        this.value = value;
+    }
+}
+
+/**
+ * A CBOR simple value (major type 7) other than `false`, `true`, `null` and `undefined`.
+ * @see https://www.rfc-editor.org/rfc/rfc8949.html#name-floating-point-numbers-and-
+ */
+export class CBORSimple {
+    /**
+     * @param {number} value The simple value (0..19 or 32..255)
+     */
+    constructor(value) {
+        if (!Number.isInteger(value) || value < 0 || value > 255 || (value >= 20 && value < 32)) {
+            throw new Error(`Invalid simple value: ${value}`);
+        }
+        this.value = value;
+    }
+}
+
+/**
+ * CBOR encoder and decoder (RFC 8949), used for the `client_data` of Private State Token redemptions.
+ *
+ * The types are mapped as follows:
+ *
+ * | CBOR                               | JavaScript                                                              |
+ * |------------------------------------|-------------------------------------------------------------------------|
+ * | unsigned and negative integers     | `number` (`bigint` outside of the safe integer range)                   |
+ * | byte strings                       | `Uint8Array`                                                            |
+ * | text strings                       | `string`                                                                |
+ * | arrays                             | `Array`                                                                 |
+ * | maps                               | plain objects when all the keys are text strings, `Map` otherwise       |
+ * | tag 0 and 1 (date/time)            | `Date`                                                                  |
+ * | tag 2 and 3 (bignums)              | `bigint`                                                                |
+ * | other tags                         | `CBORTag`                                                               |
+ * | half, single and double floats     | `number`                                                                |
+ * | false, true, null and undefined    | `false`, `true`, `null` and `undefined`                                 |
+ * | other simple values                | `CBORSimple`                                                            |
+ *
+ * The encoder always produces the deterministic encoding of RFC 8949 section 4.2.1: the shortest form of the
+ * integers, lengths and floats, definite lengths only and the map keys sorted by their encoding.
+ *
+ * @see https://www.rfc-editor.org/rfc/rfc8949.html
+ */
 export class CBOR {
+    static #MAX_DEPTH = 256;
+
+    /**
+     * @param {Uint8Array|number[]} rawData The encoded item
+     * @returns {*} the decoded item
+     * @throws {DecodeError} if the data is not well-formed CBOR, or has trailing data
+     */
     static decode(rawData = []) {
         const data = new ByteBuffer(rawData);
+        const item = CBOR.#decodeItem(data, 0);
+        data.expectEnd("cbor");
+        return item;
+    }
+
+    /**
+     * @param {*} value The value to encode (see the type mapping above)
+     * @returns {Uint8Array} the deterministic encoding of the value
+     * @throws {Error} if the value can't be represented in CBOR (eg. functions, symbols or cyclic structures)
+     */
+    static encode(value) {
+        const data = new ByteBuffer();
+        CBOR.#encodeItem(data, value, new Set());
+        return data.toBytes();
+    }
 
-        return CBOR.#decodeItem(data);
+    static #error(message, data, offset = data.offset) {
+        return new DecodeError(`Invalid CBOR: ${message}`, { offset, field: "cbor" });
     }
 
-    static #readBreak(data) {
-        if (data.peekInt() !== 0xff) return false;
-
-        data.readInt(1);
-        return true;
-    }
-
-    static #readLength(additionalInformation, data) {
-        if (additionalInformation < 24)
-            return additionalInformation;
-        if (additionalInformation === 24)
-            return data.readInt(1);
-        if (additionalInformation === 25)
-            return data.readInt(2);
-        if (additionalInformation === 26)
-            return data.readInt(4);
-        if (additionalInformation === 27)
-            return data.readInt(8);
-        if (additionalInformation === 31)
-            return -1;
-        throw "Invalid length encoding";
-    }
-    static #readIndefiniteStringLength(data, majorType) {
-        const initialByte = data.readInt(1);
-        if (initialByte === 0xff)
-            return -1;
-        const length = CBOR.#readLength(initialByte & 0x1f, data);
-        if (length < 0 || (initialByte >> 5) !== majorType)
-            throw "Invalid indefinite length element";
+    /**
+     * @param {ByteBuffer} data The encoded data
+     * @param {number} additionalInformation The low 5 bits of the initial byte
+     * @returns {number|bigint} the argument (-1 for indefinite lengths)
+     */
+    static #readArgument(data, additionalInformation) {
+        if (additionalInformation < 24) return additionalInformation;
+        if (additionalInformation === 24) return data.readInt(1, "cbor");
+        if (additionalInformation === 25) return data.readInt(2, "cbor");
+        if (additionalInformation === 26) return data.readInt(4, "cbor");
+        if (additionalInformation === 27) {
+            const value = (BigInt(data.readInt(4, "cbor")) << 32n) | BigInt(data.readInt(4, "cbor"));
+            return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value;
+        }
+        if (additionalInformation === 31) return -1;
+        throw CBOR.#error(`reserved additional information ${additionalInformation}`, data, data.offset - 1);
+    }
+
+    /**
+     * @param {ByteBuffer} data The encoded data
+     * @param {number|bigint} length The length of the string
+     * @returns {number} the length as a number
+     */
+    static #checkLength(data, length) {
+        if (typeof length === "bigint" || length > data.remaining) {
+            throw CBOR.#error(`length ${length} exceeds the ${data.remaining} remaining bytes`, data);
+        }
         return length;
     }
 
-    static #decodeItem(data) {
-        const initialByte = data.readInt(1);
+    /**
+     * Reads the chunks of an indefinite length byte or text string.
+     * @param {ByteBuffer} data The encoded data
+     * @param {number} majorType The major type of the string (2 or 3)
+     * @returns {Uint8Array} the concatenated chunks
+     */
+    static #readChunks(data, majorType) {
+        const chunks = new ByteBuffer();
+        for (;;) {
+            const offset = data.offset;
+            const initialByte = data.readInt(1, "cbor");
+            if (initialByte === 0xff) break;
+            if ((initialByte >> 5) !== majorType || (initialByte & 0x1f) === 31) {
+                throw CBOR.#error("indefinite length strings can only contain definite length strings of the same type", data, offset);
+            }
+            const length = CBOR.#checkLength(data, CBOR.#readArgument(data, initialByte & 0x1f));
+            const chunk = data.readBytes(length, "cbor");
+            if (majorType === 3) {
+                // each chunk must be valid UTF-8 on its own
+                CBOR.#decodeText(data, chunk, offset);
+            }
+            chunks.writeBytes(chunk);
+        }
+        return chunks.toBytes();
+    }
+
+    static #decodeText(data, bytes, offset) {
+        try {
+            return new TextDecoder("utf-8", { fatal: true, ignoreBOM: true }).decode(bytes);
+        }
+        catch {
+            throw CBOR.#error("text string is not valid UTF-8", data, offset);
+        }
+    }
+
+    /**
+     * @param {ByteBuffer} data The encoded data
+     * @param {number} size 2, 4 or 8 bytes
+     * @returns {number} the half, single or double precision float
+     */
+    static #readFloat(data, size) {
+        const view = new DataView(Uint8Array.from(data.readBytes(size, "cbor")).buffer);
+        if (size === 4) return view.getFloat32(0);
+        if (size === 8) return view.getFloat64(0);
+
+        const half = view.getUint16(0);
+        const exponent = (half >> 10) & 0x1f;
+        const mantissa = half & 0x3ff;
+        const sign = half & 0x8000 ? -1 : 1;
+        if (exponent === 0) return sign * mantissa * 2 ** -24;
+        if (exponent === 31) return mantissa ? NaN : sign * Infinity;
+        return sign * (1024 + mantissa) * 2 ** (exponent - 25);
+    }
+
+    static #decodeItem(data, depth) {
+        if (depth > CBOR.#MAX_DEPTH) {
+            throw CBOR.#error(`nested deeper than ${CBOR.#MAX_DEPTH} levels`, data);
+        }
+        const offset = data.offset;
+        const initialByte = data.readInt(1, "cbor");
         const majorType = initialByte >> 5;
         const additionalInformation = initialByte & 0x1f;
 
         if (majorType === 7) {
-            if (additionalInformation === 25)
-                return data.readInt(2);
-            if (additionalInformation === 26)
-                return data.readInt(4);
-            if (additionalInformation === 27)
-                return data.readInt(6);
-        }
-
-        let length = CBOR.#readLength(additionalInformation, data);
-        if (length < 0 && (majorType < 2 || majorType > 6)) throw "Invalid length";
-
-        if (majorType === 0) {
-            // 0 to 2^53
-            return length;
-        }
-        else if (majorType === 1) {
-            // -1 to -2^53
-            return -1 - length;
-        }
-        else if (majorType === 2) {
-            if (length < 0) {
-                let result = [];
-                while ((length = CBOR.#readIndefiniteStringLength(data, majorType)) >= 0) {
-                    result = result.concat(data.readBytes(length));
-                }
-                return result;
+            if (additionalInformation === 25) return CBOR.#readFloat(data, 2);
+            if (additionalInformation === 26) return CBOR.#readFloat(data, 4);
+            if (additionalInformation === 27) return CBOR.#readFloat(data, 8);
+            if (additionalInformation === 31) throw CBOR.#error("unexpected break", data, offset);
+        }
+
+        const argument = CBOR.#readArgument(data, additionalInformation);
+        if (argument < 0 && (majorType < 2 || majorType > 5)) {
+            throw CBOR.#error(`major type ${majorType} can't have an indefinite length`, data, offset);
+        }
+
+        switch (majorType) {
+        case 0:
+            return argument;
+        case 1:
+            return typeof argument === "bigint" ? -1n - argument : -1 - argument;
+        case 2:
+            if (argument < 0) return CBOR.#readChunks(data, 2);
+            return Uint8Array.from(data.readBytes(CBOR.#checkLength(data, argument), "cbor"));
+        case 3:
+            if (argument < 0) return CBOR.#decodeText(data, CBOR.#readChunks(data, 3), offset);
+            return CBOR.#decodeText(data, data.readBytes(CBOR.#checkLength(data, argument), "cbor"), offset);
+        case 4: {
+            const items = [];
+            const length = argument < 0 ? Infinity : CBOR.#checkLength(data, argument);
+            while (items.length < length && !(argument < 0 && CBOR.#readBreak(data))) {
+                items.push(CBOR.#decodeItem(data, depth + 1));
+            }
+            return items;
+        }
+        case 5: {
+            const entries = [];
+            const length = argument < 0 ? Infinity : CBOR.#checkLength(data, argument);
+            while (entries.length < length && !(argument < 0 && CBOR.#readBreak(data))) {
+                entries.push([CBOR.#decodeItem(data, depth + 1), CBOR.#decodeItem(data, depth + 1)]);
             }
-            return data.readBytes(length);
-        }
-        else if (majorType === 3) {
-            if (length < 0) {
-                let result = [];
-                while ((length = CBOR.#readIndefiniteStringLength(data, majorType)) >= 0) {
-                    result = result.concat(data.readBytes(length));
-                }
-                ByteBuffer.bytesToString(result);
+            return entries.every(([key]) => typeof key === "string") ? Object.fromEntries(entries) : new Map(entries);
+        }
+        case 6:
+            return CBOR.#decodeTag(data, argument, CBOR.#decodeItem(data, depth + 1), offset);
+        default:
+            if (argument === 20) return false;
+            if (argument === 21) return true;
+            if (argument === 22) return null;
+            if (argument === 23) return undefined;
+            if (additionalInformation === 24 && argument < 32) {
+                throw CBOR.#error(`simple value ${argument} must use the one byte form`, data, offset);
             }
-            return ByteBuffer.bytesToString(data.readBytes(length));
-        }
-        else if (majorType === 4) {
-            const retArray = [];
-            if (length < 0) {
-                while (!CBOR.#readBreak(data)) {
-                    retArray.push(CBOR.#decodeItem(data))
-                }
+            return new CBORSimple(argument);
+        }
+    }
+
+    static #readBreak(data) {
+        if (data.remaining > 0 && data.peekInt() === 0xff) {
+            data.readInt(1);
+            return true;
+        }
+        return false;
+    }
+
+    static #decodeTag(data, tag, value, offset) {
+        if (tag === 0 && typeof value === "string") {
+            const date = new Date(value);
+            if (isNaN(date)) throw CBOR.#error(`invalid date/time string: ${value}`, data, offset);
+            return date;
+        }
+        if (tag === 1 && typeof value === "number") {
+            return new Date(value * 1000);
+        }
+        if ((tag === 2 || tag === 3) && value instanceof Uint8Array) {
+            const n = value.length > 0 ? BigInt(`0x${Hex.encode(value)}`) : 0n;
+            return tag === 2 ? n : -1n - n;
+        }
+        return new CBORTag(tag, value);
+    }
+
+    /**
+     * @param {ByteBuffer} data The buffer to write to
+     * @param {number} majorType The major type
+     * @param {number|bigint} argument The argument, written in its shortest form
+     * @returns {void}
+     */
+    static #writeHead(data, majorType, argument) {
+        const type = majorType << 5;
+        if (argument < 24) data.writeInt(type | Number(argument), 1);
+        else if (argument < 0x100) data.writeInt(type | 24, 1).writeInt(argument, 1);
+        else if (argument < 0x10000) data.writeInt(type | 25, 1).writeInt(argument, 2);
+        else if (argument < 0x100000000) data.writeInt(type | 26, 1).writeInt(argument, 4);
+        else data.writeInt(type | 27, 1).writeInt(BigInt(argument), 8);
+    }
+
+    /**
+     * Writes the float in the shortest of the half, single and double precision forms that preserves its value.
+     * @param {ByteBuffer} data The buffer to write to
+     * @param {number} value The value
+     * @returns {void}
+     */
+    static #writeFloat(data, value) {
+        const half = CBOR.#toHalf(value);
+        if (half !== null) {
+            data.writeInt(0xf9, 1).writeInt(half, 2);
+            return;
+        }
+        const view = new DataView(new ArrayBuffer(8));
+        if (Math.fround(value) === value) {
+            view.setFloat32(0, value);
+            data.writeInt(0xfa, 1).writeBytes(new Uint8Array(view.buffer, 0, 4));
+            return;
+        }
+        view.setFloat64(0, value);
+        data.writeInt(0xfb, 1).writeBytes(new Uint8Array(view.buffer));
+    }
+
+    /**
+     * @param {number} value The value
+     * @returns {number|null} the half precision bits of the value, or null if it would lose precision
+     */
+    static #toHalf(value) {
+        if (isNaN(value)) return 0x7e00;
+        const sign = value < 0 || Object.is(value, -0) ? 0x8000 : 0;
+        const magnitude = Math.abs(value);
+        if (magnitude === Infinity) return sign | 0x7c00;
+        if (magnitude === 0) return sign;
+
+        // subnormals are multiples of 2^-24, normals have an 11 bit significand and an exponent of -14..15
+        if (magnitude < 2 ** -14) {
+            const mantissa = magnitude * 2 ** 24;
+            return Number.isInteger(mantissa) ? sign | mantissa : null;
+        }
+        let exponent = Math.floor(Math.log2(magnitude));
+        if (magnitude < 2 ** exponent) exponent--;
+        if (magnitude >= 2 ** (exponent + 1)) exponent++;
+        if (exponent > 15) return null;
+        const significand = magnitude * 2 ** (10 - exponent);
+        if (!Number.isInteger(significand)) return null;
+        return sign | ((exponent + 15) << 10) | (significand - 1024);
+    }
+
+    static #encodeItem(data, value, seen) {
+        if (value === false) return data.writeInt(0xf4, 1);
+        if (value === true) return data.writeInt(0xf5, 1);
+        if (value === null) return data.writeInt(0xf6, 1);
+        if (value === undefined) return data.writeInt(0xf7, 1);
+
+        if (typeof value === "number") {
+            if (Number.isSafeInteger(value) && !Object.is(value, -0)) {
+                return value >= 0 ? CBOR.#writeHead(data, 0, value) : CBOR.#writeHead(data, 1, -1 - value);
             }
-            else {
-                for (let i = 0; i < length; ++i) {
-                    retArray.push(CBOR.#decodeItem(data));
-                }
+            return CBOR.#writeFloat(data, value);
+        }
+        if (typeof value === "bigint") {
+            const negative = value < 0n;
+            const argument = negative ? -1n - value : value;
+            if (argument < 1n << 64n) {
+                return CBOR.#writeHead(data, negative ? 1 : 0, argument <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(argument) : argument);
             }
-            return retArray;
+            const hex = argument.toString(16);
+            CBOR.#writeHead(data, 6, negative ? 3 : 2);
+            return CBOR.#encodeItem(data, Uint8Array.from(Hex.decode(hex.length % 2 ? `0${hex}` : hex)), seen);
+        }
+        if (typeof value === "string") {
+            const bytes = new TextEncoder().encode(value);
+            CBOR.#writeHead(data, 3, bytes.length);
+            return data.writeBytes(bytes);
+        }
+        if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+            const bytes = ByteBuffer.toUint8Array(value instanceof ArrayBuffer ? new Uint8Array(value) : value);
+            CBOR.#writeHead(data, 2, bytes.length);
+            return data.writeBytes(bytes);
+        }
+        if (value instanceof Date) {
+            CBOR.#writeHead(data, 6, 1);
+            return CBOR.#encodeItem(data, value.getTime() / 1000, seen);
+        }
+        if (value instanceof CBORSimple) {
+            return value.value < 24 ? data.writeInt(0xe0 | value.value, 1) : data.writeInt(0xf8, 1).writeInt(value.value, 1);
+        }
+        if (typeof value !== "object") {
+            throw new Error(`CBOR can't encode a ${typeof value}`);
+        }
+
+        if (seen.has(value)) {
+            throw new Error("CBOR can't encode cyclic structures");
         }
-        else if (majorType === 5) {
-            const retObject = {};
-            for (let i = 0; i < length || length < 0 && !CBOR.#readBreak(data); ++i) {
-                const key = CBOR.#decodeItem(data);
-                retObject[key] = CBOR.#decodeItem(data);
+        seen.add(value);
+        if (value instanceof CBORTag) {
+            CBOR.#writeHead(data, 6, value.tag);
+            CBOR.#encodeItem(data, value.value, seen);
+        }
+        else if (Array.isArray(value)) {
+            CBOR.#writeHead(data, 4, value.length);
+            for (const item of value) {
+                CBOR.#encodeItem(data, item, seen);
             }
-            return retObject;
         }
-        else if (majorType === 6) {
-            return;
-        // return tagger(decodeItem(), length);
+        else {
+            const entries = (value instanceof Map ? [...value.entries()] : Object.entries(value))
+                .map(([key, item]) => {
+                    const encodedKey = new ByteBuffer();
+                    CBOR.#encodeItem(encodedKey, key, seen);
+                    return [encodedKey.toBytes(), item];
+                })
+                .sort(([a], [b]) => CBOR.#compareBytes(a, b));
+            CBOR.#writeHead(data, 5, entries.length);
+            for (const [key, item] of entries) {
+                data.writeBytes(key);
+                CBOR.#encodeItem(data, item, seen);
+            }
         }
-        else if (majorType === 7) {
-            if (length === 20) return false;
-            if (length === 21) return true;
-            if (length === 22) return null;
-            if (length === 23) return undefined;
-            // return simpleValue(length);
-            return undefined;
+        seen.delete(value);
+        return data;
+    }
+
+    static #compareBytes(a, b) {
+        for (let i = 0; i < Math.min(a.length, b.length); i++) {
+            if (a[i] !== b[i]) return a[i] - b[i];
         }
+        return a.length - b.length;
     }
 }
 
@@ -361,8 +968,7 @@ export class PS384 {
         if (typeof rawData === "string") {
             rawData = Base64.decode(rawData);
         }
-        const e = rawData.slice(-3);
-        const n = rawData.slice(-261, -5);
+        const { n, e } = SubjectPublicKeyInfo.decode(rawData).publicKey;
         const keyID = await hasher(PS384.toASN({e: Base64.encode(e), n: Base64.encode(n)}, false));
         const jwk = {
             iss: extra?.issuer ? extra?.issuer : undefined,
@@ -379,33 +985,19 @@ export class PS384 {
         return jwk;
     }
 
+    /**
+     * @param {Object} jwk The RSA JWK (`n` and `e`)
+     * @param {boolean} rsaEncoded true for rsaEncryption, false for id-RSASSA-PSS with the SHA-384 parameters
+     * @returns {number[]} the DER encoded SubjectPublicKeyInfo
+     */
     static toASN(jwk, rsaEncoded=false) {
-
-        // this is a cheat
-        // we are going to use a pre-formed header for RSAPSS
-        const header = Hex.decode(rsaEncoded ?
-            // oid = rsaEnoded type with length set to 290
-            "30820122300d06092a864886f70d01010105000382010f003082010a0282010100" :
-            // oid =  1.2.840.113549.1.1.10 rsaPSS (PKCS #1)
-            // with length set to 338
-            // params: 2.16.840.1.101.3.4.2.2 sha-384 (NIST Algorithm)
-            // params: 1.2.840.113549.1.1.8 pkcs1-MGF (PKCS #1)
-            // params: 2.16.840.1.101.3.4.2.2 sha-384 (NIST Algorithm)
-            // params: salt length set to 48, and hash set to sha-256
-            "30820152303d06092a864886f70d01010a3030a00d300b0609608648016503040202a11a301806092a864886f70d010108300b0609608648016503040202a2030201300382010f003082010a0282010100");
-
-        const data = new ByteBuffer()
-            .writeBytes(header)
-            .writeBytes(Base64.decode(jwk?.n))
-            .writeBytes([0x02, 0x03])
-            .writeBytes(Base64.decode(jwk?.e));
-
-        return data.toBytes();
+        const key = { n: Base64.decode(jwk?.n), e: Base64.decode(jwk?.e) };
+        return SubjectPublicKeyInfo.encodeRSA(key, rsaEncoded ? null : SubjectPublicKeyInfo.PSS_SHA384);
     }
 }
 
 export class P384 {
-    static async toJWK(rawData = []) {
+    static async toJWK(rawData = [], extra = {notBefore: 0, expires: 0, issuer: ""}) {
 
         if (rawData?.kty || rawData?.crv || rawData?.x || rawData?.y) {
             return rawData;
@@ -413,13 +1005,16 @@ export class P384 {
         if (typeof rawData === "string") {
             rawData = Base64.decode(rawData);
         }
-        else if (typeof me.toRawBytes === "function") {
-            rawData = Array.from(rawData.toRawBytes());
+        else if (typeof rawData?.toRawBytes === "function") {
+            rawData = Array.from(rawData.toRawBytes(false));
+        }
+        rawData = Array.from(rawData);
+        if (rawData[0] === DER.SEQUENCE) {
+            rawData = SubjectPublicKeyInfo.decode(rawData).publicKey.point;
         }
         // const Ns = 384/8;
         const x = rawData.slice(-96,-48);
         const y = rawData.slice(-48);
-        // just in case the array is not a properly formatted ASN.1 sequence
         const keyID = await sha256(P384.toASN({x: Base64.encode(x), y: Base64.encode(y)}));
         const jwk = {
             iss: extra?.issuer ? extra?.issuer : undefined,
@@ -437,19 +1032,12 @@ export class P384 {
         return jwk;
     }
 
+    /**
+     * @param {Object} jwk The EC JWK (`x` and `y`)
+     * @returns {number[]} the DER encoded SubjectPublicKeyInfo (id-ecPublicKey, secp384r1)
+     */
     static toASN(jwk) {
-
-        // this is a cheat
-        // we are going to use a pre-formed header for P384
-        // OID: 1.2.840.10045.2.1 ecPublicKey (ANSI X9.62 public key type)
-        // 1.3.132.0.34 secp384r1 (SECG (Certicom) named elliptic curve)
-        const header = Hex.decode("3076301006072a8648ce3d020106052b81040022036200");
-        const data = new ByteBuffer()
-            .writeBytes(header)
-            .writeBytes([0x04])
-            .writeBytes(Base64.decode(jwk?.x))
-            .writeBytes(Base64.decode(jwk?.y));
-
-        return data.toBytes();
+        const point = [0x04].concat(Base64.decode(jwk?.x), Base64.decode(jwk?.y));
+        return SubjectPublicKeyInfo.encodeEC(point);
     }
 }
@@ -0,0 +1,78 @@
+import { should, describe } from 'micro-should';
+import * as assert from 'assert';
+import { DER, OID, SubjectPublicKeyInfo } from '../src/asn1.js';
+import { Base64, Hex, P384, PS384 } from '../src/utils.js';
+import { Challenge, PrivateAccessTokenClient, PrivateAccessTokenIssuer, PublicKey, Token } from '../src/private-access-token.js';
+
+describe('ASN1', async () => {
+    should('DER encode() and decode()', async () => {
+        assert.deepStrictEqual(Hex.encode(DER.oid(OID.RSASSA_PSS)), "06092a864886f70d01010a");
+        assert.deepStrictEqual(DER.decodeOID(DER.decode(DER.oid(OID.SECP384R1), DER.OBJECT_IDENTIFIER)), OID.SECP384R1);
+        assert.deepStrictEqual(Hex.encode(DER.integer(65537)), "0203010001");
+        assert.deepStrictEqual(Hex.encode(DER.integer([0x00, 0x00, 0x80])), "02020080");
+        assert.deepStrictEqual(DER.decodeInteger(DER.decode(DER.integer([0x80]), DER.INTEGER)), [0x80]);
+        assert.deepStrictEqual(Hex.encode(DER.encode(DER.OCTET_STRING, Array(200).fill(0)).slice(0, 3)), "0481c8");
+        assert.deepStrictEqual(Hex.encode(DER.encode(DER.OCTET_STRING, Array(300).fill(0)).slice(0, 4)), "0482012c");
+
+        assert.throws(() => DER.decode([0x30, 0x03, 0x02, 0x01]), /unexpected end of data/);
+        assert.throws(() => DER.decode([0x05, 0x00, 0x00]), /trailing data/);
+        assert.throws(() => DER.decode([0x04, 0x81, 0x01, 0x00]), /non-minimal length/);
+        assert.throws(() => DER.decode([0x30, 0x80, 0x00, 0x00]), /indefinite length/);
+        assert.throws(() => DER.decode(DER.null(), DER.SEQUENCE), /expected tag/);
+    });
+
+    should('SubjectPublicKeyInfo round trips the issuer keys', async () => {
+        for (const publicKey of [PublicKey.CLOUDFLARE_DEMO, PublicKey.FASTLY]) {
+            const spki = SubjectPublicKeyInfo.decode(publicKey.toByteArray());
+            assert.deepStrictEqual(spki.algorithm, OID.RSASSA_PSS);
+            assert.deepStrictEqual(spki.parameters, SubjectPublicKeyInfo.PSS_SHA384);
+            assert.deepStrictEqual(spki.publicKey.n.length, 256);
+            assert.deepStrictEqual(spki.publicKey.e, [0x01, 0x00, 0x01]);
+            assert.deepStrictEqual(Base64.urlEncode(spki.toByteArray()), publicKey.sPKI);
+
+            // the legacy (rsaEncryption) key used to be derived by replacing the fixed size header
+            const legacySPKI = "MIIBIjANBgkqhkiG9w0BAQEFA" + publicKey.sPKI.slice(-367);
+            assert.deepStrictEqual(publicKey.legacySPKI.sPKI, legacySPKI);
+            assert.deepStrictEqual(SubjectPublicKeyInfo.decode(publicKey.legacySPKI.toByteArray()).parameters, null);
+            assert.deepStrictEqual(publicKey.legacySPKI.legacySPKI, null);
+        }
+
+        // absent parameters are the RSASSA-PSS defaults
+        const defaults = SubjectPublicKeyInfo.decode(DER.sequence(DER.sequence(DER.oid(OID.RSASSA_PSS)), DER.bitString(DER.sequence(DER.integer(187), DER.integer(3)))));
+        assert.deepStrictEqual(defaults.parameters, { hash: "SHA-1", mgf1Hash: "SHA-1", saltLength: 20 });
+        assert.throws(() => SubjectPublicKeyInfo.decode(DER.sequence(DER.sequence(DER.oid("1.2.3")), DER.bitString([]))), /Unsupported/);
+    });
+
+    should('PS384 and P384 with other key sizes and exponents', async () => {
+        for (const [modulusLength, publicExponent] of [[3072, [0x03]], [4096, [0x01, 0x00, 0x01]]]) {
+            const keyPair = await crypto.subtle.generateKey({ name: "RSA-PSS", modulusLength, publicExponent: new Uint8Array(publicExponent), hash: "SHA-384" }, true, ["sign", "verify"]);
+            const spki = Array.from(new Uint8Array(await crypto.subtle.exportKey("spki", keyPair.publicKey)));
+            const expected = await crypto.subtle.exportKey("jwk", keyPair.publicKey);
+
+            const jwk = await PS384.toJWK(spki);
+            assert.deepStrictEqual([Base64.decode(jwk.n), Base64.decode(jwk.e)], [Base64.decode(expected.n), Base64.decode(expected.e)]);
+            const sPKI = PS384.toASN(jwk);
+            assert.deepStrictEqual(SubjectPublicKeyInfo.decode(sPKI).publicKey.n.length, modulusLength / 8);
+            assert.deepStrictEqual(await PS384.toJWK(sPKI), jwk);
+
+            const publicKey = new PublicKey("issuer.example.com", Base64.urlEncode(sPKI));
+            assert.ok(await publicKey.cryptoKey());
+            assert.deepStrictEqual((await publicKey.toRSAKey()).n.toString(16).length, modulusLength / 4);
+        }
+
+        const issuer = await PrivateAccessTokenIssuer.generate("issuer.example.com", Token.BLIND_RSA, 3072);
+        const challenge = new Challenge(Token.BLIND_RSA, issuer.issuerName);
+        const client = new PrivateAccessTokenClient(challenge, issuer.publicKey);
+        const token = await client.finalize(issuer.issue(await client.createTokenRequest()));
+        assert.deepStrictEqual(token.authenticator.length, 384);
+        assert.ok(await token.verifyAuthenticator(issuer.publicKey));
+
+        const ec = await crypto.subtle.generateKey({ name: "ECDSA", namedCurve: "P-384" }, true, ["sign", "verify"]);
+        const ecSPKI = Array.from(new Uint8Array(await crypto.subtle.exportKey("spki", ec.publicKey)));
+        const ecJWK = await P384.toJWK(ecSPKI);
+        const expected = await crypto.subtle.exportKey("jwk", ec.publicKey);
+        assert.deepStrictEqual([Base64.decode(ecJWK.x), Base64.decode(ecJWK.y)], [Base64.decode(expected.x), Base64.decode(expected.y)]);
+        assert.deepStrictEqual(P384.toASN(ecJWK), ecSPKI);
+        assert.deepStrictEqual(SubjectPublicKeyInfo.decode(ecSPKI).parameters, { namedCurve: OID.SECP384R1 });
+    });
+});
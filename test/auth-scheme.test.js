@@ -0,0 +1,82 @@
+import { should, describe } from 'micro-should';
+import * as assert from 'assert';
+import { Authorization, PrivateTokenChallenge, WWWAuthenticate } from '../src/auth-scheme.js';
+import { Challenge, PublicKey, Token } from '../src/private-access-token.js';
+import { DecodeError } from '../src/utils.js';
+
+const CHALLENGE = "AAIAGXBhdC1pc3N1ZXIuY2xvdWRmbGFyZS5jb20AAAA=";
+const TOKEN = "AAKX5pNIYklVMbf4MFBRPCrv7lsehPyLIb-JrxRRhBn3iH5KiF5TAqGbeBQ6wy0MSzGrQl-h4QSDP-eRlprUYGADYGxwjWIWHdmidCezltPXnOAwu_H7uuKfaERZm_w9BEVQf5R1vludYDOk_kapvOVJC43mFLJV5ibvDk3jwAgRwqiBUdBJogdhNtCJ8SNULbBhU8Y7k3Q67C76LjVf-byGPDFNilZKVtaGIzJU4qzKnegpICe36SPPih5tikp1h5wZkqa3uEBc_p649YmvdwzpXIVIerDX2G7R_gmWjA_w5dsHia3aQ8brx3t0EdN9D0dBnxBhu9-mGUgQk92SiohAmEFCttl8LKhQBFFfiwNuEfRE-JGil1vHPIGqF1np1ekH1Gll-8Qr0Cxb1cFdVL3oz641-UF35uCe6D4-xlJObcIhfqYc7NONo2-l4V9D_IW6WBJIpxjgRk5uPjWWrNft";
+
+describe('Auth-Scheme', async () => {
+    should('WWWAuthenticate.toString()', async () => {
+        const challenge = Challenge.from(CHALLENGE);
+        const header = new WWWAuthenticate().add(challenge, PublicKey.CLOUDFLARE, 10);
+
+        assert.deepStrictEqual(header.toString(), `PrivateToken challenge="${CHALLENGE}", token-key=${PublicKey.CLOUDFLARE.sPKI}, max-age=10`);
+        // macOS13 / iOS16 compatible
+        assert.deepStrictEqual(header.toString({ quoted: false }), `PrivateToken challenge=${CHALLENGE}, token-key=${PublicKey.CLOUDFLARE.sPKI}, max-age=10`);
+        assert.deepStrictEqual(header.toString({ padding: false }), `PrivateToken challenge=${CHALLENGE.replace(/=+$/, "")}, token-key=${PublicKey.CLOUDFLARE.sPKI}, max-age=10`);
+
+        // multiple challenges
+        header.add(challenge, PublicKey.FASTLY);
+        assert.deepStrictEqual(header.toString({ quoted: false }), `PrivateToken challenge=${CHALLENGE}, token-key=${PublicKey.CLOUDFLARE.sPKI}, max-age=10, PrivateToken challenge=${CHALLENGE}, token-key=${PublicKey.FASTLY.sPKI}`);
+    });
+
+    should('WWWAuthenticate.from()', async () => {
+        let header = WWWAuthenticate.from(`PrivateToken challenge="${CHALLENGE}", token-key="${PublicKey.CLOUDFLARE.sPKI}", max-age="10"`);
+        assert.deepStrictEqual(header.challenges.length, 1);
+        assert.deepStrictEqual(header.challenges[0].challenge, Challenge.from(CHALLENGE));
+        assert.deepStrictEqual(header.challenges[0].tokenKey, PublicKey.CLOUDFLARE);
+        assert.deepStrictEqual(header.challenges[0].maxAge, 10);
+
+        // unquoted, unpadded, mixed with other auth schemes and multiple challenges
+        header = WWWAuthenticate.from(`Basic realm="example, with comma", PrivateToken challenge=${CHALLENGE.replace(/=+$/, "")},token-key=${PublicKey.FASTLY.sPKI}, Bearer abc123==, privatetoken Challenge=${CHALLENGE} , Token-Key=${PublicKey.CLOUDFLARE.sPKI}`);
+        assert.deepStrictEqual(header.challenges.length, 2);
+        assert.deepStrictEqual(header.challenges[0].challenge, Challenge.from(CHALLENGE));
+        assert.deepStrictEqual(header.challenges[0].tokenKey, PublicKey.FASTLY);
+        assert.deepStrictEqual(header.challenges[0].maxAge, undefined);
+        assert.deepStrictEqual(header.challenges[1].tokenKey, PublicKey.CLOUDFLARE);
+
+        // unknown keys take the issuer name from the challenge
+        const tokenKey = new PrivateTokenChallenge(CHALLENGE, new PublicKey("", "AAAA")).toString();
+        header = WWWAuthenticate.from(tokenKey);
+        assert.deepStrictEqual(header.challenges[0].tokenKey.issuerName, "pat-issuer.cloudflare.com");
+        assert.deepStrictEqual(header.challenges[0].tokenKey.sPKI, "AAAA");
+
+        // round trip
+        header = new WWWAuthenticate().add(CHALLENGE, PublicKey.CLOUDFLARE_DEMO, 60);
+        assert.deepStrictEqual(WWWAuthenticate.from(header.toString()).toString(), header.toString());
+
+        assert.deepStrictEqual(WWWAuthenticate.from("Basic realm=example").challenges, []);
+        assert.deepStrictEqual(WWWAuthenticate.from("").challenges, []);
+
+        // a challenge that can't be decoded doesn't discard the others
+        header = WWWAuthenticate.from(`PrivateToken challenge=AAAA, PrivateToken challenge=${CHALLENGE}, token-key=${PublicKey.CLOUDFLARE.sPKI}, PrivateToken challenge=!`);
+        assert.deepStrictEqual(header.challenges.length, 1);
+        assert.deepStrictEqual(header.challenges[0].challenge, Challenge.from(CHALLENGE));
+        assert.deepStrictEqual(header.errors.map(e => e.index), [0, 2]);
+        assert.ok(header.errors.every(e => e.error instanceof DecodeError));
+        assert.deepStrictEqual(WWWAuthenticate.from(`PrivateToken challenge=${CHALLENGE}`).errors, []);
+    });
+
+    should('Authorization', async () => {
+        const token = Token.from(TOKEN);
+        let header = new Authorization(token);
+        assert.deepStrictEqual(header.toString(), `PrivateToken token=${TOKEN}`);
+        assert.deepStrictEqual(Authorization.from(header.toString()).tokens, [token]);
+        assert.deepStrictEqual(Authorization.from(`PrivateToken token="${TOKEN}"`).tokens, [token]);
+
+        // multiple tokens
+        header = Authorization.from([`PrivateToken token=${TOKEN}, PrivateToken token="${TOKEN}"`, `Basic abc==`]);
+        assert.deepStrictEqual(header.tokens.length, 2);
+        assert.deepStrictEqual(header.toString(), `PrivateToken token=${TOKEN}, PrivateToken token=${TOKEN}`);
+
+        assert.deepStrictEqual(Authorization.from("Bearer abc").tokens, []);
+
+        // a credential that can't be decoded doesn't discard the others
+        header = Authorization.from(`PrivateToken token=AAAA, PrivateToken token=${TOKEN}, PrivateToken token=!`);
+        assert.deepStrictEqual(header.tokens, [token]);
+        assert.deepStrictEqual(header.errors.map(e => e.index), [0, 2]);
+        assert.ok(header.errors.every(e => e.error instanceof DecodeError));
+    });
+});
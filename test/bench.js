@@ -0,0 +1,99 @@
+// Throughput of the ByteBuffer and the token (de)serialization: `npm run bench`
+//
+// The `number[]` rows replay the way ByteBuffer used to work (`concat` for every write and `slice` for every read) to
+// show the difference with the Uint8Array backed buffer.
+import { ByteBuffer, Base64 } from '../src/utils.js';
+import { Challenge, Token } from '../src/private-access-token.js';
+import { IssueRequest, IssueResponse, RedeemRequest } from '../src/private-state-token.js';
+import { VOPRF_P384 } from '../src/oprfv1.js';
+
+/**
+ * Runs `fn` repeatedly for about `ms` milliseconds and prints the rate.
+ * @param {string} name The name of the benchmark
+ * @param {Function} fn The function to measure
+ * @param {number} ms The time to run for
+ * @returns {number} the operations per second
+ */
+function bench(name, fn, ms = 500) {
+    fn(); // warm up
+    let ops = 0;
+    const start = performance.now();
+    let elapsed = 0;
+    while (elapsed < ms) {
+        fn();
+        ops++;
+        elapsed = performance.now() - start;
+    }
+    const rate = ops / elapsed * 1000;
+    console.log(`${name.padEnd(48)} ${rate.toFixed(1).padStart(12)} ops/s`);
+    return rate;
+}
+
+/**
+ * @param {string} name The name of the comparison
+ * @param {Function} legacy The `number[]` implementation
+ * @param {Function} current The ByteBuffer implementation
+ * @returns {void}
+ */
+function compare(name, legacy, current) {
+    const before = bench(`${name} (number[])`, legacy);
+    const after = bench(`${name} (ByteBuffer)`, current);
+    console.log(`${"".padEnd(48)} ${(after / before).toFixed(1).padStart(12)}x\n`);
+}
+
+const chunk = Array.from({ length: 49 }, (_, i) => i);
+const chunks = 2000;
+
+compare(`write ${chunks} x 49 bytes`, () => {
+    let buffer = [];
+    for (let i = 0; i < chunks; i++) {
+        buffer = buffer.concat(ByteBuffer.numberToBytes(i, 2));
+        buffer = buffer.concat(chunk);
+    }
+    return buffer;
+}, () => {
+    const buffer = new ByteBuffer();
+    for (let i = 0; i < chunks; i++) {
+        buffer.writeInt(i, 2).writeBytes(chunk);
+    }
+    return buffer.toBytes();
+});
+
+const encoded = new ByteBuffer();
+for (let i = 0; i < chunks; i++) {
+    encoded.writeInt(i, 2).writeBytes(chunk);
+}
+const bytes = encoded.toBytes();
+const array = Array.from(bytes);
+
+compare(`read ${chunks} x 49 bytes`, () => {
+    let offset = 0;
+    for (let i = 0; i < chunks; i++) {
+        ByteBuffer.bytesToNumber(array.slice(offset, offset + 2));
+        array.slice(offset + 2, offset + 51);
+        offset += 51;
+    }
+}, () => {
+    const buffer = new ByteBuffer(bytes);
+    for (let i = 0; i < chunks; i++) {
+        buffer.readInt(2);
+        buffer.readBytes(49);
+    }
+});
+
+const challenge = new Challenge(Token.BLIND_RSA, "issuer.example", new Uint8Array(32).fill(7), ["a.example", "b.example"]);
+const token = new Token(Token.BLIND_RSA, new Uint8Array(32).fill(1), new Uint8Array(32).fill(2), new Uint8Array(32).fill(3), new Uint8Array(256).fill(4));
+const challengeBytes = challenge.toByteArray();
+const tokenBytes = token.toByteArray();
+
+bench("Challenge.from() + toByteArray()", () => Challenge.from(challengeBytes).toByteArray());
+bench("Token.from() + toByteArray()", () => Token.from(tokenBytes).toByteArray());
+
+const nonces = Array.from({ length: 100 }, (_, i) => VOPRF_P384.generator.multiply(BigInt(i + 1)));
+const issueRequest = Base64.encode(new IssueRequest(nonces).toBytes());
+const issueResponse = new IssueResponse(1, nonces, new Uint8Array(96));
+const redeemRequest = Base64.encode(new RedeemRequest(1, new Uint8Array(64), nonces[0], new Uint8Array(512)).toBytes());
+
+bench("IssueRequest.from() (100 nonces)", () => IssueRequest.from(issueRequest), 2000);
+bench("IssueResponse.toBytes() (100 nonces)", () => issueResponse.toBytes(), 2000);
+bench("RedeemRequest.from() + toBytes()", () => RedeemRequest.from(redeemRequest).toBytes());
@@ -0,0 +1,57 @@
+import { should, describe } from 'micro-should';
+import * as assert from 'assert';
+import { ChallengeFactory } from '../src/challenge-factory.js';
+import { Challenge, Token, PrivateAccessTokenIssuer, PrivateAccessTokenClient } from '../src/private-access-token.js';
+import { sha256 } from '../src/utils.js';
+
+describe('Challenge-Factory', async () => {
+    should('ChallengeFactory.create()', async () => {
+        const factory = new ChallengeFactory("secret", { issuerName: "issuer.example.com", originInfo: "example.com" });
+        const now = Date.UTC(2023, 0, 1);
+
+        const challenge = await factory.create(["session", "192.0.2.1"], now);
+        assert.deepStrictEqual(challenge.tokenType, Token.BLIND_RSA);
+        assert.deepStrictEqual(challenge.issuerName, "issuer.example.com");
+        assert.deepStrictEqual(challenge.originInfo, "example.com");
+        assert.deepStrictEqual(challenge.redemptionContext.length, 32);
+
+        // deterministic for the same secret, session and window
+        assert.deepStrictEqual((await factory.create(["session", "192.0.2.1"], now + 1000)).toString(), challenge.toString());
+        assert.notDeepStrictEqual((await factory.create(["session", "192.0.2.2"], now)).toString(), challenge.toString());
+        assert.notDeepStrictEqual((await factory.create(["session1", "92.0.2.1"], now)).toString(), challenge.toString());
+        assert.notDeepStrictEqual((await factory.create(["session", "192.0.2.1"], now + 60000)).toString(), challenge.toString());
+        assert.notDeepStrictEqual((await new ChallengeFactory("other", { issuerName: "issuer.example.com", originInfo: "example.com" }).create(["session", "192.0.2.1"], now)).toString(), challenge.toString());
+
+        assert.deepStrictEqual(factory.maxAge(now), 360);
+        assert.deepStrictEqual(factory.maxAge(now + 59000), 301);
+        assert.throws(() => new ChallengeFactory(""));
+
+        // the length prefixes can't be truncated into a collision
+        await factory.create(["a".repeat(0xffff)], now);
+        await assert.rejects(factory.create(["a".repeat(0x10000)], now), /65536 bytes/);
+        await assert.rejects(factory.create([Array(0x10001).fill(1)], now), /65536 bytes/);
+        await assert.rejects(new ChallengeFactory("secret", { issuerName: "issuer.example.com", originInfo: "a".repeat(0x10000) }).create([], now), /65536 bytes/);
+    });
+
+    should('ChallengeFactory.verify()', async () => {
+        const factory = new ChallengeFactory("secret", { issuerName: "issuer.example.com", lifetime: 120, period: 60 });
+        const now = Date.UTC(2023, 0, 1);
+        const challenge = await factory.create("session", now);
+        const challengeHash = await sha256(challenge.toByteArray());
+
+        assert.deepStrictEqual((await factory.verify(challengeHash, "session", now)).toString(), challenge.toString());
+        assert.deepStrictEqual((await factory.verify(challengeHash, "session", now + 179000)).toString(), challenge.toString());
+        assert.deepStrictEqual(await factory.verify(challengeHash, "session", now + 180000), null);
+        assert.deepStrictEqual(await factory.verify(challengeHash, "other", now), null);
+        assert.deepStrictEqual(await factory.verify(challengeHash, "session", now - 60000), null);
+        assert.deepStrictEqual(await factory.verify([], "session", now), null);
+
+        // end to end with a token
+        const issuer = await PrivateAccessTokenIssuer.generate("issuer.example.com");
+        const client = new PrivateAccessTokenClient(challenge, issuer.publicKey);
+        const token = await client.finalize(issuer.issue(await client.createTokenRequest()));
+        const issued = await factory.verify(Token.from(token.toString()), "session", now + 1000);
+        assert.ok(issued instanceof Challenge);
+        assert.ok(await token.verify(issued, issuer.publicKey));
+    });
+});
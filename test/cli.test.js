@@ -0,0 +1,113 @@
+import { should, describe } from 'micro-should';
+import * as assert from 'assert';
+import { main } from '../src/cli.js';
+import { Authorization } from '../src/auth-scheme.js';
+import { Challenge, PrivateAccessTokenClient, PrivateAccessTokenIssuer } from '../src/private-access-token.js';
+import JWKS from '../pat-issuer.cloudflare.com.jwks.json' assert { type: 'json' };
+
+/**
+ * Runs the command line tool and captures its output.
+ * @param {...string} argv The arguments
+ * @returns {Promise<Object>} the exit `code`, `stdout` and `stderr`
+ */
+async function run(...argv) {
+    const output = { stdout: "", stderr: "" };
+    const code = await main(argv, {
+        stdout: { write: s => output.stdout += s },
+        stderr: { write: s => output.stderr += s },
+    });
+    return { code, ...output };
+}
+
+describe('CLI', async () => {
+    const fixture = (async () => {
+        const issuer = await PrivateAccessTokenIssuer.generate("issuer.example.com");
+        const challenge = new Challenge(2, "issuer.example.com", "", "example.com");
+        const client = new PrivateAccessTokenClient(challenge, issuer.publicKey);
+        const token = await client.finalize(issuer.issue(await client.createTokenRequest()));
+        return { issuer, challenge, token };
+    })();
+
+    should('decode a challenge, a token and headers', async () => {
+        const challenge = await run("decode", "AAIAGXBhdC1pc3N1ZXIuY2xvdWRmbGFyZS5jb20AAAA=");
+        assert.deepStrictEqual(challenge.code, 0);
+        assert.match(challenge.stdout, /^TokenChallenge\n {2}token_type +2 \(Blind RSA\)\n {2}issuer_name +pat-issuer\.cloudflare\.com\n/);
+        assert.match(challenge.stdout, /redemption_context +\(empty\)/);
+
+        const { token } = await fixture;
+        const decoded = JSON.parse((await run("decode", "--json", token.toString())).stdout);
+        assert.deepStrictEqual(decoded.type, "token");
+        assert.deepStrictEqual(decoded.token_key_id.slice(0, 64), Buffer.from(token.tokenKeyID).toString("hex"));
+        assert.match(decoded.authenticator, /\(256 bytes\)$/);
+
+        const header = await run("decode", `Authorization: ${new Authorization(token).toString()}`);
+        assert.match(header.stdout, /^Token\n/);
+
+        const authenticate = JSON.parse((await run("decode", "--json", "PrivateToken challenge=AAIAGXBhdC1pc3N1ZXIuY2xvdWRmbGFyZS5jb20AAAA=, max-age=10")).stdout);
+        assert.deepStrictEqual(authenticate.length, 1);
+        assert.deepStrictEqual(authenticate[0].max_age, 10);
+
+        const truncated = await run("decode", "--as", "token", token.toString().slice(0, 100));
+        assert.deepStrictEqual(truncated.code, 1);
+        assert.match(truncated.stderr, /Truncated token.*\(token_key_id at offset 66\)/);
+        assert.deepStrictEqual((await run("decode", "PrivateToken token=AAAA")).code, 1);
+        assert.deepStrictEqual((await run("decode", "--as", "other", "AAAA")).code, 2);
+
+        // a directory is not read as the value
+        const directory = await run("decode", "test");
+        assert.deepStrictEqual(directory.code, 2);
+        assert.match(directory.stderr, /EISDIR/);
+    });
+
+    should('build a challenge', async () => {
+        const built = JSON.parse((await run("challenge", "--json", "--issuer", "pat-issuer.cloudflare.com", "--origin", "a.example", "--origin", "b.example", "--context", "01ff", "--max-age", "60")).stdout);
+        const challenge = Challenge.from(built.challenge);
+        assert.deepStrictEqual(challenge.originInfo, "a.example,b.example");
+        assert.deepStrictEqual(challenge.redemptionContext, Uint8Array.from([...Array(30).fill(0), 1, 255]));
+        assert.match(built.header, /^PrivateToken challenge=[^"]+, token-key=MIIBUjA9.*, max-age=60$/);
+
+        const unknown = JSON.parse((await run("challenge", "--json", "--issuer", "unknown.example")).stdout);
+        assert.deepStrictEqual(unknown.header, undefined);
+
+        assert.deepStrictEqual((await run("challenge", "--context", "random")).code, 2);
+        assert.deepStrictEqual((await run("challenge", "--issuer", "x", "--context", "xyz")).code, 2);
+    });
+
+    should('verify a token', async () => {
+        const { issuer, challenge, token } = await fixture;
+        const valid = await run("verify", token.toString(), "--challenge", challenge.toString(), "--key", issuer.publicKey.sPKI, "--host", "example.com");
+        assert.deepStrictEqual(valid.code, 0);
+        assert.deepStrictEqual(valid.stdout, "✓ token_type\n✓ origin\n✓ challenge_digest\n✓ token_key_id\n✓ authenticator\n");
+
+        const header = `PrivateToken challenge=${challenge.toString()}, token-key=${issuer.publicKey.sPKI}`;
+        const fromHeader = await run("verify", new Authorization(token).toString(), "--challenge", header);
+        assert.deepStrictEqual(fromHeader.code, 0);
+
+        const other = new Challenge(2, "issuer.example.com", "", "other.example");
+        const invalid = JSON.parse((await run("verify", "--json", token.toString(), "--challenge", other.toString(), "--key", issuer.publicKey.sPKI)).stdout);
+        assert.deepStrictEqual(invalid.valid, false);
+        assert.deepStrictEqual(invalid.reason, "challenge_digest: the token is for a different challenge");
+        assert.deepStrictEqual((await run("verify", token.toString(), "--challenge", other.toString(), "--key", issuer.publicKey.sPKI)).code, 1);
+
+        const wrongKey = await run("verify", token.toString(), "--challenge", challenge.toString(), "--key", "pat-issuer.cloudflare.com.json");
+        assert.deepStrictEqual(wrongKey.code, 1);
+        assert.match(wrongKey.stdout, /✗ token_key_id: the token was issued with a different key/);
+    });
+
+    should('convert keys', async () => {
+        const jwks = JSON.parse((await run("convert", "pat-issuer.cloudflare.com.json", "--to", "jwks")).stdout);
+        assert.deepStrictEqual(jwks, JWKS);
+
+        const directory = JSON.parse((await run("convert", "pat-issuer.cloudflare.com.jwks.json", "--to", "directory")).stdout);
+        assert.deepStrictEqual(directory["issuer-name"], "pat-issuer.cloudflare.com");
+        assert.deepStrictEqual(directory["token-keys"][0]["token-type"], 2);
+
+        const spki = await run("convert", JSON.stringify(jwks), "--to", "spki");
+        assert.deepStrictEqual(spki.stdout.trim(), directory["token-keys"].map(k => k["token-key"]).join("\n"));
+
+        const aggregated = JSON.parse((await run("convert", "PRIVATE_ACCESS_TOKEN.jwks.json", "--to", "directory")).stdout);
+        assert.ok(aggregated["token-keys"].every(k => k["issuer-name"]));
+
+        assert.deepStrictEqual((await run("convert", "pat-issuer.cloudflare.com.json", "--to", "pem")).code, 2);
+    });
+});
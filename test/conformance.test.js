@@ -0,0 +1,104 @@
+import { should, describe } from 'micro-should';
+import * as assert from 'assert';
+import { existsSync, readFileSync } from 'node:fs';
+import { createPrivateKey } from 'node:crypto';
+import { RSABSSA_SHA384_PSS_Deterministic, RSABSSA_SHA384_PSS_Randomized, RSABSSA_SHA384_PSSZERO_Deterministic, RSABSSA_SHA384_PSSZERO_Randomized, modInverse, toBigInt } from '../src/rsabssa.js';
+import { Challenge, PrivateAccessTokenClient, PrivateAccessTokenIssuer, Token, TokenResponse } from '../src/private-access-token.js';
+import { VOPRF_P384 } from '../src/oprfv1.js';
+import { Base64, Hex } from '../src/utils.js';
+
+// The published test vectors, as JSON arrays with the hex encoded fields of the RFC appendices:
+//  - vectors/rfc9578.json: RFC 9578 Appendix A, each vector with its `token_type` (1 or 2) and `skS`, `pkS`,
+//    `token_challenge`, `nonce`, `blind`, `salt` (type 2), `token_request`, `token_response` and `token`. `skS` is
+//    the PEM encoded private key for type 2.
+//  - vectors/rfc9474.json: RFC 9474 Appendix A, each vector with the `name` of the variant and `p`, `q`, `d`, `e`,
+//    `n`, `msg`, `msg_prefix`, `prepared_msg`, `salt`, `inv`, `encoded_msg`, `blinded_msg`, `blind_sig` and `sig`.
+// The vectors are not bundled with the repository, so the suite runs on its own with `npm run test:conformance` once
+// they are added; a missing file fails that run rather than silently skipping the conformance tests.
+const RFC9578 = new URL('./vectors/rfc9578.json', import.meta.url);
+const RFC9474 = new URL('./vectors/rfc9474.json', import.meta.url);
+
+const SUITES = Object.fromEntries([
+    RSABSSA_SHA384_PSS_Deterministic,
+    RSABSSA_SHA384_PSS_Randomized,
+    RSABSSA_SHA384_PSSZERO_Deterministic,
+    RSABSSA_SHA384_PSSZERO_Randomized,
+].map(suite => [suite.identifier, suite]));
+
+/**
+ * @param {URL} url The vectors file
+ * @returns {Object[]} the vectors with the hex fields decoded (except the PEM keys and names)
+ */
+function load(url) {
+    if (!existsSync(url)) throw new Error(`missing test vectors ${url.pathname}`);
+    return JSON.parse(readFileSync(url, { encoding: 'utf8' })).map(vector => Object.fromEntries(Object.entries(vector)
+        .map(([name, value]) => [name, typeof value === 'string' && /^([0-9a-f]{2})*$/i.test(value) ? Hex.decode(value) : value])));
+}
+
+describe('Conformance', () => {
+    should(`RFC 9578 issuance vectors`, async () => {
+        for (const vector of load(RFC9578)) {
+            const challenge = Challenge.from(Base64.urlEncode(vector.token_challenge));
+            assert.deepStrictEqual(Array.from(challenge.toByteArray()), vector.token_challenge);
+
+            let issuer;
+            let r;
+            if (vector.token_type === Token.VOPRF) {
+                issuer = await PrivateAccessTokenIssuer.from("", { kty: "EC", d: Base64.urlEncode(vector.skS) });
+                r = toBigInt(vector.blind);
+            }
+            else {
+                const jwk = createPrivateKey(vector.skS).export({ format: "jwk" });
+                issuer = await PrivateAccessTokenIssuer.from("", jwk, vector.token_type);
+                r = modInverse(toBigInt(vector.blind), toBigInt(Base64.decode(jwk.n)));
+            }
+            assert.deepStrictEqual(Array.from(issuer.publicKey.toByteArray()), vector.pkS);
+
+            const client = new PrivateAccessTokenClient(challenge, issuer.publicKey);
+            const tokenRequest = await client.createTokenRequest(vector.nonce, vector.salt, r);
+            assert.deepStrictEqual(Array.from(tokenRequest.toByteArray()), vector.token_request);
+
+            // the VOPRF proof is randomized so only the evaluated element is reproducible; the client must still
+            // accept the response and derive the same token from it
+            const tokenResponse = issuer.issue(tokenRequest);
+            if (vector.token_type === Token.VOPRF) {
+                assert.deepStrictEqual(Array.from(tokenResponse.evaluateMsg), vector.token_response.slice(0, VOPRF_P384.Ne));
+                const replay = new PrivateAccessTokenClient(challenge, issuer.publicKey);
+                await replay.createTokenRequest(vector.nonce, vector.salt, r);
+                assert.deepStrictEqual(Array.from((await replay.finalize(tokenResponse)).toByteArray()), vector.token);
+            }
+            else {
+                assert.deepStrictEqual(Array.from(tokenResponse.toByteArray()), vector.token_response);
+            }
+
+            const token = await client.finalize(TokenResponse.from(Base64.urlEncode(vector.token_response), vector.token_type));
+            assert.deepStrictEqual(Array.from(token.toByteArray()), vector.token);
+            assert.deepStrictEqual(Array.from(Token.from(vector.token, issuer.publicKey).toByteArray()), vector.token);
+            assert.ok(await issuer.verify(token, challenge));
+        }
+    });
+
+    should(`RFC 9474 RSABSSA vectors`, async () => {
+        for (const vector of load(RFC9474)) {
+            const suite = SUITES[vector.name];
+            assert.ok(suite, `unknown variant ${vector.name}`);
+            const pk = { n: toBigInt(vector.n), e: toBigInt(vector.e) };
+            const sk = { ...pk, d: toBigInt(vector.d) };
+
+            const preparedMsg = suite.prepare(vector.msg, vector.msg_prefix);
+            assert.deepStrictEqual(preparedMsg, vector.prepared_msg);
+            const modBits = pk.n.toString(2).length;
+            assert.deepStrictEqual(suite.emsaPSSEncode(preparedMsg, modBits - 1, vector.salt), vector.encoded_msg);
+
+            const [blindedMsg, inv] = suite.blind(pk, preparedMsg, vector.salt, modInverse(toBigInt(vector.inv), pk.n));
+            assert.deepStrictEqual(inv, toBigInt(vector.inv));
+            assert.deepStrictEqual(blindedMsg, vector.blinded_msg);
+
+            const blindSig = suite.blindSign(sk, blindedMsg);
+            assert.deepStrictEqual(blindSig, vector.blind_sig);
+            assert.deepStrictEqual(suite.finalize(pk, preparedMsg, blindSig, inv), vector.sig);
+            assert.ok(suite.verify(pk, preparedMsg, vector.sig));
+        }
+    });
+});
+should.run();
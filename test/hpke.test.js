@@ -0,0 +1,44 @@
+import { should, describe } from 'micro-should';
+import * as assert from 'assert';
+import { HPKE_X25519_SHA256_AES128GCM as HPKE } from '../src/hpke.js';
+import { Hex } from '../src/utils.js';
+
+// https://www.rfc-editor.org/rfc/rfc9180#appendix-A.1.1
+const VECTOR = {
+    info: "4f6465206f6e2061204772656369616e2055726e",
+    ikmE: "7268600d403fce431561aef583ee1613527cff655c1343f29812e66706df3234",
+    ikmR: "6db9df30aa07dd42ee5e8181afdb977e538f5e1fec8a06223f33f7013e525037",
+    enc: "37fda3567bdbd628e88668c3c8d7e97d1d1253b6d4ea6d44c150f741f1bf4431",
+    key: "4531685d41d65f03dc48f6b8302c05b0",
+    baseNonce: "56d890e5accaaf011cff4b7d",
+    aad: "436f756e742d30",
+    pt: "4265617574792069732074727574682c20747275746820626561757479",
+    ct: "f938558b5d72f1a23810b4be2ab4f84331acc02fc97babc53a52ae8218a355a96d8770ac83d07bea87e13c512a",
+    exports: [
+        ["", "3853fe2b4035195a573ffc53856e77058e15d9ea064de3e59f4961d0095250ee"],
+        ["00", "2e8f0b54673c7029649d4eb9d5e33bf1872cf76d623ff164ac185da9e88c21a5"],
+        ["54657374436f6e74657874", "e9e43065102c3836401bed8c3c3c75ae46be1639869391d62c61f1ec7af54931"],
+    ],
+};
+
+describe('HPKE', async () => {
+    should('HPKE seal() and open() (RFC 9180 A.1.1)', async () => {
+        const { privateKey, publicKey } = HPKE.deriveKeyPair(Hex.decode(VECTOR.ikmR));
+        const info = Hex.decode(VECTOR.info);
+        const aad = Hex.decode(VECTOR.aad);
+
+        const [enc, ct, context] = await HPKE.seal(publicKey, info, aad, Hex.decode(VECTOR.pt), Hex.decode(VECTOR.ikmE));
+        assert.deepStrictEqual(Hex.encode(enc), VECTOR.enc);
+        assert.deepStrictEqual(Hex.encode(context.key), VECTOR.key);
+        assert.deepStrictEqual(Hex.encode(context.baseNonce), VECTOR.baseNonce);
+        assert.deepStrictEqual(Hex.encode(ct), VECTOR.ct);
+
+        const [pt, receiver] = await HPKE.open(enc, privateKey, info, aad, ct);
+        assert.deepStrictEqual(Hex.encode(pt), VECTOR.pt);
+        for (const [exporterContext, exported] of VECTOR.exports) {
+            assert.deepStrictEqual(Hex.encode(HPKE.export(receiver, Hex.decode(exporterContext), 32)), exported);
+        }
+
+        await assert.rejects(HPKE.open(enc, privateKey, info, [], ct));
+    });
+});
@@ -4,4 +4,15 @@ import './private-access-token.test.js';
 import './private-state-token.test.js';
 import './utils.test.js';
 import './oprfv1.test.js';
+import './pmbtoken.test.js';
+import './rsabssa.test.js';
+import './auth-scheme.test.js';
+import './nonce-store.test.js';
+import './challenge-factory.test.js';
+import './hpke.test.js';
+import './rate-limited-token.test.js';
+import './issuer-directory.test.js';
+import './asn1.test.js';
+import './middleware.test.js';
+import './cli.test.js';
 should.run();
@@ -0,0 +1,154 @@
+import { should, describe } from 'micro-should';
+import * as assert from 'assert';
+import { createServer } from 'node:http';
+import { IssuerDirectoryFetcher } from '../src/issuer-directory.js';
+import { Challenge, PublicKeyRegistry, Token } from '../src/private-access-token.js';
+import CLOUDFLARE_DEMO_DIRECTORY from '../demo-pat.issuer.cloudflare.com.json' assert { type: "json" };
+import FASTLY_DIRECTORY from '../demo-issuer.private-access-tokens.fastly.com.json' assert { type: "json" };
+
+/**
+ * Local stand-in for an issuer that serves the fixture directory with an ETag.
+ * @param {Object} directory The issuer directory to serve
+ * @param {string} cacheControl The Cache-Control header
+ * @returns {Promise<Object>} the server, the issuer name (`127.0.0.1:port`) and the list of requests
+ */
+async function issuer(directory, cacheControl) {
+    const requests = [];
+    const server = createServer((req, res) => {
+        requests.push(req);
+        if (req.url !== "/.well-known/private-token-issuer-directory") {
+            res.writeHead(404).end();
+        }
+        else if (req.headers["if-none-match"] === '"v1"') {
+            res.writeHead(304, { "cache-control": cacheControl }).end();
+        }
+        else {
+            res.writeHead(200, { "content-type": "application/private-token-issuer-directory", "cache-control": cacheControl, "etag": '"v1"' })
+                .end(JSON.stringify(directory));
+        }
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    return { server, issuerName: `127.0.0.1:${server.address().port}`, requests };
+}
+
+describe('Issuer-Directory', async () => {
+    should('IssuerDirectoryFetcher.parseCacheControl() and validate()', async () => {
+        assert.deepStrictEqual(IssuerDirectoryFetcher.parseCacheControl("public, max-age=300"), { maxAge: 300, noStore: false, noCache: false });
+        assert.deepStrictEqual(IssuerDirectoryFetcher.parseCacheControl('Max-Age="60", no-cache'), { maxAge: 60, noStore: false, noCache: true });
+        assert.deepStrictEqual(IssuerDirectoryFetcher.parseCacheControl(null), { maxAge: undefined, noStore: false, noCache: false });
+
+        assert.ok(IssuerDirectoryFetcher.validate(CLOUDFLARE_DEMO_DIRECTORY));
+        assert.ok(IssuerDirectoryFetcher.validate(FASTLY_DIRECTORY));
+        assert.throws(() => IssuerDirectoryFetcher.validate([]), /Invalid issuer directory/);
+        assert.throws(() => IssuerDirectoryFetcher.validate({ "token-keys": [] }), /token-keys/);
+        assert.throws(() => IssuerDirectoryFetcher.validate({ "token-keys": [{ "token-type": "2", "token-key": "AAAA" }] }), /token-type/);
+        assert.throws(() => IssuerDirectoryFetcher.validate({ "token-keys": [{ "token-type": 2, "token-key": "not base64!" }] }), /token-key/);
+        const tokenKey = CLOUDFLARE_DEMO_DIRECTORY["token-keys"][0]["token-key"];
+        assert.throws(() => IssuerDirectoryFetcher.validate({ "token-keys": [{ "token-type": 2, "token-key": tokenKey, "not-before": "now" }] }), /not-before/);
+        // the keys of the RSA token types must be RSA SPKIs
+        assert.throws(() => IssuerDirectoryFetcher.validate({ "token-keys": [{ "token-type": 2, "token-key": "AAAA" }] }), /token-key/);
+        assert.throws(() => IssuerDirectoryFetcher.validate({ "token-keys": [{ "token-type": 2, "token-key": tokenKey.slice(0, -8) }] }), /token-key/);
+        assert.ok(IssuerDirectoryFetcher.validate({ "token-keys": [{ "token-type": 0x1234, "token-key": "AAAA" }] }));
+    });
+
+    should('IssuerDirectoryFetcher.resolve() caches and revalidates', async () => {
+        const { server, issuerName, requests } = await issuer(CLOUDFLARE_DEMO_DIRECTORY, "max-age=60");
+        try {
+            const registry = new PublicKeyRegistry();
+            const fetcher = new IssuerDirectoryFetcher({ registry, scheme: "http" });
+            const now = CLOUDFLARE_DEMO_DIRECTORY["token-keys"][0]["not-before"] * 1000;
+
+            const key = await fetcher.resolve(new Challenge(Token.BLIND_RSA, issuerName), now);
+            assert.deepStrictEqual(key.sPKI, CLOUDFLARE_DEMO_DIRECTORY["token-keys"][0]["token-key"]);
+            assert.deepStrictEqual(key.issuerName, issuerName);
+            assert.deepStrictEqual(registry.keys(issuerName).length, 2);
+
+            // fresh: served from the cache
+            assert.deepStrictEqual(await fetcher.resolve(issuerName, now + 59000), key);
+            assert.deepStrictEqual(requests.length, 1);
+
+            // stale: revalidated with the etag
+            assert.deepStrictEqual(await fetcher.resolve(issuerName, now + 60000), key);
+            assert.deepStrictEqual(requests.length, 2);
+            assert.deepStrictEqual(requests[1].headers["if-none-match"], '"v1"');
+            assert.deepStrictEqual(registry.keys(issuerName).length, 2);
+        }
+        finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+
+    should('IssuerDirectoryFetcher.get() falls back to the last known good directory', async () => {
+        const responses = [
+            () => Response.json(FASTLY_DIRECTORY, { headers: { "cache-control": "no-cache" } }),
+            () => Response.json({ "token-keys": [{ "token-type": 2 }] }),
+            () => new Response("", { status: 503 }),
+            () => Promise.reject(new TypeError("fetch failed")),
+        ];
+        const urls = [];
+        const fetch = async (url) => {
+            urls.push(url);
+            return responses.shift()();
+        };
+        const registry = new PublicKeyRegistry();
+        const fetcher = new IssuerDirectoryFetcher({ fetch, registry, retryAfter: 30 });
+        const issuerName = "issuer.example";
+        const now = Date.now();
+
+        assert.deepStrictEqual(await fetcher.get(issuerName, now), FASTLY_DIRECTORY);
+        assert.deepStrictEqual(urls[0], "https://issuer.example/.well-known/private-token-issuer-directory");
+        assert.deepStrictEqual(await fetcher.get(issuerName, now), FASTLY_DIRECTORY);
+        assert.deepStrictEqual(urls.length, 2);
+        // after a failure the issuer isn't asked again until the back off expires
+        assert.deepStrictEqual(await fetcher.get(issuerName, now + 29000), FASTLY_DIRECTORY);
+        assert.deepStrictEqual(urls.length, 2);
+        assert.deepStrictEqual(await fetcher.get(issuerName, now + 30000), FASTLY_DIRECTORY);
+        assert.deepStrictEqual(await fetcher.get(issuerName, now + 60000), FASTLY_DIRECTORY);
+        assert.deepStrictEqual(urls.length, 4);
+        assert.deepStrictEqual((await fetcher.resolve(issuerName, now + 60000)).sPKI, FASTLY_DIRECTORY["token-keys"][0]["token-key"]);
+
+        // issuers without a directory back off too
+        let offlineFetches = 0;
+        const offline = new IssuerDirectoryFetcher({ fetch: async () => {
+            offlineFetches++;
+            return new Response("", { status: 404 });
+        }, registry, retryAfter: 30 });
+        await assert.rejects(offline.get("unknown.example", now), /404/);
+        await assert.rejects(offline.get("unknown.example", now + 29000), /404/);
+        assert.deepStrictEqual(offlineFetches, 1);
+        await assert.rejects(offline.get("unknown.example", now + 30000), /404/);
+        assert.deepStrictEqual(offlineFetches, 2);
+    });
+
+    should('IssuerDirectoryFetcher.directoryURL() only accepts host names with an optional port', async () => {
+        let fetches = 0;
+        const fetcher = new IssuerDirectoryFetcher({ fetch: async () => {
+            fetches++;
+            return Response.json(FASTLY_DIRECTORY);
+        }, registry: new PublicKeyRegistry() });
+        assert.deepStrictEqual(fetcher.directoryURL("issuer.example:8443"), "https://issuer.example:8443/.well-known/private-token-issuer-directory");
+        assert.deepStrictEqual(fetcher.directoryURL("[::1]:8443"), "https://[::1]:8443/.well-known/private-token-issuer-directory");
+        for (const issuerName of ["", "user@issuer.example", "issuer.example/path", "issuer.example?q", "issuer.example#", "issuer.example:99999", "-issuer.example", "issuer.example:", undefined]) {
+            assert.throws(() => fetcher.directoryURL(issuerName), /Invalid issuer name/, String(issuerName));
+            await assert.rejects(fetcher.get(issuerName), /Invalid issuer name/, String(issuerName));
+        }
+        assert.deepStrictEqual(fetches, 0);
+    });
+
+    should('IssuerDirectoryFetcher.get() shares concurrent fetches', async () => {
+        let fetches = 0;
+        const fetch = async () => {
+            fetches++;
+            await new Promise(resolve => setTimeout(resolve, 10));
+            return Response.json(FASTLY_DIRECTORY, { headers: { "cache-control": "no-cache" } });
+        };
+        const fetcher = new IssuerDirectoryFetcher({ fetch, registry: new PublicKeyRegistry() });
+        const directories = await Promise.all([fetcher.get("issuer.example"), fetcher.get("issuer.example"), fetcher.get("issuer.example")]);
+        assert.deepStrictEqual(directories, [FASTLY_DIRECTORY, FASTLY_DIRECTORY, FASTLY_DIRECTORY]);
+        assert.deepStrictEqual(fetches, 1);
+
+        // the next request fetches again once the shared one is done
+        await fetcher.get("issuer.example");
+        assert.deepStrictEqual(fetches, 2);
+    });
+});
@@ -0,0 +1,281 @@
+import { should, describe } from 'micro-should';
+import * as assert from 'assert';
+import { createServer } from 'node:http';
+import { createFetchHandler, privateTokenMiddleware, PrivateTokenVerifier } from '../src/middleware.js';
+import { createWorker } from '../private-access-token.colinbendell.dev/worker/index.js';
+import { Authorization, WWWAuthenticate } from '../src/auth-scheme.js';
+import { ReplayProtection } from '../src/nonce-store.js';
+import { Challenge, PrivateAccessTokenClient, PrivateAccessTokenIssuer, PublicKeyRegistry } from '../src/private-access-token.js';
+
+/**
+ * Serves `node:http` requests through the middleware.
+ * @param {Function} gate The middleware
+ * @returns {Promise<Object>} the server and its base URL
+ */
+async function serve(gate) {
+    const server = createServer(async (req, res) => {
+        if (await gate(req, res)) {
+            res.end(JSON.stringify({ issuer: req.privateToken.publicKey.issuerName, checks: req.privateToken.result.checks.length }));
+        }
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    return { server, url: `http://127.0.0.1:${server.address().port}/` };
+}
+
+/**
+ * Gets a token for the first challenge of the `WWW-Authenticate` header.
+ * @param {string} header The `WWW-Authenticate` header
+ * @param {PrivateAccessTokenIssuer} issuer The issuer
+ * @returns {Promise<string>} the `Authorization` header
+ */
+async function fetchToken(header, issuer) {
+    const [{ challenge, tokenKey }] = WWWAuthenticate.from(header).challenges;
+    const client = new PrivateAccessTokenClient(challenge, tokenKey);
+    const token = await client.finalize(issuer.issue(await client.createTokenRequest()));
+    return new Authorization(token).toString();
+}
+
+describe('Middleware', async () => {
+    const issuers = Promise.all([
+        PrivateAccessTokenIssuer.generate("issuer.example.com"),
+        PrivateAccessTokenIssuer.generate("other.example.com"),
+    ]);
+
+    should('privateTokenMiddleware() with node:http', async () => {
+        const [issuer, other] = await issuers;
+        const registry = new PublicKeyRegistry([issuer.publicKey, other.publicKey]);
+        const gate = privateTokenMiddleware({ issuers: [issuer.publicKey], registry, maxAge: 60 });
+        const { server, url } = await serve(gate);
+        try {
+            const unauthorized = await fetch(url);
+            assert.deepStrictEqual(unauthorized.status, 401);
+            const header = unauthorized.headers.get("www-authenticate");
+            const [challenge] = WWWAuthenticate.from(header).challenges;
+            assert.deepStrictEqual(challenge.challenge.issuerName, "issuer.example.com");
+            assert.deepStrictEqual(challenge.maxAge, 60);
+            assert.ok(!/"/.test(header));
+
+            const authorization = await fetchToken(header, issuer);
+            const authorized = await fetch(url, { headers: { authorization } });
+            assert.deepStrictEqual(authorized.status, 200);
+            assert.deepStrictEqual(await authorized.json(), { issuer: "issuer.example.com", checks: 4 });
+
+            const replayed = await fetch(url, { headers: { authorization } });
+            assert.deepStrictEqual(replayed.status, 401);
+            assert.deepStrictEqual(await replayed.text(), "Unauthorized: token already spent");
+
+            // tokens from issuers that are not allowed
+            const otherHeader = (await new PrivateTokenVerifier({ issuers: [other.publicKey] }).challenge()).toString();
+            const otherToken = await fetchToken(otherHeader, other);
+            const rejected = await fetch(url, { headers: { authorization: otherToken } });
+            assert.deepStrictEqual(await rejected.text(), "Unauthorized: issuer not allowed: other.example.com");
+
+            const garbage = await fetch(url, { headers: { authorization: "PrivateToken token=AAAA" } });
+            assert.deepStrictEqual(garbage.status, 401);
+            assert.match(await garbage.text(), /invalid token/);
+        }
+        finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+
+    should('PrivateTokenVerifier with session bound challenges', async () => {
+        const [issuer] = await issuers;
+        const verifier = new PrivateTokenVerifier({ issuers: [issuer.publicKey], secret: "secret", originInfo: "example.com", lifetime: 60, registry: new PublicKeyRegistry() });
+        // the nonce store expires spent tokens in real time
+        const now = Date.now();
+        const authenticate = await verifier.challenge("session-a", now);
+        assert.deepStrictEqual(authenticate.challenges[0].challenge.redemptionContext.length, 32);
+        assert.ok(authenticate.challenges[0].maxAge > 60 && authenticate.challenges[0].maxAge <= 120);
+
+        const authorization = await fetchToken(authenticate.toString(), issuer);
+        assert.deepStrictEqual((await verifier.verify(authorization, { sessionData: "session-b", now })).reason, "unknown or expired challenge");
+        assert.deepStrictEqual((await verifier.verify(authorization, { sessionData: "session-a", now: now + 180000 })).reason, "unknown or expired challenge");
+        const wrongHost = await verifier.verify(authorization, { sessionData: "session-a", host: "example.org", now });
+        assert.deepStrictEqual(wrongHost.reason, "origin: the host is not one of the challenge origins");
+
+        const outcome = await verifier.verify(authorization, { sessionData: "session-a", host: "example.com", now });
+        assert.ok(outcome.valid);
+        assert.deepStrictEqual(outcome.challenge.toString(), authenticate.challenges[0].challenge.toString());
+        assert.deepStrictEqual((await verifier.verify(authorization, { sessionData: "session-a", host: "example.com", now })).reason, "token already spent");
+        assert.deepStrictEqual((await verifier.verify(undefined)).reason, "no token");
+    });
+
+    should('PrivateTokenVerifier key resolution, origin and nonce expiry', async () => {
+        // a 3072-bit key that is only known to the verifier
+        const issuer = await PrivateAccessTokenIssuer.generate("issuer.example.com", undefined, 3072);
+        issuer.publicKey.notAfter = Math.floor(Date.now() / 1000) + 3600;
+        const spent = new Map();
+        const replay = new ReplayProtection({ add: async (key, expires) => !spent.has(key) && !!spent.set(key, expires), has: async key => spent.has(key) });
+        const verifier = new PrivateTokenVerifier({ issuers: [issuer.publicKey], originInfo: "example.com", replay, registry: new PublicKeyRegistry() });
+        const authorization = await fetchToken((await verifier.challenge()).toString(), issuer);
+
+        // the origin check fails (rather than being skipped) without a host
+        const noHost = await verifier.verify(authorization);
+        assert.deepStrictEqual(noHost.reason, "origin: the host is not one of the challenge origins");
+        assert.deepStrictEqual(noHost.result.checks.find(c => c.check === "origin").passed, false);
+
+        const outcome = await verifier.verify(authorization, { host: "example.com" });
+        assert.ok(outcome.valid, outcome.reason);
+        // without session bound challenges the nonce is kept until the key expires
+        assert.deepStrictEqual([...spent.values()], [issuer.publicKey.notAfter * 1000]);
+    });
+
+    should('privateTokenMiddleware() fallback and next()', async () => {
+        const [issuer] = await issuers;
+        const headers = {};
+        const res = { setHeader: (name, value) => headers[name] = value, end: () => assert.fail("the fallback handles the response") };
+        let fallback;
+        const gate = privateTokenMiddleware({
+            issuers: [issuer.publicKey],
+            fallback: (req, res, next, outcome) => fallback = outcome,
+        });
+        assert.deepStrictEqual(await gate({ headers: {} }, res, () => assert.fail("no token")), false);
+        assert.deepStrictEqual(fallback, null);
+        assert.ok(headers["WWW-Authenticate"].startsWith("PrivateToken challenge="));
+
+        const authorization = await fetchToken(headers["WWW-Authenticate"], issuer);
+        const req = { headers: { authorization } };
+        let called = 0;
+        assert.deepStrictEqual(await gate(req, res, () => called++), true);
+        assert.deepStrictEqual(called, 1);
+        assert.ok(req.privateToken.valid);
+
+        assert.deepStrictEqual(await gate({ headers: { authorization } }, res, () => called++), false);
+        assert.deepStrictEqual(fallback.reason, "token already spent");
+
+        // errors are passed to next()
+        const failing = privateTokenMiddleware({ issuers: [issuer.publicKey], sessionData: () => { throw new Error("session store down"); } });
+        let error;
+        await failing({ headers: {} }, res, e => error = e);
+        assert.deepStrictEqual(error.message, "session store down");
+    });
+
+    should('createFetchHandler() reports each check', async () => {
+        const [issuer] = await issuers;
+        const handler = createFetchHandler({ issuers: [issuer.publicKey], originInfo: "example.com", registry: new PublicKeyRegistry() });
+
+        const unauthorized = await handler(new Request("https://example.com/"));
+        assert.deepStrictEqual(unauthorized.status, 401);
+        assert.deepStrictEqual(unauthorized.headers.get("private-token-verification"), null);
+
+        const authorization = await fetchToken(unauthorized.headers.get("www-authenticate"), issuer);
+        const wrongHost = await handler(new Request("https://example.org/", { headers: { authorization } }));
+        assert.deepStrictEqual(wrongHost.status, 401);
+        const report = JSON.parse(wrongHost.headers.get("private-token-verification"));
+        assert.deepStrictEqual(report.valid, false);
+        assert.deepStrictEqual(report.reason, "origin: the host is not one of the challenge origins");
+        assert.deepStrictEqual(report.checks.map(c => [c.check, c.passed]), [
+            ["token_type", true], ["origin", false], ["challenge_digest", true], ["token_key_id", true], ["authenticator", true],
+        ]);
+
+        const authorized = await handler(new Request("https://example.com/", { headers: { authorization } }));
+        assert.deepStrictEqual(authorized.status, 200);
+        assert.deepStrictEqual(await authorized.text(), "OK");
+        assert.deepStrictEqual(authorized.headers.get("www-authenticate"), null);
+        assert.ok(JSON.parse(authorized.headers.get("private-token-verification")).valid);
+    });
+
+    should('createFetchHandler() only responds with the protected content for a valid token', async () => {
+        const [issuer] = await issuers;
+        const responded = [];
+        const handler = createFetchHandler({
+            issuers: [issuer.publicKey],
+            originInfo: "example.com",
+            registry: new PublicKeyRegistry(),
+            respond: (request, outcome) => {
+                responded.push(outcome.valid);
+                return new Response("secret");
+            },
+        });
+
+        const unauthorized = await handler(new Request("https://example.com/"));
+        assert.deepStrictEqual(unauthorized.status, 401);
+        assert.deepStrictEqual(await unauthorized.text(), "Unauthorized");
+
+        const authorization = await fetchToken(unauthorized.headers.get("www-authenticate"), issuer);
+        const wrongHost = await handler(new Request("https://example.org/", { headers: { authorization } }));
+        assert.deepStrictEqual(wrongHost.status, 401);
+        assert.deepStrictEqual(await wrongHost.text(), "Unauthorized");
+        assert.deepStrictEqual(responded, []);
+
+        const authorized = await handler(new Request("https://example.com/", { headers: { authorization } }));
+        assert.deepStrictEqual(await authorized.text(), "secret");
+        assert.deepStrictEqual(responded, [true]);
+
+        // the fallback hook replaces the default 401 body
+        const custom = createFetchHandler({
+            issuers: [issuer.publicKey],
+            originInfo: "example.com",
+            registry: new PublicKeyRegistry(),
+            respond: () => new Response("secret"),
+            fallback: (request, outcome) => new Response(`login required (${outcome?.reason ?? "no token"})`),
+        });
+        const fallback = await custom(new Request("https://example.com/"));
+        assert.deepStrictEqual(fallback.status, 401);
+        assert.deepStrictEqual(await fallback.text(), "login required (no token)");
+        assert.ok(fallback.headers.get("www-authenticate").startsWith("PrivateToken"));
+    });
+
+    should('demo worker only returns 200 for tokens of the challenge it sent', async () => {
+        const [issuer] = await issuers;
+        const page = "<html><head></head><body></body></html>";
+        const requested = [];
+        const worker = createWorker(async request => {
+            requested.push(new URL(request.url).pathname);
+            return new Response(page, { headers: { "content-type": "text/html" } });
+        }, new PublicKeyRegistry([issuer.publicKey]));
+        const challenge = new Challenge(2, "issuer.example.com", "", "");
+        const url = `https://pat.example/?challenge=${encodeURIComponent(challenge.toString())}&token-key=${encodeURIComponent(issuer.publicKey.sPKI)}`;
+
+        const unauthorized = await worker.fetch(new Request(url));
+        assert.deepStrictEqual(unauthorized.status, 401);
+        assert.deepStrictEqual(unauthorized.headers.get("set-cookie").startsWith("lastchallenge="), true);
+        const header = unauthorized.headers.get("www-authenticate");
+        assert.deepStrictEqual(WWWAuthenticate.from(header).challenges[0].challenge.toString(), challenge.toString());
+
+        // unknown keys, challenges for another issuer and malformed parameters get the default challenge
+        const other = await PrivateAccessTokenIssuer.generate("issuer.example.com");
+        const otherIssuer = new Challenge(2, "other.example.com", "", "");
+        for (const query of [
+            `?challenge=${encodeURIComponent(challenge.toString())}&token-key=${encodeURIComponent(other.publicKey.sPKI)}`,
+            `?challenge=${encodeURIComponent(otherIssuer.toString())}&token-key=${encodeURIComponent(issuer.publicKey.sPKI)}`,
+            `?challenge=%25%25&token-key=${encodeURIComponent(issuer.publicKey.sPKI)}`,
+            `?challenge=${encodeURIComponent(challenge.toString())}&token-key=!`,
+        ]) {
+            const fallback = await worker.fetch(new Request(`https://pat.example/${query}`));
+            assert.deepStrictEqual(fallback.status, 401, query);
+            const [{ challenge: sent }] = WWWAuthenticate.from(fallback.headers.get("www-authenticate")).challenges;
+            assert.deepStrictEqual(sent.issuerName, "pat-issuer.cloudflare.com", query);
+        }
+
+        // any token used to be enough
+        const forged = await worker.fetch(new Request(url, { headers: { authorization: "PrivateToken token=AAAA" } }));
+        assert.deepStrictEqual(forged.status, 401);
+
+        // a valid token for a different challenge
+        const otherChallenge = new Challenge(2, "issuer.example.com", "", "other.example");
+        const otherClient = new PrivateAccessTokenClient(otherChallenge, issuer.publicKey);
+        const otherToken = await otherClient.finalize(issuer.issue(await otherClient.createTokenRequest()));
+        const mismatched = await worker.fetch(new Request(url, { headers: { authorization: new Authorization(otherToken).toString() } }));
+        assert.deepStrictEqual(mismatched.status, 401);
+        assert.deepStrictEqual(JSON.parse(mismatched.headers.get("private-token-verification")).reason, "challenge_digest: the token is for a different challenge");
+
+        const authorization = await fetchToken(header, issuer);
+        const authorized = await worker.fetch(new Request(url, { headers: { authorization } }));
+        assert.deepStrictEqual(authorized.status, 200);
+        const body = await authorized.text();
+        const embedded = JSON.parse(/<script type="application\/json" id="private-token">(.*)<\/script>/.exec(body)[1]);
+        assert.deepStrictEqual(embedded.valid, true);
+        assert.deepStrictEqual(embedded.challenge, challenge.toString());
+        assert.deepStrictEqual(embedded.checks.length, 4);
+        assert.ok(!/token=/.test(authorized.headers.get("set-cookie")));
+
+        const replayed = await worker.fetch(new Request(url, { headers: { authorization } }));
+        assert.deepStrictEqual(replayed.status, 401);
+
+        // other paths go straight to the origin
+        assert.deepStrictEqual((await worker.fetch(new Request("https://pat.example/utils.js"))).status, 200);
+        assert.deepStrictEqual(requested.at(-1), "/utils.js");
+    });
+});
@@ -0,0 +1,145 @@
+import { should, describe } from 'micro-should';
+import * as assert from 'assert';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { appendFile, readFile, rm } from 'fs/promises';
+import { existsSync } from 'fs';
+import { MemoryNonceStore, FileNonceStore, KVNonceStore, ReplayProtection } from '../src/nonce-store.js';
+import { Challenge, Token, PrivateAccessTokenIssuer, PrivateAccessTokenClient } from '../src/private-access-token.js';
+
+/**
+ * Minimal stand-in for a workers KV namespace binding.
+ * @returns {Object} the KV namespace
+ */
+function kvNamespace() {
+    const values = new Map();
+    return {
+        get: async key => values.get(key) ?? null,
+        put: async (key, value) => { values.set(key, value); },
+        delete: async key => { values.delete(key); },
+    };
+}
+
+describe('Nonce-Store', async () => {
+    should('MemoryNonceStore, FileNonceStore and KVNonceStore', async () => {
+        const path = join(tmpdir(), `nonce-store-${process.pid}.json`);
+        try {
+            for (const store of [new MemoryNonceStore(), new FileNonceStore(path), new KVNonceStore(kvNamespace())]) {
+                const expires = Date.now() + 60000;
+                assert.ok(await store.add("abc", expires));
+                assert.ok(!(await store.add("abc", expires)));
+                assert.ok(await store.has("abc"));
+                assert.ok(!(await store.has("def")));
+
+                // concurrent adds for the same key only succeed once (KV stores are eventually consistent)
+                const results = await Promise.all([store.add("def", expires), store.add("def", expires)]);
+                if (!(store instanceof KVNonceStore)) assert.deepStrictEqual(results.filter(r => r).length, 1);
+
+                // expired entries are forgotten
+                assert.ok(await store.add("ghi", Date.now() - 1));
+                assert.ok(!(await store.has("ghi")));
+                assert.ok(await store.add("ghi", expires));
+
+                // entries without an expiry are kept
+                assert.ok(await store.add("jkl", Infinity));
+                assert.ok(await store.has("jkl"));
+
+                await store.delete("abc");
+                assert.ok(!(await store.has("abc")));
+            }
+
+            // persisted across instances
+            assert.ok(await new FileNonceStore(path).has("def"));
+            assert.ok(await new FileNonceStore(path).has("jkl"));
+            const lines = (await readFile(path, { encoding: "utf8" })).trim().split("\n").map(line => JSON.parse(line));
+            assert.deepStrictEqual(lines.find(([key]) => key === "jkl"), ["jkl", null]);
+            assert.deepStrictEqual(lines.at(-1), ["abc", 0]);
+            assert.ok(!existsSync(`${path}.${process.pid}.tmp`));
+
+            // has() doesn't write
+            await rm(path, { force: true });
+            assert.ok(!(await new FileNonceStore(path).has("def")));
+            assert.ok(!existsSync(path));
+        }
+        finally {
+            await rm(path, { force: true });
+        }
+    });
+
+    should('MemoryNonceStore sweeps expired entries', async () => {
+        const store = new MemoryNonceStore();
+        const expired = Date.now() - 1;
+        for (let i = 0; i < 1023; i++) {
+            assert.ok(await store.add(`expired-${i}`, expired));
+        }
+        // the 1024th entry sweeps the expired ones
+        assert.ok(await store.add("live", Infinity));
+        assert.deepStrictEqual(store.size, 1);
+        assert.ok(await store.has("live"));
+        assert.ok(!(await store.has("expired-0")));
+    });
+
+    should('FileNonceStore appends and compacts', async () => {
+        const path = join(tmpdir(), `nonce-store-compact-${process.pid}.json`);
+        const lineCount = async () => (await readFile(path, { encoding: "utf8" })).split("\n").length - 1;
+        try {
+            const store = new FileNonceStore(path);
+            const expires = Date.now() + 60000;
+            for (let i = 0; i < 1024; i++) {
+                assert.ok(await store.add(`key-${i}`, i % 2 ? expires : Date.now() - 1));
+            }
+            assert.deepStrictEqual(await lineCount(), 1024);
+
+            // the next change compacts the file down to the unexpired entries
+            assert.ok(await store.add("next", expires));
+            assert.deepStrictEqual(await lineCount(), 513);
+            assert.ok(await new FileNonceStore(path).has("key-1"));
+            assert.ok(!(await new FileNonceStore(path).has("key-0")));
+
+            // a line left truncated by a crash is ignored and rewritten before the next append
+            await appendFile(path, `["trunc`);
+            const recovered = new FileNonceStore(path);
+            assert.ok(await recovered.has("next"));
+            assert.ok(await recovered.add("after", expires));
+            assert.deepStrictEqual(await lineCount(), 514);
+            assert.ok(await new FileNonceStore(path).has("after"));
+        }
+        finally {
+            await rm(path, { force: true });
+        }
+    });
+
+    should('ReplayProtection.verify()', async () => {
+        const issuer = await PrivateAccessTokenIssuer.generate("issuer.example.com");
+        const challenge = new Challenge(Token.BLIND_RSA, issuer.issuerName, "", "example.com");
+        const client = new PrivateAccessTokenClient(challenge, issuer.publicKey);
+        const token = await client.finalize(issuer.issue(await client.createTokenRequest()));
+
+        const replay = new ReplayProtection();
+        assert.ok(!(await replay.isSpent(token)));
+        assert.ok(await replay.verify(token, challenge, issuer.publicKey));
+        assert.ok(await replay.isSpent(token));
+
+        // the same token (or a copy of the header) can't be redeemed twice
+        assert.ok(!(await replay.verify(token, challenge, issuer.publicKey)));
+        assert.ok(!(await replay.verify(Token.from(token.toString()), challenge, issuer.publicKey)));
+
+        // invalid tokens are not recorded
+        const other = await client.finalize(issuer.issue(await client.createTokenRequest()));
+        assert.ok(!(await replay.verify(other, new Challenge(Token.BLIND_RSA, issuer.issuerName, "", "example.org"), issuer.publicKey)));
+        assert.ok(!(await replay.isSpent(other)));
+
+        // spent nonces expire
+        assert.ok(await replay.spend(other, Date.now() - 1));
+        assert.ok(!(await replay.isSpent(other)));
+    });
+
+    should('ReplayProtection.expiry()', async () => {
+        const issuer = await PrivateAccessTokenIssuer.generate("issuer.example.com");
+        assert.deepStrictEqual(ReplayProtection.expiry(issuer.publicKey), Infinity);
+        assert.deepStrictEqual(ReplayProtection.expiry(issuer.publicKey, 1234), 1234);
+        issuer.publicKey.notAfter = 1700000000;
+        assert.deepStrictEqual(ReplayProtection.expiry(issuer.publicKey), 1700000000000);
+        assert.deepStrictEqual(ReplayProtection.expiry(issuer.publicKey, 1234), 1234);
+    });
+});
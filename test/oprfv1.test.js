@@ -102,4 +102,38 @@ describe('OPRFv1', () => {
             assert.equal(verify, true);
         }
     });
+
+    should('blind(), blindEvaluate() and finalize()', async () => {
+        const tests = [
+            {
+                input: [0x00],
+                output: Hex.decode('3333230886b562ffb8329a8be08fea8025755372817ec969d114d1203d026b4a622beab60220bf19078bca35a529b35c'),
+                blindedElement: Hex.decode('02d338c05cbecb82de13d6700f09cb61190543a7b7e2c6cd4fca56887e564ea82653b27fdad383995ea6d02cf26d0e24d9'),
+                evaluatedElement: Hex.decode('02a7bba589b3e8672aa19e8fd258de2e6aae20101c8d761246de97a6b5ee9cf105febce4327a326255a3c604f63f600ef6'),
+            },
+            {
+                input: Array(17).fill(0x5a),
+                output: Hex.decode('b91c70ea3d4d62ba922eb8a7d03809a441e1c3c7af915cbc2226f485213e895942cd0f8580e6d99f82221e66c40d274f'),
+                blindedElement: Hex.decode('02f27469e059886f221be5f2cca03d2bdc61e55221721c3b3e56fc012e36d31ae5f8dc058109591556a6dbd3a8c69c433b'),
+                evaluatedElement: Hex.decode('03f16f903947035400e96b7f531a38d4a07ac89a80f89d86a1bf089c525a92c7f4733729ca30c56ce78b1ab4f7d92db8b4'),
+            },
+        ];
+        const k = ByteBuffer.bytesToNumber(Hex.decode('051646b9e6e7a71ae27c1e1d0b87b4381db6d3595eeeb1adb41579adbf992f4278f9016eafc944edaa2b43183581779d'));
+        const pkS = Point.BASE.multiply(k);
+        const blind = ByteBuffer.bytesToNumber(Hex.decode('504650f53df8f16f6861633388936ea23338fa65ec36e0290022b48eb562889d89dbfa691d1cde91517fa222ed7ad364'));
+
+        for (const test of tests) {
+            const [, blindedElement] = VOPRF_P384.blind(test.input, blind);
+            assert.deepEqual(Array.from(blindedElement.toRawBytes(true)), test.blindedElement);
+
+            const [evaluatedElement, proof] = VOPRF_P384.blindEvaluate(k, pkS, blindedElement);
+            assert.deepEqual(Array.from(evaluatedElement.toRawBytes(true)), test.evaluatedElement);
+
+            const output = VOPRF_P384.finalize(test.input, blind, evaluatedElement, blindedElement, pkS, proof);
+            assert.deepEqual(Array.from(output), test.output);
+            assert.deepEqual(Array.from(VOPRF_P384.evaluate(k, test.input)), test.output);
+
+            assert.throws(() => VOPRF_P384.finalize(test.input, blind, evaluatedElement, blindedElement, Point.BASE, proof));
+        }
+    });
 });
@@ -0,0 +1,86 @@
+import { should, describe } from 'micro-should';
+import * as assert from 'assert';
+import { DecodeError } from '../src/utils.js';
+import { PMBTOKEN_P384 } from '../src/pmbtoken.js';
+
+const SECRET_KEY = { x0: 1n, y0: 2n, x1: 3n, y1: 4n, xs: 5n, ys: 6n };
+
+/**
+ * Issues tokens for the nonces `t` and returns everything the client sees.
+ * @param {Object} secretKey The issuer secret key
+ * @param {Object} publicKey The issuer public key
+ * @param {Uint8Array[]} t The token nonces
+ * @param {boolean} privateMetadata The private metadata bit
+ * @returns {Object} the blinds, blinded elements, batch and proof
+ */
+function issue(secretKey, publicKey, t, privateMetadata) {
+    const blinded = t.map((nonce, i) => PMBTOKEN_P384.blind(nonce, BigInt(i + 7)));
+    const Tp = blinded.map(([, T]) => T);
+    const [signed, proof] = PMBTOKEN_P384.sign(secretKey, publicKey, Tp, privateMetadata);
+    const Sp = signed.map(({ s }, i) => PMBTOKEN_P384.hashS(Tp[i], s));
+    const batch = PMBTOKEN_P384.computeBatch(publicKey, Tp, Sp, signed.map(n => n.Wp), signed.map(n => n.Wsp));
+    return { blinded, signed, Sp, batch, proof };
+}
+
+describe('PMBTokens', () => {
+    should('generateKeyPair() and key serialization', async () => {
+        const [secretKey, publicKey] = PMBTOKEN_P384.generateKeyPair(SECRET_KEY);
+        assert.ok(publicKey.pub0.equals(PMBTOKEN_P384.generator.add(PMBTOKEN_P384.H.multiply(2n))));
+        assert.ok(!PMBTOKEN_P384.H.equals(PMBTOKEN_P384.generator));
+
+        const secretBytes = PMBTOKEN_P384.serializeSecretKey(secretKey);
+        assert.deepStrictEqual(secretBytes.length, 6 * 48);
+        assert.deepStrictEqual(PMBTOKEN_P384.deserializeSecretKey(secretBytes), SECRET_KEY);
+
+        const publicBytes = PMBTOKEN_P384.serializePublicKey(publicKey);
+        assert.deepStrictEqual(publicBytes.length, 3 * 97);
+        const decoded = PMBTOKEN_P384.deserializePublicKey(publicBytes);
+        for (const name of ["pub0", "pub1", "pubs"]) {
+            assert.ok(decoded[name].equals(publicKey[name]));
+        }
+
+        assert.throws(() => PMBTOKEN_P384.deserializePublicKey(publicBytes.slice(0, -1)), e => e instanceof DecodeError && e.field === "pubs");
+        assert.throws(() => PMBTOKEN_P384.deserializeSecretKey(new Uint8Array(6 * 48).fill(0xff)), e => e instanceof DecodeError && e.field === "x0" && e.offset === 0);
+        assert.throws(() => PMBTOKEN_P384.deserializeSecretKey(new Uint8Array(6 * 48 + 1)), e => e instanceof DecodeError && e.field === "ys");
+    });
+
+    should('sign(), verifyProof(), unblind() and read()', async () => {
+        const [secretKey, publicKey] = PMBTOKEN_P384.generateKeyPair();
+        const t = [new Uint8Array(64).fill(1), new Uint8Array(64).fill(2), new Uint8Array(64).fill(3)];
+
+        for (const privateMetadata of [false, true]) {
+            const { blinded, signed, Sp, batch, proof } = issue(secretKey, publicKey, t, privateMetadata);
+            assert.deepStrictEqual(proof.length, 9);
+            assert.ok(PMBTOKEN_P384.verifyProof(publicKey, ...batch, proof));
+
+            for (let i = 0; i < t.length; i++) {
+                const [S, W, Ws] = PMBTOKEN_P384.unblind(blinded[i][0], Sp[i], signed[i].Wp, signed[i].Wsp);
+                assert.deepStrictEqual(PMBTOKEN_P384.read(secretKey, t[i], S, W, Ws), privateMetadata);
+                // the token is bound to its nonce
+                assert.deepStrictEqual(PMBTOKEN_P384.read(secretKey, t[(i + 1) % t.length], S, W, Ws), null);
+            }
+        }
+    });
+
+    should('verifyProof() rejects invalid proofs', async () => {
+        const [secretKey, publicKey] = PMBTOKEN_P384.generateKeyPair();
+        const t = [new Uint8Array(64).fill(1), new Uint8Array(64).fill(2)];
+        const { batch, proof } = issue(secretKey, publicKey, t, true);
+
+        for (let i = 0; i < proof.length; i++) {
+            const tampered = [...proof];
+            tampered[i] = (tampered[i] + 1n) % PMBTOKEN_P384.order;
+            assert.deepStrictEqual(PMBTOKEN_P384.verifyProof(publicKey, ...batch, tampered), false, `scalar ${i}`);
+        }
+        assert.deepStrictEqual(PMBTOKEN_P384.verifyProof(publicKey, ...batch, proof.slice(0, 8)), false);
+        assert.deepStrictEqual(PMBTOKEN_P384.verifyProof(publicKey, ...batch, [...proof.slice(0, 8), PMBTOKEN_P384.order]), false);
+
+        // W signed with neither key
+        const [T, S, , Ws] = batch;
+        assert.deepStrictEqual(PMBTOKEN_P384.verifyProof(publicKey, T, S, T.multiply(9n), Ws, proof), false);
+
+        // a different key
+        const [, otherKey] = PMBTOKEN_P384.generateKeyPair();
+        assert.deepStrictEqual(PMBTOKEN_P384.verifyProof(otherKey, ...batch, proof), false);
+    });
+});
@@ -1,7 +1,13 @@
 import { should, describe } from 'micro-should';
 import * as assert from 'assert';
-import { PublicKey, Challenge, Token } from '../src/private-access-token.js';
-import { sha256 } from '../src/utils.js';
+import { PublicKey, PublicKeyRegistry, Challenge, Token, TokenRequest, TokenResponse, Extensions, PrivateAccessTokenIssuer, PrivateAccessTokenClient } from '../src/private-access-token.js';
+import { RSABSSA_SHA384_PSS_Deterministic, toBigInt } from '../src/rsabssa.js';
+import { Base64, DecodeError, Hex, PS384, sha256 } from '../src/utils.js';
+import { Authorization } from '../src/auth-scheme.js';
+import RSAPBSSA_JWK from './RSAPBSSA.jwk.json' assert { type: "json" };
+import ISSUERS from '../PRIVATE_ACCESS_TOKEN_ISSUERS.json' assert { type: "json" };
+import ISSUERS_JWKS from '../PRIVATE_ACCESS_TOKEN.jwks.json' assert { type: "json" };
+import CLOUDFLARE_DEMO_DIRECTORY from '../demo-pat.issuer.cloudflare.com.json' assert { type: "json" };
 
 describe('Private-Access-Tokens', async () => {
     should('PublicKey.from()', async () => {
@@ -13,12 +19,57 @@ describe('Private-Access-Tokens', async () => {
         assert.deepStrictEqual(PublicKey.from(await fastly.toTokenKeyID()), fastly);
     });
 
+    should('PublicKeyRegistry.load()', async () => {
+        const issuerName = "demo-pat.issuer.cloudflare.com";
+        const [current, previous] = CLOUDFLARE_DEMO_DIRECTORY["token-keys"];
+        const rotation = current["not-before"] * 1000;
+
+        for (const data of [ISSUERS, ISSUERS_JWKS, JSON.stringify(CLOUDFLARE_DEMO_DIRECTORY)]) {
+            const registry = new PublicKeyRegistry();
+            await registry.load(data);
+            assert.deepStrictEqual(registry.keys(issuerName).length, 2);
+
+            // the new key is only used once it is valid, but the previous key is still accepted
+            assert.deepStrictEqual(registry.get(issuerName, rotation - 1).sPKI, previous["token-key"]);
+            assert.deepStrictEqual(registry.get(issuerName, rotation).sPKI, current["token-key"]);
+            const previousKey = registry.keys(issuerName).find(k => k.sPKI === previous["token-key"]);
+            assert.deepStrictEqual(registry.find(previousKey.keyID, rotation), previousKey);
+            assert.deepStrictEqual(registry.find(previousKey.sPKI, rotation), previousKey);
+        }
+
+        const registry = new PublicKeyRegistry();
+        await registry.load(ISSUERS);
+        for (const entry of ISSUERS["token-keys"]) {
+            assert.deepStrictEqual(registry.find(Base64.decode(entry["token-key-id"])).sPKI, entry["token-key"]);
+        }
+        assert.deepStrictEqual(registry.get("unknown.example.com"), undefined);
+
+        const expired = new PublicKeyRegistry();
+        const [key] = await expired.loadJWKS({ issuer: "issuer.example.com", keys: [{ ...ISSUERS_JWKS.keys[0], nbf: 1000, exp: 2000 }] });
+        assert.deepStrictEqual(expired.get("issuer.example.com", 1500 * 1000), key);
+        assert.deepStrictEqual(expired.get("issuer.example.com", 2000 * 1000), undefined);
+        assert.deepStrictEqual(expired.find(key.keyID, 999 * 1000), undefined);
+
+        // tokens for either key resolve with the default registry once the directory is loaded
+        await PublicKey.registry.load(CLOUDFLARE_DEMO_DIRECTORY);
+        assert.deepStrictEqual(PublicKey.from(issuerName), PublicKey.CLOUDFLARE_DEMO);
+        const token = new Token(Token.BLIND_RSA, [], [], await sha256(Base64.decode(previous["token-key"])), []);
+        assert.deepStrictEqual(token.getTokenKey().sPKI, previous["token-key"]);
+        assert.ok(PublicKey.registry.delete(token.getTokenKey()));
+    });
+
     should('Challenge.from()', async () => {
         const challenge = Challenge.from("AAIAGXBhdC1pc3N1ZXIuY2xvdWRmbGFyZS5jb20AAAA=");
         assert.deepStrictEqual(challenge.issuerName, "pat-issuer.cloudflare.com");
         assert.deepStrictEqual(challenge.getTokenKey(), PublicKey.CLOUDFLARE);
-        assert.deepStrictEqual(challenge.redemptionContext, []);
+        assert.deepStrictEqual(challenge.redemptionContext, new Uint8Array(0));
         assert.deepStrictEqual(challenge.originInfo, "");
+
+        const bytes = Array.from(challenge.toByteArray());
+        assert.throws(() => Challenge.from(bytes.slice(0, 10)), e => e instanceof DecodeError && e.field === "issuer_name" && e.offset === 4);
+        assert.throws(() => Challenge.from(bytes.slice(0, -1)), e => e instanceof DecodeError && e.field === "origin_info" && e.offset === 30);
+        assert.throws(() => Challenge.from([...bytes, 0]), e => e instanceof DecodeError && e.offset === 32 && /trailing/.test(e.message));
+        assert.throws(() => Challenge.from("Z2FyYmFnZQ"), DecodeError);
     });
 
     should('Challenge.toString()', async () => {
@@ -41,14 +92,70 @@ describe('Private-Access-Tokens', async () => {
 
     });
 
+    should('Challenge.origins', async () => {
+        const challenge = new Challenge(Token.BLIND_RSA, "pat-issuer.cloudflare.com", "", ["example.com", "www.example.com:8443"]);
+        assert.deepStrictEqual(challenge.originInfo, "example.com,www.example.com:8443");
+
+        const decoded = Challenge.from(challenge.toString());
+        assert.deepStrictEqual(decoded.originInfo, "example.com,www.example.com:8443");
+        assert.deepStrictEqual(decoded.origins, ["example.com", "www.example.com:8443"]);
+        assert.deepStrictEqual(Challenge.from("AAIAGXBhdC1pc3N1ZXIuY2xvdWRmbGFyZS5jb20AAAtleGFtcGxlLmNvbQ==").origins, ["example.com"]);
+
+        assert.ok(decoded.verifyOrigin("example.com"));
+        assert.ok(decoded.verifyOrigin("EXAMPLE.com:443"));
+        assert.ok(decoded.verifyOrigin("www.example.com:8443"));
+        assert.ok(decoded.verifyOrigin(["other.example", "www.example.com:8443"]));
+        assert.ok(!decoded.verifyOrigin("www.example.com:8080"));
+        // a missing port is the default port
+        assert.ok(!decoded.verifyOrigin("www.example.com"));
+        assert.ok(!decoded.verifyOrigin("www.example.com:443"));
+        assert.ok(!decoded.verifyOrigin("example.com:8443"));
+        assert.ok(decoded.verifyOrigin("example.com:80"));
+        assert.ok(new Challenge(Token.BLIND_RSA, "pat-issuer.cloudflare.com", "", "example.com:443").verifyOrigin("example.com"));
+        assert.ok(!decoded.verifyOrigin("example.org"));
+        assert.ok(!decoded.verifyOrigin(""));
+
+        // cross-origin challenges
+        decoded.origins = [];
+        assert.deepStrictEqual(decoded.originInfo, "");
+        assert.ok(decoded.verifyOrigin("example.org"));
+        assert.ok(!decoded.verifyOrigin("example.org", false));
+    });
+
+    should('Challenge with internationalized names', async () => {
+        const unicode = new Challenge(Token.BLIND_RSA, "issuer.bücher.example", "", ["bücher.example", "www.bücher.example:8443"]);
+        const punycode = new Challenge(Token.BLIND_RSA, "issuer.xn--bcher-kva.example", "", "xn--bcher-kva.example,www.xn--bcher-kva.example:8443");
+        assert.deepStrictEqual(unicode.issuerName, "issuer.xn--bcher-kva.example");
+        assert.deepStrictEqual(unicode.originInfo, "xn--bcher-kva.example,www.xn--bcher-kva.example:8443");
+        assert.deepStrictEqual(unicode.toString(), punycode.toString());
+        assert.ok(unicode.verifyOrigin("bücher.example"));
+        assert.ok(unicode.verifyOrigin("www.xn--bcher-kva.example:8443"));
+
+        // every label is lower-cased, ASCII or not
+        const mixed = new Challenge(Token.BLIND_RSA, "Issuer.Bücher.Example", "", ["BÜCHER.example", "WWW.Example.COM:8443"]);
+        assert.deepStrictEqual(mixed.issuerName, "issuer.xn--bcher-kva.example");
+        assert.deepStrictEqual(mixed.originInfo, "xn--bcher-kva.example,www.example.com:8443");
+
+        // the length prefixes are byte lengths
+        const bytes = unicode.toByteArray();
+        assert.deepStrictEqual((bytes[2] << 8) | bytes[3], "issuer.xn--bcher-kva.example".length);
+        assert.deepStrictEqual(Challenge.from(bytes).originInfo, punycode.originInfo);
+
+        // names that aren't host names are written as UTF-8
+        const other = new Challenge(Token.BLIND_RSA, "issuer.example", "", "ünïcode origin");
+        assert.deepStrictEqual(other.toByteArray().length, 2 + 2 + 14 + 1 + 2 + 16);
+        assert.deepStrictEqual(Challenge.from(other.toByteArray()).originInfo, "ünïcode origin");
+        assert.throws(() => Challenge.from([0, 2, 0, 1, 0xff, 0, 0, 0]), e => e instanceof DecodeError && e.field === "issuer_name" && e.offset === 4);
+    });
+
     should('Token.from()', async () => {
         const token = Token.from("AAKX5pNIYklVMbf4MFBRPCrv7lsehPyLIb-JrxRRhBn3iH5KiF5TAqGbeBQ6wy0MSzGrQl-h4QSDP-eRlprUYGADYGxwjWIWHdmidCezltPXnOAwu_H7uuKfaERZm_w9BEVQf5R1vludYDOk_kapvOVJC43mFLJV5ibvDk3jwAgRwqiBUdBJogdhNtCJ8SNULbBhU8Y7k3Q67C76LjVf-byGPDFNilZKVtaGIzJU4qzKnegpICe36SPPih5tikp1h5wZkqa3uEBc_p649YmvdwzpXIVIerDX2G7R_gmWjA_w5dsHia3aQ8brx3t0EdN9D0dBnxBhu9-mGUgQk92SiohAmEFCttl8LKhQBFFfiwNuEfRE-JGil1vHPIGqF1np1ekH1Gll-8Qr0Cxb1cFdVL3oz641-UF35uCe6D4-xlJObcIhfqYc7NONo2-l4V9D_IW6WBJIpxjgRk5uPjWWrNft");
         assert.deepStrictEqual(token.tokenType, Token.BLIND_RSA);
         // pat-issuer.cloudflare.com
-        assert.deepStrictEqual(token.tokenKeyID, [96, 108, 112, 141, 98, 22, 29, 217, 162, 116, 39, 179, 150, 211, 215, 156, 224, 48, 187, 241, 251, 186, 226, 159, 104, 68, 89, 155, 252, 61, 4, 69]);
-        assert.deepStrictEqual(token.nonce, [151, 230, 147, 72, 98, 73, 85, 49, 183, 248, 48, 80, 81, 60, 42, 239, 238, 91, 30, 132, 252, 139, 33, 191, 137, 175, 20, 81, 132, 25, 247, 136]);
-        assert.deepStrictEqual(token.challengeHash, [126, 74, 136, 94, 83, 2, 161, 155, 120, 20, 58, 195, 45, 12, 75, 49, 171, 66, 95, 161, 225, 4, 131, 63, 231, 145, 150, 154, 212, 96, 96, 3]);
-        assert.deepStrictEqual(token.authenticator, [80, 127, 148, 117, 190, 91, 157, 96, 51, 164, 254, 70, 169, 188, 229, 73, 11, 141, 230, 20, 178, 85, 230, 38, 239, 14, 77, 227, 192, 8, 17, 194, 168, 129, 81, 208, 73, 162, 7, 97, 54, 208, 137, 241, 35, 84, 45, 176, 97, 83, 198, 59, 147, 116, 58, 236, 46, 250, 46, 53, 95, 249, 188, 134, 60, 49, 77, 138, 86, 74, 86, 214, 134, 35, 50, 84, 226, 172, 202, 157, 232, 41, 32, 39, 183, 233, 35, 207, 138, 30, 109, 138, 74, 117, 135, 156, 25, 146, 166, 183, 184, 64, 92, 254, 158, 184, 245, 137, 175, 119, 12, 233, 92, 133, 72, 122, 176, 215, 216, 110, 209, 254, 9, 150, 140, 15, 240, 229, 219, 7, 137, 173, 218, 67, 198, 235, 199, 123, 116, 17, 211, 125, 15, 71, 65, 159, 16, 97, 187, 223, 166, 25, 72, 16, 147, 221, 146, 138, 136, 64, 152, 65, 66, 182, 217, 124, 44, 168, 80, 4, 81, 95, 139, 3, 110, 17, 244, 68, 248, 145, 162, 151, 91, 199, 60, 129, 170, 23, 89, 233, 213, 233, 7, 212, 105, 101, 251, 196, 43, 208, 44, 91, 213, 193, 93, 84, 189, 232, 207, 174, 53, 249, 65, 119, 230, 224, 158, 232, 62, 62, 198, 82, 78, 109, 194, 33, 126, 166, 28, 236, 211, 141, 163, 111, 165, 225, 95, 67, 252, 133, 186, 88, 18, 72, 167, 24, 224, 70, 78, 110, 62, 53, 150, 172, 215, 237]);
+        assert.deepStrictEqual(token.tokenKeyID, Uint8Array.from([96, 108, 112, 141, 98, 22, 29, 217, 162, 116, 39, 179, 150, 211, 215, 156, 224, 48, 187, 241, 251, 186, 226, 159, 104, 68, 89, 155, 252, 61, 4, 69]));
+        assert.deepStrictEqual(token.nonce, Uint8Array.from([151, 230, 147, 72, 98, 73, 85, 49, 183, 248, 48, 80, 81, 60, 42, 239, 238, 91, 30, 132, 252, 139, 33, 191, 137, 175, 20, 81, 132, 25, 247, 136]));
+        assert.deepStrictEqual(token.challengeHash, Uint8Array.from([126, 74, 136, 94, 83, 2, 161, 155, 120, 20, 58, 195, 45, 12, 75, 49, 171, 66, 95, 161, 225, 4, 131, 63, 231, 145, 150, 154, 212, 96, 96, 3]));
+        assert.deepStrictEqual(token.authenticator, Uint8Array.from([80, 127, 148, 117, 190, 91, 157, 96, 51, 164, 254, 70, 169, 188, 229, 73, 11, 141, 230, 20, 178, 85, 230, 38, 239, 14, 77, 227, 192, 8, 17, 194, 168, 129, 81, 208, 73, 162, 7, 97, 54, 208, 137, 241, 35, 84, 45, 176, 97, 83, 198, 59, 147, 116, 58, 236, 46, 250, 46, 53, 95, 249, 188, 134, 60, 49, 77, 138, 86, 74, 86, 214, 134, 35, 50, 84, 226, 172, 202, 157, 232, 41, 32, 39, 183, 233, 35, 207, 138, 30, 109, 138, 74, 117, 135, 156, 25, 146, 166, 183, 184, 64, 92, 254, 158, 184, 245, 137, 175, 119, 12, 233, 92, 133, 72, 122, 176, 215, 216, 110, 209, 254, 9, 150, 140, 15, 240, 229, 219, 7, 137, 173, 218, 67, 198, 235, 199, 123, 116, 17, 211, 125, 15, 71, 65, 159, 16, 97, 187, 223, 166, 25, 72, 16, 147, 221, 146, 138, 136, 64, 152, 65, 66, 182, 217, 124, 44, 168, 80, 4, 81, 95, 139, 3, 110, 17, 244, 68, 248, 145, 162, 151, 91, 199, 60, 129, 170, 23, 89, 233, 213, 233, 7, 212, 105, 101, 251, 196, 43, 208, 44, 91, 213, 193, 93, 84, 189, 232, 207, 174, 53, 249, 65, 119, 230, 224, 158, 232, 62, 62, 198, 82, 78, 109, 194, 33, 126, 166, 28, 236, 211, 141, 163, 111, 165, 225, 95, 67, 252, 133, 186, 88, 18, 72, 167, 24, 224, 70, 78, 110, 62, 53, 150, 172, 215, 237]));
 
         assert.ok(token.verifyTokenType());
         const challenge = Challenge.from("AAIAGXBhdC1pc3N1ZXIuY2xvdWRmbGFyZS5jb20AAAA=");
@@ -61,4 +168,208 @@ describe('Private-Access-Tokens', async () => {
         assert.ok(await token.verifyAuthenticator(PublicKey.CLOUDFLARE));
         assert.ok(await token.verify(challenge, PublicKey.CLOUDFLARE));
     });
+
+    should('Token.from() checks the token length', async () => {
+        const token = new Token(Token.BLIND_RSA, Array(32).fill(1), Array(32).fill(2), await PublicKey.FASTLY.toTokenKeyID(), Array(256).fill(3));
+        const bytes = token.toByteArray();
+        assert.deepStrictEqual(Token.from(bytes), token);
+        assert.deepStrictEqual(Token.from(token.toString()), token);
+
+        assert.throws(() => Token.from(bytes.slice(0, -1)), e => e instanceof DecodeError && e.field === "authenticator" && e.offset === 98);
+        assert.throws(() => Token.from(bytes.slice(0, 40)), e => e instanceof DecodeError && e.field === "challenge_digest" && e.offset === 34);
+        assert.throws(() => Token.from([...bytes, 0]), e => e instanceof DecodeError && e.offset === 354 && /trailing/.test(e.message));
+        assert.throws(() => Token.from([0x12, 0x34, ...bytes.slice(2)]), e => e instanceof DecodeError && e.field === "token_type" && /Unsupported token type: 4660/.test(e.message));
+        assert.throws(() => Token.from([]), e => e instanceof DecodeError && e.field === "token_type");
+
+        const voprf = new Token(Token.VOPRF, Array(32).fill(1), Array(32).fill(2), Array(32).fill(4), Array(48).fill(3));
+        assert.deepStrictEqual(Token.from(voprf.toString()), voprf);
+        assert.throws(() => Token.from([...voprf.toByteArray(), ...Array(208).fill(0)]), DecodeError);
+
+        // Nk follows the size of the issuer key
+        const issuer = await PrivateAccessTokenIssuer.generate("issuer.example.com", Token.BLIND_RSA, 3072);
+        const large = new Token(Token.BLIND_RSA, Array(32).fill(1), Array(32).fill(2), issuer.publicKey.keyID, Array(384).fill(3));
+        assert.deepStrictEqual(Token.from(large.toString(), issuer.publicKey), large);
+        assert.throws(() => Token.from(large.toString()), DecodeError);
+        PublicKey.registry.add(issuer.publicKey);
+        assert.deepStrictEqual(Token.from(large.toString()), large);
+        PublicKey.registry.delete(issuer.publicKey);
+
+        // token types registered later
+        Token.register(0xF00D, "Example", 16);
+        const example = new Token(0xF00D, Array(32).fill(1), Array(32).fill(2), Array(32).fill(4), Array(16).fill(3));
+        assert.deepStrictEqual(Token.from(example.toString()), example);
+        assert.deepStrictEqual(Token.typeName(0xF00D), "Example");
+        assert.ok(!example.verifyTokenType());
+    });
+
+    should('PrivateAccessTokenIssuer.issue()', async () => {
+        const issuer = await PrivateAccessTokenIssuer.generate("issuer.example.com");
+        assert.deepStrictEqual(issuer.publicKey.issuerName, "issuer.example.com");
+        assert.deepStrictEqual(issuer.publicKey.keyID, await issuer.publicKey.toTokenKeyID());
+
+        const jwk = await PS384.toJWK(issuer.publicKey.sPKI);
+        const pk = { n: toBigInt(Base64.decode(jwk.n)), e: toBigInt(Base64.decode(jwk.e)) };
+        const blindedMsg = Array.from(crypto.getRandomValues(new Uint8Array(256)));
+        blindedMsg[0] &= 0x7f; // ensure the message is smaller than the modulus
+
+        const tokenRequest = new TokenRequest(Token.BLIND_RSA, issuer.publicKey.keyID.slice(-1)[0], blindedMsg);
+        assert.deepStrictEqual(TokenRequest.from(tokenRequest.toString()), tokenRequest);
+
+        const tokenResponse = issuer.issue(tokenRequest.toString());
+        assert.deepStrictEqual(tokenResponse.blindSig.length, 256);
+        assert.deepStrictEqual(TokenResponse.from(tokenResponse.toString()), tokenResponse);
+        assert.deepStrictEqual(RSABSSA_SHA384_PSS_Deterministic.rsavp1(pk, toBigInt(tokenResponse.blindSig)), toBigInt(blindedMsg));
+
+        assert.throws(() => issuer.issue(new TokenRequest(Token.VOPRF, tokenRequest.truncatedTokenKeyID, blindedMsg)));
+        assert.throws(() => issuer.issue(new TokenRequest(Token.BLIND_RSA, (tokenRequest.truncatedTokenKeyID + 1) % 256, blindedMsg)));
+        assert.throws(() => issuer.issue(new TokenRequest(Token.BLIND_RSA, tokenRequest.truncatedTokenKeyID, blindedMsg.slice(1))));
+    });
+
+    should('PrivateAccessTokenClient.finalize()', async () => {
+        const issuer = await PrivateAccessTokenIssuer.generate("issuer.example.com");
+        const challenge = new Challenge(Token.BLIND_RSA, issuer.issuerName, "", "example.com");
+
+        const client = new PrivateAccessTokenClient(challenge, issuer.publicKey);
+        const tokenRequest = await client.createTokenRequest();
+        assert.deepStrictEqual(tokenRequest.tokenType, Token.BLIND_RSA);
+        assert.deepStrictEqual(tokenRequest.truncatedTokenKeyID, issuer.publicKey.keyID.slice(-1)[0]);
+
+        const tokenResponse = issuer.issue(tokenRequest);
+        const token = await client.finalize(tokenResponse.toString());
+        assert.deepStrictEqual(token.nonce.length, 32);
+        assert.deepStrictEqual(token.challengeHash, Uint8Array.from(await sha256(challenge.toByteArray())));
+        assert.deepStrictEqual(token.tokenKeyID, Uint8Array.from(issuer.publicKey.keyID));
+        assert.ok(await token.verifyAuthenticator(issuer.publicKey));
+        assert.ok(await token.verify(challenge, issuer.publicKey));
+
+        const redeemed = Token.from(token.toString());
+        assert.ok(await redeemed.verify(challenge, issuer.publicKey));
+        assert.ok(await redeemed.verify(challenge, issuer.publicKey, undefined, { host: "example.com" }));
+        assert.ok(!(await redeemed.verify(challenge, issuer.publicKey, undefined, { host: "example.org" })));
+
+        // a response for a different request can't be finalized
+        await client.createTokenRequest();
+        await assert.rejects(client.finalize(tokenResponse));
+    });
+
+    should('Token.verifyDetailed()', async () => {
+        const issuer = await PrivateAccessTokenIssuer.generate("issuer.example.com");
+        const challenge = new Challenge(Token.BLIND_RSA, issuer.issuerName, "", "example.com");
+        const client = new PrivateAccessTokenClient(challenge, issuer.publicKey);
+        const token = await client.finalize(issuer.issue(await client.createTokenRequest()));
+
+        const result = await token.verifyDetailed(challenge, issuer.publicKey, undefined, { host: "example.com" });
+        assert.ok(result.valid);
+        assert.deepStrictEqual(result.reason, null);
+        assert.deepStrictEqual(result.checks.map(c => c.check), ["token_type", "origin", "challenge_digest", "token_key_id", "authenticator"]);
+        assert.deepStrictEqual(result.checks[0], { check: "token_type", passed: true, expected: "2 (Blind RSA)", actual: "2 (Blind RSA)", reason: null });
+        assert.deepStrictEqual(JSON.parse(JSON.stringify(result)).valid, true);
+
+        const other = new Challenge(Token.BLIND_RSA, issuer.issuerName, "", "example.org");
+        const failed = await token.verifyDetailed(other, issuer.publicKey, undefined, { host: "example.com" });
+        assert.ok(!failed.valid);
+        assert.deepStrictEqual(failed.checks.filter(c => !c.passed).map(c => c.check), ["origin", "challenge_digest"]);
+        assert.deepStrictEqual(failed.reason, "origin: the host is not one of the challenge origins");
+        const digest = failed.checks.find(c => c.check === "challenge_digest");
+        assert.deepStrictEqual(digest.expected, Hex.encode(await sha256(other.toByteArray())));
+        assert.deepStrictEqual(digest.actual, Hex.encode(token.challengeHash));
+        assert.match(failed.toString(), /✗ challenge_digest: the token is for a different challenge \(expected [0-9a-f]{64}, actual [0-9a-f]{64}\)/);
+
+        const wrongKey = await token.verifyDetailed(challenge, PublicKey.FASTLY);
+        assert.deepStrictEqual(wrongKey.checks.filter(c => !c.passed).map(c => [c.check, c.reason]), [
+            ["token_key_id", "the token was issued with a different key"],
+            ["authenticator", "invalid RSA-PSS signature"],
+        ]);
+
+        const voprf = new Token(Token.VOPRF, token.nonce, token.challengeHash, token.tokenKeyID, Array(48).fill(0));
+        const voprfResult = await voprf.verifyDetailed(challenge, issuer.publicKey);
+        assert.deepStrictEqual(voprfResult.checks[0].reason, "token type does not match the challenge");
+        assert.deepStrictEqual(voprfResult.checks.find(c => c.check === "authenticator").reason, "VOPRF tokens require the issuer secret key");
+        assert.ok(!(await voprf.verify(challenge, issuer.publicKey)));
+    });
+
+    should('VOPRF PrivateAccessTokenIssuer.issue() and PrivateAccessTokenClient.finalize()', async () => {
+        const issuer = await PrivateAccessTokenIssuer.generate("issuer.example.com", Token.VOPRF);
+        assert.deepStrictEqual(issuer.publicKey.tokenType, Token.VOPRF);
+        assert.deepStrictEqual(issuer.publicKey.toByteArray().length, 49);
+        assert.deepStrictEqual(issuer.publicKey.keyID, await issuer.publicKey.toTokenKeyID());
+
+        const challenge = new Challenge(Token.VOPRF, issuer.issuerName, "", "example.com");
+        const client = new PrivateAccessTokenClient(challenge, issuer.publicKey);
+        const tokenRequest = await client.createTokenRequest();
+        assert.deepStrictEqual(tokenRequest.tokenType, Token.VOPRF);
+        assert.deepStrictEqual(tokenRequest.blindedMsg.length, 49);
+
+        const tokenResponse = issuer.issue(tokenRequest.toString());
+        assert.deepStrictEqual(tokenResponse.toByteArray().length, 49 + 96);
+        assert.deepStrictEqual(TokenResponse.from(tokenResponse.toString(), Token.VOPRF), tokenResponse);
+
+        const token = await client.finalize(tokenResponse.toString());
+        assert.deepStrictEqual(token.authenticator.length, 48);
+
+        const redeemed = Token.from(token.toString());
+        assert.deepStrictEqual(redeemed, token);
+        assert.ok(await issuer.verify(redeemed, challenge));
+        assert.ok(!(await redeemed.verify(challenge, issuer.publicKey)));
+        assert.ok(!(await redeemed.verify(challenge, issuer.publicKey, 1234n)));
+        assert.ok(!(await issuer.verify(redeemed, new Challenge(Token.VOPRF, issuer.issuerName, "", "example.org"))));
+
+        // the secret key can also be provided as a JWK
+        const jwk = { kty: "EC", crv: "P-384", d: Base64.urlEncode(Array(47).fill(0).concat([1])) };
+        const issuer1 = await PrivateAccessTokenIssuer.from("issuer.example.com", jwk);
+        const client1 = new PrivateAccessTokenClient(challenge, issuer1.publicKey);
+        const token1 = await client1.finalize(issuer1.issue(await client1.createTokenRequest()));
+        assert.ok(await token1.verify(challenge, issuer1.publicKey, jwk));
+
+        // a proof from a different key is rejected
+        await client1.createTokenRequest();
+        await assert.rejects(client1.finalize(issuer.issue(new TokenRequest(Token.VOPRF, tokenRequest.truncatedTokenKeyID, tokenRequest.blindedMsg))));
+    });
+
+    should('Partially Blind RSA PrivateAccessTokenIssuer.issue() and PrivateAccessTokenClient.finalize()', async () => {
+        await assert.rejects(PrivateAccessTokenIssuer.generate("issuer.example.com", Token.PARTIALLY_BLIND_RSA));
+        const issuer = await PrivateAccessTokenIssuer.from("issuer.example.com", RSAPBSSA_JWK, Token.PARTIALLY_BLIND_RSA);
+        assert.deepStrictEqual(issuer.publicKey.tokenType, Token.PARTIALLY_BLIND_RSA);
+
+        // e.g. an expiry bucket and a region
+        const extensions = new Extensions([
+            { extensionType: 0x0001, extensionData: [0x65, 0x00, 0x00, 0x00] },
+            { extensionType: 0x0002, extensionData: "us" },
+        ]);
+        assert.deepStrictEqual(Extensions.from(extensions.toString()), extensions);
+        assert.throws(() => new Extensions([{ extensionType: 2, extensionData: [] }, { extensionType: 1, extensionData: [] }]));
+
+        const challenge = new Challenge(Token.PARTIALLY_BLIND_RSA, issuer.issuerName, "", "example.com");
+        const client = new PrivateAccessTokenClient(challenge, issuer.publicKey, extensions);
+        const tokenRequest = await client.createTokenRequest();
+        assert.deepStrictEqual(tokenRequest.blindedMsg.length, 256);
+        assert.deepStrictEqual(TokenRequest.from(tokenRequest.toString()), tokenRequest);
+
+        // the length of blinded_msg follows the key found by truncated_token_key_id
+        const rsa3072 = await PrivateAccessTokenIssuer.generate(issuer.issuerName, Token.BLIND_RSA, 3072);
+        const key3072 = new PublicKey(issuer.issuerName, rsa3072.publicKey.sPKI, Base64.urlEncode(rsa3072.publicKey.keyID), Token.PARTIALLY_BLIND_RSA);
+        const request3072 = new TokenRequest(Token.PARTIALLY_BLIND_RSA, key3072.keyID.slice(-1)[0], Array(384).fill(1), extensions);
+        assert.deepStrictEqual(TokenRequest.from(request3072.toByteArray(), key3072), request3072);
+        assert.deepStrictEqual(TokenRequest.from(request3072.toByteArray(), undefined, new PublicKeyRegistry([key3072])), request3072);
+
+        const token = await client.finalize(issuer.issue(tokenRequest.toString()));
+        assert.deepStrictEqual(token.tokenType, Token.PARTIALLY_BLIND_RSA);
+        assert.deepStrictEqual(token.authenticator.length, 256);
+        assert.ok(await token.verify(challenge, issuer.publicKey));
+
+        // the metadata is sent alongside the token
+        const redeemed = Authorization.from(new Authorization(token).toString()).tokens[0];
+        assert.deepStrictEqual(redeemed, token);
+        assert.ok(await redeemed.verify(challenge, issuer.publicKey));
+
+        // and can't be changed or dropped
+        redeemed.extensions = new Extensions([{ extensionType: 0x0002, extensionData: "eu" }]);
+        assert.ok(!(await redeemed.verify(challenge, issuer.publicKey)));
+        redeemed.extensions = undefined;
+        assert.ok(!(await redeemed.verify(challenge, issuer.publicKey)));
+
+        // the derived key is a standard RSA-PSS key for the metadata
+        const derived = await issuer.publicKey.deriveKey(extensions);
+        assert.notDeepStrictEqual(derived.e, (await issuer.publicKey.toRSAKey()).e);
+    });
 });
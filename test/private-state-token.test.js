@@ -1,7 +1,7 @@
 import { should, describe } from 'micro-should';
 import * as assert from 'assert';
-import { IssueRequest, PrivateStateTokenKeyPair, PrivateStateTokenIssuer, RedeemRequest} from '../src/private-state-token.js';
-import { Base64, Hex } from '../src/utils.js' ;
+import { IssueRequest, IssueResponse, PrivateStateTokenClient, PrivateStateTokenKeyPair, PrivateStateTokenPMBKeyPair, PrivateStateTokenIssuer, RedeemRequest, RedeemResponse} from '../src/private-state-token.js';
+import { Base64, CBOR, DecodeError, Hex } from '../src/utils.js' ;
 import { VOPRF_P384 } from '../src/oprfv1.js';
 // import SAMPLE.jwks.json
 // const SAMPLE_JWKS_JSON = require('./SAMPLE.jwks.json');
@@ -21,6 +21,10 @@ describe('Private-State-Tokens', async () => {
         req = IssueRequest.from(secPrivateStateToken, 0);
         assert.deepStrictEqual(req.count, 10);
 
+        const bytes = Base64.decode(secPrivateStateToken);
+        assert.throws(() => IssueRequest.from(Uint8Array.from(bytes.slice(0, -1))), e => e instanceof DecodeError && e.field === "nonces");
+        assert.throws(() => IssueRequest.from(Uint8Array.from([0, 1, ...Array(49).fill(0)])), e => e instanceof DecodeError && e.field === "nonces" && e.offset === 2);
+        assert.throws(() => IssueRequest.from(Uint8Array.from([0])), e => e instanceof DecodeError && e.field === "count");
     });
     should('PrivateStateTokenKeyPair.generate()', async () => {
         const keyPair = PrivateStateTokenKeyPair.from(DEFAULT_JWK);
@@ -46,7 +50,7 @@ describe('Private-State-Tokens', async () => {
 
         assert.deepEqual(response.signed.length, 1);
         assert.deepEqual(response.signed[0].toHex(false), "0454522a37da371cde3a57c7ebd0a063d469e5193c76857f877a3f2d506f00388e3d7cf1c042c8e16d563b9b83fc0c41b88a6cda4f09fcbeab406f56e3e4497261b64b37409bae24db7a0fa30401f17f8177d1cb1b28caae6e14d20453634f8af2");
-        assert.deepEqual(response.proof, [
+        assert.deepEqual(response.proof, Uint8Array.from([
           226, 160, 199, 174,   1, 109, 218, 207, 244,  20, 111,  40,
             98, 204, 175, 235, 152, 180,  21, 142, 116, 212, 101,  83,
           139,  46, 205, 232,  32, 188, 227,  57,  71,  32, 133,   3,
@@ -55,14 +59,14 @@ describe('Private-State-Tokens', async () => {
           157,  51,  80,  20, 103,  75, 234, 113, 139,  43, 154, 172,
             60,  52, 127, 153, 211, 122,  74, 166,  16, 249, 136, 174,
           185, 250,  13,  88, 133, 141,  89,  89, 191,   1, 182, 220
-        ]);
+        ]));
         assert.deepEqual(Base64.encode(response.toBytes()), "AAEAAAD7BFRSKjfaNxzeOlfH69CgY9Rp5Rk8doV/h3o/LVBvADiOPXzxwELI4W1WO5uD/AxBuIps2k8J/L6rQG9W4+RJcmG2SzdAm64k23oPowQB8X+Bd9HLGyjKrm4U0gRTY0+K8gBg4qDHrgFt2s/0FG8oYsyv65i0FY501GVTiy7N6CC84zlHIIUDjraaImdewBENw3KWHV84Uf6SJTAL65DXnTNQFGdL6nGLK5qsPDR/mdN6SqYQ+YiuufoNWIWNWVm/Abbc");
 
         secPrivateStateToken = "AAoE6MVSc5AT8OyFhghz27roBKy9A1X+Tkjjr5OH9Tx/xvJa6Sl42DuS0lq+tR6gmN/iKvkUIGqlv+4m/M/N1Ww312UBn1/ayaklEjQxJp3gWtEp0YBx2PxXGGJIf24+z5AJBMUKrhoQSLzFTLQUsTNQi793uliKmCNt6BTg6XoTYaE3HztgCJ9ixPyRifwPM079sG1kdW+C17C4N3Hjd4U2yyKlaG9P7DuTIuStxoDNav7lfQXdbssN+e+DHR7tucKELgRJcrjoA7nabuTDGzRJ1Co5P0hPeCmX2up+W0KDDGUAsi9Upoj6IZmFV9OZWhdGXvDmRT5smXkKTq8JpQHoN6ZtAmAdC6492cDRfSu94drW5f3p357qoB94xPVqVDRbdmMEOK2IsHCnMotvCoZSRQsOXKwWqXx2JBWoHOO4wDGeEMEr5YJs+CjzOaSJkSznZvBZm/V1Ud7E2oXZkbVHnKFTge3Sv/DoIO46XjkpdgwA9oKaPjJkTx+1LkZahhCZOi/MBDIzt6q+zmkfAMoynQmym5dty0wjNKgrvOPS2CLdw0fiq7t2RmvppEww33XnWTlkrysgldaOyzEVdTrkGY+4RHpjJYlJaVIljEqUyhKXgD7wAU6uOHLyI0jzu/C+AV6prAQJ1qa8Z1OpchATYr/zWYcoQLGVQf+0YJmlCPuGJOT4hNH0y9zLv/5+gQyIdOGkSlP6HgQuVXRCHbt9PFIsb7dXPANtLekxwgdp5xFlX5rW8iihd1QYnwmjSFCEG7b1m5MEBt9MVIneAgqIzT4ADHYP44bPaC5UDLOW+3kAJhKKNuKoxHAglX3CEqArzIvrM4YdEDIy0CGK5q9HCMbjiF5VcC3exGXItL9YuSClCNRTSCXkcIr3/0o1F23og1ZN/kSnBK6BaIOlekz6e20DSeAD60KzcXUUGlK8wI0z/FOPAsYaMcFt0he2t/iSm7nU9UQrDwPtJ3atpip1XaqIg+M2QcSrLYZUF8nF3dtgh70IFBRC8YGFamLVNboXquMGqTYobwSh/GBZcDowgIEHF3ttJoxjHidfRqWhG2LXP029QONky3iic0ANewAP6fQDvMhF3+TeBSVjk3Rn0XmoJ/WTJLhgocXPxOOGMeEPlkxjjNmzOL+M5B8x4+aqCkRNm76Ico4E64nB5JcYKcMdwYJrplfGpXpq9OB1Az7U0SFZLJYhqv58GD53cgJbFnfto6q3qUvA0nVhhzhIM7Dhfv2vqMNqLtfS9PPC3/kR1DxUxJ/2ieXHdIAyMGUIxUPTN5fh4n08";
         req = IssueRequest.from(secPrivateStateToken, 0);
         response = issuer.issue(251, req, "PrivateStateTokenV3VOPRF", VOPRF_P384.order - 1n);
         assert.deepEqual(response.signed.length, 10);
-        assert.deepEqual(response.proof, [
+        assert.deepEqual(response.proof, Uint8Array.from([
           112,  68,  49, 198,  77,  76, 240,  46, 197, 141, 238, 170,
             25,  61, 107, 194, 217, 132, 189,  67, 179,  87,  80, 234,
           141, 100,  37, 102, 105,  62,   5,  65, 186, 230,  51,  69,
@@ -71,7 +75,7 @@ describe('Private-State-Tokens', async () => {
           230, 194, 148,  61,  38, 123,  66, 188,  76, 168, 175,  21,
             57, 255,  40,  27, 138, 249,  40, 157, 157,  51, 218, 108,
           216, 204, 105, 146, 239,  90, 250, 161, 109, 236, 250, 156
-        ]);
+        ]));
         assert.deepEqual(Base64.encode(response.toBytes()), "AAoAAAD7BOjFUnOQE/DshYYIc9u66ASsvQNV/k5I46+Th/U8f8byWukpeNg7ktJavrUeoJjf4tUG69+VWkAR2QMwMiqTyCia/mCgJTZW2u3LztliH6Ut1i5/jScDqOedt4CSwTBv9gTFCq4aEEi8xUy0FLEzUIu/d7pYipgjbegU4Ol6E2GhNx87YAifYsT8kYn8DzNO/bCSm4qQfShPR8iOHIh6yTTdWpeQsBPEbN0bUjl/MpUBGYL6IpA08gYQfOLhE0Y9e9EESXK46AO52m7kwxs0SdQqOT9IT3gpl9rqfltCgwxlALIvVKaI+iGZhVfTmVoXRl7wGbrBk2aG9bFQ9lr+F8hZkv2f4vRRwiY/LoLUQh4lKRkCFiBgFV/ghzsKlazLpImcBDitiLBwpzKLbwqGUkULDlysFql8diQVqBzjuMAxnhDBK+WCbPgo8zmkiZEs52bwWWQKiq4hOyV6Jm5KuGNerH4SLUAPF98RxaHG1onz/wl8ZcHNmrDgStG5pXnwZsXQMwQyM7eqvs5pHwDKMp0JspuXbctMIzSoK7zj0tgi3cNH4qu7dkZr6aRMMN9151k5ZK/U32opcTTO6orFG+ZwR7uFnNp2tpat2nO1azXtaH/BDv6xUcaNDdy3DEQPQv6hVlMECdamvGdTqXIQE2K/81mHKECxlUH/tGCZpQj7hiTk+ITR9Mvcy7/+foEMiHThpEpTBeH70aqLveJEgsOt05BIqMP8ktIWzj34lhjumqBlKQzXXoiq52D2XLeve+VJCmRsBAbfTFSJ3gIKiM0+AAx2D+OGz2guVAyzlvt5ACYSijbiqMRwIJV9whKgK8yL6zOGHe/NzS/edRlQuPc5HHehqo/SITuaN0tAp0bfWvcrrLfZG491BwC1yuiSF3yqsgG7WASugWiDpXpM+nttA0ngA+tCs3F1FBpSvMCNM/xTjwLGGjHBbdIXtrf4kpu51PVEKw/8EtiJUlnViqJVd3wcyb47VNJ5q+g2OiIkn3hC9+vrvA5+epSdKspF6FUc+lbJ15AEofxgWXA6MICBBxd7bSaMYx4nX0aloRti1z9NvUDjZMt4onNADXsAD+n0A7zIRd/kIfranGyLmC6GV9gKbNtHn146MDscec4e8GmznHMmTMZAcxvfzhwZVfW7smVBd41xBOuJweSXGCnDHcGCa6ZXxqV6avTgdQM+1NEhWSyWIar+fBg+d3ICWxZ37aOqt6lLwC2KnnjHt8xPHoECUFc8ldEoLQsMPSAG7ivDqztgCXYZOIt/zM+a9zq8LMhpHh2CwwBgcEQxxk1M8C7Fje6qGT1rwtmEvUOzV1DqjWQlZmk+BUG65jNFb+Q95/2RHsle2C7Wj7vOObKzD9E6chFV5sKUPSZ7QrxMqK8VOf8oG4r5KJ2dM9ps2Mxpku9a+qFt7Pqc");
     });
 
@@ -85,7 +89,7 @@ describe('Private-State-Tokens', async () => {
 
         assert.deepEqual(response.signed.length, 1);
         assert.deepEqual(response.signed[0].toHex(false), "0454522a37da371cde3a57c7ebd0a063d469e5193c76857f877a3f2d506f00388e3d7cf1c042c8e16d563b9b83fc0c41b88a6cda4f09fcbeab406f56e3e4497261b64b37409bae24db7a0fa30401f17f8177d1cb1b28caae6e14d20453634f8af2");
-        assert.deepEqual(response.proof, [
+        assert.deepEqual(response.proof, Uint8Array.from([
           90, 232, 112, 191, 100, 197, 182,  84,  80,  79,  12, 219,
           242, 251, 141, 253, 210, 222, 159,   6, 189,  98, 169, 233,
           109, 109, 132,  39,  86,  23,  86,   7, 159, 196, 116,  92,
@@ -94,14 +98,14 @@ describe('Private-State-Tokens', async () => {
           242, 251, 141, 253, 210, 222, 159,   6, 189,  98, 169, 233,
           109, 109, 132,  39,  86,  23,  86,   7, 159, 196, 116,  92,
            82,  81,  56, 249, 246, 253, 117, 242, 239,  97, 221, 165
-        ]);
+        ]));
         assert.deepEqual(Base64.encode(response.toBytes()), "AAEAAAD7BFRSKjfaNxzeOlfH69CgY9Rp5Rk8doV/h3o/LVBvADiOPXzxwELI4W1WO5uD/AxBuIps2k8J/L6rQG9W4+RJcmG2SzdAm64k23oPowQB8X+Bd9HLGyjKrm4U0gRTY0+K8gBgWuhwv2TFtlRQTwzb8vuN/dLenwa9YqnpbW2EJ1YXVgefxHRcUlE4+fb9dfLvYd2mWuhwv2TFtlRQTwzb8vuN/dLenwa9YqnpbW2EJ1YXVgefxHRcUlE4+fb9dfLvYd2l");
 
         secPrivateStateToken = "AAoE6MVSc5AT8OyFhghz27roBKy9A1X+Tkjjr5OH9Tx/xvJa6Sl42DuS0lq+tR6gmN/iKvkUIGqlv+4m/M/N1Ww312UBn1/ayaklEjQxJp3gWtEp0YBx2PxXGGJIf24+z5AJBMUKrhoQSLzFTLQUsTNQi793uliKmCNt6BTg6XoTYaE3HztgCJ9ixPyRifwPM079sG1kdW+C17C4N3Hjd4U2yyKlaG9P7DuTIuStxoDNav7lfQXdbssN+e+DHR7tucKELgRJcrjoA7nabuTDGzRJ1Co5P0hPeCmX2up+W0KDDGUAsi9Upoj6IZmFV9OZWhdGXvDmRT5smXkKTq8JpQHoN6ZtAmAdC6492cDRfSu94drW5f3p357qoB94xPVqVDRbdmMEOK2IsHCnMotvCoZSRQsOXKwWqXx2JBWoHOO4wDGeEMEr5YJs+CjzOaSJkSznZvBZm/V1Ud7E2oXZkbVHnKFTge3Sv/DoIO46XjkpdgwA9oKaPjJkTx+1LkZahhCZOi/MBDIzt6q+zmkfAMoynQmym5dty0wjNKgrvOPS2CLdw0fiq7t2RmvppEww33XnWTlkrysgldaOyzEVdTrkGY+4RHpjJYlJaVIljEqUyhKXgD7wAU6uOHLyI0jzu/C+AV6prAQJ1qa8Z1OpchATYr/zWYcoQLGVQf+0YJmlCPuGJOT4hNH0y9zLv/5+gQyIdOGkSlP6HgQuVXRCHbt9PFIsb7dXPANtLekxwgdp5xFlX5rW8iihd1QYnwmjSFCEG7b1m5MEBt9MVIneAgqIzT4ADHYP44bPaC5UDLOW+3kAJhKKNuKoxHAglX3CEqArzIvrM4YdEDIy0CGK5q9HCMbjiF5VcC3exGXItL9YuSClCNRTSCXkcIr3/0o1F23og1ZN/kSnBK6BaIOlekz6e20DSeAD60KzcXUUGlK8wI0z/FOPAsYaMcFt0he2t/iSm7nU9UQrDwPtJ3atpip1XaqIg+M2QcSrLYZUF8nF3dtgh70IFBRC8YGFamLVNboXquMGqTYobwSh/GBZcDowgIEHF3ttJoxjHidfRqWhG2LXP029QONky3iic0ANewAP6fQDvMhF3+TeBSVjk3Rn0XmoJ/WTJLhgocXPxOOGMeEPlkxjjNmzOL+M5B8x4+aqCkRNm76Ico4E64nB5JcYKcMdwYJrplfGpXpq9OB1Az7U0SFZLJYhqv58GD53cgJbFnfto6q3qUvA0nVhhzhIM7Dhfv2vqMNqLtfS9PPC3/kR1DxUxJ/2ieXHdIAyMGUIxUPTN5fh4n08";
         req = IssueRequest.from(secPrivateStateToken, 0);
         response = issuer.issue(251, req, "PrivateStateTokenV1VOPRF", VOPRF_P384.order - 1n);
         assert.deepEqual(response.signed.length, 10);
-        assert.deepEqual(response.proof, [
+        assert.deepEqual(response.proof, Uint8Array.from([
           69, 126,  99, 146,  22, 140, 250,  94, 210, 127, 209,  57,
           58,  59, 149, 111,  53,  13, 176, 127,  43,  48,  11, 113,
          142,  46,  78,   8,  35,  39,  34, 224,  68,  27, 165,  46,
@@ -110,7 +114,7 @@ describe('Private-State-Tokens', async () => {
           58,  59, 149, 111,  53,  13, 176, 127,  43,  48,  11, 113,
          142,  46,  78,   8,  35,  39,  34, 224,  68,  27, 165,  46,
          185,  52, 212, 239, 203, 236, 135, 156,  38,  36,  43, 125
-        ]);
+        ]));
         assert.deepEqual(Base64.encode(response.toBytes()), "AAoAAAD7BOjFUnOQE/DshYYIc9u66ASsvQNV/k5I46+Th/U8f8byWukpeNg7ktJavrUeoJjf4tUG69+VWkAR2QMwMiqTyCia/mCgJTZW2u3LztliH6Ut1i5/jScDqOedt4CSwTBv9gTFCq4aEEi8xUy0FLEzUIu/d7pYipgjbegU4Ol6E2GhNx87YAifYsT8kYn8DzNO/bCSm4qQfShPR8iOHIh6yTTdWpeQsBPEbN0bUjl/MpUBGYL6IpA08gYQfOLhE0Y9e9EESXK46AO52m7kwxs0SdQqOT9IT3gpl9rqfltCgwxlALIvVKaI+iGZhVfTmVoXRl7wGbrBk2aG9bFQ9lr+F8hZkv2f4vRRwiY/LoLUQh4lKRkCFiBgFV/ghzsKlazLpImcBDitiLBwpzKLbwqGUkULDlysFql8diQVqBzjuMAxnhDBK+WCbPgo8zmkiZEs52bwWWQKiq4hOyV6Jm5KuGNerH4SLUAPF98RxaHG1onz/wl8ZcHNmrDgStG5pXnwZsXQMwQyM7eqvs5pHwDKMp0JspuXbctMIzSoK7zj0tgi3cNH4qu7dkZr6aRMMN9151k5ZK/U32opcTTO6orFG+ZwR7uFnNp2tpat2nO1azXtaH/BDv6xUcaNDdy3DEQPQv6hVlMECdamvGdTqXIQE2K/81mHKECxlUH/tGCZpQj7hiTk+ITR9Mvcy7/+foEMiHThpEpTBeH70aqLveJEgsOt05BIqMP8ktIWzj34lhjumqBlKQzXXoiq52D2XLeve+VJCmRsBAbfTFSJ3gIKiM0+AAx2D+OGz2guVAyzlvt5ACYSijbiqMRwIJV9whKgK8yL6zOGHe/NzS/edRlQuPc5HHehqo/SITuaN0tAp0bfWvcrrLfZG491BwC1yuiSF3yqsgG7WASugWiDpXpM+nttA0ngA+tCs3F1FBpSvMCNM/xTjwLGGjHBbdIXtrf4kpu51PVEKw/8EtiJUlnViqJVd3wcyb47VNJ5q+g2OiIkn3hC9+vrvA5+epSdKspF6FUc+lbJ15AEofxgWXA6MICBBxd7bSaMYx4nX0aloRti1z9NvUDjZMt4onNADXsAD+n0A7zIRd/kIfranGyLmC6GV9gKbNtHn146MDscec4e8GmznHMmTMZAcxvfzhwZVfW7smVBd41xBOuJweSXGCnDHcGCa6ZXxqV6avTgdQM+1NEhWSyWIar+fBg+d3ICWxZ37aOqt6lLwC2KnnjHt8xPHoECUFc8ldEoLQsMPSAG7ivDqztgCXYZOIt/zM+a9zq8LMhpHh2CwwBgRX5jkhaM+l7Sf9E5OjuVbzUNsH8rMAtxji5OCCMnIuBEG6UuuTTU78vsh5wmJCt+RX5jkhaM+l7Sf9E5OjuVbzUNsH8rMAtxji5OCCMnIuBEG6UuuTTU78vsh5wmJCt9");
     });
 
@@ -122,14 +126,14 @@ describe('Private-State-Tokens', async () => {
         const redeemRequest = RedeemRequest.from(secPrivateStateToken);
 
         assert.deepEqual(redeemRequest.keyID, 251);
-        assert.deepEqual(redeemRequest.nonce, [
+        assert.deepEqual(redeemRequest.nonce, Uint8Array.from([
             181,  91,   0, 238,  88,  86, 147, 214, 210, 180,  96,
              53, 127,  50, 143, 253,  27, 218,  42,   7,  47,  84,
              48,  42, 213,  11, 243,  91, 141, 241, 133, 131, 189,
               1, 169, 135, 123, 171, 185, 193, 146,  31, 175,  39,
              82, 182, 251,  64, 114, 237,  47,  53,  79, 135,  93,
              39, 108, 162,  74,  26,  11,  77, 173, 105
-          ]);
+          ]));
         assert.deepEqual(Array.from(redeemRequest.W.toRawBytes(false)), [
             4, 152,  25, 204, 235,  19,  37,  52, 228,  18,  47,  71,
           103, 229, 210, 139,   7, 177,  11, 194, 254, 228, 205, 171,
@@ -141,7 +145,7 @@ describe('Private-State-Tokens', async () => {
           244, 157, 110, 137, 112,  75, 154, 152,  73,  83,  63, 210,
           231
         ]);
-        assert.deepEqual(redeemRequest.clientData, [
+        assert.deepEqual(redeemRequest.clientData, Uint8Array.from([
             162, 112, 114, 101, 100, 101, 101, 109, 105, 110, 103,  45,
             111, 114, 105, 103, 105, 110, 120,  33, 104, 116, 116, 112,
             115,  58,  47,  47, 115, 104, 111, 101, 115,  98, 121,  99,
@@ -149,15 +153,180 @@ describe('Private-State-Tokens', async () => {
              58,  51,  48,  48,  48, 116, 114, 101, 100, 101, 109, 112,
             116, 105, 111, 110,  45, 116, 105, 109, 101, 115, 116,  97,
             109, 112,  26, 100,  74, 202,   5
-          ]);
+          ]));
         assert.deepEqual(redeemRequest.decodeClientData(), {
             'redeeming-origin': 'https://shoesbycolin.dev.com:3000',
             'redemption-timestamp': 1682622981
           });
+        assert.deepStrictEqual(CBOR.encode(redeemRequest.decodeClientData()), redeemRequest.clientData);
         assert.deepEqual(Base64.encode(redeemRequest.toBytes()), secPrivateStateToken);
+        const bytes = redeemRequest.toBytes();
+        assert.throws(() => RedeemRequest.from(bytes.slice(0, -1)), e => e instanceof DecodeError && e.field === "client_data" && e.offset === 169);
+        assert.throws(() => RedeemRequest.from(bytes.slice(0, 100)), e => e instanceof DecodeError && e.field === "token" && e.offset === 2);
 
         const redeemResponse = issuer.redeem(redeemRequest);
         assert.notEqual(redeemResponse.toString(), null);
     });
 
+    should('RedeemResponse.from()', async () => {
+        const record = Array.from({ length: 300 }, (_, i) => i & 0xff);
+        const bytes = new RedeemResponse(record).toBytes();
+        assert.deepStrictEqual(Array.from(bytes.slice(0, 2)), [0x01, 0x2c]);
+        assert.deepStrictEqual(bytes.length, 302);
+        assert.deepStrictEqual(RedeemResponse.from(bytes).record, record);
+        assert.deepStrictEqual(RedeemResponse.from(new RedeemResponse("record").toHttpHeader()).record, Array.from(new TextEncoder().encode("record")));
+        assert.throws(() => RedeemResponse.from(bytes.slice(0, -1)), e => e instanceof DecodeError && e.field === "rr" && e.offset === 2);
+        assert.throws(() => RedeemResponse.from([...bytes, 0]), e => e instanceof DecodeError && e.field === "rr");
+    });
+
+    should('IssueResponse.from()', async () => {
+        const issuer = new PrivateStateTokenIssuer('https://example.com', 10);
+        issuer.addKey(PrivateStateTokenKeyPair.from(DEFAULT_JWK));
+        const req = IssueRequest.from("AAEEVFIqN9o3HN46V8fr0KBj1GnlGTx2hX+Hej8tUG8AOI49fPHAQsjhbVY7m4P8DEG4dZMlsPYDQVS/kKkcG7aNnkm0yL9kUdskhfBc+/4OgH2ILjTj1zVRkest+62csHUN");
+        const response = issuer.issue(251, req, "PrivateStateTokenV3VOPRF", VOPRF_P384.order - 1n);
+
+        const parsed = IssueResponse.from(Base64.encode(response.toBytes()));
+        assert.deepStrictEqual(parsed.keyID, 251);
+        assert.deepStrictEqual(parsed.signed.length, 1);
+        assert.ok(parsed.signed[0].equals(response.signed[0]));
+        assert.deepStrictEqual(parsed.proof, response.proof);
+        assert.deepStrictEqual(parsed.toBytes(), response.toBytes());
+
+        const bytes = response.toBytes();
+        assert.throws(() => IssueResponse.from(bytes.slice(0, -1)), e => e instanceof DecodeError && e.field === "proof");
+        assert.throws(() => IssueResponse.from(Uint8Array.from([...bytes, 0])), e => e instanceof DecodeError && e.field === "proof");
+        assert.throws(() => IssueResponse.from(bytes.slice(0, 50)), e => e instanceof DecodeError && e.field === "signed" && e.offset === 6);
+    });
+
+    should('PrivateStateTokenClient issues and redeems against PrivateStateTokenIssuer', async () => {
+        const issuer = new PrivateStateTokenIssuer('https://example.com', 3);
+        issuer.addKey(PrivateStateTokenKeyPair.from(DEFAULT_JWK));
+
+        for (const version of ["PrivateStateTokenV1VOPRF", "PrivateStateTokenV3VOPRF"]) {
+            const client = PrivateStateTokenClient.fromKeyCommitment(issuer.keyCommitment(version));
+            assert.deepStrictEqual(client.version, version);
+            assert.deepStrictEqual(client.maxBatchSize, 3);
+            assert.throws(() => client.createIssueRequest(4), /Invalid token count/);
+
+            const request = IssueRequest.from(Base64.encode(client.createIssueRequest().toBytes()));
+            assert.deepStrictEqual(request.count, 3);
+
+            // the issuer may sign fewer nonces than requested
+            const response = issuer.issue(251, new IssueRequest(request.nonces.slice(0, 2)), version);
+            const tokens = client.finalize(Base64.encode(response.toBytes()));
+            assert.deepStrictEqual(tokens.length, 2);
+            assert.deepStrictEqual(client.tokens.length, 2);
+            assert.deepStrictEqual(tokens[0].nonce.length, 64);
+
+            for (let i = 0; i < 2; i++) {
+                const redeemRequest = RedeemRequest.from(Base64.encode(client.createRedeemRequest("https://shoesbycolin.dev.com:3000", 1682622981).toBytes()));
+                assert.deepStrictEqual(redeemRequest.keyID, 251);
+                assert.deepStrictEqual(redeemRequest.decodeClientData(), {
+                    'redeeming-origin': 'https://shoesbycolin.dev.com:3000',
+                    'redemption-timestamp': 1682622981
+                });
+                assert.notEqual(issuer.redeem(redeemRequest), null);
+            }
+            assert.throws(() => client.createRedeemRequest("https://example.com"), /No tokens available/);
+        }
+    });
+
+    should('PrivateStateTokenClient rejects an invalid proof', async () => {
+        const issuer = new PrivateStateTokenIssuer('https://example.com', 2);
+        issuer.addKey(PrivateStateTokenKeyPair.from(DEFAULT_JWK));
+        const client = PrivateStateTokenClient.fromKeyCommitment(issuer.keyCommitment("PrivateStateTokenV3VOPRF"));
+        assert.throws(() => client.finalize(new IssueResponse(251, [], new Uint8Array(96))), /No outstanding issuance request/);
+
+        const request = client.createIssueRequest(2);
+        const response = issuer.issue(251, request, "PrivateStateTokenV3VOPRF");
+
+        const proof = Uint8Array.from(response.proof);
+        proof[95] ^= 1;
+        assert.throws(() => client.finalize(new IssueResponse(251, response.signed, proof)), /VerifyError/);
+        assert.throws(() => client.finalize(new IssueResponse(251, [response.signed[1], response.signed[0]], response.proof)), /VerifyError/);
+        // scalars that aren't reduced modulo the order
+        assert.throws(() => client.finalize(new IssueResponse(251, response.signed, new Uint8Array(96).fill(0xff))), /VerifyError/);
+        assert.throws(() => client.finalize(new IssueResponse(7, response.signed, response.proof)), /Unknown key ID/);
+        // a V1 proof does not verify as a V3 one
+        assert.throws(() => client.finalize(issuer.issue(251, request, "PrivateStateTokenV1VOPRF")), /VerifyError/);
+        assert.deepStrictEqual(client.tokens.length, 0);
+
+        assert.deepStrictEqual(client.finalize(response).length, 2);
+    });
+
+
+    should('PrivateStateTokenPMBKeyPair', async () => {
+        const keyPair = PrivateStateTokenPMBKeyPair.generate(3, 253402300799);
+        assert.deepStrictEqual(keyPair.expiry, 253402300799000000);
+
+        const bytes = keyPair.toBytes();
+        assert.deepStrictEqual(bytes.length, 4 + 6 * 48);
+        const decoded = PrivateStateTokenPMBKeyPair.from(Base64.encode(bytes));
+        assert.deepStrictEqual(decoded.id, 3);
+        assert.deepStrictEqual(decoded.secretKey, keyPair.secretKey);
+        assert.ok(decoded.publicKey.pub1.equals(keyPair.publicKey.pub1));
+        assert.throws(() => PrivateStateTokenPMBKeyPair.from(bytes.slice(0, 100)), e => e instanceof DecodeError);
+    });
+
+    should('PrivateStateTokenIssuer with "PrivateStateTokenV3PMB"', async () => {
+        const version = PrivateStateTokenIssuer.PMB_VERSION;
+        const issuer = new PrivateStateTokenIssuer('https://example.com', 3);
+        issuer.addKey(PrivateStateTokenKeyPair.from(DEFAULT_JWK));
+        const pmbKey = PrivateStateTokenPMBKeyPair.generate(1, 253402300799);
+        issuer.addKey(pmbKey);
+
+        // each version only commits to its own keys
+        const commitment = issuer.keyCommitment(version)['https://example.com'][version];
+        assert.deepStrictEqual(Object.keys(commitment.keys), ["1"]);
+        assert.deepStrictEqual(Base64.decode(commitment.keys[1].Y).length, 4 + 3 * 97);
+        assert.deepStrictEqual(Object.keys(issuer.keyCommitment()['https://example.com'].PrivateStateTokenV1VOPRF.keys), ["251"]);
+        assert.deepStrictEqual(issuer.jwks().keys.length, 1);
+
+        for (const privateMetadata of [false, true]) {
+            const client = PrivateStateTokenClient.fromKeyCommitment(issuer.keyCommitment(version));
+            assert.deepStrictEqual(client.version, version);
+
+            const request = IssueRequest.from(Base64.encode(client.createIssueRequest().toBytes()));
+            const response = issuer.issue(1, request, version, undefined, privateMetadata);
+            assert.deepStrictEqual(response.proof.length, 9 * 48);
+            assert.deepStrictEqual(response.toBytes().length, 2 + 4 + 3 * (64 + 2 * 97) + 2 + 9 * 48);
+
+            const tokens = client.finalize(Base64.encode(response.toBytes()));
+            assert.deepStrictEqual(tokens.length, 3);
+
+            const redeemRequest = RedeemRequest.from(Base64.encode(client.createRedeemRequest("https://shoesbycolin.dev.com:3000", 1682622981).toBytes()));
+            assert.ok(redeemRequest.S && redeemRequest.Ws);
+            assert.deepStrictEqual(redeemRequest.keyID, 1);
+            assert.deepStrictEqual(issuer.redeem(redeemRequest, "record").privateMetadata, privateMetadata);
+
+            // the bit can't be moved to another token
+            const other = client.createRedeemRequest("https://shoesbycolin.dev.com:3000");
+            assert.deepStrictEqual(issuer.redeem(new RedeemRequest(other.keyID, other.nonce, redeemRequest.W, other.clientData, other.S, other.Ws)), null);
+            assert.deepStrictEqual(issuer.redeem(new RedeemRequest(other.keyID, other.nonce, other.W, other.clientData)), null);
+        }
+
+        // requests larger than the batch size are refused
+        const client = PrivateStateTokenClient.fromKeyCommitment(issuer.keyCommitment(version));
+        client.maxBatchSize = 4;
+        assert.deepStrictEqual(issuer.issue(1, client.createIssueRequest(4), version), null);
+    });
+
+    should('PrivateStateTokenClient rejects an invalid PMB proof', async () => {
+        const version = PrivateStateTokenIssuer.PMB_VERSION;
+        const issuer = new PrivateStateTokenIssuer('https://example.com', 2);
+        issuer.addKey(PrivateStateTokenPMBKeyPair.generate(1));
+        const client = PrivateStateTokenClient.fromKeyCommitment(issuer.keyCommitment(version));
+
+        const response = issuer.issue(1, client.createIssueRequest(), version, undefined, true);
+        const proof = Uint8Array.from(response.proof);
+        proof[4 * 48 - 1] ^= 1; // c1
+        assert.throws(() => client.finalize(new IssueResponse(1, response.signed, proof)), /VerifyError/);
+        assert.throws(() => client.finalize(new IssueResponse(1, response.signed, response.proof.slice(0, 96))), /Invalid proof length/);
+        const unreduced = Uint8Array.from(response.proof);
+        unreduced.fill(0xff, 0, 48);
+        assert.throws(() => client.finalize(new IssueResponse(1, response.signed, unreduced)), /VerifyError/);
+        const signed = [{ ...response.signed[0], s: new Uint8Array(64) }, response.signed[1]];
+        assert.throws(() => client.finalize(new IssueResponse(1, signed, response.proof)), /VerifyError/);
+        assert.deepStrictEqual(client.finalize(response).length, 2);
+    });
 });
@@ -0,0 +1,92 @@
+import { should, describe } from 'micro-should';
+import * as assert from 'assert';
+import { ECDSA_P384, IssuerEncapKey, RateLimitedAttester, RateLimitedClient, RateLimitedIssuer, RateLimitedTokenRequest } from '../src/rate-limited-token.js';
+import { Challenge, Token } from '../src/private-access-token.js';
+
+describe('Rate-Limited-Token', async () => {
+    should('ECDSA_P384 key blinding', async () => {
+        const sk = ECDSA_P384.randomScalar();
+        const bk = ECDSA_P384.randomScalar();
+        const pk = ECDSA_P384.publicKey(sk);
+        const blinded = ECDSA_P384.blindPublicKey(pk, bk);
+        const msg = [1, 2, 3];
+
+        assert.notDeepStrictEqual(blinded, pk);
+        assert.deepStrictEqual(ECDSA_P384.unblindPublicKey(blinded, bk), pk);
+        const signature = ECDSA_P384.blindKeySign(sk, bk, msg);
+        assert.deepStrictEqual(signature.length, 96);
+        assert.ok(ECDSA_P384.verify(blinded, msg, signature));
+        assert.ok(!ECDSA_P384.verify(pk, msg, signature));
+        assert.ok(!ECDSA_P384.verify(blinded, [1, 2, 4], signature));
+    });
+
+    should('Rate-limited issuance (client, attester and issuer)', async () => {
+        const issuer = (await RateLimitedIssuer.generate("issuer.example.com"))
+            .addOrigin("origin.example.com", 2)
+            .addOrigin("other.example.com", 1);
+        const attester = new RateLimitedAttester(request => issuer.issue(request));
+        const client = new RateLimitedClient();
+        attester.register(client.publicKey);
+
+        const encapKey = IssuerEncapKey.from(issuer.encapKey.toString());
+        assert.deepStrictEqual(encapKey.toByteArray(), issuer.encapKey.toByteArray());
+
+        const now = Date.UTC(2023, 0, 1);
+        const challenge = new Challenge(Token.RATE_LIMITED, "issuer.example.com", [], "origin.example.com");
+        const fetchToken = async (challenge, originName) => {
+            const { tokenRequest, requestBlind } = await client.createTokenRequest(challenge, issuer.publicKey, encapKey, originName);
+            const encoded = RateLimitedTokenRequest.from(tokenRequest.toString());
+            assert.deepStrictEqual(encoded.toByteArray(), tokenRequest.toByteArray());
+            return client.finalize(await attester.attest(client.publicKey, requestBlind, encoded, now));
+        };
+
+        const token = await fetchToken(challenge);
+        assert.deepStrictEqual(token.tokenType, Token.RATE_LIMITED);
+        assert.ok(await token.verify(challenge, issuer.publicKey));
+        assert.ok(await Token.from(token.toString()).verify(challenge, issuer.publicKey));
+
+        await fetchToken(challenge);
+        await assert.rejects(fetchToken(challenge), /Rate limit exceeded/);
+
+        // the limit is per origin and per window
+        const other = new Challenge(Token.RATE_LIMITED, "issuer.example.com", [], "other.example.com");
+        assert.ok(await (await fetchToken(other)).verify(other, issuer.publicKey));
+        await assert.rejects(fetchToken(other), /Rate limit exceeded/);
+        const { tokenRequest, requestBlind } = await client.createTokenRequest(challenge, issuer.publicKey, encapKey);
+        assert.ok(await client.finalize(await attester.attest(client.publicKey, requestBlind, tokenRequest, now + 24 * 60 * 60 * 1000)));
+
+        await assert.rejects(fetchToken(challenge, "unknown.example.com"), /Unknown origin/);
+    });
+
+    should('Rate-limited issuance with a 3072-bit issuer key', async () => {
+        const issuer = (await RateLimitedIssuer.generate("issuer.example.com", 3072)).addOrigin("origin.example.com", 1);
+        const attester = new RateLimitedAttester(request => issuer.issue(request));
+        const client = new RateLimitedClient();
+        attester.register(client.publicKey);
+
+        const challenge = new Challenge(Token.RATE_LIMITED, "issuer.example.com", [], "origin.example.com");
+        const { tokenRequest, requestBlind } = await client.createTokenRequest(challenge, issuer.publicKey, issuer.encapKey);
+        const token = await client.finalize(await attester.attest(client.publicKey, requestBlind, tokenRequest));
+        assert.deepStrictEqual(token.authenticator.length, 384);
+        assert.ok(await token.verify(challenge, issuer.publicKey));
+    });
+
+    should('Rate-limited attester rejects invalid requests', async () => {
+        const issuer = (await RateLimitedIssuer.generate("issuer.example.com")).addOrigin("origin.example.com", 10);
+        const attester = new RateLimitedAttester(request => issuer.issue(request));
+        const client = new RateLimitedClient();
+        const challenge = new Challenge(Token.RATE_LIMITED, "issuer.example.com", [], "origin.example.com");
+
+        const { tokenRequest, requestBlind } = await client.createTokenRequest(challenge, issuer.publicKey, issuer.encapKey);
+        await assert.rejects(attester.attest(client.publicKey, requestBlind, tokenRequest), /Unknown client/);
+
+        attester.register(client.publicKey);
+        await assert.rejects(attester.attest(client.publicKey, ECDSA_P384.randomScalar(), tokenRequest), /Invalid request key/);
+
+        tokenRequest.requestSignature[0] ^= 1;
+        await assert.rejects(attester.attest(client.publicKey, requestBlind, tokenRequest), /Invalid request signature/);
+        await assert.rejects(issuer.issue(tokenRequest), /Invalid request signature/);
+
+        await assert.rejects(client.createTokenRequest(new Challenge(Token.BLIND_RSA, "issuer.example.com"), issuer.publicKey, issuer.encapKey), /Unsupported token type/);
+    });
+});
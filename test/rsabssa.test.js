@@ -0,0 +1,129 @@
+import { should, describe } from 'micro-should';
+import * as assert from 'assert';
+import { RSABSSA_SHA384_PSS_Deterministic, RSABSSA_SHA384_PSS_Randomized, RSAPBSSA_SHA384_PSS_Deterministic, RSAPBSSA_SHA384_PSS_Randomized, modPow, modInverse, toBigInt } from '../src/rsabssa.js';
+import { Base64, ByteBuffer } from '../src/utils.js';
+// RSA key with safe primes (p = 2p' + 1) as required by RSAPBSSA
+import RSAPBSSA_JWK from './RSAPBSSA.jwk.json' assert { type: "json" };
+
+/**
+ * Generates an RSA key pair with WebCrypto and converts it to the BigInt form used by RSABSSA
+ * @returns {Promise<Array<Object>>} the private and public key
+ */
+async function generateKey() {
+    const keyPair = await crypto.subtle.generateKey({
+        name: "RSA-PSS",
+        modulusLength: 2048,
+        publicExponent: new Uint8Array([0x01, 0x00, 0x01]),
+        hash: "SHA-384",
+    }, true, ["sign", "verify"]);
+    const jwk = await crypto.subtle.exportKey("jwk", keyPair.privateKey);
+    const sk = {
+        n: toBigInt(Base64.decode(jwk.n)),
+        e: toBigInt(Base64.decode(jwk.e)),
+        d: toBigInt(Base64.decode(jwk.d)),
+    };
+    return [sk, { n: sk.n, e: sk.e }, keyPair.publicKey];
+}
+
+describe('RSABSSA', () => {
+    should('modPow() and modInverse()', async () => {
+        assert.deepStrictEqual(modPow(4n, 13n, 497n), 445n);
+        assert.deepStrictEqual(modInverse(3n, 11n), 4n);
+        assert.throws(() => modInverse(2n, 4n));
+    });
+
+    should('blind(), blindSign() and finalize()', async () => {
+        const [sk, pk, cryptoKey] = await generateKey();
+        const msg = Array.from(new TextEncoder().encode("Hello World!"));
+
+        for (const suite of [RSABSSA_SHA384_PSS_Deterministic, RSABSSA_SHA384_PSS_Randomized]) {
+            const preparedMsg = suite.prepare(msg);
+            const [blindedMsg, inv] = suite.blind(pk, preparedMsg);
+            assert.deepStrictEqual(blindedMsg.length, 256);
+
+            const blindSig = suite.blindSign(sk, blindedMsg);
+            const sig = suite.finalize(pk, preparedMsg, blindSig, inv);
+
+            assert.ok(suite.verify(pk, preparedMsg, sig));
+            assert.ok(await crypto.subtle.verify({name: "RSA-PSS", saltLength: 48}, cryptoKey, Uint8Array.from(sig), Uint8Array.from(preparedMsg)));
+
+            // tampered message or signature
+            assert.ok(!suite.verify(pk, preparedMsg.concat([0]), sig));
+            assert.ok(!suite.verify(pk, preparedMsg, sig.map((v, i) => i === 0 ? v ^ 1 : v)));
+            assert.throws(() => suite.finalize(pk, preparedMsg.concat([0]), blindSig, inv));
+        }
+    });
+
+    should('blind() with a fixed salt and blinding factor', async () => {
+        const [sk, pk] = await generateKey();
+        const msg = [1, 2, 3, 4];
+        const salt = Array(48).fill(7);
+        const inv = 0x1234567890n;
+        const r = modInverse(inv, pk.n);
+
+        const [blindedMsg1, inv1] = RSABSSA_SHA384_PSS_Deterministic.blind(pk, msg, salt, r);
+        const [blindedMsg2] = RSABSSA_SHA384_PSS_Deterministic.blind(pk, msg, salt, r);
+        assert.deepStrictEqual(inv1, inv);
+        assert.deepStrictEqual(blindedMsg1, blindedMsg2);
+
+        const blindSig = RSABSSA_SHA384_PSS_Deterministic.blindSign(sk, blindedMsg1);
+        const sig = RSABSSA_SHA384_PSS_Deterministic.finalize(pk, msg, blindSig, inv);
+        const encodedMsg = RSABSSA_SHA384_PSS_Deterministic.emsaPSSEncode(msg, 2047, salt);
+        assert.deepStrictEqual(modPow(toBigInt(sig), pk.e, pk.n), toBigInt(encodedMsg));
+    });
+
+    should('rsasp1() with and without the prime factors', async () => {
+        const keyPair = await crypto.subtle.generateKey({
+            name: "RSA-PSS",
+            modulusLength: 2048,
+            publicExponent: new Uint8Array([0x01, 0x00, 0x01]),
+            hash: "SHA-384",
+        }, true, ["sign", "verify"]);
+        const jwk = await crypto.subtle.exportKey("jwk", keyPair.privateKey);
+        const [n, e, d, p, q] = [jwk.n, jwk.e, jwk.d, jwk.p, jwk.q].map(v => toBigInt(Base64.decode(v)));
+        const m = toBigInt(RSABSSA_SHA384_PSS_Deterministic.randomBytes(255));
+
+        // the blinded (and CRT) signature is the textbook m^d mod n
+        const expected = modPow(m, d, n);
+        assert.deepStrictEqual(RSABSSA_SHA384_PSS_Deterministic.rsasp1({ n, e, d }, m), expected);
+        assert.deepStrictEqual(RSABSSA_SHA384_PSS_Deterministic.rsasp1({ n, e, d, p, q }, m), expected);
+        assert.deepStrictEqual(RSABSSA_SHA384_PSS_Deterministic.rsasp1({ n, e, d, p, q }, 0n), 0n);
+        assert.throws(() => RSABSSA_SHA384_PSS_Deterministic.rsasp1({ n, e, d }, n));
+    });
+
+    should('RSAPBSSA blind(), blindSign() and finalize()', async () => {
+        const sk = Object.fromEntries(["n", "e", "d", "p", "q"].map(k => [k, toBigInt(Base64.decode(RSAPBSSA_JWK[k]))]));
+        const pk = { n: sk.n, e: sk.e };
+        const msg = Array.from(new TextEncoder().encode("Hello World!"));
+        const info = Array.from(new TextEncoder().encode("metadata"));
+
+        // e' is derived from the metadata; d' requires the prime factors
+        const derived = RSAPBSSA_SHA384_PSS_Deterministic.derivePublicKey(pk, info);
+        assert.deepStrictEqual(derived.n, pk.n);
+        assert.ok(derived.e % 2n === 1n && derived.e.toString(2).length <= 1022);
+        assert.notDeepStrictEqual(RSAPBSSA_SHA384_PSS_Deterministic.derivePublicKey(pk, []).e, derived.e);
+        assert.throws(() => RSAPBSSA_SHA384_PSS_Deterministic.deriveKeyPair({ n: sk.n, e: sk.e, d: sk.d }, info));
+
+        for (const suite of [RSAPBSSA_SHA384_PSS_Deterministic, RSAPBSSA_SHA384_PSS_Randomized]) {
+            const preparedMsg = suite.prepare(msg);
+            const [blindedMsg, inv] = suite.blind(pk, preparedMsg, info);
+            const blindSig = suite.blindSign(sk, blindedMsg, info);
+            const sig = suite.finalize(pk, preparedMsg, info, blindSig, inv);
+            assert.ok(suite.verify(pk, preparedMsg, info, sig));
+
+            // the signature is a standard RSA-PSS signature over msg_prime with the derived public key
+            const cryptoKey = await crypto.subtle.importKey("jwk", {
+                kty: "RSA",
+                n: RSAPBSSA_JWK.n,
+                e: Base64.urlEncode(ByteBuffer.numberToBytes(derived.e, 128)).replace(/=+$/, ""),
+            }, { name: "RSA-PSS", hash: "SHA-384" }, false, ["verify"]);
+            const msgPrime = Uint8Array.from(suite.messagePrime(preparedMsg, info));
+            assert.ok(await crypto.subtle.verify({ name: "RSA-PSS", saltLength: 48 }, cryptoKey, Uint8Array.from(sig), msgPrime));
+
+            // the metadata is bound to the signature
+            assert.ok(!suite.verify(pk, preparedMsg, info.concat([0]), sig));
+            assert.throws(() => suite.finalize(pk, preparedMsg, [], blindSig, inv));
+            assert.throws(() => suite.finalize(pk, preparedMsg, info, suite.blindSign(sk, blindedMsg, []), inv));
+        }
+    });
+});
@@ -1,4 +1,139 @@
 import { should, describe } from 'micro-should';
-import { deepStrictEqual, throws } from 'assert';
+import { deepStrictEqual, ok, throws } from 'assert';
 
-import { Base64 } from '../src/utils.js';
+import { Base64, Base64Codec, ByteBuffer, CBOR, CBORSimple, CBORTag, DecodeError, Hex } from '../src/utils.js';
+import { Challenge } from '../src/private-access-token.js';
+import { WWWAuthenticate } from '../src/auth-scheme.js';
+
+describe('Utils', () => {
+    should('ByteBuffer reads are bounds checked', () => {
+        const buffer = new ByteBuffer(Base64.decode("AAEC"));
+        deepStrictEqual(buffer.readInt(2, "length"), 1);
+        throws(() => buffer.readBytes(2, "data"), e => e instanceof DecodeError && e.field === "data" && e.offset === 2 && /Truncated data: 2 bytes requested but only 1 remain/.test(e.message));
+        throws(() => buffer.readInt(-1), e => e instanceof DecodeError && e.offset === 2);
+        throws(() => buffer.expectEnd("length"), e => e instanceof DecodeError && e.field === "length" && /trailing data after length: 1 bytes/.test(e.message));
+        deepStrictEqual(buffer.readBytes(1), Uint8Array.from([2]));
+        deepStrictEqual(buffer.expectEnd().remaining, 0);
+        throws(() => buffer.readInt(1), /Unexpected end of data/);
+    });
+
+    should('Base64 codecs enforce their alphabet, padding and quoting', () => {
+        const bytes = Uint8Array.from([0xfb, 0xff]);
+        deepStrictEqual(Base64.STANDARD.encode(bytes), "+/8=");
+        deepStrictEqual(Base64.URL.encode(bytes), "-_8=");
+        deepStrictEqual(Base64.URL_UNPADDED.encode(bytes), "-_8");
+        deepStrictEqual(Base64.HEADER.encode(bytes), '"-_8="');
+        deepStrictEqual(Base64.HEADER.encode([0xfb, 0xff, 0]), "-_8A");
+
+        deepStrictEqual(Base64.STANDARD.decode("+/8="), bytes);
+        deepStrictEqual(Base64.URL.decode("-_8"), bytes);
+        deepStrictEqual(Base64.HEADER.decode('"+_8="'), bytes);
+        throws(() => Base64.STANDARD.decode("+/8"), e => e instanceof DecodeError && e.offset === 3 && /Missing padding/.test(e.message));
+        throws(() => Base64.STANDARD.decode("-_8="), e => e instanceof DecodeError && e.offset === 0);
+        throws(() => Base64.URL_UNPADDED.decode("-_8="), e => e instanceof DecodeError && e.offset === 3);
+        throws(() => Base64.URL.decode('"-_8="'), /Unexpected quoted value/);
+        throws(() => Base64.URL.decode("-_8=="), /Invalid padding/);
+        throws(() => Base64.URL.decode("-_8=A"), /Unexpected padding/);
+        throws(() => Base64.URL.decode("A"), /Invalid length/);
+        throws(() => new Base64Codec({ padding: "sometimes" }), /Invalid padding/);
+
+        const strict = Base64.URL.with({ quoting: "required" });
+        deepStrictEqual(strict.encode(bytes), '"-_8="');
+        throws(() => strict.decode("-_8="), /Expected a quoted value/);
+    });
+
+    should('Base64.decode() throws instead of returning nothing for invalid input', () => {
+        deepStrictEqual(Base64.decode(""), []);
+        deepStrictEqual(Base64.decode('"AAIAGXBhdC1pc3N1ZXIuY2xvdWRmbGFyZS5jb20AAAA%3D"').length, 32);
+        throws(() => Base64.decode("not base64!"), DecodeError);
+        throws(() => Base64.decode("%E0%A4%A"), DecodeError);
+        throws(() => Challenge.from("AAIAGXBhdC1pc3N1ZXIuY2xvdWRmbGFyZS5jb20AAA!"), e => e instanceof DecodeError && e.offset === 42);
+
+        const challenge = Challenge.from("AAIAGXBhdC1pc3N1ZXIuY2xvdWRmbGFyZS5jb20AAAA");
+        deepStrictEqual(challenge.toString(), "AAIAGXBhdC1pc3N1ZXIuY2xvdWRmbGFyZS5jb20AAAA=");
+        deepStrictEqual(challenge.toString(Base64.URL_UNPADDED), "AAIAGXBhdC1pc3N1ZXIuY2xvdWRmbGFyZS5jb20AAAA");
+        throws(() => Challenge.from(challenge.toString(), Base64.URL_UNPADDED), DecodeError);
+
+        const header = `PrivateToken challenge="${challenge.toString()}"`;
+        deepStrictEqual(WWWAuthenticate.from(header).challenges.length, 1);
+        const strict = WWWAuthenticate.from(header, { codec: Base64.URL_UNPADDED });
+        deepStrictEqual(strict.challenges.length, 0);
+        ok(strict.errors[0].error instanceof DecodeError);
+    });
+
+    // RFC 8949 Appendix A
+    const CBOR_EXAMPLES = [
+        [0, "00"], [1, "01"], [10, "0a"], [23, "17"], [24, "1818"], [25, "1819"], [100, "1864"], [1000, "1903e8"],
+        [1000000, "1a000f4240"], [1000000000000, "1b000000e8d4a51000"], [18446744073709551615n, "1bffffffffffffffff"],
+        [18446744073709551616n, "c249010000000000000000"], [-18446744073709551616n, "3bffffffffffffffff"],
+        [-18446744073709551617n, "c349010000000000000000"], [-1, "20"], [-10, "29"], [-100, "3863"], [-1000, "3903e7"],
+        [0.0, "00"], [-0.0, "f98000"], [1.1, "fb3ff199999999999a"], [1.5, "f93e00"],
+        [3.4028234663852886e+38, "fa7f7fffff"], [1.0e+300, "fb7e37e43c8800759c"], [5.960464477539063e-8, "f90001"],
+        [0.00006103515625, "f90400"], [-4.1, "fbc010666666666666"], [Infinity, "f97c00"], [NaN, "f97e00"],
+        [-Infinity, "f9fc00"], [false, "f4"], [true, "f5"], [null, "f6"], [undefined, "f7"],
+        [new CBORSimple(16), "f0"], [new CBORSimple(255), "f8ff"],
+        [new Date("2013-03-21T20:04:00Z"), "c11a514b67b0"], [new Date(1363896240500), "c1fb41d452d9ec200000"],
+        [new CBORTag(23, Uint8Array.from([1, 2, 3, 4])), "d74401020304"],
+        [new CBORTag(32, "http://www.example.com"), "d82076687474703a2f2f7777772e6578616d706c652e636f6d"],
+        [new Uint8Array(0), "40"], [Uint8Array.from([1, 2, 3, 4]), "4401020304"], ["", "60"], ["a", "6161"],
+        ["IETF", "6449455446"], ["\"\\", "62225c"], ["\u00fc", "62c3bc"], ["\u6c34", "63e6b0b4"],
+        ["\ud800\udd51", "64f0908591"], [[], "80"], [[1, 2, 3], "83010203"], [[1, [2, 3], [4, 5]], "8301820203820405"],
+        [Array.from({ length: 25 }, (_, i) => i + 1), "98190102030405060708090a0b0c0d0e0f101112131415161718181819"],
+        [{}, "a0"], [new Map([[1, 2], [3, 4]]), "a201020304"], [{ a: 1, b: [2, 3] }, "a26161016162820203"],
+        [["a", { b: "c" }], "826161a161626163"],
+    ];
+
+    should('CBOR.encode() (RFC 8949 examples)', () => {
+        for (const [value, hex] of CBOR_EXAMPLES) {
+            deepStrictEqual(Hex.encode(CBOR.encode(value)), hex, `${String(value)}`);
+        }
+        // deterministic: shortest form and map keys sorted by their encoding
+        deepStrictEqual(Hex.encode(CBOR.encode({ b: 1, aa: 3, a: 2 })), "a3616102616201626161" + "03");
+        deepStrictEqual(Hex.encode(CBOR.encode(65504.5)), "fa477fe080");
+        deepStrictEqual(Hex.encode(CBOR.encode(2 ** -25)), "fa33000000");
+        deepStrictEqual(Hex.encode(CBOR.encode(new Map([["a", 1], [10, 2], [-1, 3]]))), "a30a022003616101");
+        throws(() => CBOR.encode(() => 1), /can't encode a function/);
+        const cyclic = [];
+        cyclic.push(cyclic);
+        throws(() => CBOR.encode(cyclic), /cyclic/);
+    });
+
+    should('CBOR.decode() (RFC 8949 examples)', () => {
+        for (const [value, hex] of CBOR_EXAMPLES) {
+            deepStrictEqual(CBOR.decode(Hex.decode(hex)), value, hex);
+        }
+        const decode = hex => CBOR.decode(Hex.decode(hex));
+        // non-preferred encodings
+        deepStrictEqual(decode("f93c00"), 1);
+        deepStrictEqual(decode("fa47c35000"), 100000);
+        deepStrictEqual(decode("f97bff"), 65504);
+        deepStrictEqual(decode("fa7f800000"), Infinity);
+        deepStrictEqual(decode("fb7ff0000000000000"), Infinity);
+        deepStrictEqual(decode("f9c400"), -4);
+        deepStrictEqual(decode("c074323031332d30332d32315432303a30343a30305a"), new Date("2013-03-21T20:04:00Z"));
+        deepStrictEqual(decode("d818456449455446"), new CBORTag(24, Uint8Array.from([0x64, 0x49, 0x45, 0x54, 0x46])));
+        // indefinite lengths
+        deepStrictEqual(decode("5f42010243030405ff"), Uint8Array.from([1, 2, 3, 4, 5]));
+        deepStrictEqual(decode("7f657374726561646d696e67ff"), "streaming");
+        deepStrictEqual(decode("9fff"), []);
+        deepStrictEqual(decode("9f018202039f0405ffff"), [1, [2, 3], [4, 5]]);
+        deepStrictEqual(decode("83018202039f0405ff"), [1, [2, 3], [4, 5]]);
+        deepStrictEqual(decode("bf61610161629f0203ffff"), { a: 1, b: [2, 3] });
+        deepStrictEqual(decode("bf6346756ef563416d7421ff"), { Fun: true, Amt: -2 });
+    });
+
+    should('CBOR.decode() rejects malformed data', () => {
+        const decode = hex => CBOR.decode(Hex.decode(hex));
+        throws(() => decode("1c"), e => e instanceof DecodeError && e.field === "cbor" && e.offset === 0);
+        throws(() => decode("62c3"), e => e instanceof DecodeError && e.offset === 1);
+        throws(() => decode("62c328"), /not valid UTF-8/);
+        throws(() => decode("5f4101ff00"), /trailing data/);
+        throws(() => decode("5f6101ff"), /same type/);
+        throws(() => decode("830102"), DecodeError);
+        throws(() => decode("ff"), /unexpected break/);
+        throws(() => decode("1f"), /indefinite length/);
+        throws(() => decode("f818"), /one byte form/);
+        throws(() => decode("9b00000000ffffffff"), /exceeds/);
+        throws(() => decode("81".repeat(300) + "00"), /nested deeper/);
+    });
+});